@@ -0,0 +1,123 @@
+/**
+ * Request / response helpers shared by the serverless functions in api/.
+ *
+ * The leading underscore keeps Vercel from deploying this directory as
+ * functions of its own.
+ */
+
+import { IncomingForm } from 'formidable'
+
+// ─── request helpers ─────────────────────────────────────────────────────────
+
+export function parseForm(req) {
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({
+      keepExtensions: true,
+      maxFileSize: 50 * 1024 * 1024,
+    })
+    form.parse(req, (err, fields, files) => {
+      if (err) reject(err)
+      else resolve({ fields, files })
+    })
+  })
+}
+
+/** First value of a formidable field (formidable v3 wraps every field in an array). */
+export function fieldValue(fields, name) {
+  const value = fields[name]
+  return Array.isArray(value) ? value[0] : value
+}
+
+/** Read and parse a JSON request body. */
+export async function readJsonBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  return JSON.parse(Buffer.concat(chunks).toString())
+}
+
+/**
+ * Fetch a blob URL as a Buffer using native fetch (undici).
+ * Retries up to 4 times with 1.5s delay to handle CDN propagation lag.
+ *
+ * NOTE: native fetch works reliably in Vercel serverless for Blob CDN URLs.
+ * https.get was tried but returns HTTP 404 for some large blobs even when
+ * fetch() successfully retrieves the same URL — do NOT switch back to https.get.
+ */
+export async function fetchBlobAsBuffer(url, signal) {
+  const maxAttempts = 4
+  const delayMs = 1500
+  let lastErr
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    signal?.throwIfAborted()
+    try {
+      if (attempt > 1) {
+        console.log(`[compress] Blob fetch attempt ${attempt}/${maxAttempts}: ${url}`)
+        await new Promise(r => setTimeout(r, delayMs))
+      }
+      const res = await fetch(url, { signal })
+      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`)
+      const buf = Buffer.from(await res.arrayBuffer())
+      if (attempt > 1) console.log(`[compress] Blob fetch succeeded on attempt ${attempt}`)
+      return buf
+    } catch (err) {
+      lastErr = err
+      console.log(`[compress] Blob fetch attempt ${attempt} failed: ${err.message}`)
+    }
+  }
+  throw new Error(`Failed to fetch blob after ${maxAttempts} attempts: ${lastErr.message}`)
+}
+
+// ─── plain-Node response helpers ─────────────────────────────────────────────
+
+export function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body)
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+  })
+  res.end(payload)
+}
+
+export function sendBuffer(res, statusCode, headers, buffer) {
+  res.writeHead(statusCode, headers)
+  res.end(buffer)
+}
+
+/**
+ * Map an engine / upload error to { statusCode, message, code?, retryAfter? }
+ * for the client. `code` is set for errors the client can act on (a password
+ * prompt, a refused API key). Invalid settings (OptionsError from
+ * lib/compress.js) are a 400 as-is; `retryAfter` (seconds) comes with a 429
+ * from lib/api-keys.js and belongs in a Retry-After header.
+ */
+export function describeFailure(err) {
+  if (err.name === 'PasswordError') return { statusCode: 400, message: err.message, code: err.code }
+  if (err.name === 'ApiKeyError') {
+    return { statusCode: err.statusCode, message: err.message, code: err.code, retryAfter: err.retryAfter }
+  }
+  if (err.name === 'OptionsError') return { statusCode: 400, message: err.message }
+  const is413 = err.code === 'LIMIT_FILE_SIZE' || err.statusCode === 413 || err.status === 413
+  const msg = err.message || ''
+  const message =
+    is413                            ? 'File too large. Maximum upload size is 50 MB.'
+    : msg.includes('encrypted') ||
+      msg.includes('password')       ? 'This PDF uses an encryption method that is not supported. Please remove the password first.'
+    : msg.includes('timeout')        ? 'Compression timed out. Please try the High compression level for large files.'
+    : msg.includes('Failed to fetch blob') ? `Could not retrieve uploaded file: ${msg}`
+    : msg.includes('corrupt') ||
+      msg.includes('repair')         ? 'The PDF appears to be corrupted or uses an unsupported format.'
+    : `Compression failed: ${msg}`   // surface actual error in production logs
+  return { statusCode: is413 ? 413 : 500, message }
+}
+
+/** Retry-After for a rate-limited request, readable by browser callers too. */
+export function setRetryAfter(res, retryAfter) {
+  if (!retryAfter) return
+  res.setHeader('Retry-After', retryAfter)
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After')
+}
+
+/** Boolean field — `true` in JSON, `'true'` in multipart. */
+export function parseFlag(raw) {
+  return raw === true || raw === 'true'
+}
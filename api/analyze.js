@@ -0,0 +1,133 @@
+/**
+ * Vercel Serverless Function: POST /api/analyze
+ *
+ * Inspects a PDF without producing output — a dry run before choosing a
+ * level. Takes the same upload as /api/compress (multipart `file`, or JSON
+ * { blobUrl, filename? } for a file already in Vercel Blob) plus:
+ *   - password  : string (optional) — opens a password-protected PDF
+ *   - colorMode : 'color' | 'grayscale' | 'bw' (optional, default 'color') —
+ *                 the colour the estimates assume
+ *
+ * Returns 200 {
+ *   fileSize, pageCount,
+ *   encryption:  null | { method, passwordRequired },
+ *   images:      { count, bytes, filters: { DCTDecode: 12, … } },
+ *   fonts:       [{ name, type, embedded }],
+ *   pages:       { text, mixed, scanned },
+ *   compression: { streams, unfiltered, objectStreams },
+ *   estimates:   { sampledPages: [1, 6, 11], levels: { lossless: { size, engine }, low: …, medium: …, high: … } }
+ * }
+ * See lib/analyze.js for what each field means. Estimates come from the
+ * MuPDF engines on a few sample pages, so they are approximate — and on a
+ * server with Ghostscript the actual output may differ further.
+ *
+ * Password and API key errors are the same as /api/compress: 400
+ * { error, code: 'PASSWORD_REQUIRED' | 'PASSWORD_INCORRECT' }, and
+ * 401 / 403 / 413 / 429 { error, code }. The web app analyzes in its own
+ * worker (src/workers/analyze.worker.js) and doesn't call this.
+ */
+
+import { readFileSync, unlinkSync } from 'fs'
+import path from 'path'
+import { del } from '@vercel/blob'
+import { COLOR_MODES } from '../lib/levels.js'
+import { analyzePdf, estimateSizes } from '../lib/analyze.js'
+import { unlockPdf } from '../lib/encryption.js'
+import { authorizeRequest, chargeUpload } from '../lib/api-keys.js'
+import {
+  parseForm, fieldValue, readJsonBody, fetchBlobAsBuffer, sendJson, describeFailure, setRetryAfter,
+} from './_lib/http.js'
+
+export const config = {
+  api: {
+    bodyParser: false,
+    sizeLimit: '50mb',
+    maxDuration: 60,
+  },
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200)
+    return res.end()
+  }
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'Method not allowed' })
+  }
+
+  let formTmpPath = null
+  let blobUrl     = null
+
+  try {
+    const access = await authorizeRequest(req)
+    const contentType = req.headers['content-type'] || ''
+    let inputBuffer, password, colorMode
+
+    if (contentType.includes('application/json')) {
+      const body = await readJsonBody(req)
+      blobUrl   = body.blobUrl
+      password  = body.password || null
+      colorMode = body.colorMode || 'color'
+
+      if (!blobUrl) return sendJson(res, 400, { error: 'Missing blobUrl.' })
+      const ext = path.extname(body.filename || 'file.pdf').toLowerCase()
+      if (ext !== '.pdf') {
+        try { await del(blobUrl) } catch (_) {}
+        return sendJson(res, 400, { error: 'Only PDF files are accepted.' })
+      }
+
+      inputBuffer = await fetchBlobAsBuffer(blobUrl)
+    } else {
+      const { fields, files } = await parseForm(req)
+
+      const uploadedFile = Array.isArray(files.file) ? files.file[0] : files.file
+      if (!uploadedFile) return sendJson(res, 400, { error: 'No file uploaded.' })
+      formTmpPath = uploadedFile.filepath
+
+      const ext = path.extname(uploadedFile.originalFilename || '').toLowerCase()
+      if (ext !== '.pdf') {
+        try { unlinkSync(formTmpPath) } catch (_) {}
+        return sendJson(res, 400, { error: 'Only PDF files are accepted.' })
+      }
+
+      password  = fieldValue(fields, 'password') || null
+      colorMode = fieldValue(fields, 'colorMode') || 'color'
+
+      inputBuffer = readFileSync(formTmpPath)
+      try { unlinkSync(formTmpPath) } catch (_) {}
+      formTmpPath = null
+    }
+
+    if (!COLOR_MODES.includes(colorMode)) {
+      if (blobUrl) { try { await del(blobUrl) } catch (_) {} }
+      return sendJson(res, 400, { error: `colorMode must be one of ${COLOR_MODES.join(', ')}.` })
+    }
+    await chargeUpload(access, inputBuffer.length)
+
+    const { input, encryption } = unlockPdf(inputBuffer, password)
+    const analysis  = analyzePdf(input, { fileSize: inputBuffer.length, encryption })
+    const estimates = await estimateSizes(input, { colorMode })
+    console.log(`[analyze] ${analysis.pageCount} page(s), ${analysis.images.count} image(s), ${inputBuffer.length} bytes`)
+
+    if (blobUrl) {
+      try { await del(blobUrl) } catch (_) { /* non-fatal */ }
+      blobUrl = null
+    }
+
+    res.setHeader('Cache-Control', 'no-store')
+    return sendJson(res, 200, { ...analysis, estimates })
+
+  } catch (err) {
+    if (formTmpPath) try { unlinkSync(formTmpPath) } catch (_) {}
+    if (blobUrl) { try { await del(blobUrl) } catch (_) {} }
+    console.error('[analyze] Error:', err)
+
+    const { statusCode, message, code, retryAfter } = describeFailure(err)
+    setRetryAfter(res, retryAfter)
+    return sendJson(res, statusCode, { error: message, code })
+  }
+}
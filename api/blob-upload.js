@@ -17,12 +17,24 @@
  *
  *   After CDN upload, browser → POST /api/compress { blobUrl, level, filename }
  *
+ * Accepted uploads: PDFs, the JPEG / PNG / TIFF images /api/compress turns
+ * into a PDF (IMAGE_TYPES) and the JPEG / PNG / WebP images
+ * /api/compress-image re-encodes (COMPRESSIBLE_IMAGE_TYPES) — by file name,
+ * and the token only allows those content types.
+ *
+ * API keys (lib/api-keys.js): checked like /api/compress, except that a
+ * token doesn't use up a request of the rate limit — the compress call that
+ * follows does. A key's maxFileBytes also caps the token's upload size.
+ *
  * Local dev:
  *   BLOB_READ_WRITE_TOKEN not set → returns { localMode: true }
  *   Client falls back to legacy multipart POST (works for files ≤ ~4 MB).
  */
 
 import { generateClientTokenFromReadWriteToken } from '@vercel/blob/client'
+import { authorizeRequest } from '../lib/api-keys.js'
+import { IMAGE_TYPES, COMPRESSIBLE_IMAGE_TYPES, imageTypeForName } from '../lib/image-types.js'
+import { setRetryAfter } from './_lib/http.js'
 
 export const config = {
   api: {
@@ -30,6 +42,13 @@ export const config = {
   },
 }
 
+// What a token may be issued for, by extension (IMAGE_TYPES format)
+const UPLOAD_TYPES = {
+  'application/pdf': ['.pdf'],
+  ...IMAGE_TYPES,
+  ...COMPRESSIBLE_IMAGE_TYPES,
+}
+
 function sendJson(res, code, body) {
   const payload = JSON.stringify(body)
   res.writeHead(code, {
@@ -44,13 +63,25 @@ function sendJson(res, code, body) {
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200)
     return res.end()
   }
 
+  let access
+  try {
+    access = await authorizeRequest(req, { count: false })
+  } catch (err) {
+    if (err.name !== 'ApiKeyError') {
+      console.error('[blob-upload] API key check failed:', err)
+      return sendJson(res, 500, { error: 'Could not check the API key.' })
+    }
+    setRetryAfter(res, err.retryAfter)
+    return sendJson(res, err.statusCode, { error: err.message, code: err.code })
+  }
+
   // Local dev fallback — no BLOB_READ_WRITE_TOKEN configured
   if (!process.env.BLOB_READ_WRITE_TOKEN) {
     return sendJson(res, 200, { localMode: true })
@@ -67,8 +98,8 @@ export default async function handler(req, res) {
     if (body.type === 'blob.generate-client-token') {
       const { pathname, callbackUrl, multipart } = body.payload || {}
 
-      if (!pathname || !pathname.toLowerCase().endsWith('.pdf')) {
-        return sendJson(res, 400, { error: 'Only PDF files are accepted.' })
+      if (!imageTypeForName(pathname, UPLOAD_TYPES)) {
+        return sendJson(res, 400, { error: 'Only PDF, JPEG, PNG, WebP and TIFF files are accepted.' })
       }
 
       // Use generateClientTokenFromReadWriteToken — works with raw Node HTTP,
@@ -88,8 +119,8 @@ export default async function handler(req, res) {
       const clientToken = await generateClientTokenFromReadWriteToken({
         token: process.env.BLOB_READ_WRITE_TOKEN,
         pathname,
-        allowedContentTypes: ['application/pdf'],
-        maximumSizeInBytes: 50 * 1024 * 1024,
+        allowedContentTypes: Object.keys(UPLOAD_TYPES),
+        maximumSizeInBytes: Math.min(50 * 1024 * 1024, access?.policy.maxFileBytes || Infinity),
         validUntil: oneHour,
         addRandomSuffix: true,  // prevents CDN 404-cache collisions when same filename re-uploaded
         ...(multipart !== undefined ? { multipart } : {}),
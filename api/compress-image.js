@@ -0,0 +1,143 @@
+/**
+ * Vercel Serverless Function: POST /api/compress-image
+ *
+ * Compresses one JPEG, PNG or WebP image and returns it in the same format
+ * — for images that should stay images (/api/compress turns them into a
+ * PDF). Takes the same upload as /api/compress (multipart `file`, or JSON
+ * { blobUrl, filename } for a file already in Vercel Blob) plus:
+ *   - level         : 'lossless' | 'low' | 'medium' | 'high' (default 'medium')
+ *   - maxDimension  : pixels (optional) — scales the long edge down to it;
+ *                     not with lossless
+ *   - stripMetadata : 'false' / false keeps EXIF, XMP and the like (default:
+ *                     stripped — GPS position included)
+ * See lib/image-compress.js for what each level does.
+ *
+ * Returns the image with Content-Disposition `<name>_compressed.<ext>` and:
+ *   X-Original-Size, X-Compressed-Size
+ *   X-Engine                'sharp' (re-encoded) or 'lossless' (pixels untouched)
+ *   X-Original-Dimensions   e.g. 4032x3024, upright
+ *   X-Dimensions            the output's, e.g. 1920x1440
+ * Errors are the same as /api/compress: 400 { error } for a bad file or
+ * setting, and 401 / 403 / 413 / 429 { error, code } from API keys.
+ */
+
+import { readFileSync, unlinkSync } from 'fs'
+import path from 'path'
+import { del } from '@vercel/blob'
+import { compressImage } from '../lib/image-compress.js'
+import { COMPRESSIBLE_IMAGE_TYPES, imageTypeForName } from '../lib/image-types.js'
+import { authorizeRequest, chargeUpload } from '../lib/api-keys.js'
+import {
+  parseForm, fieldValue, readJsonBody, fetchBlobAsBuffer, sendJson, sendBuffer, describeFailure, setRetryAfter,
+} from './_lib/http.js'
+
+export const config = {
+  api: {
+    bodyParser: false,
+    sizeLimit: '50mb',
+    maxDuration: 60,
+  },
+}
+
+const UNSUPPORTED = 'Only JPEG, PNG and WebP images are accepted.'
+
+/** maxDimension from a form field or JSON: null when absent, NaN when not a number. */
+function parseMaxDimension(value) {
+  if (value === undefined || value === null || value === '') return null
+  return Number(value)
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200)
+    return res.end()
+  }
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'Method not allowed' })
+  }
+
+  let formTmpPath = null
+  let blobUrl     = null
+
+  try {
+    const access = await authorizeRequest(req)
+    const contentType = req.headers['content-type'] || ''
+    let inputBuffer, filename, level, maxDimension, stripMetadata
+
+    if (contentType.includes('application/json')) {
+      const body = await readJsonBody(req)
+      blobUrl       = body.blobUrl
+      filename      = body.filename || ''
+      level         = body.level || 'medium'
+      maxDimension  = parseMaxDimension(body.maxDimension)
+      stripMetadata = body.stripMetadata !== false && body.stripMetadata !== 'false'
+
+      if (!blobUrl) return sendJson(res, 400, { error: 'Missing blobUrl.' })
+      if (!imageTypeForName(filename, COMPRESSIBLE_IMAGE_TYPES)) {
+        try { await del(blobUrl) } catch (_) {}
+        return sendJson(res, 400, { error: UNSUPPORTED })
+      }
+
+      inputBuffer = await fetchBlobAsBuffer(blobUrl)
+    } else {
+      const { fields, files } = await parseForm(req)
+
+      const uploadedFile = Array.isArray(files.file) ? files.file[0] : files.file
+      if (!uploadedFile) return sendJson(res, 400, { error: 'No file uploaded.' })
+      formTmpPath = uploadedFile.filepath
+
+      filename = uploadedFile.originalFilename || ''
+      if (!imageTypeForName(filename, COMPRESSIBLE_IMAGE_TYPES)) {
+        try { unlinkSync(formTmpPath) } catch (_) {}
+        return sendJson(res, 400, { error: UNSUPPORTED })
+      }
+
+      level         = fieldValue(fields, 'level') || 'medium'
+      maxDimension  = parseMaxDimension(fieldValue(fields, 'maxDimension'))
+      stripMetadata = fieldValue(fields, 'stripMetadata') !== 'false'
+
+      inputBuffer = readFileSync(formTmpPath)
+      try { unlinkSync(formTmpPath) } catch (_) {}
+      formTmpPath = null
+    }
+
+    await chargeUpload(access, inputBuffer.length)
+
+    const result = await compressImage(inputBuffer, { level, maxDimension, stripMetadata })
+    const base = path.basename(filename, path.extname(filename))
+    const outputName = `${base}_compressed${COMPRESSIBLE_IMAGE_TYPES[result.type][0]}`
+    console.log(`[compress-image] ${filename}: ${inputBuffer.length} → ${result.buffer.length} bytes (${result.engine}, ${level})`)
+
+    if (blobUrl) {
+      try { await del(blobUrl) } catch (_) { /* non-fatal */ }
+      blobUrl = null
+    }
+
+    return sendBuffer(res, 200, {
+      'Content-Type':          result.type,
+      'Content-Disposition':   `attachment; filename="${outputName}"`,
+      'Content-Length':        result.buffer.length,
+      'X-Original-Size':       inputBuffer.length,
+      'X-Compressed-Size':     result.buffer.length,
+      'X-Engine':              result.engine,
+      'X-Original-Dimensions': `${result.originalWidth}x${result.originalHeight}`,
+      'X-Dimensions':          `${result.width}x${result.height}`,
+      'Cache-Control':         'no-store',
+      'Access-Control-Allow-Origin':   '*',
+      'Access-Control-Expose-Headers': 'X-Original-Size, X-Compressed-Size, X-Engine, X-Original-Dimensions, X-Dimensions',
+    }, result.buffer)
+
+  } catch (err) {
+    if (formTmpPath) try { unlinkSync(formTmpPath) } catch (_) {}
+    if (blobUrl) { try { await del(blobUrl) } catch (_) {} }
+    console.error('[compress-image] Error:', err)
+
+    const { statusCode, message, code, retryAfter } = describeFailure(err)
+    setRetryAfter(res, retryAfter)
+    return sendJson(res, statusCode, { error: message, code })
+  }
+}
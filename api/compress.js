@@ -1,11 +1,43 @@
 /**
  * Vercel Serverless Function: POST /api/compress
  *
- * Accepts multipart/form-data:
- *   - file  : PDF binary (required, max 50 MB)
- *   - level : 'low' | 'medium' | 'high'  (optional, default 'medium')
+ * Accepts multipart/form-data (or JSON with blob URLs, see the handler):
+ *   - file             : PDF binary (required, max 50 MB) — or one or more
+ *                        JPEG / PNG / TIFF images, or several PDFs with `merge`
+ *   - level            : 'lossless' | 'low' | 'medium' | 'high'  (default 'medium')
+ *   - targetBytes      : positive integer — "make it under N bytes"
+ *   - colorMode        : 'color' | 'grayscale' | 'bw'  (default 'color')
+ *   - password         : opens a password-protected PDF
+ *   - keepEncryption   : 'true' — encrypt the output the same way
+ *   - options          : JSON { quality?, dpi?, scale?, gsSetting? } — overrides
+ *                        the level's settings; not with targetBytes
+ *   - pages            : pages to keep, in order: '1-3,7,10-', '3,1-2'
+ *   - removeBlankPages : 'true' — leave nearly empty pages out
+ *   - keepFormFields   : 'true' — keep form fields fillable on rasterized pages
+ *   - textLayer        : 'true' — keep rasterized pages searchable
+ *   - engine           : 'auto' | 'auto-best' | 'ghostscript' | 'mupdf'
+ *                        (default 'auto'; auto-best keeps the smallest output)
+ *   - pageSize         : 'a4' | 'letter' | 'fit'  (images only, default 'a4')
+ *   - orientation      : 'auto' | 'portrait' | 'landscape'  (images only)
+ *   - merge            : 'true' — join the PDFs into one, a bookmark per file
+ *   - splitMaxBytes    : positive integer — a result still bigger comes back
+ *                        as a ZIP of parts that each fit
  *
- * Returns the compressed PDF as application/pdf.
+ * Returns the compressed PDF as application/pdf (application/zip when split),
+ * with X-Original-Size, X-Compressed-Size and X-Engine, and X-Target-Met,
+ * X-Removed-Pages, X-Page-Strategies, X-Engine-Candidates and X-Parts when
+ * they apply. Errors are { error, code? }: 400 for bad fields or a missing /
+ * wrong password (PASSWORD_REQUIRED / PASSWORD_INCORRECT), and with API keys
+ * (lib/api-keys.js) 401 / 403 / 413 / 429 before any work is done. A client
+ * that disconnects stops the work. Every option in detail: ARCHITECTURE.md.
+ *
+ * ── Progress streaming ───────────────────────────────────────────────────────
+ *
+ * With `Accept: application/x-ndjson` the response is a stream of JSON lines:
+ *   { "type": "progress", "page": 3, "pageCount": 12 }   after each page
+ *   { "type": "done", …, "data": <base64 PDF or ZIP> }    the header values
+ *   { "type": "error", "error": "…" }                    failure mid-stream
+ * Validation and password errors still arrive as plain JSON with a 4xx status.
  *
  * ── Compression strategy ─────────────────────────────────────────────────────
  *
@@ -13,79 +45,51 @@
  *   Uses -dPDFSETTINGS to re-encode images at reduced DPI via native binary.
  *   Typical reduction: 50–90%.  NOT available on standard Vercel runtimes.
  *
- * Engine 2 — MuPDF WASM re-render (always available, no binary dependencies)
- *   Pipeline per page:
- *     1. Render page → RGB Pixmap at target render scale
- *     2. Encode Pixmap → JPEG at target quality (asJPEG)
- *     3. Embed JPEG as /DCTDecode XObject stream in a new PDF
- *     4. Insert page into output page tree (insertPage)
- *   This forces full image re-encoding at a lower JPEG quality, achieving
- *   70–94% reduction on image-heavy PDFs in pure WASM on Vercel.
+ * Engine 2 — MuPDF WASM adaptive (always available, no binary dependencies)
+ *   Text / vector pages are kept, mixed pages get their images re-encoded in
+ *   place and scans are re-rendered as one JPEG; in grayscale / bw, pages
+ *   that still show colour are rasterized too. Metadata, bookmarks, page
+ *   labels, links and rotation are kept.
  *
  * Level mapping:
- *   low    → JPEG quality 85, render scale 1.5×  (high quality, ~70% reduction)
- *   medium → JPEG quality 60, render scale 1.2×  (balanced,     ~85% reduction)
- *   high   → JPEG quality 35, render scale 1.0×  (max savings,  ~90% reduction)
+ *   lossless → structure only (MuPDF): duplicates merged, streams flated
+ *   low      → JPEG quality 85, render scale 1.5×, images ≤ 300 dpi
+ *   medium   → JPEG quality 60, render scale 1.2×, images ≤ 150 dpi
+ *   high     → JPEG quality 35, render scale 1.0×, images ≤  72 dpi
  *
  * Safety: if the re-encoded output is larger than the input, the original
- * is returned unchanged (rare for image PDFs, possible for pure-text PDFs).
+ * is returned unchanged — unless grayscale or bw was asked for.
  */
 
-import { IncomingForm } from 'formidable'
-import { readFileSync, unlinkSync, writeFileSync } from 'fs'
-import { execFile } from 'child_process'
-import { promisify } from 'util'
-import { tmpdir } from 'os'
-import { join } from 'path'
-import { randomBytes } from 'crypto'
-import * as mupdf from 'mupdf'
+import { readFileSync, unlinkSync } from 'fs'
 import path from 'path'
 import { del } from '@vercel/blob'
+import { LEVEL_CONFIG, COLOR_MODES } from '../lib/levels.js'
+import { zipSync } from 'fflate'
+import { compressPdf, compressImages, compressMerged, splitOutput, OptionsError } from '../lib/compress.js'
+import { imageTypeForName } from '../lib/image-types.js'
+import { formatStrategies } from '../lib/mupdf-engine.js'
+import { discoverGhostscript } from '../lib/ghostscript.js'
+import { authorizeRequest, chargeUpload } from '../lib/api-keys.js'
+import {
+  parseForm, fieldValue, readJsonBody, fetchBlobAsBuffer, sendJson, sendBuffer, describeFailure, parseFlag, setRetryAfter,
+} from './_lib/http.js'
 
 /**
- * Fetch a blob URL as a Buffer using native fetch (undici).
- * Retries up to 4 times with 1.5s delay to handle CDN propagation lag.
- *
- * NOTE: native fetch works reliably in Vercel serverless for Blob CDN URLs.
- * https.get was tried but returns HTTP 404 for some large blobs even when
- * fetch() successfully retrieves the same URL — do NOT switch back to https.get.
- */
-async function fetchBlobAsBuffer(url) {
-  const maxAttempts = 4
-  const delayMs = 1500
-  let lastErr
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      if (attempt > 1) {
-        console.log(`[compress] Blob fetch attempt ${attempt}/${maxAttempts}: ${url}`)
-        await new Promise(r => setTimeout(r, delayMs))
-      }
-      const res = await fetch(url)
-      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`)
-      const buf = Buffer.from(await res.arrayBuffer())
-      if (attempt > 1) console.log(`[compress] Blob fetch succeeded on attempt ${attempt}`)
-      return buf
-    } catch (err) {
-      lastErr = err
-      console.log(`[compress] Blob fetch attempt ${attempt} failed: ${err.message}`)
-    }
-  }
-  throw new Error(`Failed to fetch blob after ${maxAttempts} attempts: ${lastErr.message}`)
-}
-
-/**
- * Dual-mode handler:
+ * Dual-mode handler — both modes take every field listed at the top:
  *
  * Mode A — Vercel Blob (production, large files):
- *   POST /api/compress  application/json  { blobUrl: "https://...", level: "medium" }
+ *   POST /api/compress  application/json  { blobUrl: "https://...", filename, level: "medium", …fields }
  *   The browser already uploaded the file directly to Vercel Blob CDN
  *   (bypassing the 4.5 MB serverless body limit entirely). This function
  *   fetches the file from blobUrl, compresses it, deletes the blob, and
- *   returns the compressed PDF.
+ *   returns the compressed PDF. Images and merge: { blobUrls: [...],
+ *   filenames: [...], … } instead of blobUrl / filename.
  *
  * Mode B — Direct multipart (local dev / fallback for files ≤4 MB):
- *   POST /api/compress  multipart/form-data  { file: <binary>, level: "medium" }
- *   Legacy path used when BLOB_READ_WRITE_TOKEN is not configured or file is small.
+ *   POST /api/compress  multipart/form-data  { file: <binary>, level: "medium", …fields }
+ *   Legacy path used when BLOB_READ_WRITE_TOKEN is not configured or file is
+ *   small. `file` is repeated for several images or PDFs.
  */
 export const config = {
   api: {
@@ -96,154 +100,64 @@ export const config = {
   },
 }
 
-const execFileAsync = promisify(execFile)
+// ─── engine config ───────────────────────────────────────────────────────────
+// Levels, the target ladder and the engines live in ../lib so the in-browser
+// worker and the job API (api/jobs.js) run the exact same pipeline; the
+// steps of this endpoint are compressPdf() in ../lib/compress.js, shared with
+// the command line (bin/compressfiles.js).
 
-// ─── compression level configs ────────────────────────────────────────────────
-
-const LEVEL_CONFIG = {
-  //          JPEG quality  render scale  GS PDFSETTINGS
-  low:    { quality: 85,  scale: 1.5,  gsSetting: '/printer' },
-  medium: { quality: 60,  scale: 1.2,  gsSetting: '/ebook'   },
-  high:   { quality: 35,  scale: 1.0,  gsSetting: '/screen'  },
-}
-
-// GS search paths (macOS Homebrew + standard Linux)
-const GS_CANDIDATES = [
-  'gs',
-  '/usr/local/bin/gs',
-  '/usr/bin/gs',
-  '/opt/homebrew/bin/gs',
-  '/opt/local/bin/gs',
-]
+// Probe for Ghostscript now, at cold start, rather than on the first request
+discoverGhostscript()
 
 // ─── helpers ─────────────────────────────────────────────────────────────────
 
-function parseForm(req) {
-  return new Promise((resolve, reject) => {
-    const form = new IncomingForm({
-      keepExtensions: true,
-      maxFileSize: 50 * 1024 * 1024,
-    })
-    form.parse(req, (err, fields, files) => {
-      if (err) reject(err)
-      else resolve({ fields, files })
-    })
-  })
-}
-
-async function findGhostscript() {
-  for (const candidate of GS_CANDIDATES) {
-    try {
-      await execFileAsync(candidate, ['--version'], { timeout: 3000 })
-      return candidate
-    } catch { /* try next */ }
-  }
-  return null
-}
-
 /**
- * Ghostscript compression — re-encodes images via native binary.
- * Only runs when gs is available (local dev / custom Docker).
+ * Parse the optional targetBytes (or splitMaxBytes) parameter.
+ * Returns null when absent, a positive integer when valid, NaN when invalid.
  */
-async function compressWithGhostscript(gs, inputBuffer, level) {
-  const id      = randomBytes(8).toString('hex')
-  const inPath  = join(tmpdir(), `pdfcomp-in-${id}.pdf`)
-  const outPath = join(tmpdir(), `pdfcomp-out-${id}.pdf`)
-  try {
-    writeFileSync(inPath, inputBuffer)
-    await execFileAsync(gs, [
-      '-sDEVICE=pdfwrite', '-dNOPAUSE', '-dBATCH', '-dQUIET',
-      `-dPDFSETTINGS=${LEVEL_CONFIG[level].gsSetting}`,
-      '-dCompatibilityLevel=1.5',
-      `-sOutputFile=${outPath}`,
-      inPath,
-    ], { timeout: 55_000 })
-    return readFileSync(outPath)
-  } finally {
-    try { unlinkSync(inPath)  } catch (_) {}
-    try { unlinkSync(outPath) } catch (_) {}
-  }
+function parseTargetBytes(raw) {
+  if (raw === undefined || raw === null || raw === '') return null
+  const n = Number(raw)
+  return Number.isInteger(n) && n > 0 ? n : NaN
 }
 
 /**
- * MuPDF WASM re-render compression.
- *
- * Re-renders every page to a Pixmap then encodes as JPEG and embeds as a
- * /DCTDecode XObject.  This is the primary engine on Vercel where no native
- * binary is available.
- *
- * Key API notes (MuPDF 1.27):
- *   - addPage(mediabox, rotate, resources, contentString) → pageObj
- *   - insertPage(-1, pageObj)  ← must call separately to add to page tree
- *   - addRawStream(uint8Array, dictObj)  ← note: buffer first, dict second
- *   - saveToBuffer('compress')  ← do NOT use garbage=N; removes new objects
+ * Check the uploaded file names: one PDF, or any number of IMAGE_TYPES
+ * images — or, to `merge`, two or more PDFs. Returns an error message for
+ * the client, or null.
  */
-function compressWithMuPDF(inputBuffer, level) {
-  const { quality, scale } = LEVEL_CONFIG[level]
-  const src    = mupdf.Document.openDocument(new Uint8Array(inputBuffer), 'application/pdf')
-  const outDoc = new mupdf.PDFDocument()
-
-  for (let i = 0; i < src.countPages(); i++) {
-    const page = src.loadPage(i)
-    const [x0, y0, x1, y1] = page.getBounds()
-    const pw = x1 - x0
-    const ph = y1 - y0
-
-    // 1. Render to RGB Pixmap at target scale
-    const pix  = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false)
-    const imgW = pix.getWidth()
-    const imgH = pix.getHeight()
-
-    // 2. Encode as JPEG then free the Pixmap immediately — large PDFs can
-    //    exhaust WASM heap if all pages' Pixmaps are kept alive in parallel
-    const jpegBytes = pix.asJPEG(quality, false)   // → Uint8Array
-    pix.destroy && pix.destroy()
-
-    // 3. Build Image XObject dictionary with /DCTDecode filter
-    const imgDict = outDoc.newDictionary()
-    imgDict.put('Type',             outDoc.newName('XObject'))
-    imgDict.put('Subtype',          outDoc.newName('Image'))
-    imgDict.put('Width',            outDoc.newInteger(imgW))
-    imgDict.put('Height',           outDoc.newInteger(imgH))
-    imgDict.put('ColorSpace',       outDoc.newName('DeviceRGB'))
-    imgDict.put('BitsPerComponent', outDoc.newInteger(8))
-    imgDict.put('Filter',           outDoc.newName('DCTDecode'))
-
-    // 4. Embed JPEG stream (addRawStream: buffer first, dict second)
-    const imgObj  = outDoc.addRawStream(jpegBytes, imgDict)
-
-    // 5. Page resources
-    const xobj      = outDoc.newDictionary()
-    const resources = outDoc.newDictionary()
-    xobj.put('Im0', imgObj)
-    resources.put('XObject', xobj)
-
-    // 6. Create page + insert into page tree (-1 = append)
-    const pageObj = outDoc.addPage(
-      [0, 0, pw, ph], 0, resources,
-      `q ${pw} 0 0 ${ph} 0 0 cm /Im0 Do Q`,
-    )
-    outDoc.insertPage(-1, pageObj)
-  }
-
-  const buf = outDoc.saveToBuffer('compress')  // flate-compress streams; no garbage
-  return Buffer.from(buf.asUint8Array())
+function checkUploadNames(names, merge) {
+  const pdfs = names.filter((name) => path.extname(name).toLowerCase() === '.pdf').length
+  const images = names.filter((name) => imageTypeForName(name)).length
+  if (merge) return pdfs === names.length && pdfs > 1 ? null : 'Merging takes two or more PDFs.'
+  if (pdfs + images < names.length) return 'Only PDF, JPEG, PNG and TIFF files are accepted.'
+  if (pdfs && (images || pdfs > 1)) return 'Upload one PDF, or one or more images — or set merge to join several PDFs.'
+  return null
 }
 
-// ─── plain-Node response helpers ─────────────────────────────────────────────
-
-function sendJson(res, statusCode, body) {
-  const payload = JSON.stringify(body)
-  res.writeHead(statusCode, {
-    'Content-Type': 'application/json',
-    'Content-Length': Buffer.byteLength(payload),
-  })
-  res.end(payload)
+/** auto-best candidates → 'ghostscript=812345,mupdf-structural=790112' */
+function formatCandidates(candidates) {
+  return candidates.map((c) => `${c.engine}=${c.error ? 'failed' : c.size}`).join(',')
 }
 
-function sendBuffer(res, statusCode, headers, buffer) {
-  res.writeHead(statusCode, headers)
-  res.end(buffer)
+/**
+ * Start an NDJSON event stream (see "Progress streaming" above). Returns
+ * `send(event)`, which resolves on the next macrotask: the engines await
+ * their progress callback, and yielding there is what lets each line reach
+ * the socket while a synchronous MuPDF loop is still running.
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type':  'application/x-ndjson',
+    'Cache-Control': 'no-store',
+    'X-Accel-Buffering': 'no',   // don't let a reverse proxy hold lines back
+    'Access-Control-Allow-Origin': '*',
+  })
+  res.flushHeaders()
+  return (event) => {
+    res.write(JSON.stringify(event) + '\n')
+    return new Promise((resolve) => setImmediate(resolve))
+  }
 }
 
 // ─── handler ─────────────────────────────────────────────────────────────────
@@ -251,7 +165,7 @@ function sendBuffer(res, statusCode, headers, buffer) {
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200)
@@ -261,121 +175,224 @@ export default async function handler(req, res) {
     return sendJson(res, 405, { error: 'Method not allowed' })
   }
 
-  let formTmpPath = null
-  let blobUrl     = null   // track blob URL for cleanup on error
+  let formTmpPaths = []
+  let blobUrls     = []     // track blob URLs for cleanup on error
+  let send        = null   // set once an NDJSON progress stream is open
+
+  // Client went away before we answered (Cancel button, closed tab) —
+  // everything below checks this signal and stops early.
+  const disconnect = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) disconnect.abort()
+  })
+  const { signal } = disconnect
 
   try {
+    const access = await authorizeRequest(req)
     const contentType = req.headers['content-type'] || ''
-    let inputBuffer, level, originalFilename
+    let uploads, level, targetBytes, colorMode, password, keepEncryption, rawOptions, keepFormFields, textLayer, rawPages, removeBlankPages, engineChoice, pageSize, orientation, merge, splitMaxBytes
 
     if (contentType.includes('application/json')) {
       // ── Mode A: Vercel Blob — browser already uploaded, we just fetch ──
-      const chunks = []
-      for await (const chunk of req) chunks.push(chunk)
-      const body = JSON.parse(Buffer.concat(chunks).toString())
+      const body = await readJsonBody(req)
 
-      blobUrl  = body.blobUrl
+      blobUrls = body.blobUrls ?? (body.blobUrl ? [body.blobUrl] : [])
+      const filenames = body.filenames ?? [body.filename || 'file.pdf']
       level    = body.level
-      originalFilename = body.filename || 'file.pdf'
-
-      if (!blobUrl) return sendJson(res, 400, { error: 'Missing blobUrl.' })
-
-      const ext = path.extname(originalFilename).toLowerCase()
-      if (ext !== '.pdf') return sendJson(res, 400, { error: 'Only PDF files are accepted.' })
+      targetBytes = parseTargetBytes(body.targetBytes)
+      colorMode   = body.colorMode
+      password    = body.password || null
+      keepEncryption = parseFlag(body.keepEncryption)
+      rawOptions  = body.options
+      keepFormFields = parseFlag(body.keepFormFields)
+      textLayer   = parseFlag(body.textLayer)
+      rawPages    = body.pages
+      removeBlankPages = parseFlag(body.removeBlankPages)
+      engineChoice = body.engine || 'auto'
+      pageSize    = body.pageSize || 'a4'
+      orientation = body.orientation || 'auto'
+      merge       = parseFlag(body.merge)
+      splitMaxBytes = parseTargetBytes(body.splitMaxBytes)
+
+      if (!Array.isArray(blobUrls) || !blobUrls.length) return sendJson(res, 400, { error: 'Missing blobUrl.' })
+      if (!Array.isArray(filenames) || filenames.length !== blobUrls.length) {
+        return sendJson(res, 400, { error: 'filenames must name every blob in blobUrls.' })
+      }
+      const uploadError = checkUploadNames(filenames, merge)
+      if (uploadError) return sendJson(res, 400, { error: uploadError })
 
-      // Fetch the PDF from Vercel Blob CDN using Node https module
+      // Fetch the files from Vercel Blob CDN using Node https module
       // (native fetch / undici can throw "fetch failed" on Vercel serverless)
-      console.log(`[compress] Fetching blob: ${blobUrl}`)
-      inputBuffer = await fetchBlobAsBuffer(blobUrl)
-      console.log(`[compress] Blob buffer size: ${inputBuffer.length} bytes`)
+      uploads = []
+      for (const [i, blobUrl] of blobUrls.entries()) {
+        console.log(`[compress] Fetching blob: ${blobUrl}`)
+        const data = await fetchBlobAsBuffer(blobUrl, signal)
+        console.log(`[compress] Blob buffer size: ${data.length} bytes`)
+        uploads.push({ data, name: filenames[i] })
+      }
 
     } else {
       // ── Mode B: Legacy multipart (local dev / small files ≤4.5 MB) ─────
       const { fields, files } = await parseForm(req)
 
-      const uploadedFile = Array.isArray(files.file) ? files.file[0] : files.file
-      if (!uploadedFile) return sendJson(res, 400, { error: 'No file uploaded.' })
-
-      const ext = path.extname(uploadedFile.originalFilename || '').toLowerCase()
-      if (ext !== '.pdf') return sendJson(res, 400, { error: 'Only PDF files are accepted.' })
+      const uploadedFiles = [files.file ?? []].flat()
+      formTmpPaths = uploadedFiles.map((file) => file.filepath)
+      if (!uploadedFiles.length) return sendJson(res, 400, { error: 'No file uploaded.' })
 
-      formTmpPath      = uploadedFile.filepath
-      originalFilename = uploadedFile.originalFilename || 'file.pdf'
-
-      const rawLevel = Array.isArray(fields.level) ? fields.level[0] : fields.level
-      level = rawLevel
+      merge = parseFlag(fieldValue(fields, 'merge'))
+      const uploadError = checkUploadNames(uploadedFiles.map((file) => file.originalFilename || ''), merge)
+      if (uploadError) {
+        for (const tmp of formTmpPaths) try { unlinkSync(tmp) } catch (_) {}
+        return sendJson(res, 400, { error: uploadError })
+      }
 
-      inputBuffer = readFileSync(formTmpPath)
-      try { unlinkSync(formTmpPath) } catch (_) {}
-      formTmpPath = null
+      level       = fieldValue(fields, 'level')
+      targetBytes = parseTargetBytes(fieldValue(fields, 'targetBytes'))
+      colorMode   = fieldValue(fields, 'colorMode')
+      password    = fieldValue(fields, 'password') || null
+      keepEncryption = parseFlag(fieldValue(fields, 'keepEncryption'))
+      rawOptions  = fieldValue(fields, 'options')   // JSON string in a form
+      keepFormFields = parseFlag(fieldValue(fields, 'keepFormFields'))
+      textLayer   = parseFlag(fieldValue(fields, 'textLayer'))
+      rawPages    = fieldValue(fields, 'pages')
+      removeBlankPages = parseFlag(fieldValue(fields, 'removeBlankPages'))
+      engineChoice = fieldValue(fields, 'engine') || 'auto'
+      pageSize    = fieldValue(fields, 'pageSize') || 'a4'
+      orientation = fieldValue(fields, 'orientation') || 'auto'
+      splitMaxBytes = parseTargetBytes(fieldValue(fields, 'splitMaxBytes'))
+
+      uploads = uploadedFiles.map((file) => ({ data: readFileSync(file.filepath), name: file.originalFilename }))
+      for (const tmp of formTmpPaths) try { unlinkSync(tmp) } catch (_) {}
+      formTmpPaths = []
     }
 
+    await chargeUpload(access, uploads.reduce((sum, upload) => sum + upload.data.length, 0))
+    const images = Boolean(imageTypeForName(uploads[0].name))
+
     // ── validate level ──────────────────────────────────────────────────
     if (!Object.keys(LEVEL_CONFIG).includes(level)) level = 'medium'
-
-    // ── compress: try GS first, fall back to MuPDF ─────────────────────
-    let compressedBuffer
-    let engine
-
-    console.log(`[compress] Input: ${inputBuffer.length} bytes, level: ${level}`)
-    const gs = await findGhostscript()
-    if (gs) {
-      console.log(`[compress] Using Ghostscript: ${gs}`)
-      compressedBuffer = await compressWithGhostscript(gs, inputBuffer, level)
-      engine = 'ghostscript'
-    } else {
-      console.log(`[compress] Using MuPDF WASM`)
-      compressedBuffer = compressWithMuPDF(inputBuffer, level)
-      engine = 'mupdf'
+    if (!COLOR_MODES.includes(colorMode)) colorMode = 'color'
+    // Checked now rather than after a long compression run
+    if (Number.isNaN(splitMaxBytes)) throw new OptionsError('splitMaxBytes must be a positive integer.')
+    if (splitMaxBytes && keepEncryption) throw new OptionsError('splitMaxBytes cannot be combined with keepEncryption.')
+
+    // ── progress stream (opt-in) ────────────────────────────────────────
+    // Opened on the first progress event or at the end, whichever comes
+    // first: compressPdf() reports nothing before its settings, password
+    // and pages check out, so those errors still get a plain 4xx.
+    const streaming = (req.headers.accept || '').includes('application/x-ndjson')
+    // Called after every page: bail out if the client is gone, otherwise
+    // report the page and yield so the disconnect can be noticed at all.
+    const onProgress = async (page, pageCount) => {
+      signal.throwIfAborted()
+      if (streaming) {
+        send ??= openEventStream(res)
+        await send({ type: 'progress', page, pageCount })
+      } else {
+        await new Promise((resolve) => setImmediate(resolve))
+      }
     }
-    console.log(`[compress] Output: ${compressedBuffer.length} bytes (engine: ${engine})`)
 
-    // Return original if compression made it larger
-    if (compressedBuffer.length >= inputBuffer.length) {
-      compressedBuffer = inputBuffer
+    const pdfSettings = {
+      level, colorMode, targetBytes, options: rawOptions, password, keepEncryption,
+      pages: rawPages, removeBlankPages, keepFormFields, textLayer, engine: engineChoice, onProgress, signal,
     }
-
-    // ── delete blob after successful compression ──────────────────────
-    if (blobUrl) {
-      try { await del(blobUrl) } catch (_) { /* non-fatal */ }
-      blobUrl = null
+    const { buffer: compressedBuffer, engine, originalSize, targetMet, removedPages = null, candidates = null, pageStrategies = null } = images
+      ? await compressImages(uploads, { level, colorMode, targetBytes, options: rawOptions, pageSize, orientation, onProgress, signal })
+      : merge
+        ? await compressMerged(uploads, pdfSettings)
+        : await compressPdf(uploads[0].data, pdfSettings)
+    const parts = splitMaxBytes ? splitOutput(compressedBuffer, splitMaxBytes) : null
+
+    // ── delete blobs after successful compression ─────────────────────
+    if (blobUrls.length) {
+      try { await del(blobUrls) } catch (_) { /* non-fatal */ }
+      blobUrls = []
     }
 
     // ── respond ───────────────────────────────────────────────────────
-    const baseName   = originalFilename.replace(/\.pdf$/i, '')
-    const outputName = `${baseName}_compressed.pdf`
+    const baseName   = path.basename(uploads[0].name || 'file.pdf', path.extname(uploads[0].name || 'file.pdf'))
+    let outputName = images ? `${baseName}.pdf` : merge ? `${baseName}_merged.pdf` : `${baseName}_compressed.pdf`
+    let body = compressedBuffer
+    let partList = null
+    if (parts) {
+      partList = parts.map((part, i) => ({
+        filename: `${baseName}_part${i + 1}of${parts.length}.pdf`,
+        size:     part.buffer.length,
+        pages:    part.firstPage === part.lastPage ? `${part.firstPage}` : `${part.firstPage}-${part.lastPage}`,
+      }))
+      // Stored, not deflated — the PDFs are already compressed
+      body = Buffer.from(zipSync(
+        Object.fromEntries(parts.map((part, i) => [partList[i].filename, part.buffer])),
+        { level: 0 },
+      ))
+      outputName = `${baseName}_parts.zip`
+    }
+    const outputSize = partList ? partList.reduce((sum, part) => sum + part.size, 0) : compressedBuffer.length
+
+    const targetHeaders = targetBytes ? {
+      'X-Target-Size': targetBytes,
+      'X-Target-Met':  String(targetMet),
+    } : {}
+
+    if (streaming) {
+      send ??= openEventStream(res)
+      await send({
+        type:           'done',
+        originalSize,
+        compressedSize: outputSize,
+        engine,
+        filename:       outputName,
+        ...(targetBytes ? { targetSize: targetBytes, targetMet } : {}),
+        ...(removedPages ? { removedPages } : {}),
+        ...(candidates ? { candidates } : {}),
+        ...(pageStrategies ? { pageStrategies } : {}),
+        ...(partList ? { parts: partList } : {}),
+        data:           body.toString('base64'),
+      })
+      return res.end()
+    }
 
     return sendBuffer(res, 200, {
-      'Content-Type':        'application/pdf',
+      'Content-Type':        partList ? 'application/zip' : 'application/pdf',
       'Content-Disposition': `attachment; filename="${outputName}"`,
-      'Content-Length':      compressedBuffer.length,
-      'X-Original-Size':     inputBuffer.length,
-      'X-Compressed-Size':   compressedBuffer.length,
+      'Content-Length':      body.length,
+      'X-Original-Size':     originalSize,
+      'X-Compressed-Size':   outputSize,
       'X-Engine':            engine,
+      ...targetHeaders,
+      ...(removedPages ? { 'X-Removed-Pages': removedPages.join(',') } : {}),
+      ...(candidates ? { 'X-Engine-Candidates': formatCandidates(candidates) } : {}),
+      ...(pageStrategies ? { 'X-Page-Strategies': formatStrategies(pageStrategies) } : {}),
+      ...(partList ? {
+        'X-Parts':      partList.length,
+        'X-Part-Pages': partList.map((part) => part.pages).join(','),
+        'X-Part-Sizes': partList.map((part) => part.size).join(','),
+      } : {}),
       'Cache-Control':       'no-store',
       'Access-Control-Allow-Origin':   '*',
-      'Access-Control-Expose-Headers': 'X-Original-Size, X-Compressed-Size, X-Engine',
-    }, compressedBuffer)
+      'Access-Control-Expose-Headers': 'X-Original-Size, X-Compressed-Size, X-Engine, X-Target-Size, X-Target-Met, X-Removed-Pages, X-Engine-Candidates, X-Page-Strategies, X-Parts, X-Part-Pages, X-Part-Sizes',
+    }, body)
 
   } catch (err) {
+    for (const tmp of formTmpPaths) try { unlinkSync(tmp) } catch (_) {}
+    // Clean up the blobs on error so they don't linger
+    if (blobUrls.length) { try { await del(blobUrls) } catch (_) {} }
+
+    // Nobody left to answer
+    if (signal.aborted) {
+      console.log('[compress] Cancelled: client disconnected')
+      return
+    }
     console.error('[compress] Error:', err)
-    if (formTmpPath) try { unlinkSync(formTmpPath) } catch (_) {}
-    // Clean up the blob on error so it doesn't linger
-    if (blobUrl) { try { await del(blobUrl) } catch (_) {} }
-
-    const is413 = err.code === 'LIMIT_FILE_SIZE' || err.statusCode === 413 || err.status === 413
-    const statusCode = is413 ? 413 : 500
-    const msg = err.message || ''
-    const message =
-      is413                            ? 'File too large. Maximum upload size is 50 MB.'
-      : msg.includes('encrypted') ||
-        msg.includes('password')       ? 'Encrypted PDFs are not supported. Please remove the password first.'
-      : msg.includes('timeout')        ? 'Compression timed out. Please try the High compression level for large files.'
-      : msg.includes('Failed to fetch blob') ? `Could not retrieve uploaded file: ${msg}`
-      : msg.includes('corrupt') ||
-        msg.includes('repair')         ? 'The PDF appears to be corrupted or uses an unsupported format.'
-      : `Compression failed: ${msg}`   // surface actual error in production logs
-
-    return sendJson(res, statusCode, { error: message })
+
+    const { statusCode, message, code, retryAfter } = describeFailure(err)
+    // Headers are already out on a progress stream — report in-band
+    if (send) {
+      res.write(JSON.stringify({ type: 'error', error: message, code }) + '\n')
+      return res.end()
+    }
+    setRetryAfter(res, retryAfter)
+    return sendJson(res, statusCode, { error: message, code })
   }
 }
@@ -0,0 +1,55 @@
+/**
+ * Vercel Serverless Function: GET /api/engines
+ *
+ * Which compression engines this deployment can run, for clients choosing
+ * the `engine` of /api/compress:
+ *
+ *   200 {
+ *     engines: {
+ *       ghostscript: { available: false, version: null },
+ *       mupdf:       { available: true,  version: '1.27.1' }
+ *     },
+ *     default: 'mupdf',              what engine: 'auto' runs
+ *     choices: ['auto', 'auto-best', 'ghostscript', 'mupdf']
+ *   }
+ *
+ * Ghostscript is probed once per instance (lib/ghostscript.js), so this is
+ * cheap after a cold start. Answers may differ between instances only if
+ * they run on different images — not the case on a single deployment.
+ */
+
+import { availableEngines, ENGINE_CHOICES } from '../lib/compress.js'
+import { sendJson } from './_lib/http.js'
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200)
+    return res.end()
+  }
+  if (req.method !== 'GET') {
+    return sendJson(res, 405, { error: 'Method not allowed' })
+  }
+
+  try {
+    const engines = await availableEngines()
+    res.setHeader('Cache-Control', 'public, max-age=300')
+    return sendJson(res, 200, {
+      engines,
+      default: engines.ghostscript.available ? 'ghostscript' : 'mupdf',
+      choices: ENGINE_CHOICES,
+    })
+  } catch (err) {
+    console.error('[engines] Error:', err)
+    return sendJson(res, 500, { error: 'Could not list the engines.' })
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Vercel Serverless Function: /api/jobs — asynchronous compression jobs.
+ *
+ * For PDFs too large for one /api/compress call to finish within
+ * maxDuration. The work is split into page ranges that each run in their own
+ * invocation and are merged at the end (see lib/jobs.js).
+ *
+ *   POST   /api/jobs                create a job → 202 job
+ *            multipart/form-data { file, level, colorMode?, options?, keepFormFields?, textLayer?, pages?, removeBlankPages?, engine? }            (Mode B, local dev)
+ *            application/json    { blobUrl, level, filename, colorMode?, options?, keepFormFields?, textLayer?, pages?, removeBlankPages?, engine? } (Mode A, Vercel Blob)
+ *   POST   /api/jobs/:id/step       compress the next page range, or merge
+ *                                   when all ranges are done → 200 job
+ *   GET    /api/jobs/:id            status + progress → 200 job
+ *   GET    /api/jobs/:id/result     the compressed PDF (409 until done)
+ *   DELETE /api/jobs/:id            drop the job, its parts and its input → 204
+ *
+ * job = { id, status: 'queued'|'running'|'done'|'error', level, colorMode, options, engine, filename,
+ *         originalSize, pageCount, pagesDone, chunkCount, chunksDone, removedPages,
+ *         result: { compressedSize, engine } | null, error: string | null }
+ *
+ * Nothing runs between requests: the client keeps calling step until the
+ * job is done. The job store is pluggable (lib/job-store.js) — Vercel Blob
+ * in production, a file or memory store under server.dev.js.
+ *
+ * `engine` is 'auto', 'ghostscript' or 'mupdf' as in /api/compress; every
+ * chunk uses it. 'auto-best' is not supported — chunks would be compared
+ * one by one and could end up from different engines.
+ *
+ * Password-protected PDFs are refused: a job keeps its input, parts and
+ * result in the job store between requests, and for them that would be the
+ * decrypted content (see lib/jobs.js). Without a password the usual
+ * 400 { error, code: 'PASSWORD_REQUIRED' } comes first, so the web app still
+ * asks for it — and then sends the file to /api/compress.
+ *
+ * API key checks (lib/api-keys.js) on POST /api/jobs are 4xx { error, code }
+ * as in /api/compress. The other routes need no key: a job id is only known
+ * to whoever created the job.
+ *
+ * A job lives until DELETE or, if the client never sends one, until a later
+ * POST /api/jobs sweeps it, an hour after its last update (JOB_TTL_MS in
+ * lib/jobs.js) — together with its input blob.
+ *
+ * vercel.json routes /api/jobs/<rest> here as /api/jobs?path=<rest>;
+ * server.dev.js passes the original URL, so both forms are accepted.
+ */
+
+import { readFileSync, unlinkSync } from 'fs'
+import path from 'path'
+import { del } from '@vercel/blob'
+import { LEVEL_CONFIG, COLOR_MODES } from '../lib/levels.js'
+import { createJob, runJobStep, publicJob, sweepJobs } from '../lib/jobs.js'
+import { getJobStore } from '../lib/job-store.js'
+import { preparePdf, resolveEngine } from '../lib/compress.js'
+import { PasswordError } from '../lib/encryption.js'
+import { authorizeRequest, chargeUpload } from '../lib/api-keys.js'
+import {
+  parseForm, fieldValue, readJsonBody, fetchBlobAsBuffer, sendJson, sendBuffer, describeFailure, parseFlag, setRetryAfter,
+} from './_lib/http.js'
+
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: '50mb',
+    sizeLimit: '50mb',
+    maxDuration: 60,
+  },
+}
+
+const JOB_ID_PATTERN = /^[a-f0-9]{32}$/
+
+// Abandoned jobs are swept (sweepJobs()) when a job is created, at most this
+// often per function instance
+const SWEEP_INTERVAL_MS = 10 * 60_000
+let lastSweep = 0
+
+/** `/api/jobs/<id>/<action>` → { id, action } (both optional). */
+function parseRoute(req) {
+  const url  = new URL(req.url, 'http://localhost')
+  const rest = url.searchParams.get('path') ?? url.pathname.replace(/^\/api\/jobs\/?/, '')
+  const [id = null, action = null] = rest.split('/').filter(Boolean)
+  return { id, action }
+}
+
+/** publicJob() with the raw engine error turned into a user-facing message. */
+function jobBody(job) {
+  const body = publicJob(job)
+  if (body.error) body.error = describeFailure(new Error(body.error)).message
+  return body
+}
+
+/**
+ * Read the upload the same two ways /api/compress does. A blob that is
+ * refused here is deleted; `signal` aborts fetching it.
+ */
+async function readInput(req, signal) {
+  const contentType = req.headers['content-type'] || ''
+
+  if (contentType.includes('application/json')) {
+    const body = await readJsonBody(req)
+    const filename = body.filename || 'file.pdf'
+    if (!body.blobUrl) return { error: 'Missing blobUrl.' }
+    if (path.extname(filename).toLowerCase() !== '.pdf') {
+      try { await del(body.blobUrl) } catch (_) { /* non-fatal */ }
+      return { error: 'Only PDF files are accepted.' }
+    }
+    return {
+      input: new Uint8Array(await fetchBlobAsBuffer(body.blobUrl, signal)),
+      inputUrl: body.blobUrl,
+      filename,
+      level: body.level,
+      colorMode: body.colorMode,
+      options: body.options,
+      targetBytes: body.targetBytes,
+      password: body.password || null,
+      keepFormFields: parseFlag(body.keepFormFields),
+      textLayer: parseFlag(body.textLayer),
+      pages: body.pages,
+      removeBlankPages: parseFlag(body.removeBlankPages),
+      engine: body.engine || 'auto',
+    }
+  }
+
+  const { fields, files } = await parseForm(req)
+  const uploadedFile = Array.isArray(files.file) ? files.file[0] : files.file
+  if (!uploadedFile) return { error: 'No file uploaded.' }
+  try {
+    if (path.extname(uploadedFile.originalFilename || '').toLowerCase() !== '.pdf') {
+      return { error: 'Only PDF files are accepted.' }
+    }
+    return {
+      input: new Uint8Array(readFileSync(uploadedFile.filepath)),
+      inputUrl: null,
+      filename: uploadedFile.originalFilename || 'file.pdf',
+      level: fieldValue(fields, 'level'),
+      colorMode: fieldValue(fields, 'colorMode'),
+      options: fieldValue(fields, 'options'),
+      targetBytes: fieldValue(fields, 'targetBytes'),
+      password: fieldValue(fields, 'password') || null,
+      keepFormFields: parseFlag(fieldValue(fields, 'keepFormFields')),
+      textLayer: parseFlag(fieldValue(fields, 'textLayer')),
+      pages: fieldValue(fields, 'pages'),
+      removeBlankPages: parseFlag(fieldValue(fields, 'removeBlankPages')),
+      engine: fieldValue(fields, 'engine') || 'auto',
+    }
+  } finally {
+    try { unlinkSync(uploadedFile.filepath) } catch (_) {}
+  }
+}
+
+/** Delete the job's input blob once nothing needs it any more. */
+async function releaseInput(store, job) {
+  if (!job.inputUrl) return job
+  try { await del(job.inputUrl) } catch (_) { /* non-fatal */ }
+  return store.update(job.id, { inputUrl: null })
+}
+
+/** sweepJobs() with their input blobs, if due; never fails the request. */
+async function sweepIfDue(store) {
+  if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return
+  lastSweep = Date.now()
+  try {
+    await sweepJobs(store, {
+      release: async (job) => {
+        if (job.inputUrl) { try { await del(job.inputUrl) } catch (_) {} }
+      },
+    })
+  } catch (err) {
+    console.error('[jobs] Sweep failed:', err)
+  }
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key')
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200)
+    return res.end()
+  }
+
+  const store = getJobStore()
+  const { id, action } = parseRoute(req)
+
+  // Client went away mid-step — lib/jobs.js hands the chunk back as pending
+  const disconnect = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) disconnect.abort()
+  })
+  const { signal } = disconnect
+
+  try {
+    // ── POST /api/jobs ───────────────────────────────────────────────────
+    if (!id) {
+      if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' })
+      const access = await authorizeRequest(req)
+      await sweepIfDue(store)
+
+      const {
+        error, input, inputUrl, filename, level: rawLevel, colorMode: rawColorMode, options: rawOptions,
+        targetBytes, password, keepFormFields, textLayer, pages: rawPages, removeBlankPages, engine,
+      } = await readInput(req, signal)
+      if (error) return sendJson(res, 400, { error })
+      const dropInput = async () => {
+        if (inputUrl) { try { await del(inputUrl) } catch (_) {} }
+      }
+      try {
+        await chargeUpload(access, input.length)
+      } catch (err) {
+        await dropInput()
+        throw err
+      }
+      if (targetBytes) {
+        await dropInput()
+        return sendJson(res, 400, { error: 'targetBytes is not supported for jobs — use /api/compress.' })
+      }
+      if (engine === 'auto-best') {
+        await dropInput()
+        return sendJson(res, 400, { error: 'engine auto-best is not supported for jobs — use /api/compress.' })
+      }
+      const level = Object.keys(LEVEL_CONFIG).includes(rawLevel) ? rawLevel : 'medium'
+      const colorMode = COLOR_MODES.includes(rawColorMode) ? rawColorMode : 'color'
+
+      // The same checks and page preparation as /api/compress. No password:
+      // a PDF that needs one is refused (see the header) — unless none was sent,
+      // then PASSWORD_REQUIRED tells the client to ask for it
+      let prepared
+      try {
+        prepared = await preparePdf(input, {
+          level, colorMode, options: rawOptions, pages: rawPages, removeBlankPages, engine,
+        })
+      } catch (err) {
+        await dropInput()
+        if (err instanceof PasswordError && password) {
+          return sendJson(res, 400, { error: 'Password-protected PDFs are not compressed as jobs — use /api/compress.' })
+        }
+        throw err
+      }
+      const { pages, removedPages } = prepared
+      // Steps must work on the remaining pages, so the uploaded blob goes
+      const ownCopy = Boolean(pages || removedPages?.length)
+      if (ownCopy) await dropInput()
+
+      const job = await createJob(store, {
+        input:        prepared.input,
+        inputUrl:     ownCopy ? null : inputUrl,
+        filename,
+        level,
+        colorMode,
+        options:      prepared.options,
+        engine,
+        keepFormFields,
+        textLayer,
+        removedPages,
+        originalSize: input.length,
+      })
+      console.log(`[jobs] Created ${job.id}: ${job.pageCount} pages, ${job.chunks.length} chunk(s), level ${level}`)
+      return sendJson(res, 202, jobBody(job))
+    }
+
+    if (!JOB_ID_PATTERN.test(id)) return sendJson(res, 404, { error: 'Job not found.' })
+    const job = await store.get(id)
+    if (!job) return sendJson(res, 404, { error: 'Job not found.' })
+
+    // ── POST /api/jobs/:id/step ──────────────────────────────────────────
+    if (action === 'step' && req.method === 'POST') {
+      let next = await runJobStep(store, id, {
+        gs: await resolveEngine(job.engine ?? 'auto', job.level),
+        signal,
+        loadInput: async (current) => current.inputUrl
+          ? new Uint8Array(await fetchBlobAsBuffer(current.inputUrl, signal))
+          : store.getData(id, 'input'),
+        // Yield between pages so a disconnect is noticed (see /api/compress)
+        onProgress: async () => {
+          signal.throwIfAborted()
+          await new Promise((resolve) => setImmediate(resolve))
+        },
+      })
+      if (!next) return sendJson(res, 404, { error: 'Job not found.' })   // deleted mid-step
+      if (next.status === 'done' || next.status === 'error') next = await releaseInput(store, next)
+      return sendJson(res, 200, jobBody(next))
+    }
+
+    // ── GET /api/jobs/:id/result ─────────────────────────────────────────
+    if (action === 'result' && req.method === 'GET') {
+      if (job.status !== 'done') return sendJson(res, 409, { error: `Job is ${job.status}.` })
+      const output = await store.getData(id, 'result')
+      const outputName = `${job.filename.replace(/\.pdf$/i, '')}_compressed.pdf`
+      return sendBuffer(res, 200, {
+        'Content-Type':        'application/pdf',
+        'Content-Disposition': `attachment; filename="${outputName}"`,
+        'Content-Length':      output.length,
+        'X-Original-Size':     job.originalSize,
+        'X-Compressed-Size':   output.length,
+        'X-Engine':            job.result.engine,
+        ...(job.removedPages ? { 'X-Removed-Pages': job.removedPages.join(',') } : {}),
+        'Cache-Control':       'no-store',
+        'Access-Control-Expose-Headers': 'X-Original-Size, X-Compressed-Size, X-Engine, X-Removed-Pages',
+      }, Buffer.from(output.buffer, output.byteOffset, output.byteLength))
+    }
+
+    // ── GET /api/jobs/:id ────────────────────────────────────────────────
+    if (!action && req.method === 'GET') {
+      return sendJson(res, 200, jobBody(job))
+    }
+
+    // ── DELETE /api/jobs/:id ─────────────────────────────────────────────
+    if (!action && req.method === 'DELETE') {
+      await releaseInput(store, job)
+      await store.delete(id)
+      res.writeHead(204)
+      return res.end()
+    }
+
+    return sendJson(res, 405, { error: 'Method not allowed' })
+
+  } catch (err) {
+    if (signal.aborted) {
+      console.log('[jobs] Cancelled: client disconnected')
+      return
+    }
+    console.error('[jobs] Error:', err)
+    const { statusCode, message, code, retryAfter } = describeFailure(err)
+    setRetryAfter(res, retryAfter)
+    return sendJson(res, statusCode, { error: message, code })
+  }
+}
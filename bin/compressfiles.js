@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * compressfiles — the /api/compress pipeline on the command line.
+ *
+ *   compressfiles input.pdf -o out.pdf --level high --target 1mb
+ *   compressfiles scans/ 'archive/**\/*.pdf' -o small/ --jobs 4 --json
+ *
+ * Inputs are PDF files, directories (searched recursively for *.pdf, leaving
+ * out earlier *_compressed.pdf outputs) and glob patterns — quoted, so the
+ * shell leaves them alone: `*`, `**`, `?` and `{a,b}`; their matches are
+ * filtered the same way. Each file goes through compressPdf()
+ * (lib/compress.js) in a pool of worker threads, one MuPDF instance per
+ * thread. --engine picks the engine as `engine` does on /api/compress;
+ * --engines lists what is installed.
+ *
+ * Output goes next to each input as name_compressed.pdf, or into the -o
+ * directory, or — for a single input — to the -o file.
+ *
+ * Exit codes: 0 every file compressed, 1 at least one failed, 2 bad usage.
+ */
+
+import { readFileSync, writeFileSync, statSync, readdirSync, mkdirSync, existsSync } from 'fs'
+import path from 'path'
+import os from 'os'
+import { parseArgs } from 'util'
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads'
+import { LEVEL_CONFIG, COLOR_MODES, normalizeOptions } from '../lib/levels.js'
+import { compressPdf, availableEngines, resolveEngine, ENGINE_CHOICES } from '../lib/compress.js'
+
+const USAGE = `Usage: compressfiles <input...> [options]
+
+Inputs: PDF files, directories (searched recursively) or quoted glob
+patterns such as 'scans/**/*.pdf'.
+
+Options:
+  -o, --output <path>       output file (one input) or directory
+  -l, --level <level>       ${Object.keys(LEVEL_CONFIG).join(' | ')} (default: medium)
+  -t, --target <size>       keep each file under a size: 500kb, 1mb, 1.5mb, 250000
+  -c, --color <mode>        ${COLOR_MODES.join(' | ')} (default: color)
+  -e, --engine <engine>     ${ENGINE_CHOICES.join(' | ')} (default: auto)
+      --quality <5-100>     JPEG quality, overriding the level's
+      --dpi <36-600>        image resolution, overriding the level's
+      --scale <0.25-3>      render scale, overriding the level's
+      --gs-setting <name>   Ghostscript preset: screen | ebook | printer | prepress
+      --pages <spec>        pages to keep, in order: 1-3,7,10-
+      --remove-blank-pages  leave nearly empty pages out
+      --password <pw>       open password-protected PDFs
+      --keep-encryption     encrypt the output with the same password
+      --keep-form-fields    keep form fields fillable on rasterized pages
+      --text-layer          keep pages rasterized for --color searchable
+  -j, --jobs <n>            files compressed at once (default: CPU count)
+      --json                print a JSON summary instead of one line per file
+      --engines             list the available engines and exit
+  -v, --verbose             engine log on stderr
+  -h, --help                show this help
+
+Exit status: 0 all files compressed, 1 some failed, 2 usage error.`
+
+const OPTIONS = {
+  output:               { type: 'string', short: 'o' },
+  level:                { type: 'string', short: 'l', default: 'medium' },
+  target:               { type: 'string', short: 't' },
+  color:                { type: 'string', short: 'c', default: 'color' },
+  engine:               { type: 'string', short: 'e', default: 'auto' },
+  engines:              { type: 'boolean' },
+  quality:              { type: 'string' },
+  dpi:                  { type: 'string' },
+  scale:                { type: 'string' },
+  'gs-setting':         { type: 'string' },
+  pages:                { type: 'string' },
+  'remove-blank-pages': { type: 'boolean' },
+  password:             { type: 'string' },
+  'keep-encryption':    { type: 'boolean' },
+  'keep-form-fields':   { type: 'boolean' },
+  'text-layer':         { type: 'boolean' },
+  jobs:                 { type: 'string', short: 'j' },
+  json:                 { type: 'boolean' },
+  verbose:              { type: 'boolean', short: 'v' },
+  help:                 { type: 'boolean', short: 'h' },
+}
+
+class UsageError extends Error {}
+
+// ─── argument helpers ────────────────────────────────────────────────────────
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 }
+
+/** '1mb' → 1048576. 1024-based, like the web app's target sizes. */
+function parseSize(raw) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(raw.trim())
+  const unit = match && SIZE_UNITS[match[2].toLowerCase()]
+  const bytes = unit && Math.floor(Number(match[1]) * unit)
+  if (!bytes) throw new UsageError(`Invalid --target size: ${raw}`)
+  return bytes
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 ** 2).toFixed(2)} MB`
+}
+
+/** Check the settings once, up front, so a typo is a usage error and not N failed files. */
+function settingsFromArgs(values) {
+  const level = values.level
+  if (!LEVEL_CONFIG[level]) throw new UsageError(`--level must be one of ${Object.keys(LEVEL_CONFIG).join(', ')}.`)
+  const colorMode = values.color
+  if (!COLOR_MODES.includes(colorMode)) throw new UsageError(`--color must be one of ${COLOR_MODES.join(', ')}.`)
+  const engine = values.engine
+  if (!ENGINE_CHOICES.includes(engine)) throw new UsageError(`--engine must be one of ${ENGINE_CHOICES.join(', ')}.`)
+  const targetBytes = values.target ? parseSize(values.target) : null
+
+  const raw = {}
+  for (const key of ['quality', 'dpi', 'scale']) if (values[key] !== undefined) raw[key] = values[key]
+  if (values['gs-setting'] !== undefined) raw.gsSetting = values['gs-setting']
+  const { options, error } = normalizeOptions(raw)
+  if (error) throw new UsageError(error)
+  if (options && targetBytes) throw new UsageError('--quality, --dpi, --scale and --gs-setting cannot be combined with --target.')
+
+  return {
+    level,
+    colorMode,
+    engine,
+    targetBytes,
+    options,
+    pages:            values.pages,
+    removeBlankPages: Boolean(values['remove-blank-pages']),
+    password:         values.password ?? null,
+    keepEncryption:   Boolean(values['keep-encryption']),
+    keepFormFields:   Boolean(values['keep-form-fields']),
+    textLayer:        Boolean(values['text-layer']),
+  }
+}
+
+// ─── input expansion ─────────────────────────────────────────────────────────
+
+const GLOB_CHARS = /[*?{]/
+
+/** 'a/**\/*.pdf' → a RegExp over '/'-separated paths. */
+function globToRegExp(pattern) {
+  let re = ''
+  let braces = 0
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i]
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more whole directories
+      if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2 } else { re += '.*'; i += 1 }
+    } else if (ch === '*') re += '[^/]*'
+    else if (ch === '?') re += '[^/]'
+    else if (ch === '{') { re += '(?:'; braces++ }
+    else if (ch === '}' && braces) { re += ')'; braces-- }
+    else if (ch === ',' && braces) re += '|'
+    else re += ch.replace(/[.+^$(){}|[\]\\]/g, '\\$&')
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '')
+}
+
+/** Every file under `dir`, as paths joined onto it. */
+function walk(dir) {
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+}
+
+/** A PDF found by a directory or glob input — earlier outputs left out. */
+function isSourcePdf(file) {
+  return /\.pdf$/i.test(file) && !/_compressed\.pdf$/i.test(file)
+}
+
+/** Files, directories and globs → a sorted, de-duplicated list of PDF paths. */
+function expandInputs(inputs) {
+  const files = new Set()
+  for (const input of inputs) {
+    if (GLOB_CHARS.test(input) && !existsSync(input)) {
+      const pattern = input.split(path.sep).join('/').replace(/^\.\//, '')
+      const parts = pattern.split('/')
+      const base = parts.slice(0, parts.findIndex((part) => GLOB_CHARS.test(part))).join('/') || (pattern.startsWith('/') ? '/' : '.')
+      if (!existsSync(base)) continue
+      const matcher = globToRegExp(pattern)
+      for (const file of walk(base)) {
+        if (matcher.test(file.split(path.sep).join('/')) && isSourcePdf(file)) files.add(path.normalize(file))
+      }
+    } else if (existsSync(input) && statSync(input).isDirectory()) {
+      for (const file of walk(input)) {
+        if (isSourcePdf(file)) files.add(path.normalize(file))
+      }
+    } else if (existsSync(input)) {
+      files.add(path.normalize(input))
+    } else {
+      throw new UsageError(`No such file or directory: ${input}`)
+    }
+  }
+  return [...files].sort()
+}
+
+/** Where each input's output goes; throws if two would land on the same path. */
+function planOutputs(files, output) {
+  const toDirectory = output && (files.length > 1 || /[\\/]$/.test(output) ||
+    (existsSync(output) && statSync(output).isDirectory()))
+  const outputs = files.map((file) => {
+    if (!output) return file.replace(/(\.pdf)?$/i, '_compressed.pdf')
+    return toDirectory ? path.join(output, path.basename(file)) : output
+  })
+  const seen = new Map()
+  outputs.forEach((out, i) => {
+    const key = path.resolve(out)
+    if (key === path.resolve(files[i])) throw new UsageError(`Output would overwrite its input: ${files[i]}`)
+    if (seen.has(key)) throw new UsageError(`${files[seen.get(key)]} and ${files[i]} would both be written to ${out}`)
+    seen.set(key, i)
+  })
+  if (toDirectory) mkdirSync(output, { recursive: true })
+  return outputs
+}
+
+// ─── worker thread: compress the files it is handed ──────────────────────────
+
+function runWorker() {
+  const { settings, verbose } = workerData
+  // The engines log to stdout; keep it free for the summary
+  console.log = verbose ? console.error : () => {}
+
+  parentPort.on('message', async ({ index, input, output }) => {
+    try {
+      const { buffer, engine, originalSize, targetMet, removedPages, candidates, pageStrategies } =
+        await compressPdf(readFileSync(input), settings)
+      writeFileSync(output, buffer)
+      parentPort.postMessage({
+        index,
+        input,
+        output,
+        originalSize,
+        compressedSize: buffer.length,
+        engine,
+        ...(settings.targetBytes ? { targetSize: settings.targetBytes, targetMet } : {}),
+        ...(removedPages ? { removedPages } : {}),
+        ...(candidates ? { candidates } : {}),
+        ...(pageStrategies ? { pageStrategies } : {}),
+      })
+    } catch (err) {
+      parentPort.postMessage({ index, input, error: err.message, ...(err.code ? { code: err.code } : {}) })
+    }
+  })
+}
+
+// ─── main thread ─────────────────────────────────────────────────────────────
+
+/** Compress `files` with `jobs` worker threads; resolves to the results in input order. */
+function runPool(files, outputs, { settings, verbose, jobs }, onResult) {
+  return new Promise((resolve) => {
+    const results = new Array(files.length)
+    const workers = new Set()
+    let next = 0
+    let finished = 0
+    // Records a result; true once it was the last one
+    const settle = (result) => {
+      results[result.index] = result
+      onResult(result)
+      if (++finished < files.length) return false
+      workers.forEach((w) => w.terminate())
+      resolve(results)
+      return true
+    }
+    const start = () => {
+      const worker = new Worker(new URL(import.meta.url), { workerData: { settings, verbose } })
+      workers.add(worker)
+      let current = null   // index of the file this thread is on
+      const feed = () => {
+        if (next < files.length) {
+          current = next++
+          worker.postMessage({ index: current, input: files[current], output: outputs[current] })
+        } else {
+          current = null
+          workers.delete(worker)
+          worker.terminate()
+        }
+      }
+      worker.on('message', (result) => {
+        current = null
+        if (!settle(result)) feed()
+      })
+      // A crashed thread (out of memory in WASM) fails the file it held; a
+      // new thread takes its place for the files still waiting
+      worker.on('error', (err) => {
+        workers.delete(worker)
+        if (current !== null && settle({ index: current, input: files[current], error: err.message })) return
+        if (next < files.length) start()
+      })
+      feed()
+    }
+    for (let i = 0; i < Math.min(jobs, files.length); i++) start()
+  })
+}
+
+function printResult(result) {
+  if (result.error) {
+    console.error(`${result.input}: ${result.error}`)
+    return
+  }
+  const pct = Math.round((1 - result.compressedSize / result.originalSize) * 100)
+  const target = result.targetSize
+    ? (result.targetMet ? ' · target met' : ` · over the ${formatBytes(result.targetSize)} target`)
+    : ''
+  const removed = result.removedPages?.length ? ` · removed blank page(s) ${result.removedPages.join(', ')}` : ''
+  console.log(`${result.input} → ${result.output}  ${formatBytes(result.originalSize)} → ${formatBytes(result.compressedSize)}` +
+    ` (${pct > 0 ? `-${pct}%` : 'no reduction'}, ${result.engine})${target}${removed}`)
+}
+
+async function main() {
+  let values, positionals
+  try {
+    ({ values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true }))
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (values.engines) {
+    const engines = await availableEngines()
+    if (values.json) console.log(JSON.stringify(engines, null, 2))
+    else {
+      for (const [name, { available, version }] of Object.entries(engines)) {
+        console.log(`${name.padEnd(12)} ${available ? version : 'not installed'}`)
+      }
+    }
+    return 0
+  }
+  if (!positionals.length) throw new UsageError('No input files.')
+
+  const settings = settingsFromArgs(values)
+  const jobs = values.jobs === undefined ? os.availableParallelism() : Number(values.jobs)
+  if (!Number.isInteger(jobs) || jobs < 1) throw new UsageError('--jobs must be a positive integer.')
+
+  const files = expandInputs(positionals)
+  if (!files.length) throw new UsageError('No PDF files matched.')
+  const outputs = planOutputs(files, values.output)
+
+  // Fail fast on --engine ghostscript without gs, before any thread starts
+  try {
+    await resolveEngine(settings.engine, settings.level)
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  const results = await runPool(files, outputs, { settings, verbose: Boolean(values.verbose), jobs },
+    values.json ? () => {} : printResult)
+
+  const done = results.filter((r) => !r.error)
+  const totals = {
+    files:          results.length,
+    failed:         results.length - done.length,
+    originalSize:   done.reduce((sum, r) => sum + r.originalSize, 0),
+    compressedSize: done.reduce((sum, r) => sum + r.compressedSize, 0),
+  }
+  if (values.json) {
+    const files = results.map(({ index, ...result }) => result)
+    console.log(JSON.stringify({ ok: totals.failed === 0, files, totals }, null, 2))
+  } else if (results.length > 1) {
+    console.log(`${totals.files} files${totals.failed ? `, ${totals.failed} failed` : ''} · ` +
+      `${formatBytes(totals.originalSize)} → ${formatBytes(totals.compressedSize)}`)
+  }
+  return totals.failed ? 1 : 0
+}
+
+if (isMainThread) {
+  main().then((code) => { process.exitCode = code }, (err) => {
+    if (!(err instanceof UsageError)) throw err
+    console.error(`compressfiles: ${err.message}\n\nRun compressfiles --help for usage.`)
+    process.exitCode = 2
+  })
+} else {
+  runWorker()
+}
@@ -0,0 +1,161 @@
+/**
+ * PDF analysis — what is in a file and how far each level would shrink it,
+ * without producing any output (POST /api/analyze and
+ * src/workers/analyze.worker.js).
+ *
+ * Shared by the server and the browser — keep this file free of Node-only
+ * and browser-only APIs. Inputs are Uint8Arrays; password-protected PDFs
+ * must be unlocked first (unlockPdf() in ./encryption.js).
+ */
+
+import * as mupdf from 'mupdf'
+import { LEVEL_CONFIG } from './levels.js'
+import { compressWithMuPDFEngines, optimizeLossless, selectPages, classifyPage } from './mupdf-engine.js'
+
+// Pages compressed per level for the size estimates, spread evenly over the
+// document. More pages = a better estimate and a slower analysis.
+export const ANALYSIS_SAMPLE_PAGES = 3
+
+const FONT_FILES = ['FontFile', 'FontFile2', 'FontFile3']
+
+function fontEmbedded(font) {
+  if (font.get('Subtype').toString() === '/Type3') return true   // glyphs are content streams
+  const descendant = font.get('DescendantFonts')
+  const descriptor = (descendant.isArray() ? descendant.get(0) : font).get('FontDescriptor')
+  return descriptor.isDictionary() && FONT_FILES.some((key) => !descriptor.get(key).isNull())
+}
+
+/**
+ * Walk a Resources dictionary and the Form XObjects inside it, collecting
+ * images and fonts into `found`. Shared objects are counted once (`seen`).
+ */
+function collectResources(resources, found, seen) {
+  if (!resources.isDictionary()) return
+
+  resources.get('Font').forEach((ref) => {
+    if (ref.isIndirect()) {
+      if (seen.has(`font ${ref.asIndirect()}`)) return
+      seen.add(`font ${ref.asIndirect()}`)
+    }
+    const font = ref.resolve()
+    const entry = {
+      name:     font.get('BaseFont').isName() ? font.get('BaseFont').asName() : null,
+      type:     font.get('Subtype').isName() ? font.get('Subtype').asName() : null,
+      embedded: fontEmbedded(font),
+    }
+    // Per-page copies of the same font are listed once
+    const key = `${entry.name}|${entry.type}|${entry.embedded}`
+    if (!found.fontKeys.has(key)) {
+      found.fontKeys.add(key)
+      found.fonts.push(entry)
+    }
+  })
+
+  const xobjects = resources.get('XObject')
+  if (!xobjects.isDictionary()) return
+  xobjects.forEach((ref) => {
+    if (!ref.isIndirect() || seen.has(ref.asIndirect())) return
+    seen.add(ref.asIndirect())
+
+    const xobject = ref.resolve()
+    const subtype = xobject.get('Subtype').toString()
+    if (subtype === '/Form') {
+      collectResources(xobject.get('Resources'), found, seen)
+    } else if (subtype === '/Image') {
+      const filter = xobject.get('Filter')
+      const name = (filter.isArray() ? filter.get(filter.length - 1) : filter).asName?.() || 'none'
+      found.images.count++
+      found.images.bytes += ref.readRawStream().getLength()
+      found.images.filters[name] = (found.images.filters[name] ?? 0) + 1
+    }
+  })
+}
+
+/**
+ * Describe a PDF (already unlocked). Pass `encryption` as unlockPdf()
+ * returned it, so a file that needed a password still reports as encrypted.
+ *
+ * Returns:
+ *   {
+ *     fileSize, pageCount,
+ *     encryption:  null | { method, passwordRequired },
+ *     images:      { count, bytes, filters: { DCTDecode: 3, FlateDecode: 1, … } },
+ *     fonts:       [{ name, type, embedded }],
+ *     pages:       { text, mixed, scanned }     page counts per classifyPage() kind
+ *     compression: { streams, unfiltered, objectStreams }
+ *   }
+ * Image bytes are the encoded stream lengths; an image shared by several
+ * pages counts once, and so does a font. `unfiltered` streams are stored
+ * without any compression; objectStreams > 0 means the file already packs
+ * its objects.
+ */
+export function analyzePdf(input, { fileSize = input.length, encryption = null } = {}) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf')
+  const pdf = doc.asPDF()
+  const pageCount = doc.countPages()
+
+  // An owner-password-only PDF opens without unlockPdf() and stays encrypted
+  let encrypted = encryption ? { method: encryption.method, passwordRequired: true } : null
+  if (!encrypted && !pdf.getTrailer().get('Encrypt').isNull()) {
+    encrypted = { method: doc.getMetaData('encryption') || 'unknown', passwordRequired: false }
+  }
+
+  const found = { images: { count: 0, bytes: 0, filters: {} }, fonts: [], fontKeys: new Set() }
+  const seen = new Set()
+  const pages = { text: 0, mixed: 0, scanned: 0 }
+  for (let i = 0; i < pageCount; i++) {
+    collectResources(pdf.findPage(i).getInheritable('Resources'), found, seen)
+    pages[classifyPage(doc.loadPage(i))]++
+  }
+
+  const compression = { streams: 0, unfiltered: 0, objectStreams: 0 }
+  const objectCount = pdf.countObjects()
+  for (let num = 1; num < objectCount; num++) {
+    const obj = pdf.newIndirect(num)
+    if (!obj.isStream()) continue
+    compression.streams++
+    if (obj.resolve().get('Filter').isNull()) compression.unfiltered++
+    if (obj.resolve().get('Type').toString() === '/ObjStm') compression.objectStreams++
+  }
+
+  return { fileSize, pageCount, encryption: encrypted, images: found.images, fonts: found.fonts, pages, compression }
+}
+
+/** Up to `count` page indices spread evenly over `pageCount` pages. */
+export function samplePages(pageCount, count = ANALYSIS_SAMPLE_PAGES) {
+  if (pageCount <= count) return Array.from({ length: pageCount }, (_, i) => i)
+  return Array.from({ length: count }, (_, i) => Math.floor((i + 0.5) * pageCount / count))
+}
+
+/**
+ * Estimated output size of an (unlocked) PDF at every LEVEL_CONFIG level,
+ * with the MuPDF engines. Lossless is run on the whole file; the other
+ * levels compress samplePages() and scale the saving on them up to the
+ * whole file. Estimates never exceed the input size (the return-original
+ * guard).
+ *
+ * Resolves to { sampledPages, levels: { [level]: { size, engine } } } —
+ * sampledPages are 1-based. `onLevel(level, estimate)` is awaited after each
+ * level.
+ */
+export async function estimateSizes(input, { colorMode = 'color', onLevel = () => {} } = {}) {
+  const pageCount = mupdf.Document.openDocument(input, 'application/pdf').countPages()
+  const sampled = samplePages(pageCount)
+  const sample = sampled.length === pageCount ? input : selectPages(input, sampled)
+  const sampleSize = sample.length
+
+  const levels = {}
+  for (const [level, config] of Object.entries(LEVEL_CONFIG)) {
+    let estimate
+    if (config.lossless) {
+      estimate = { size: Math.min(input.length, optimizeLossless(input).length), engine: 'mupdf-lossless' }
+    } else {
+      const { buffer, engine } = await compressWithMuPDFEngines(sample, { ...config, colorMode })
+      const ratio = Math.min(1, buffer.length / sampleSize)
+      estimate = { size: Math.round(input.length * ratio), engine }
+    }
+    levels[level] = estimate
+    await onLevel(level, estimate)
+  }
+  return { sampledPages: sampled.map((i) => i + 1), levels }
+}
@@ -0,0 +1,271 @@
+/**
+ * API keys, rate limits and size quotas for the upload endpoints —
+ * /api/compress, /api/compress-image, /api/analyze, /api/blob-upload and
+ * job creation on /api/jobs (server only).
+ *
+ * Off unless a key store is configured: without one every request goes
+ * through, as before. With one, a request needs a key —
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>` — unless the config
+ * has an `anonymous` policy, which then applies to keyless requests per
+ * client IP (that is what keeps the web app working).
+ *
+ * Config (the API_KEYS environment variable, or the file of a file store):
+ *   {
+ *     "keys": [{
+ *       "name": "billing-service",          in logs and usage lines
+ *       "key": "<secret>",                  or "keyHash": "<sha256 hex of it>"
+ *       "allowedOrigins": ["https://…"],    browser callers must send one of these
+ *       "rateLimit": { "requests": 60, "windowSeconds": 60 },
+ *       "quota": { "bytes": 1073741824, "windowSeconds": 86400 },
+ *       "maxFileBytes": 10485760,
+ *       "disabled": false
+ *     }],
+ *     "anonymous": { …the same, without key… }
+ *   }
+ * Every field but the key is optional; a missing limit is no limit.
+ * Requests without an Origin header (servers, curl) pass allowedOrigins.
+ *
+ * A store has two async methods:
+ *   policies()                                  → { keys: Map<sha256, policy>, anonymous: policy | null }
+ *   hit(bucket, counter, amount, windowMs, now) → { total, resetAt }
+ *     adds `amount` to a fixed-window counter, opening a new window when
+ *     the previous one has ended
+ *
+ * Implementations:
+ *   createMemoryApiKeyStore(config, { hit })  config object — API_KEYS
+ *   createFileApiKeyStore(file, { hit })      JSON file, re-read when it changes — server.dev.js
+ * Both take their `hit` from a counter store:
+ *   createMemoryCounters()        this process only (the default)
+ *   createKvCounters({ url, token })  Redis over REST (Vercel KV / Upstash),
+ *                                     shared by every function instance
+ * On Vercel each function instance has its own memory, so limits only hold
+ * across the deployment with KV: getApiKeyStore() uses it whenever
+ * KV_REST_API_URL and KV_REST_API_TOKEN are set, and logs a warning when
+ * keys are on without them.
+ */
+
+import { createHash } from 'crypto'
+import { readFile, stat } from 'fs/promises'
+
+export const API_KEY_REQUIRED   = 'API_KEY_REQUIRED'
+export const API_KEY_INVALID    = 'API_KEY_INVALID'
+export const ORIGIN_NOT_ALLOWED = 'ORIGIN_NOT_ALLOWED'
+export const RATE_LIMITED       = 'RATE_LIMITED'
+export const QUOTA_EXCEEDED     = 'QUOTA_EXCEEDED'
+export const FILE_TOO_LARGE     = 'FILE_TOO_LARGE'
+
+/** A refused request. `retryAfter` (seconds) is set for 429s. */
+export class ApiKeyError extends Error {
+  constructor(statusCode, code, message, retryAfter = null) {
+    super(message)
+    this.name = 'ApiKeyError'
+    this.statusCode = statusCode
+    this.code = code
+    this.retryAfter = retryAfter
+  }
+}
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex')
+}
+
+/** Config JSON → what policies() returns. */
+function compileConfig(config) {
+  const keys = new Map()
+  for (const entry of config?.keys ?? []) {
+    const hash = entry.keyHash?.toLowerCase() ?? (entry.key ? sha256(entry.key) : null)
+    if (!hash) throw new Error(`API key "${entry.name ?? '?'}" has neither key nor keyHash`)
+    const { key, keyHash, ...policy } = entry
+    keys.set(hash, { ...policy, id: `key:${hash.slice(0, 12)}`, name: entry.name ?? hash.slice(0, 12) })
+  }
+  const anonymous = config?.anonymous ? { ...config.anonymous, id: 'anonymous', name: 'anonymous' } : null
+  return { keys, anonymous }
+}
+
+/** Fixed-window counters in this process — see createKvCounters() for Vercel. */
+export function createMemoryCounters() {
+  const windows = new Map()   // `${bucket}|${counter}` → { start, total }
+  return async (bucket, counter, amount, windowMs, now) => {
+    const id = `${bucket}|${counter}`
+    let w = windows.get(id)
+    if (!w || now >= w.start + windowMs) {
+      w = { start: now, total: 0 }
+      windows.set(id, w)
+    }
+    w.total += amount
+    return { total: w.total, resetAt: w.start + windowMs }
+  }
+}
+
+// Counter keys in KV are prefixed with this and outlive their window by
+// KV_EXPIRY_SLACK_MS, so a slow request still finds its window
+const KV_PREFIX = 'api-keys:'
+const KV_EXPIRY_SLACK_MS = 60_000
+
+/**
+ * Fixed-window counters in Redis over the Upstash REST API (what Vercel KV
+ * speaks): one INCRBY + PEXPIREAT pipeline per hit, on a key per bucket,
+ * counter and window. Windows are aligned to multiples of their length
+ * rather than opened by the first hit. When KV can't be reached the hit is
+ * logged and counts as 0 — an outage of the limiter doesn't take the
+ * uploads down with it.
+ */
+export function createKvCounters({ url, token, fetch: fetchImpl = fetch }) {
+  return async (bucket, counter, amount, windowMs, now) => {
+    const start   = now - (now % windowMs)
+    const resetAt = start + windowMs
+    const key = `${KV_PREFIX}${bucket}|${counter}|${start}`
+    try {
+      const res = await fetchImpl(`${url.replace(/\/$/, '')}/pipeline`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify([
+          ['INCRBY', key, amount],
+          ['PEXPIREAT', key, resetAt + KV_EXPIRY_SLACK_MS],
+        ]),
+      })
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      const [incr] = await res.json()
+      if (incr.error) throw new Error(incr.error)
+      return { total: Number(incr.result), resetAt }
+    } catch (err) {
+      console.error(`[api-keys] KV counter failed, not counting: ${err.message}`)
+      return { total: 0, resetAt }
+    }
+  }
+}
+
+export function createMemoryApiKeyStore(config, { hit = createMemoryCounters() } = {}) {
+  const compiled = compileConfig(config)
+  return {
+    async policies() {
+      return compiled
+    },
+    hit,
+  }
+}
+
+export function createFileApiKeyStore(file, { hit = createMemoryCounters() } = {}) {
+  let mtime = null
+  let compiled = null
+  return {
+    async policies() {
+      const { mtimeMs } = await stat(file)
+      if (mtimeMs !== mtime) {
+        compiled = compileConfig(JSON.parse(await readFile(file, 'utf8')))
+        mtime = mtimeMs
+      }
+      return compiled
+    },
+    hit,
+  }
+}
+
+let currentStore
+let envStore = null
+let envStoreFor = null   // the API_KEYS value envStore was built from
+
+/** Use `store` from now on (server.dev.js picks a file store); null turns keys off. */
+export function setApiKeyStore(store) {
+  currentStore = store
+}
+
+/** Shared counters when KV is configured, otherwise this process's. */
+export function defaultCounters() {
+  const { KV_REST_API_URL: url, KV_REST_API_TOKEN: token } = process.env
+  if (url && token) return createKvCounters({ url, token })
+  if (process.env.VERCEL) {
+    console.warn('[api-keys] KV_REST_API_URL / KV_REST_API_TOKEN not set — limits are counted per function instance')
+  }
+  return createMemoryCounters()
+}
+
+/** The configured store, or null when keys are off. */
+export function getApiKeyStore() {
+  if (currentStore !== undefined) return currentStore
+  const env = process.env.API_KEYS
+  if (!env) return null
+  if (envStoreFor !== env) {
+    envStoreFor = env
+    envStore = createMemoryApiKeyStore(JSON.parse(env), { hit: defaultCounters() })
+  }
+  return envStore
+}
+
+function requestKey(req) {
+  const auth = req.headers.authorization || ''
+  const bearer = /^Bearer\s+(\S+)$/i.exec(auth)
+  return bearer?.[1] || req.headers['x-api-key'] || null
+}
+
+function clientIp(req) {
+  return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown'
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000))
+}
+
+/**
+ * Check the request's key and origin, and count it against the rate limit
+ * (`count: false` checks the limit without using it up — for a step that
+ * is always followed by a counted one, like blob-upload → compress).
+ *
+ * Returns the caller's access — { store, policy, bucket } — or null when
+ * keys are off. Throws ApiKeyError: 401 no / unknown / disabled key,
+ * 403 origin not allowed, 429 rate limit reached.
+ */
+export async function authorizeRequest(req, { count = true, store = getApiKeyStore(), now = Date.now() } = {}) {
+  if (!store) return null
+  const { keys, anonymous } = await store.policies()
+
+  const key = requestKey(req)
+  let policy
+  let bucket
+  if (key) {
+    policy = keys.get(sha256(key))
+    if (!policy || policy.disabled) throw new ApiKeyError(401, API_KEY_INVALID, 'Invalid API key.')
+    bucket = policy.id
+  } else {
+    if (!anonymous) throw new ApiKeyError(401, API_KEY_REQUIRED, 'An API key is required (Authorization: Bearer <key>).')
+    policy = anonymous
+    bucket = `anonymous:${clientIp(req)}`
+  }
+
+  const origin = req.headers.origin
+  if (origin && policy.allowedOrigins && !policy.allowedOrigins.includes(origin)) {
+    throw new ApiKeyError(403, ORIGIN_NOT_ALLOWED, `Origin ${origin} is not allowed for this API key.`)
+  }
+
+  const { rateLimit } = policy
+  if (rateLimit) {
+    const { total, resetAt } = await store.hit(bucket, 'requests', count ? 1 : 0, rateLimit.windowSeconds * 1000, now)
+    if (total > rateLimit.requests || (!count && total >= rateLimit.requests)) {
+      const retryAfter = secondsUntil(resetAt, now)
+      throw new ApiKeyError(429, RATE_LIMITED, `Rate limit reached. Try again in ${retryAfter} s.`, retryAfter)
+    }
+  }
+  return { store, policy, bucket }
+}
+
+/**
+ * Count an input of `bytes` against the caller's size limits, once it has
+ * been read. Throws ApiKeyError: 413 over maxFileBytes, 429 over the quota.
+ */
+export async function chargeUpload(access, bytes, now = Date.now()) {
+  if (!access) return
+  const { store, policy, bucket } = access
+  if (policy.maxFileBytes && bytes > policy.maxFileBytes) {
+    throw new ApiKeyError(413, FILE_TOO_LARGE, `File too large for this API key (limit ${policy.maxFileBytes} bytes).`)
+  }
+  if (policy.quota) {
+    const { total, resetAt } = await store.hit(bucket, 'bytes', bytes, policy.quota.windowSeconds * 1000, now)
+    if (total > policy.quota.bytes) {
+      // A refused upload doesn't use the quota up
+      await store.hit(bucket, 'bytes', -bytes, policy.quota.windowSeconds * 1000, now)
+      const retryAfter = secondsUntil(resetAt, now)
+      throw new ApiKeyError(429, QUOTA_EXCEEDED, `Upload quota used up. Try again in ${retryAfter} s.`, retryAfter)
+    }
+  }
+  console.log(`[api-keys] ${policy.name}: ${bytes} bytes`)
+}
@@ -0,0 +1,204 @@
+/**
+ * CCITT Group 4 (T.6) encoder for bilevel images, plus the thresholding that
+ * turns a grayscale pixmap into one.
+ *
+ * MuPDF decodes CCITTFaxDecode but its JS API has no encoder, so the "bw"
+ * colour mode (see ./mupdf-engine.js) encodes here. Pure JS — shared by
+ * api/ and the browser worker like the rest of lib/.
+ *
+ * Output matches the PDF defaults for /CCITTFaxDecode with /K -1: no byte
+ * alignment, terminated by EOFB, BlackIs1 false (the decoded image has
+ * black = 0, as a 1-bit DeviceGray image expects).
+ */
+
+// ITU-T T.4 run-length codes as [value, length] pairs. Terminating codes
+// cover runs 0–63, make-up codes multiples of 64.
+const WHITE_TERMINATING = [
+  '00110101', '000111', '0111', '1000', '1011', '1100', '1110', '1111',
+  '10011', '10100', '00111', '01000', '001000', '000011', '110100', '110101',
+  '101010', '101011', '0100111', '0001100', '0001000', '0010111', '0000011', '0000100',
+  '0101000', '0101011', '0010011', '0100100', '0011000', '00000010', '00000011', '00011010',
+  '00011011', '00010010', '00010011', '00010100', '00010101', '00010110', '00010111', '00101000',
+  '00101001', '00101010', '00101011', '00101100', '00101101', '00000100', '00000101', '00001010',
+  '00001011', '01010010', '01010011', '01010100', '01010101', '00100100', '00100101', '01011000',
+  '01011001', '01011010', '01011011', '01001010', '01001011', '00110010', '00110011', '00110100',
+]
+const BLACK_TERMINATING = [
+  '0000110111', '010', '11', '10', '011', '0011', '0010', '00011',
+  '000101', '000100', '0000100', '0000101', '0000111', '00000100', '00000111', '000011000',
+  '0000010111', '0000011000', '0000001000', '00001100111', '00001101000', '00001101100', '00000110111', '00000101000',
+  '00000010111', '00000011000', '000011001010', '000011001011', '000011001100', '000011001101', '000001101000', '000001101001',
+  '000001101010', '000001101011', '000011010010', '000011010011', '000011010100', '000011010101', '000011010110', '000011010111',
+  '000001101100', '000001101101', '000011011010', '000011011011', '000001010100', '000001010101', '000001010110', '000001010111',
+  '000001100100', '000001100101', '000001010010', '000001010011', '000000100100', '000000110111', '000000111000', '000000100111',
+  '000000101000', '000001011000', '000001011001', '000000101011', '000000101100', '000001011010', '000001100110', '000001100111',
+]
+// Make-up codes for 64, 128, … 1728
+const WHITE_MAKEUP = [
+  '11011', '10010', '010111', '0110111', '00110110', '00110111', '01100100', '01100101',
+  '01101000', '01100111', '011001100', '011001101', '011010010', '011010011', '011010100', '011010101',
+  '011010110', '011010111', '011011000', '011011001', '011011010', '011011011', '010011000', '010011001',
+  '010011010', '011000', '010011011',
+]
+const BLACK_MAKEUP = [
+  '0000001111', '000011001000', '000011001001', '000001011011', '000000110011', '000000110100', '000000110101', '0000001101100',
+  '0000001101101', '0000001001010', '0000001001011', '0000001001100', '0000001001101', '0000001110010', '0000001110011', '0000001110100',
+  '0000001110101', '0000001110110', '0000001110111', '0000001010010', '0000001010011', '0000001010100', '0000001010101', '0000001011010',
+  '0000001011011', '0000001100100', '0000001100101',
+]
+// Extended make-up codes for 1792, 1856, … 2560 — same for both colours
+const EXTENDED_MAKEUP = [
+  '00000001000', '00000001100', '00000001101', '000000010010', '000000010011', '000000010100', '000000010101',
+  '000000010110', '000000010111', '000000011100', '000000011101', '000000011110', '000000011111',
+]
+
+const PASS       = '0001'
+const HORIZONTAL = '001'
+// Vertical mode codes indexed by a1 − b1 + 3 (VL3 … V0 … VR3)
+const VERTICAL   = ['0000010', '000010', '010', '1', '011', '000011', '0000011']
+const EOL        = '000000000001'
+
+/** MSB-first bit writer over a growable byte buffer. */
+function createBitWriter(initialSize) {
+  let bytes = new Uint8Array(Math.max(64, initialSize))
+  let length = 0   // in bits
+
+  const ensure = (bits) => {
+    if ((length + bits + 7) >> 3 <= bytes.length) return
+    const grown = new Uint8Array(bytes.length * 2 + ((bits + 7) >> 3))
+    grown.set(bytes)
+    bytes = grown
+  }
+
+  return {
+    /** Append a code given as a string of '0' / '1'. */
+    write(code) {
+      ensure(code.length)
+      for (let i = 0; i < code.length; i++) {
+        if (code.charCodeAt(i) === 49) bytes[length >> 3] |= 0x80 >> (length & 7)
+        length++
+      }
+    },
+    finish: () => bytes.slice(0, (length + 7) >> 3),
+  }
+}
+
+function writeRun(out, run, black) {
+  const makeup = black ? BLACK_MAKEUP : WHITE_MAKEUP
+  const terminating = black ? BLACK_TERMINATING : WHITE_TERMINATING
+  while (run >= 2560) {
+    out.write(EXTENDED_MAKEUP[EXTENDED_MAKEUP.length - 1])
+    run -= 2560
+  }
+  if (run >= 1792) {
+    out.write(EXTENDED_MAKEUP[(run >> 6) - 28])
+    run &= 63
+  } else if (run >= 64) {
+    out.write(makeup[(run >> 6) - 1])
+    run &= 63
+  }
+  out.write(terminating[run])
+}
+
+/**
+ * First changing element of `line` after position `from` (−1 = before the
+ * line). Pixels left of the line count as white; returns `width` if there is
+ * no further change.
+ */
+function nextChange(line, offset, width, from) {
+  let previous = from < 0 ? 0 : line[offset + from]
+  for (let x = from + 1; x < width; x++) {
+    if (line[offset + x] !== previous) return x
+  }
+  return width
+}
+
+/**
+ * Encode a bilevel image. `pixels` has one byte per pixel, row-major,
+ * 1 = black and 0 = white. Returns the G4 stream bytes.
+ */
+export function encodeCCITTG4(pixels, width, height) {
+  const out = createBitWriter((width * height) >> 5)
+  const white = new Uint8Array(width)   // imaginary all-white line above the first row
+
+  for (let y = 0; y < height; y++) {
+    const line = pixels
+    const offset = y * width
+    const ref = y === 0 ? white : pixels
+    const refOffset = y === 0 ? 0 : offset - width
+
+    let a0 = -1
+    let color = 0   // colour of the run starting at a0
+    while (a0 < width) {
+      const a1 = nextChange(line, offset, width, a0)
+
+      // b1: first change on the reference line right of a0 that starts a
+      // run of the opposite colour to a0's; b2: the change after it
+      let b1 = nextChange(ref, refOffset, width, a0)
+      if (b1 < width && ref[refOffset + b1] === color) b1 = nextChange(ref, refOffset, width, b1)
+      const b2 = nextChange(ref, refOffset, width, b1)
+
+      if (b2 < a1) {
+        out.write(PASS)
+        a0 = b2
+      } else if (Math.abs(a1 - b1) <= 3) {
+        out.write(VERTICAL[a1 - b1 + 3])
+        a0 = a1
+        color ^= 1
+      } else {
+        const a2 = nextChange(line, offset, width, a1)
+        out.write(HORIZONTAL)
+        writeRun(out, a1 - Math.max(a0, 0), color === 1)
+        writeRun(out, a2 - a1, color === 0)
+        a0 = a2
+      }
+    }
+  }
+
+  out.write(EOL)
+  out.write(EOL)
+  return out.finish()
+}
+
+/**
+ * Otsu's threshold for a histogram of 256 gray levels — the level that best
+ * separates ink from paper in this particular image.
+ */
+function otsuThreshold(histogram, total) {
+  let sum = 0
+  for (let i = 0; i < 256; i++) sum += i * histogram[i]
+
+  let sumBackground = 0
+  let weightBackground = 0
+  let best = 128
+  let bestVariance = -1
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t]
+    if (weightBackground === 0) continue
+    const weightForeground = total - weightBackground
+    if (weightForeground === 0) break
+    sumBackground += t * histogram[t]
+    const meanBackground = sumBackground / weightBackground
+    const meanForeground = (sum - sumBackground) / weightForeground
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2
+    if (variance > bestVariance) {
+      bestVariance = variance
+      best = t
+    }
+  }
+  return best
+}
+
+/**
+ * Threshold 8-bit gray samples (0 = black) to the 1 = black bytes
+ * encodeCCITTG4() takes.
+ */
+export function binarize(gray) {
+  const histogram = new Uint32Array(256)
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++
+  const threshold = otsuThreshold(histogram, gray.length)
+
+  const bits = new Uint8Array(gray.length)
+  for (let i = 0; i < gray.length; i++) bits[i] = gray[i] <= threshold ? 1 : 0
+  return bits
+}
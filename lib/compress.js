@@ -0,0 +1,393 @@
+/**
+ * The whole compression pipeline for one PDF (Node only — it runs
+ * Ghostscript when the binary is installed).
+ *
+ * Used by api/compress.js and by the command line (bin/compressfiles.js), so
+ * both produce byte-for-byte the same output for the same settings. Steps,
+ * in order (api/jobs.js runs 1–4, preparePdf(), before it splits the work):
+ *   1. validate the settings (OptionsError → 400 in the API, exit 2 in the CLI)
+ *   2. unlock a password-protected PDF (lib/encryption.js)
+ *   3. keep the selected pages (lib/pages.js)
+ *   4. drop blank pages, if asked
+ *   5. compress with the chosen engine(s) — through compressToTarget() when
+ *      targetBytes is set
+ *   6. return the input instead if the output came out larger (not in
+ *      grayscale / bw, where the input has the wrong colours)
+ *   7. re-encrypt, if asked
+ * See the header of api/compress.js for what each engine does.
+ *
+ * Engine choice (`engine`, ENGINE_CHOICES):
+ *   auto        Ghostscript if installed, else the MuPDF engines (default)
+ *   ghostscript Ghostscript only — an OptionsError when it isn't installed
+ *   mupdf       the MuPDF engines only, even when Ghostscript is installed
+ *   auto-best   every available engine in turn; the smallest output that
+ *               opens with the same page count wins. Takes as long as all
+ *               of them together.
+ * Lossless is MuPDF-only whatever the choice (Ghostscript's pdfwrite
+ * re-encodes images), so 'ghostscript' + lossless is an OptionsError.
+ *
+ * compressImages() is the same for JPEG / PNG / TIFF uploads: they are
+ * assembled into one PDF (lib/images-to-pdf.js) instead of going through
+ * the PDF engines. compressMerged() joins several PDFs, one bookmark each,
+ * and runs the result through compressPdf(). splitOutput() cuts a result
+ * that is still too big into parts (splitMaxBytes).
+ */
+
+import { LEVEL_CONFIG, COLOR_MODES, compressToTarget, normalizeOptions } from './levels.js'
+import {
+  compressWithMuPDFEngines, optimizeLossless, selectPages, countPages, dropBlankPages, mergePdfs, splitPdf, mupdfVersion,
+} from './mupdf-engine.js'
+import { parsePageSelection, sourcePageNumbers } from './pages.js'
+import { discoverGhostscript, compressWithGhostscript } from './ghostscript.js'
+import { unlockPdf, encryptPdf } from './encryption.js'
+import { imagesToPdf } from './images-to-pdf.js'
+import { imageTypeForName, PAGE_SIZES, ORIENTATIONS } from './image-types.js'
+
+export const ENGINE_CHOICES = ['auto', 'auto-best', 'ghostscript', 'mupdf']
+
+// Machine-readable code for a request that names an engine this server lacks
+export const ENGINE_UNAVAILABLE = 'ENGINE_UNAVAILABLE'
+
+/** Invalid settings — the caller's mistake, not the PDF's. `code` is optional. */
+export class OptionsError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'OptionsError'
+    if (code) this.code = code
+  }
+}
+
+/**
+ * The engines this process can run (GET /api/engines):
+ *   { ghostscript: { available, version }, mupdf: { available, version } }
+ * Ghostscript is probed once per process (discoverGhostscript()).
+ */
+export async function availableEngines() {
+  const gs = await discoverGhostscript()
+  return {
+    ghostscript: { available: Boolean(gs), version: gs?.version ?? null },
+    mupdf:       { available: true, version: mupdfVersion() },
+  }
+}
+
+/**
+ * Check an engine choice against the level and what is installed; returns
+ * the gs path to use (null = MuPDF only). Throws OptionsError.
+ */
+export async function resolveEngine(engine, level) {
+  if (!ENGINE_CHOICES.includes(engine)) {
+    throw new OptionsError(`engine must be one of ${ENGINE_CHOICES.join(', ')}.`)
+  }
+  const gs = engine === 'mupdf' ? null : (await discoverGhostscript())?.path ?? null
+  if (engine === 'ghostscript') {
+    if (LEVEL_CONFIG[level]?.lossless) throw new OptionsError('The lossless level runs on MuPDF only.')
+    if (!gs) throw new OptionsError('Ghostscript is not installed.', ENGINE_UNAVAILABLE)
+  }
+  return gs
+}
+
+/** Wrap an engine's Uint8Array output as a Buffer without copying. */
+export function asBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+/**
+ * Steps 1–4 of compressPdf(): check the settings, unlock, keep the selected
+ * pages and drop blank pages. Takes compressPdf()'s settings (those of later
+ * steps are ignored) and resolves to { input, options, gs, encryption, pages,
+ * removedPages } — `input` the Buffer the engines should see, `options` the
+ * normalized custom settings, `gs` resolveEngine()'s result, `encryption`
+ * unlockPdf()'s, `pages` the 0-based selection (null for all) and
+ * removedPages as in compressPdf(). Throws OptionsError and PasswordError.
+ */
+export async function preparePdf(input, {
+  level = 'medium',
+  colorMode = 'color',
+  targetBytes = null,
+  options: rawOptions,
+  password = null,
+  keepEncryption = false,
+  pages: rawPages,
+  removeBlankPages = false,
+  engine: engineChoice = 'auto',
+  onProgress = () => {},
+} = {}) {
+  // ── validate ──────────────────────────────────────────────────────
+  if (!Object.keys(LEVEL_CONFIG).includes(level)) {
+    throw new OptionsError(`level must be one of ${Object.keys(LEVEL_CONFIG).join(', ')}.`)
+  }
+  if (!COLOR_MODES.includes(colorMode)) {
+    throw new OptionsError(`colorMode must be one of ${COLOR_MODES.join(', ')}.`)
+  }
+  if (targetBytes !== null && !(Number.isInteger(targetBytes) && targetBytes > 0)) {
+    throw new OptionsError('targetBytes must be a positive integer.')
+  }
+  const { options, error: optionsError } = normalizeOptions(rawOptions)
+  if (optionsError) throw new OptionsError(optionsError)
+  if (options && targetBytes) throw new OptionsError('options cannot be combined with targetBytes.')
+  const gs = await resolveEngine(engineChoice, level)
+
+  // ── password-protected PDFs: the engines get a decrypted copy ──────
+  let inputBuffer = input
+  const { input: unlocked, encryption } = unlockPdf(inputBuffer, password)
+  if (encryption) {
+    console.log(`[compress] Unlocked ${encryption.method} PDF` + (keepEncryption ? ' (re-encrypting output)' : ''))
+    inputBuffer = asBuffer(unlocked)
+  }
+
+  // ── page selection: the engines only see the kept pages ────────────
+  const { pages, error: pagesError } = parsePageSelection(rawPages, countPages(inputBuffer))
+  if (pagesError) throw new OptionsError(pagesError)
+  if (pages) {
+    console.log(`[compress] Keeping ${pages.length} page(s): ${rawPages}`)
+    inputBuffer = asBuffer(selectPages(inputBuffer, pages))
+  }
+
+  // ── blank pages (opt-in): dropped before any engine runs ────────────
+  let removedPages = null
+  if (removeBlankPages) {
+    const { buffer, removed } = await dropBlankPages(inputBuffer, onProgress)
+    removedPages = sourcePageNumbers(removed, pages)
+    if (removed.length) {
+      console.log(`[compress] Removed ${removed.length} blank page(s): ${removedPages.join(', ')}`)
+      inputBuffer = asBuffer(buffer)
+    }
+  }
+
+  return { input: inputBuffer, options, gs, encryption, pages, removedPages }
+}
+
+/**
+ * Compress `input` (a Buffer). Settings are those of POST /api/compress:
+ *   level, colorMode, targetBytes, options (raw — JSON string or object),
+ *   password, keepEncryption, pages (page spec string), removeBlankPages,
+ *   keepFormFields, textLayer
+ * plus:
+ *   engine — see ENGINE_CHOICES above; default 'auto'
+ *   onProgress(page, pageCount) — awaited after every page of every pass;
+ *                                 the first call comes after validation
+ *   signal — aborts Ghostscript and (through onProgress) the MuPDF loops
+ *
+ * Returns { buffer, engine, originalSize, targetMet, removedPages, candidates, pageStrategies }:
+ * targetMet is null without targetBytes; removedPages (1-based numbers of the
+ * input's pages) is null unless removeBlankPages was set; candidates is null
+ * except for auto-best: [{ engine, size } | { engine, error }] per engine run;
+ * pageStrategies is the path each output page took through the MuPDF
+ * adaptive engine ('kept' | 'images' | 'raster', see
+ * compressWithMuPDFAdaptive()) — null for Ghostscript and lossless output,
+ * and when the original is returned.
+ */
+export async function compressPdf(input, {
+  level = 'medium',
+  colorMode = 'color',
+  targetBytes = null,
+  options: rawOptions,
+  password = null,
+  keepEncryption = false,
+  pages: rawPages,
+  removeBlankPages = false,
+  keepFormFields = false,
+  textLayer = false,
+  engine: engineChoice = 'auto',
+  onProgress = () => {},
+  signal,
+} = {}) {
+  const originalSize = input.length
+  const { input: inputBuffer, options, gs, encryption, removedPages } = await preparePdf(input, {
+    level, colorMode, targetBytes, options: rawOptions, password, keepEncryption, pages: rawPages, removeBlankPages, engine: engineChoice, onProgress,
+  })
+
+  // ── compress: the chosen engine(s) ─────────────────────────────────
+  console.log(`[compress] Input: ${inputBuffer.length} bytes, level: ${level}, engine: ${engineChoice}` +
+    (colorMode !== 'color' ? `, ${colorMode}` : '') +
+    (targetBytes ? `, target: ${targetBytes} bytes` : '') +
+    (options ? `, options: ${JSON.stringify(options)}` : ''))
+  const lossless = LEVEL_CONFIG[level].lossless
+  const runs = {
+    // Ghostscript's pdfwrite re-encodes images, so lossless is MuPDF-only
+    lossless: async () => ({ buffer: asBuffer(optimizeLossless(inputBuffer)), engine: 'mupdf-lossless' }),
+    ghostscript: async (settings) => ({
+      buffer: await compressWithGhostscript(gs, inputBuffer, { ...settings, colorMode, keepFormFields, textLayer }, { onProgress, signal }),
+      engine: 'ghostscript',
+    }),
+    mupdf: async (settings) => {
+      const { buffer, engine, pageStrategies } = await compressWithMuPDFEngines(inputBuffer, { ...settings, colorMode, keepFormFields, textLayer }, onProgress)
+      return { buffer: asBuffer(buffer), engine, pageStrategies }
+    },
+  }
+  const engines = lossless ? ['lossless']
+    : engineChoice === 'auto-best' ? (gs ? ['ghostscript', 'mupdf'] : ['mupdf'])
+    : [gs ? 'ghostscript' : 'mupdf']
+
+  // Lossless has a single outcome — no ladder to search, but the target
+  // is still reported below.
+  const runEngine = (name) => {
+    console.log(`[compress] Using ${name === 'ghostscript' ? `Ghostscript: ${gs}` : `MuPDF WASM${lossless ? ' (lossless)' : ''}`}`)
+    return targetBytes && !lossless
+      ? compressToTarget(runs[name], level, targetBytes)
+      : runs[name]({ ...LEVEL_CONFIG[level], ...options })
+  }
+
+  let result
+  let candidates = null
+  if (engineChoice === 'auto-best' && !lossless) {
+    // Every engine gets its turn; one that fails or writes a broken file
+    // just drops out
+    candidates = []
+    const pageCount = countPages(inputBuffer)
+    let firstError = null
+    for (const name of engines) {
+      try {
+        const attempt = await runEngine(name)
+        if (countPages(attempt.buffer) !== pageCount) throw new Error('output has a different page count')
+        candidates.push({ engine: attempt.engine, size: attempt.buffer.length })
+        if (!result || attempt.buffer.length < result.buffer.length) result = attempt
+      } catch (err) {
+        if (signal?.aborted) throw err
+        console.log(`[compress] ${name} dropped out: ${err.message}`)
+        candidates.push({ engine: name, error: err.message })
+        firstError ??= err
+      }
+    }
+    if (!result) throw firstError
+  } else {
+    result = await runEngine(engines[0])
+  }
+  let buffer = result.buffer
+  console.log(`[compress] Output: ${buffer.length} bytes (engine: ${result.engine})`)
+
+  // Return original if compression made it larger — unless the output was
+  // asked for in gray or black & white, which the original isn't
+  let pageStrategies = result.pageStrategies ?? null
+  if (buffer.length >= inputBuffer.length && (colorMode === 'color' || lossless)) {
+    buffer = inputBuffer
+    pageStrategies = null
+  }
+  if (encryption && keepEncryption) buffer = asBuffer(encryptPdf(buffer, encryption, password))
+
+  // Target is judged on what is actually returned (after the
+  // return-original guard), not on the best engine attempt.
+  const targetMet = targetBytes ? buffer.length <= targetBytes : null
+  return { buffer, engine: result.engine, originalSize, targetMet, removedPages, candidates, pageStrategies }
+}
+
+/**
+ * Merge PDFs into one and compress it in a single pass (merge mode).
+ * `pdfs` are [{ data: Buffer, name }] in output order; the outline gets one
+ * entry per file, titled with its name without `.pdf`, at its first page.
+ * The sources' own outlines, forms and page labels are not carried over
+ * (see mergePdfs()). Settings are compressPdf()'s, except the per-file ones
+ * — password, keepEncryption and pages — which are refused: a protected PDF
+ * is an OptionsError.
+ *
+ * Returns compressPdf()'s result; originalSize is the PDFs' total size.
+ */
+export async function compressMerged(pdfs, { password, keepEncryption, pages, ...settings } = {}) {
+  if (pdfs.length < 2) throw new OptionsError('Merging needs at least two PDFs.')
+  if (password || keepEncryption || pages) {
+    throw new OptionsError('password, keepEncryption and pages are not available when merging.')
+  }
+  const parts = pdfs.map(({ data, name }) => {
+    try {
+      return unlockPdf(data, null).input
+    } catch (err) {
+      if (err.name !== 'PasswordError') throw err
+      throw new OptionsError(`${name} is password-protected — remove its password before merging.`)
+    }
+  })
+
+  const bookmarks = pdfs.map(({ name }) => name.replace(/\.pdf$/i, ''))
+  const merged = asBuffer(mergePdfs(parts, { bookmarks }))
+  console.log(`[compress] Merged ${pdfs.length} PDFs: ${countPages(merged)} page(s), ${merged.length} bytes`)
+
+  const result = await compressPdf(merged, settings)
+  return { ...result, originalSize: pdfs.reduce((sum, pdf) => sum + pdf.data.length, 0) }
+}
+
+/**
+ * Cut a compressed PDF into consecutive parts of at most `maxBytes` each, at
+ * page boundaries (splitPdf()) — for attachment limits a file can't get
+ * under as a whole. A page that alone is over `maxBytes` is an OptionsError.
+ *
+ * Returns [{ buffer, firstPage, lastPage }] (1-based pages), or null when
+ * `buffer` already fits.
+ */
+export function splitOutput(buffer, maxBytes) {
+  if (!(Number.isInteger(maxBytes) && maxBytes > 0)) throw new OptionsError('splitMaxBytes must be a positive integer.')
+  if (buffer.length <= maxBytes) return null
+  const parts = splitPdf(buffer, maxBytes)
+  const tooBig = parts.find((part) => part.data.length > maxBytes)
+  if (tooBig) {
+    throw new OptionsError(`Page ${tooBig.firstPage} alone is ${tooBig.data.length} bytes — more than splitMaxBytes (${maxBytes}).`)
+  }
+  console.log(`[compress] Split ${buffer.length} bytes into ${parts.length} parts of at most ${maxBytes} bytes`)
+  return parts.map(({ data, firstPage, lastPage }) => ({ buffer: asBuffer(data), firstPage, lastPage }))
+}
+
+/**
+ * Assemble images into one compressed PDF. `images` are [{ data: Buffer,
+ * name }] in page order — the file name picks the IMAGE_TYPES type.
+ * Settings are compressPdf()'s level, colorMode, targetBytes and options,
+ * plus pageSize (PAGE_SIZES key, default 'a4') and orientation
+ * (ORIENTATIONS, default 'auto'); onProgress and signal as there.
+ *
+ * Returns { buffer, engine: 'mupdf-images', originalSize, targetMet } —
+ * originalSize is the images' total size. There is no
+ * return-original guard (the input isn't a PDF); imagesToPdf() keeps an
+ * image as it was when re-encoding would make it bigger.
+ */
+export async function compressImages(images, {
+  level = 'medium',
+  colorMode = 'color',
+  targetBytes = null,
+  options: rawOptions,
+  pageSize = 'a4',
+  orientation = 'auto',
+  onProgress = () => {},
+  signal,
+} = {}) {
+  // ── validate ──────────────────────────────────────────────────────
+  if (!images.length) throw new OptionsError('No images uploaded.')
+  const unsupported = images.find((image) => !imageTypeForName(image.name))
+  if (unsupported) throw new OptionsError(`${unsupported.name} is not a JPEG, PNG or TIFF image.`)
+  if (!Object.keys(LEVEL_CONFIG).includes(level)) {
+    throw new OptionsError(`level must be one of ${Object.keys(LEVEL_CONFIG).join(', ')}.`)
+  }
+  if (!COLOR_MODES.includes(colorMode)) {
+    throw new OptionsError(`colorMode must be one of ${COLOR_MODES.join(', ')}.`)
+  }
+  if (!Object.keys(PAGE_SIZES).includes(pageSize)) {
+    throw new OptionsError(`pageSize must be one of ${Object.keys(PAGE_SIZES).join(', ')}.`)
+  }
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new OptionsError(`orientation must be one of ${ORIENTATIONS.join(', ')}.`)
+  }
+  if (targetBytes !== null && !(Number.isInteger(targetBytes) && targetBytes > 0)) {
+    throw new OptionsError('targetBytes must be a positive integer.')
+  }
+  const { options, error: optionsError } = normalizeOptions(rawOptions)
+  if (optionsError) throw new OptionsError(optionsError)
+  if (options && targetBytes) throw new OptionsError('options cannot be combined with targetBytes.')
+
+  // ── assemble ───────────────────────────────────────────────────────
+  const originalSize = images.reduce((sum, image) => sum + image.data.length, 0)
+  const inputs = images.map((image) => ({ data: image.data, type: imageTypeForName(image.name) }))
+  console.log(`[compress] ${images.length} image(s): ${originalSize} bytes, level: ${level}, page: ${pageSize}/${orientation}` +
+    (colorMode !== 'color' ? `, ${colorMode}` : '') +
+    (targetBytes ? `, target: ${targetBytes} bytes` : '') +
+    (options ? `, options: ${JSON.stringify(options)}` : ''))
+
+  const lossless = LEVEL_CONFIG[level].lossless
+  const run = async (settings) => {
+    signal?.throwIfAborted()
+    const buffer = await imagesToPdf(inputs, { ...settings, colorMode, pageSize, orientation }, onProgress)
+    return { buffer: asBuffer(buffer), engine: 'mupdf-images' }
+  }
+  const result = targetBytes && !lossless
+    ? await compressToTarget(run, level, targetBytes)
+    : await run({ ...LEVEL_CONFIG[level], ...options })
+  console.log(`[compress] Output: ${result.buffer.length} bytes (engine: ${result.engine})`)
+
+  const targetMet = targetBytes ? result.buffer.length <= targetBytes : null
+  return { buffer: result.buffer, engine: result.engine, originalSize, targetMet }
+}
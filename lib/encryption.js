@@ -0,0 +1,92 @@
+/**
+ * Password-protected PDFs — shared by api/ and the browser worker.
+ *
+ * The engines only ever see decrypted bytes: unlockPdf() authenticates with
+ * the user's password and returns an unencrypted copy plus a description of
+ * the original encryption; encryptPdf() puts that encryption back on the
+ * compressed output when the caller asked to keep it.
+ *
+ * PDFs with only an owner password (restrictions, but they open without a
+ * prompt) don't need unlocking and are passed through untouched.
+ */
+
+import * as mupdf from 'mupdf'
+
+// Machine-readable codes for the client (see describeFailure() in
+// api/_lib/http.js and the password prompt in Compressor.jsx).
+export const PASSWORD_REQUIRED  = 'PASSWORD_REQUIRED'
+export const PASSWORD_INCORRECT = 'PASSWORD_INCORRECT'
+
+export class PasswordError extends Error {
+  constructor(code) {
+    super(code === PASSWORD_REQUIRED
+      ? 'This PDF is password-protected. Enter its password to compress it.'
+      : 'Incorrect password for this PDF.')
+    this.name = 'PasswordError'
+    this.code = code
+  }
+}
+
+// MuPDF's authenticatePassword() bit for "this is the owner password"
+const AUTH_OWNER = 4
+
+/** 'Standard V5 R6 256-bit AES' → 'aes-256' (a MuPDF `encrypt=` value). */
+function encryptMethod(description) {
+  const match = /(\d+)-bit (AES|RC4)/i.exec(description || '')
+  if (!match) return 'aes-256'
+  const bits = Number(match[1])
+  return match[2].toUpperCase() === 'AES'
+    ? (bits >= 256 ? 'aes-256' : 'aes-128')
+    : (bits <= 40 ? 'rc4-40' : 'rc4-128')
+}
+
+/**
+ * Open `input` with `password`. Resolves to { input, encryption }:
+ *   - not password-protected → the original bytes, encryption: null
+ *   - protected              → decrypted bytes,
+ *                              encryption: { method, permissions, owner }
+ * Throws PasswordError (PASSWORD_REQUIRED / PASSWORD_INCORRECT) when the
+ * password is missing or wrong.
+ */
+export function unlockPdf(input, password) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf')
+  if (!doc.needsPassword()) return { input, encryption: null }
+  if (!password) throw new PasswordError(PASSWORD_REQUIRED)
+
+  const auth = doc.authenticatePassword(password)
+  if (!auth) throw new PasswordError(PASSWORD_INCORRECT)
+
+  const pdf = doc.asPDF()
+  const encryption = {
+    method:      encryptMethod(doc.getMetaData('encryption')),
+    permissions: pdf.getTrailer().get('Encrypt').get('P').asNumber(),
+    owner:       Boolean(auth & AUTH_OWNER),
+  }
+  return { input: pdf.saveToBuffer('decrypt').asUint8Array().slice(), encryption }
+}
+
+/**
+ * Encrypt `input` the way unlockPdf() found the original: same method and
+ * permissions, opening with `password`. The owner password is `password`
+ * too if that is what the user entered; otherwise it is random, so the
+ * original restrictions stay enforced.
+ */
+export function encryptPdf(input, encryption, password) {
+  // MuPDF's option string can't carry a comma (see PDFDocument.saveToBuffer)
+  if (password.includes(',')) {
+    throw new Error('Passwords containing a comma cannot be re-applied. Turn off "Keep the password" to continue.')
+  }
+  const ownerPassword = encryption.owner
+    ? password
+    : Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('')
+
+  const doc = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  return doc.saveToBuffer({
+    encrypt:          encryption.method,
+    permissions:      encryption.permissions,
+    'user-password':  password,
+    'owner-password': ownerPassword,
+    garbage:          'compact',
+    compress:         true,
+  }).asUint8Array().slice()
+}
@@ -0,0 +1,184 @@
+/**
+ * Ghostscript engine (Node only — spawns the `gs` binary).
+ *
+ * Used by api/compress.js and the job API when `gs` is installed (local dev,
+ * custom Docker); the standard Vercel runtime has no binary and falls back to
+ * the MuPDF engines in ./mupdf-engine.js. Settings come from ./levels.js:
+ * gsSetting picks the PDFSETTINGS preset, dpi the downsampling resolution
+ * and quality the JPEG quality.
+ */
+
+import { readFileSync, unlinkSync, writeFileSync } from 'fs'
+import { execFile, spawn } from 'child_process'
+import { promisify } from 'util'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { randomBytes } from 'crypto'
+
+const execFileAsync = promisify(execFile)
+
+// GS search paths (macOS Homebrew + standard Linux)
+const GS_CANDIDATES = [
+  'gs',
+  '/usr/local/bin/gs',
+  '/usr/bin/gs',
+  '/opt/homebrew/bin/gs',
+  '/opt/local/bin/gs',
+]
+
+let discovery = null
+
+/**
+ * The first working gs as { path, version }, or null. Probed once per
+ * process — the binary doesn't come and go while a function instance (or
+ * the dev server) is alive — so only a cold start pays for the probing.
+ */
+export function discoverGhostscript() {
+  discovery ??= (async () => {
+    for (const candidate of GS_CANDIDATES) {
+      try {
+        const { stdout } = await execFileAsync(candidate, ['--version'], { timeout: 3000 })
+        return { path: candidate, version: stdout.trim() }
+      } catch { /* try next */ }
+    }
+    return null
+  })()
+  return discovery
+}
+
+/** Path of the gs binary, or null when there is none (see discoverGhostscript()). */
+export async function findGhostscript() {
+  return (await discoverGhostscript())?.path ?? null
+}
+
+/**
+ * Run gs, reporting its "Page N" stdout markers as onProgress(page, pageCount)
+ * (pageCount comes from the "Processing pages 1 through N." banner). Aborting
+ * `signal` kills the child.
+ */
+function runGhostscript(gs, args, onProgress, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted()
+    const child = spawn(gs, args, { signal, killSignal: 'SIGKILL' })
+    let pageCount = 0
+    let pending = ''
+    let stderr = ''
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL')
+      reject(new Error(`Ghostscript timeout after ${timeoutMs} ms`))
+    }, timeoutMs)
+
+    child.stdout.setEncoding('utf8')
+    child.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n')
+      pending = lines.pop()
+      for (const line of lines) {
+        const total = line.match(/^Processing pages \d+ through (\d+)\./)
+        const page  = line.match(/^Page (\d+)$/)
+        if (total) pageCount = Number(total[1])
+        // A rejected callback means "cancelled" — the signal kills gs for us
+        else if (page && pageCount) Promise.resolve(onProgress(Number(page[1]), pageCount)).catch(() => {})
+      }
+    })
+    child.stderr.on('data', (chunk) => { stderr += chunk })
+    child.on('error', (err) => { clearTimeout(timer); reject(err) })
+    child.on('close', (code) => {
+      clearTimeout(timer)
+      if (code === 0) resolve()
+      else reject(new Error(`Ghostscript exited with code ${code}: ${stderr.trim()}`))
+    })
+  })
+}
+
+/**
+ * pdfwrite flags for settings.colorMode. Grayscale converts everything —
+ * text and vectors included — to DeviceGray; bw additionally reduces gray
+ * images to 1 bit — pdfwrite only changes depth while downsampling, so
+ * images already at or below the level's dpi stay gray — and writes 1-bit
+ * images as CCITT G4.
+ */
+function colorModeArgs(colorMode = 'color') {
+  if (colorMode === 'color') return []
+  return [
+    '-sColorConversionStrategy=Gray',
+    '-dProcessColorModel=/DeviceGray',
+    ...(colorMode === 'bw' ? [
+      '-dGrayImageDepth=1',
+      '-dEncodeMonoImages=true',
+      '-dMonoImageFilter=/CCITTFaxEncode',
+    ] : []),
+  ]
+}
+
+/**
+ * pdfwrite flags for settings.quality (5–100, as for MuPDF's JPEGs). The
+ * PDFSETTINGS presets fix their own JPEG QFactor, so the quality goes in as
+ * distiller params for the (auto-filtered) colour and gray image dicts,
+ * using libjpeg's quality → scale mapping; -dJPEGQ carries it as well. The
+ * returned list ends with `-c …` PostScript, so `-f <input>` must follow.
+ */
+function qualityArgs(quality) {
+  if (quality === undefined) return []
+  const factor = Math.max(0.01, (quality < 50 ? 5000 / quality : 200 - 2 * quality) / 100).toFixed(2)
+  const dict = `<< /QFactor ${factor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >>`
+  const params = ['ColorACSImageDict', 'GrayACSImageDict', 'ColorImageDict', 'GrayImageDict']
+    .map((name) => `/${name} ${dict}`).join(' ')
+  return [`-dJPEGQ=${quality}`, '-c', `<< ${params} >> setdistillerparams`]
+}
+
+/**
+ * The gs command line for compressWithGhostscript(): `settings` as there,
+ * reading `inPath` and writing `outPath`, optionally limited to pages
+ * `firstPage`–`lastPage` (1-based, inclusive).
+ */
+export function ghostscriptArgs(settings, inPath, outPath, { firstPage, lastPage } = {}) {
+  const { gsSetting, dpi } = settings
+  return [
+    '-sDEVICE=pdfwrite', '-dNOPAUSE', '-dBATCH',
+    `-dPDFSETTINGS=${gsSetting}`,
+    // Explicit resolution knobs so target-ladder rungs between presets
+    // (and the presets themselves) downsample to exactly `dpi`.
+    '-dDownsampleColorImages=true',
+    '-dDownsampleGrayImages=true',
+    '-dDownsampleMonoImages=true',
+    '-dColorImageDownsampleThreshold=1.0',
+    '-dGrayImageDownsampleThreshold=1.0',
+    `-dColorImageResolution=${dpi}`,
+    `-dGrayImageResolution=${dpi}`,
+    `-dMonoImageResolution=${dpi * 2}`,
+    ...colorModeArgs(settings.colorMode),
+    '-dCompatibilityLevel=1.5',
+    ...(firstPage ? [`-dFirstPage=${firstPage}`] : []),
+    ...(lastPage  ? [`-dLastPage=${lastPage}`]   : []),
+    `-sOutputFile=${outPath}`,
+    ...qualityArgs(settings.quality),
+    '-f', inPath,
+  ]
+}
+
+/**
+ * Ghostscript compression — re-encodes images via native binary.
+ * Only runs when gs is available (local dev / custom Docker).
+ *
+ * `firstPage` / `lastPage` (1-based, inclusive) limit the output to a page
+ * range — used by the job API to split large files across invocations.
+ */
+export async function compressWithGhostscript(gs, inputBuffer, settings, {
+  onProgress = () => {},
+  signal,
+  firstPage,
+  lastPage,
+} = {}) {
+  const id      = randomBytes(8).toString('hex')
+  const inPath  = join(tmpdir(), `pdfcomp-in-${id}.pdf`)
+  const outPath = join(tmpdir(), `pdfcomp-out-${id}.pdf`)
+  try {
+    writeFileSync(inPath, inputBuffer)
+    // No -dQUIET: the per-page stdout markers are the progress feed
+    await runGhostscript(gs, ghostscriptArgs(settings, inPath, outPath, { firstPage, lastPage }), onProgress, 55_000, signal)
+    return readFileSync(outPath)
+  } finally {
+    try { unlinkSync(inPath)  } catch (_) {}
+    try { unlinkSync(outPath) } catch (_) {}
+  }
+}
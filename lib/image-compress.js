@@ -0,0 +1,217 @@
+/**
+ * Standalone image compression — JPEG, PNG and WebP re-encoded in their own
+ * format (POST /api/compress-image). Server only: it runs sharp (libvips),
+ * since MuPDF can neither read nor write WebP.
+ *
+ * Levels follow LEVEL_CONFIG, so a level means the same for a photo as for
+ * a PDF:
+ *   lossless             pixels untouched — metadata stripped from the file
+ *                        as it is; PNGs are also recompressed at zlib's
+ *                        maximum, if that comes out smaller
+ *   low / medium / high  JPEG and WebP re-encoded at the level's quality
+ *                        (85 / 60 / 35, mozjpeg for JPEG); PNG quantized to
+ *                        a palette of up to 256 colours at that quality
+ * `maxDimension` (px) scales the long edge down to it — never up; the
+ * lossless level can't resize. Lossy output is upright: an EXIF
+ * orientation is applied to the pixels.
+ *
+ * `stripMetadata` (default true) removes EXIF (camera, GPS position, time),
+ * XMP, IPTC and PNG text chunks. The ICC profile stays, so colours don't
+ * shift, and so does an EXIF orientation on pixels that weren't rotated. Without it, the metadata is carried over as it was.
+ *
+ * Same guard as for PDFs: an image that doesn't get smaller is returned as
+ * it was (metadata still stripped), unless it was resized.
+ */
+
+import { crc32 } from 'zlib'
+import sharp from 'sharp'
+import { LEVEL_CONFIG } from './levels.js'
+import { OptionsError } from './compress.js'
+
+// sharp's format names → MIME types
+const FORMAT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }
+
+export const MAX_DIMENSION_LIMITS = { min: 16, max: 16384 }
+
+// JPEG segments dropped by stripMetadata: APP1 (EXIF, XMP), APP3–APP13
+// (IPTC / Photoshop and vendor data), APP15 and comments. APP0 (JFIF), APP2
+// (ICC profile) and APP14 (Adobe colour transform) are needed to decode.
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xeb, 0xec, 0xed, 0xef, 0xfe])
+const PNG_METADATA_CHUNKS   = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'])
+const WEBP_METADATA_CHUNKS  = new Set(['EXIF', 'XMP '])
+
+/** A big-endian TIFF block (EXIF data) holding nothing but the orientation tag. */
+function exifOrientation(orientation) {
+  const exif = Buffer.alloc(26)
+  exif.write('MM\0*', 0, 'latin1')
+  exif.writeUInt32BE(8, 4)            // IFD0 offset
+  exif.writeUInt16BE(1, 8)            // one entry
+  exif.writeUInt16BE(0x0112, 10)      // Orientation, SHORT, count 1
+  exif.writeUInt16BE(3, 12)
+  exif.writeUInt32BE(1, 14)
+  exif.writeUInt16BE(orientation, 18)
+  return exif                         // next-IFD offset: 0
+}
+
+/** An EXIF APP1 segment holding nothing but the orientation tag. */
+function orientationSegment(orientation) {
+  const header = Buffer.alloc(10)
+  header.writeUInt16BE(0xffe1, 0)
+  header.writeUInt16BE(34, 2)
+  header.write('Exif\0\0', 4, 'latin1')
+  return Buffer.concat([header, exifOrientation(orientation)])
+}
+
+/**
+ * Drop JPEG metadata segments without touching the compressed data. A
+ * rotated photo keeps a bare EXIF orientation, or it would show sideways.
+ */
+function stripJpeg(input, orientation) {
+  const segments = []
+  let pos = 2
+  while (pos + 4 <= input.length && input[pos] === 0xff) {
+    const marker = input[pos + 1]
+    if (marker === 0xda) break                  // start of scan: the rest is image data
+    const end = pos + 2 + input.readUInt16BE(pos + 2)
+    if (!JPEG_METADATA_MARKERS.has(marker)) segments.push(input.subarray(pos, end))
+    pos = end
+  }
+  if (orientation > 1) {
+    // After the JFIF header, which has to come first
+    const afterJfif = segments[0]?.[1] === 0xe0 ? 1 : 0
+    segments.splice(afterJfif, 0, orientationSegment(orientation))
+  }
+  return Buffer.concat([input.subarray(0, 2), ...segments, input.subarray(pos)])
+}
+
+/** Drop PNG metadata chunks; a rotated image keeps an eXIf with just its orientation. */
+function stripPng(input, orientation) {
+  const parts = [input.subarray(0, 8)]
+  let pos = 8
+  while (pos + 12 <= input.length) {
+    const type = input.toString('latin1', pos + 4, pos + 8)
+    const end = pos + 12 + input.readUInt32BE(pos)
+    if (!PNG_METADATA_CHUNKS.has(type)) parts.push(input.subarray(pos, end))
+    if (type === 'IHDR' && orientation > 1) {
+      // eXIf has to come before the image data
+      const chunk = Buffer.concat([Buffer.from('eXIf', 'latin1'), exifOrientation(orientation)])
+      const length = Buffer.alloc(4)
+      const crc = Buffer.alloc(4)
+      length.writeUInt32BE(chunk.length - 4)
+      crc.writeUInt32BE(crc32(chunk))
+      parts.push(length, chunk, crc)
+    }
+    pos = end
+  }
+  return Buffer.concat(parts)
+}
+
+/** Drop WebP metadata chunks; a rotated image keeps an EXIF with just its orientation. */
+function stripWebp(input, orientation) {
+  const parts = [Buffer.from(input.subarray(0, 12))]
+  let pos = 12
+  while (pos + 8 <= input.length) {
+    const fourcc = input.toString('latin1', pos, pos + 4)
+    const end = pos + 8 + input.readUInt32LE(pos + 4) + (input.readUInt32LE(pos + 4) & 1)
+    if (fourcc === 'VP8X') {
+      const chunk = Buffer.from(input.subarray(pos, end))
+      chunk[8] &= ~(0x08 | 0x04)               // EXIF and XMP flags
+      if (orientation > 1) chunk[8] |= 0x08
+      parts.push(chunk)
+    } else if (!WEBP_METADATA_CHUNKS.has(fourcc)) {
+      parts.push(input.subarray(pos, end))
+    }
+    pos = end
+  }
+  // Only an extended (VP8X) file can have an orientation; EXIF goes after
+  // the image data
+  if (orientation > 1) {
+    const header = Buffer.from('EXIF\0\0\0\0', 'latin1')
+    const exif = exifOrientation(orientation)
+    header.writeUInt32LE(exif.length, 4)
+    parts.push(header, exif)
+  }
+  const output = Buffer.concat(parts)
+  output.writeUInt32LE(output.length - 8, 4)   // RIFF size
+  return output
+}
+
+/** `input` without its metadata, byte for byte otherwise (see the header). */
+export function stripImageMetadata(input, format, orientation = 1) {
+  if (format === 'jpeg') return stripJpeg(input, orientation)
+  if (format === 'png') return stripPng(input, orientation)
+  if (format === 'webp') return stripWebp(input, orientation)
+  return input
+}
+
+/**
+ * Compress one image (a Buffer). The format comes from the file's content,
+ * not its name; anything but JPEG, PNG or WebP is an OptionsError, as are
+ * bad settings.
+ *
+ * Returns { buffer, type, engine, originalSize, width, height,
+ * originalWidth, originalHeight } — type is the MIME type (the input's),
+ * engine 'sharp' when the image was re-encoded and 'lossless' when its
+ * pixels were left alone; dimensions are upright.
+ */
+export async function compressImage(input, { level = 'medium', maxDimension = null, stripMetadata = true } = {}) {
+  // ── validate ──────────────────────────────────────────────────────
+  if (!Object.keys(LEVEL_CONFIG).includes(level)) {
+    throw new OptionsError(`level must be one of ${Object.keys(LEVEL_CONFIG).join(', ')}.`)
+  }
+  if (maxDimension !== null) {
+    const { min, max } = MAX_DIMENSION_LIMITS
+    if (!(Number.isInteger(maxDimension) && maxDimension >= min && maxDimension <= max)) {
+      throw new OptionsError(`maxDimension must be a whole number of pixels from ${min} to ${max}.`)
+    }
+    if (LEVEL_CONFIG[level].lossless) throw new OptionsError('The lossless level cannot resize images.')
+  }
+
+  let meta
+  try {
+    meta = await sharp(input).metadata()
+  } catch {
+    meta = {}
+  }
+  const type = FORMAT_TYPES[meta.format]
+  if (!type) {
+    throw new OptionsError('Only JPEG, PNG and WebP images are accepted.')
+  }
+  const orientation = meta.orientation ?? 1
+  const [originalWidth, originalHeight] = orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height]
+  const original = {
+    buffer: stripMetadata ? stripImageMetadata(input, meta.format, orientation) : input,
+    width: originalWidth,
+    height: originalHeight,
+    engine: 'lossless',
+  }
+  const result = (out) => ({ ...out, type, originalSize: input.length, originalWidth, originalHeight })
+
+  // ── lossless: the file's own pixels ────────────────────────────────
+  if (LEVEL_CONFIG[level].lossless) {
+    if (meta.format === 'png') {
+      const pipeline = sharp(input).png({ compressionLevel: 9, adaptiveFiltering: true, palette: meta.paletteBitDepth !== undefined })
+      const buffer = stripMetadata
+        ? stripPng(await pipeline.keepIccProfile().toBuffer(), orientation)
+        : await pipeline.keepMetadata().toBuffer()
+      if (buffer.length < original.buffer.length) return result({ ...original, buffer })
+    }
+    return result(original)
+  }
+
+  // ── re-encode at the level's quality ───────────────────────────────
+  const { quality } = LEVEL_CONFIG[level]
+  let pipeline = sharp(input).rotate()
+  if (maxDimension) {
+    pipeline = pipeline.resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+  }
+  pipeline = stripMetadata ? pipeline.keepIccProfile() : pipeline.keepMetadata()
+  pipeline = meta.format === 'jpeg' ? pipeline.jpeg({ quality, mozjpeg: true })
+    : meta.format === 'png' ? pipeline.png({ palette: true, quality, compressionLevel: 9 })
+    : pipeline.webp({ quality })
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true })
+
+  const resized = info.width !== originalWidth || info.height !== originalHeight
+  if (!resized && data.length >= original.buffer.length) return result(original)
+  return result({ buffer: data, width: info.width, height: info.height, engine: 'sharp' })
+}
@@ -0,0 +1,42 @@
+/**
+ * Image uploads: the accepted types and the page options of the images → PDF
+ * path (./images-to-pdf.js), and the types of standalone image compression
+ * (./image-compress.js).
+ *
+ * Kept apart from ./images-to-pdf.js so the web app can check file types
+ * without loading MuPDF — keep this file free of imports.
+ */
+
+// Accepted image types and their file extensions (react-dropzone's `accept`
+// format, so the web app can use it as is)
+export const IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png':  ['.png'],
+  'image/tiff': ['.tif', '.tiff'],
+}
+
+// Types POST /api/compress-image re-encodes, each in its own format. WebP
+// can't go into a PDF — MuPDF doesn't read it.
+export const COMPRESSIBLE_IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png':  ['.png'],
+  'image/webp': ['.webp'],
+}
+
+// Page sizes in points, portrait. 'fit' gives every page its image's aspect
+// ratio, with the long edge as long as A4's.
+export const PAGE_SIZES = {
+  a4:     [595.28, 841.89],
+  letter: [612, 792],
+  fit:    null,
+}
+
+// 'auto' turns a4 / letter pages landscape for landscape images; 'fit'
+// pages always follow the image.
+export const ORIENTATIONS = ['auto', 'portrait', 'landscape']
+
+/** The MIME type for a file name among `types` (default IMAGE_TYPES), or null. */
+export function imageTypeForName(name, types = IMAGE_TYPES) {
+  const ext = /\.[^.]+$/.exec(name || '')?.[0].toLowerCase()
+  return Object.keys(types).find((type) => types[type].includes(ext)) ?? null
+}
@@ -0,0 +1,158 @@
+/**
+ * Images → PDF: JPEG, PNG and TIFF files (multi-page TIFF included)
+ * assembled into one PDF, one image per page, downscaled and re-encoded
+ * with the LEVEL_CONFIG quality levels.
+ *
+ * Shared by the server (compressImages() in ./compress.js) and the
+ * in-browser worker (src/workers/compress.worker.js) — keep this file free
+ * of Node-only and browser-only APIs. Inputs and outputs are Uint8Arrays.
+ */
+
+import * as mupdf from 'mupdf'
+import { BW_RESOLUTION_FACTOR, encodeBilevel, setBilevelImageDict } from './mupdf-engine.js'
+import { PAGE_SIZES } from './image-types.js'
+
+/** Page width and height (points) for an image of `width` × `height`. */
+function pageSizeFor(width, height, pageSize, orientation) {
+  if (!PAGE_SIZES[pageSize]) {
+    const long = PAGE_SIZES.a4[1]
+    return width >= height ? [long, long * height / width] : [long * width / height, long]
+  }
+  const [w, h] = PAGE_SIZES[pageSize]
+  const landscape = orientation === 'landscape' || (orientation === 'auto' && width > height)
+  return landscape ? [h, w] : [w, h]
+}
+
+/**
+ * The image drawn on an image-document page: the Image, and the matrix
+ * MuPDF places it with (it includes any EXIF / TIFF orientation).
+ */
+function pageImage(page) {
+  let found = null
+  const device = new mupdf.Device({
+    fillImage(image, ctm) {
+      found ??= { image, ctm }
+    },
+  })
+  page.run(device, mupdf.Matrix.identity)
+  device.close()
+  return found
+}
+
+/**
+ * Content stream matrix that draws an image (PDF unit square, row 0 at the
+ * top) the way `ctm` draws it in MuPDF's y-down page space, scaled by
+ * `scale`, moved by `offsetX`/`offsetY` and flipped onto a PDF page of
+ * height `pageHeight`.
+ */
+function placementMatrix(ctm, scale, offsetX, offsetY, pageHeight) {
+  const flipImage = [1, 0, 0, -1, 0, 1]
+  const place     = [scale, 0, 0, scale, offsetX, offsetY]
+  const flipPage  = [1, 0, 0, -1, 0, pageHeight]
+  return mupdf.Matrix.concat(mupdf.Matrix.concat(mupdf.Matrix.concat(flipImage, ctm), place), flipPage)
+}
+
+/**
+ * Render an image-document page at `scale` and add it to `doc` as a JPEG
+ * at `quality` (CCITT G4 or 1-bit Flate in 'bw' mode, grayscale JPEG in 'grayscale').
+ * Transparency is flattened onto white.
+ */
+function addRenderedImage(doc, page, scale, { quality, colorMode = 'color' }) {
+  const colorspace = colorMode === 'color' ? mupdf.ColorSpace.DeviceRGB : mupdf.ColorSpace.DeviceGray
+  const pix    = page.toPixmap(mupdf.Matrix.scale(scale, scale), colorspace, false)
+  const width  = pix.getWidth()
+  const height = pix.getHeight()
+  const { bytes, filter } = colorMode === 'bw'
+    ? encodeBilevel(pix)
+    : { bytes: pix.asJPEG(quality, false), filter: 'DCTDecode' }
+  pix.destroy && pix.destroy()
+
+  const dict = doc.newDictionary()
+  dict.put('Type',    doc.newName('XObject'))
+  dict.put('Subtype', doc.newName('Image'))
+  if (colorMode === 'bw') {
+    setBilevelImageDict(doc, dict, width, height, filter)
+  } else {
+    dict.put('Width',            doc.newInteger(width))
+    dict.put('Height',           doc.newInteger(height))
+    dict.put('ColorSpace',       doc.newName(colorMode === 'color' ? 'DeviceRGB' : 'DeviceGray'))
+    dict.put('BitsPerComponent', doc.newInteger(8))
+    dict.put('Filter',           doc.newName('DCTDecode'))
+  }
+  return doc.addRawStream(bytes, dict)
+}
+
+/**
+ * Assemble `images` — [{ data: Uint8Array, type }], type from IMAGE_TYPES (./image-types.js) —
+ * into one PDF, in order; every page of a multi-page TIFF becomes a page.
+ *
+ * Settings are a LEVEL_CONFIG entry (or target-ladder rung) plus:
+ *   colorMode   COLOR_MODES, as for the PDF engines (default 'color')
+ *   pageSize    PAGE_SIZES key (default 'a4')
+ *   orientation ORIENTATIONS entry (default 'auto')
+ * Each image is fitted into its page, centred, without margins. It is
+ * rendered at the level's `dpi` for the size it is placed at — never above
+ * its own resolution — and re-encoded at the level's `quality`, unless the
+ * original image is smaller than that ('color' only). The lossless level
+ * embeds the images as they are (JPEGs are copied, PNG and TIFF pixels
+ * flated) and ignores colorMode.
+ *
+ * `onProgress(page, pageCount)` is awaited after every output page.
+ */
+export async function imagesToPdf(images, settings, onProgress = () => {}) {
+  const { lossless = false, dpi, pageSize = 'a4', orientation = 'auto', colorMode = 'color' } = settings
+  const sources = images.map(({ data, type }) => mupdf.Document.openDocument(data, type))
+  const pageCount = sources.reduce((n, src) => n + src.countPages(), 0)
+  const doc = new mupdf.PDFDocument()
+
+  let done = 0
+  for (const src of sources) {
+    for (let i = 0; i < src.countPages(); i++) {
+      const page = src.loadPage(i)
+      const [bx0, by0, bx1, by1] = page.getBounds()
+      const boundsW = bx1 - bx0
+      const boundsH = by1 - by0
+      const [pageW, pageH] = pageSizeFor(boundsW, boundsH, pageSize, orientation)
+      const fit = Math.min(pageW / boundsW, pageH / boundsH)
+      const offsetX = (pageW - boundsW * fit) / 2 - bx0 * fit
+      const offsetY = (pageH - boundsH * fit) / 2 - by0 * fit
+
+      let imageObj
+      let ctm
+      const found = pageImage(page)
+      if (lossless && found) {
+        imageObj = doc.addImage(found.image)
+        ctm = found.ctm
+      } else {
+        // Pixels per page-space point: the level's dpi at the placed size,
+        // capped at the image's own resolution
+        const native = found ? Math.sqrt(found.image.getWidth() * found.image.getHeight() / (boundsW * boundsH)) : 1
+        const targetDpi = colorMode === 'bw' ? dpi * BW_RESOLUTION_FACTOR : dpi
+        const scale = Math.min(native, fit * (targetDpi || 72) / 72)
+        imageObj = addRenderedImage(doc, page, scale, settings)
+        ctm = [boundsW, 0, 0, boundsH, bx0, by0]
+        // Like the PDF engines' return-original guard: an image that was
+        // already small comes out bigger re-encoded — keep it as it was
+        if (found && colorMode === 'color') {
+          const original = doc.addImage(found.image)
+          if (original.readRawStream().getLength() <= imageObj.readRawStream().getLength()) {
+            imageObj = original
+            ctm = found.ctm
+          }
+        }
+      }
+
+      const resources = doc.newDictionary()
+      const xobjects  = doc.newDictionary()
+      xobjects.put('Im0', imageObj)
+      resources.put('XObject', xobjects)
+      const m = placementMatrix(ctm, fit, offsetX, offsetY, pageH)
+      const contents = `q ${m.map((n) => +n.toFixed(4)).join(' ')} cm /Im0 Do Q`
+      doc.insertPage(-1, doc.addPage([0, 0, pageW, pageH], 0, resources, contents))
+      await onProgress(++done, pageCount)
+    }
+  }
+
+  const buf = doc.saveToBuffer('compress,garbage=compact')
+  return buf.asUint8Array().slice()   // copy out of the WASM heap
+}
@@ -0,0 +1,228 @@
+/**
+ * Job stores for the asynchronous job API (lib/jobs.js, api/jobs.js).
+ *
+ * A store keeps one JSON record per job plus named binary blobs (the input,
+ * per-chunk parts, the merged result). Every method is async:
+ *
+ *   create(job)              → job            job.id must be set
+ *   get(id)                  → job | null
+ *   update(id, patch)        → job            shallow merge; throws if missing
+ *   putData(id, name, bytes) → void           bytes: Uint8Array
+ *   getData(id, name)        → Uint8Array | null
+ *   delete(id)               → void           record and all data
+ *   list()                   → [{ id, updatedAt }]  every job, for sweepJobs()
+ *                                            (updatedAt: ms, last write)
+ *
+ * Implementations:
+ *   createMemoryJobStore()     single process only — tests, `JOB_STORE=memory`
+ *   createFileJobStore(dir)    one directory per job — server.dev.js default
+ *   createBlobJobStore()       Vercel Blob — production (needs BLOB_READ_WRITE_TOKEN)
+ *
+ * getJobStore() returns the store set with setJobStore(), otherwise Blob when
+ * a token is configured and memory when not.
+ */
+
+import { mkdir, readFile, readdir, stat, writeFile, rm } from 'fs/promises'
+import { join } from 'path'
+import { put, head, list, del, BlobNotFoundError } from '@vercel/blob'
+
+// Job ids are 32 hex chars (see lib/jobs.js). Checked here too because the
+// file store turns ids into paths.
+const JOB_ID_PATTERN = /^[a-f0-9]{32}$/
+
+function assertJobId(id) {
+  if (!JOB_ID_PATTERN.test(id)) throw new Error(`Invalid job id: ${id}`)
+}
+
+export function createMemoryJobStore() {
+  const jobs = new Map()   // id → { job, data: Map<name, Uint8Array> }
+
+  return {
+    async create(job) {
+      jobs.set(job.id, { job: { ...job }, data: new Map() })
+      return { ...job }
+    },
+    async get(id) {
+      const entry = jobs.get(id)
+      return entry ? { ...entry.job } : null
+    },
+    async update(id, patch) {
+      const entry = jobs.get(id)
+      if (!entry) throw new Error(`Job not found: ${id}`)
+      entry.job = { ...entry.job, ...patch }
+      return { ...entry.job }
+    },
+    async putData(id, name, bytes) {
+      const entry = jobs.get(id)
+      if (!entry) throw new Error(`Job not found: ${id}`)
+      entry.data.set(name, bytes)
+    },
+    async getData(id, name) {
+      return jobs.get(id)?.data.get(name) ?? null
+    },
+    async delete(id) {
+      jobs.delete(id)
+    },
+    async list() {
+      return [...jobs.values()].map(({ job }) => ({ id: job.id, updatedAt: job.updatedAt }))
+    },
+  }
+}
+
+export function createFileJobStore(dir) {
+  const jobDir  = (id) => { assertJobId(id); return join(dir, id) }
+  const jobFile = (id) => join(jobDir(id), 'job.json')
+  const dataFile = (id, name) => join(jobDir(id), `${name.replace(/[^\w-]/g, '_')}.bin`)
+
+  const readJob = async (id) => {
+    try {
+      return JSON.parse(await readFile(jobFile(id), 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  return {
+    async create(job) {
+      await mkdir(jobDir(job.id), { recursive: true })
+      await writeFile(jobFile(job.id), JSON.stringify(job))
+      return job
+    },
+    get: readJob,
+    async update(id, patch) {
+      const job = await readJob(id)
+      if (!job) throw new Error(`Job not found: ${id}`)
+      const next = { ...job, ...patch }
+      await writeFile(jobFile(id), JSON.stringify(next))
+      return next
+    },
+    async putData(id, name, bytes) {
+      if (!(await readJob(id))) throw new Error(`Job not found: ${id}`)
+      await writeFile(dataFile(id, name), bytes)
+    },
+    async getData(id, name) {
+      try {
+        return new Uint8Array(await readFile(dataFile(id, name)))
+      } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+      }
+    },
+    async delete(id) {
+      await rm(jobDir(id), { recursive: true, force: true })
+    },
+    async list() {
+      let names
+      try {
+        names = await readdir(dir)
+      } catch (err) {
+        if (err.code === 'ENOENT') return []
+        throw err
+      }
+      const jobs = []
+      for (const id of names.filter((name) => JOB_ID_PATTERN.test(name))) {
+        try {
+          jobs.push({ id, updatedAt: (await stat(jobFile(id))).mtimeMs })
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err
+        }
+      }
+      return jobs
+    },
+  }
+}
+
+/**
+ * Vercel Blob store: `jobs/<id>/job.json` and `jobs/<id>/<name>`.
+ *
+ * Blobs are overwritten in place, and the CDN caches a URL for at least a
+ * minute (see "Vercel Blob Quirks" in ARCHITECTURE.md). Reads therefore go
+ * through head() — an API call, never cached — and fetch the URL with the
+ * upload timestamp as a cache-busting query.
+ */
+export function createBlobJobStore() {
+  const pathFor = (id, name) => { assertJobId(id); return `jobs/${id}/${name}` }
+  const writeOptions = {
+    access: 'public',
+    addRandomSuffix: false,
+    allowOverwrite: true,
+    cacheControlMaxAge: 60,
+  }
+
+  const read = async (pathname) => {
+    let meta
+    try {
+      meta = await head(pathname)
+    } catch (err) {
+      if (err instanceof BlobNotFoundError) return null
+      throw err
+    }
+    const res = await fetch(`${meta.url}?v=${new Date(meta.uploadedAt).getTime()}`)
+    if (!res.ok) throw new Error(`Job store read failed: HTTP ${res.status} for ${pathname}`)
+    return new Uint8Array(await res.arrayBuffer())
+  }
+  const readJob = async (id) => {
+    const bytes = await read(pathFor(id, 'job.json'))
+    return bytes ? JSON.parse(new TextDecoder().decode(bytes)) : null
+  }
+  const writeJob = (job) => put(pathFor(job.id, 'job.json'), JSON.stringify(job), {
+    ...writeOptions,
+    contentType: 'application/json',
+  })
+
+  return {
+    async create(job) {
+      await writeJob(job)
+      return job
+    },
+    get: readJob,
+    async update(id, patch) {
+      const job = await readJob(id)
+      if (!job) throw new Error(`Job not found: ${id}`)
+      const next = { ...job, ...patch }
+      await writeJob(next)
+      return next
+    },
+    async putData(id, name, bytes) {
+      await put(pathFor(id, name), Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength), {
+        ...writeOptions,
+        contentType: 'application/octet-stream',
+      })
+    },
+    getData: (id, name) => read(pathFor(id, name)),
+    async delete(id) {
+      const { blobs } = await list({ prefix: pathFor(id, '') })
+      if (blobs.length) await del(blobs.map((blob) => blob.url))
+    },
+    async list() {
+      const jobs = []
+      let cursor
+      do {
+        const page = await list({ prefix: 'jobs/', cursor })
+        for (const blob of page.blobs) {
+          const [, id, name] = blob.pathname.split('/')
+          if (name === 'job.json' && JOB_ID_PATTERN.test(id)) {
+            jobs.push({ id, updatedAt: new Date(blob.uploadedAt).getTime() })
+          }
+        }
+        cursor = page.hasMore ? page.cursor : undefined
+      } while (cursor)
+      return jobs
+    },
+  }
+}
+
+let currentStore = null
+
+/** Use `store` for every job from now on (server.dev.js picks a file store). */
+export function setJobStore(store) {
+  currentStore = store
+}
+
+export function getJobStore() {
+  if (!currentStore) {
+    currentStore = process.env.BLOB_READ_WRITE_TOKEN ? createBlobJobStore() : createMemoryJobStore()
+  }
+  return currentStore
+}
@@ -0,0 +1,253 @@
+/**
+ * Asynchronous compression jobs — for files too large to finish inside one
+ * 60 s function invocation (api/jobs.js exposes this over HTTP).
+ *
+ * A job splits the document into page ranges ("chunks") of JOB_CHUNK_PAGES.
+ * Each runJobStep() call does one unit of work and returns:
+ *   - compress the next pending chunk → part-<n> in the store, or
+ *   - once every chunk is done, merge the parts → `result`
+ * so no single invocation touches more than one chunk. Serverless functions
+ * can't keep working after they respond, so the caller drives the job by
+ * calling step until the status is `done` (the web app does this while it
+ * polls; see compressFileAsJob() in src/hooks/useCompress.js).
+ *
+ * Job states: queued → running → done | error
+ *
+ * A chunk whose step died mid-way (timeout, crash) stays `running`; after
+ * CHUNK_LEASE_MS any step may claim it again. Steps for the same job should
+ * run one at a time — the stores have no compare-and-swap, so concurrent
+ * steps can both do the same chunk (harmless, just wasted work).
+ *
+ * Jobs are deleted by the client once it has the result; sweepJobs() removes
+ * the ones it never came back for, JOB_TTL_MS after their last update.
+ *
+ * Target-size mode is not supported for jobs: the size budget would have to
+ * be split across chunks before their sizes are known.
+ *
+ * Password-protected PDFs are not taken: the steps would need the decrypted
+ * pages, and the job store (public Vercel Blob in production) would then
+ * hold, between requests, exactly what the password protects. api/jobs.js
+ * refuses them and the web app sends them to /api/compress instead.
+ */
+
+import { randomBytes } from 'crypto'
+import { LEVEL_CONFIG } from './levels.js'
+import {
+  compressWithMuPDFEngines,
+  optimizeLossless,
+  extractPages,
+  mergeIntoSource,
+  countPages,
+} from './mupdf-engine.js'
+import { compressWithGhostscript } from './ghostscript.js'
+
+// Pages per chunk — a chunk of a large scanned document at Low must still
+// finish well within one invocation.
+export const JOB_CHUNK_PAGES = 10
+
+// A `running` chunk older than this is assumed abandoned.
+export const CHUNK_LEASE_MS = 90_000
+
+// A job not updated for this long is abandoned — a running job is updated
+// at least once per step.
+export const JOB_TTL_MS = 60 * 60_000
+
+/** Split 1..pageCount into inclusive { from, to } ranges of at most `size` pages. */
+export function planChunks(pageCount, size = JOB_CHUNK_PAGES) {
+  const chunks = []
+  for (let from = 1; from <= pageCount; from += size) {
+    chunks.push({ from, to: Math.min(pageCount, from + size - 1), status: 'pending' })
+  }
+  return chunks
+}
+
+/**
+ * Register a new job. `input` is the PDF (Uint8Array) — needed here to count
+ * pages. Pass `inputUrl` when the input already lives in Vercel Blob so steps
+ * re-fetch it from there instead of storing a second copy; pass the uploaded
+ * `originalSize` when `input` is a page selection of it. Never a
+ * password-protected PDF (see the header). `options` are custom settings
+ * already checked by normalizeOptions();
+ * `engine` ('auto' | 'ghostscript' | 'mupdf') is recorded for the steps,
+ * which pass the matching `gs` to runJobStep();
+ * `keepFormFields` and `textLayer` are passed on to the raster path.
+ * `removedPages` (blank pages already dropped from `input`, see
+ * dropBlankPages()) is only reported back.
+ */
+export async function createJob(store, {
+  input, inputUrl = null, filename, level, colorMode = 'color', options = null, engine = 'auto', keepFormFields = false, textLayer = false, removedPages = null,
+  originalSize = input.length,
+}) {
+  const pageCount = countPages(input)
+  const lossless  = Boolean(LEVEL_CONFIG[level].lossless)
+  const now = Date.now()
+  const job = {
+    id: randomBytes(16).toString('hex'),
+    status: 'queued',
+    level,
+    colorMode,
+    options,
+    engine,
+    keepFormFields,
+    textLayer,
+    removedPages,
+    filename,
+    originalSize,
+    pageCount,
+    inputUrl,
+    // Lossless only rewrites the file structure — one pass over the whole
+    // file, nothing to split.
+    chunks: lossless ? [{ from: 1, to: pageCount, status: 'pending' }] : planChunks(pageCount),
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  }
+  await store.create(job)
+  if (!inputUrl) await store.putData(job.id, 'input', input)
+  return job
+}
+
+/** The client-facing view of a job (GET /api/jobs/:id). */
+export function publicJob(job) {
+  const done = job.chunks.filter((chunk) => chunk.status === 'done')
+  return {
+    id:           job.id,
+    status:       job.status,
+    level:        job.level,
+    colorMode:    job.colorMode,
+    options:      job.options ?? null,
+    engine:       job.engine ?? 'auto',
+    filename:     job.filename,
+    originalSize: job.originalSize,
+    pageCount:    job.pageCount,
+    removedPages: job.removedPages ?? null,
+    pagesDone:    done.reduce((sum, chunk) => sum + chunk.to - chunk.from + 1, 0),
+    chunkCount:   job.chunks.length,
+    chunksDone:   done.length,
+    result:       job.result,
+    error:        job.error,
+  }
+}
+
+/** Compress one chunk of `input`. Resolves to { buffer, engine }. */
+async function compressChunk(job, input, chunk, { gs, signal, onProgress }) {
+  const settings = {
+    ...LEVEL_CONFIG[job.level],
+    ...job.options,
+    colorMode:      job.colorMode,
+    keepFormFields: Boolean(job.keepFormFields),
+    textLayer:      Boolean(job.textLayer),
+  }
+  const whole = chunk.from === 1 && chunk.to === job.pageCount
+
+  if (settings.lossless) {
+    return { buffer: optimizeLossless(input), engine: 'mupdf-lossless' }
+  }
+  if (gs) {
+    const buffer = await compressWithGhostscript(gs, input, settings, {
+      onProgress,
+      signal,
+      ...(whole ? {} : { firstPage: chunk.from, lastPage: chunk.to }),
+    })
+    return { buffer: new Uint8Array(buffer), engine: 'ghostscript' }
+  }
+  // A single chunk keeps the original document (outline, forms, …) intact
+  const source = whole ? input : extractPages(input, chunk.from, chunk.to)
+  return compressWithMuPDFEngines(source, settings, onProgress)
+}
+
+/**
+ * Merge every part into `result`, back into `input` so its outline, page
+ * labels and named destinations span the chunks (mergeIntoSource()); never
+ * larger than the original, except in grayscale / bw.
+ */
+async function finishJob(store, job, input) {
+  const parts = []
+  for (let i = 0; i < job.chunks.length; i++) {
+    const part = await store.getData(job.id, `part-${i}`)
+    if (!part) throw new Error(`Missing output for pages ${job.chunks[i].from}–${job.chunks[i].to}`)
+    parts.push(part)
+  }
+
+  let output = parts[0]
+  if (parts.length > 1) output = mergeIntoSource(input, parts)
+  if (output.length >= input.length && (job.colorMode === 'color' || LEVEL_CONFIG[job.level].lossless)) output = input
+
+  await store.putData(job.id, 'result', output)
+  const engines = [...new Set(job.chunks.map((chunk) => chunk.engine))]
+  return store.update(job.id, {
+    status: 'done',
+    result: { compressedSize: output.length, engine: engines.join('+') },
+    updatedAt: Date.now(),
+  })
+}
+
+/**
+ * Do the next unit of work on job `id` (see the header). `loadInput(job)`
+ * returns the original PDF as a Uint8Array. Resolves to the updated job, or
+ * null if it doesn't exist. Aborting `signal` puts the chunk back as pending
+ * and rejects; any other failure marks the job as `error`.
+ */
+export async function runJobStep(store, id, { loadInput, gs = null, signal, onProgress } = {}) {
+  let job = await store.get(id)
+  if (!job || job.status === 'done' || job.status === 'error') return job
+
+  const now = Date.now()
+  const index = job.chunks.findIndex((chunk) =>
+    chunk.status === 'pending' || (chunk.status === 'running' && now - chunk.claimedAt > CHUNK_LEASE_MS))
+  const setChunk = (current, patch) => current.chunks.map((chunk, i) => (i === index ? { ...chunk, ...patch } : chunk))
+
+  try {
+    if (index !== -1) {
+      job = await store.update(id, {
+        status: 'running',
+        chunks: setChunk(job, { status: 'running', claimedAt: now }),
+        updatedAt: now,
+      })
+      const input = await loadInput(job)
+      const chunk = job.chunks[index]
+      const { buffer, engine } = await compressChunk(job, input, chunk, { gs, signal, onProgress })
+      await store.putData(id, `part-${index}`, buffer)
+      console.log(`[jobs] ${id} pages ${chunk.from}–${chunk.to}: ${buffer.length} bytes (${engine})`)
+
+      job = await store.get(id)   // other chunks may have finished meanwhile
+      return store.update(id, {
+        chunks: setChunk(job, { status: 'done', engine, compressedSize: buffer.length }),
+        updatedAt: Date.now(),
+      })
+    }
+
+    if (job.chunks.every((chunk) => chunk.status === 'done')) {
+      return await finishJob(store, job, await loadInput(job))
+    }
+    return job   // remaining chunks are being worked on by other steps
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      if (index !== -1) {
+        const latest = await store.get(id)
+        if (latest) await store.update(id, { chunks: setChunk(latest, { status: 'pending', claimedAt: null }) })
+      }
+      throw err
+    }
+    console.error(`[jobs] ${id} failed:`, err)
+    return store.update(id, { status: 'error', error: err.message || String(err), updatedAt: Date.now() })
+  }
+}
+
+/**
+ * Delete every job not updated for `maxAge` ms (see the header).
+ * `release(job)` runs first for each, to free what the store doesn't own —
+ * api/jobs.js deletes the uploaded input blob there. Resolves to the ids
+ * deleted.
+ */
+export async function sweepJobs(store, { maxAge = JOB_TTL_MS, release = async () => {}, now = Date.now() } = {}) {
+  const expired = (await store.list()).filter((job) => now - job.updatedAt > maxAge)
+  for (const { id } of expired) {
+    const job = await store.get(id)
+    if (job) await release(job)
+    await store.delete(id)
+  }
+  if (expired.length) console.log(`[jobs] Swept ${expired.length} expired job(s)`)
+  return expired.map(({ id }) => id)
+}
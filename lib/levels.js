@@ -0,0 +1,129 @@
+/**
+ * Compression levels and the target-size search over them.
+ *
+ * Shared by the serverless function (api/compress.js) and the in-browser
+ * worker (src/workers/compress.worker.js) — keep this file free of Node-only
+ * and browser-only APIs.
+ */
+
+export const LEVEL_CONFIG = {
+  //          JPEG quality  render scale  GS PDFSETTINGS       max image DPI
+  lossless: { lossless: true },   // structure-only — see optimizeLossless()
+  low:    { quality: 85,  scale: 1.5,  gsSetting: '/printer', dpi: 300 },
+  medium: { quality: 60,  scale: 1.2,  gsSetting: '/ebook',   dpi: 150 },
+  high:   { quality: 35,  scale: 1.0,  gsSetting: '/screen',  dpi: 72  },
+}
+
+// Output colour, applied on top of any level or rung as `colorMode` in the
+// settings object (see ./mupdf-engine.js and ./ghostscript.js). Lossless
+// ignores it — it never touches pixels.
+export const COLOR_MODES = ['color', 'grayscale', 'bw']
+
+// Custom settings (`options` on /api/compress): any of these fields may
+// override the level's LEVEL_CONFIG entry. Numbers are clamped into range.
+export const GS_PRESETS = ['/screen', '/ebook', '/printer', '/prepress']
+export const OPTION_LIMITS = {
+  quality: { min: 5,    max: 100, step: 1 },
+  dpi:     { min: 36,   max: 600, step: 1 },
+  scale:   { min: 0.25, max: 3,   step: 0.05 },
+}
+
+/**
+ * Validate and clamp a custom `options` object (or its JSON string, as sent
+ * in multipart forms). Returns { options } — null when none were given — or
+ * { error } with a message for the client.
+ */
+export function normalizeOptions(raw) {
+  if (raw === undefined || raw === null || raw === '') return { options: null }
+  let input = raw
+  if (typeof raw === 'string') {
+    try { input = JSON.parse(raw) } catch { return { error: 'options must be a JSON object.' } }
+  }
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'options must be a JSON object.' }
+  }
+
+  const options = {}
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'gsSetting') {
+      const preset = typeof value === 'string' && (value.startsWith('/') ? value : `/${value}`)
+      if (!GS_PRESETS.includes(preset)) return { error: `gsSetting must be one of ${GS_PRESETS.join(', ')}.` }
+      options.gsSetting = preset
+    } else if (OPTION_LIMITS[key]) {
+      const n = Number(value)
+      if (value === null || value === '' || !Number.isFinite(n)) return { error: `${key} must be a number.` }
+      const { min, max } = OPTION_LIMITS[key]
+      const clamped = Math.min(max, Math.max(min, n))
+      options[key] = key === 'scale' ? clamped : Math.round(clamped)
+    } else {
+      return { error: `Unknown option: ${key}.` }
+    }
+  }
+  return { options: Object.keys(options).length ? options : null }
+}
+
+// Rungs searched in targetBytes mode, best quality first. The three
+// LEVEL_CONFIG presets are embedded so each level maps to a starting rung.
+export const TARGET_LADDER = [
+  { ...LEVEL_CONFIG.low,    level: 'low' },
+  { quality: 72, scale: 1.35, gsSetting: '/printer', dpi: 200 },
+  { ...LEVEL_CONFIG.medium, level: 'medium' },
+  { quality: 48, scale: 1.1,  gsSetting: '/ebook',   dpi: 110 },
+  { ...LEVEL_CONFIG.high,   level: 'high' },
+  { quality: 25, scale: 0.85, gsSetting: '/screen',  dpi: 60 },
+  { quality: 18, scale: 0.7,  gsSetting: '/screen',  dpi: 50 },
+  { quality: 12, scale: 0.5,  gsSetting: '/screen',  dpi: 40 },
+]
+
+// Stop starting new target-search attempts after this long, leaving headroom
+// under maxDuration for the response. The best result so far is returned.
+export const TARGET_SEARCH_BUDGET_MS = 40_000
+
+/**
+ * Target-size search over TARGET_LADDER.
+ *
+ * `run(settings)` performs one compression (either engine) and resolves to
+ * { buffer, engine }. The level's own rung is tried first — if it already
+ * fits, no further work is done. Otherwise the remaining rungs are
+ * binary-searched for the highest-quality one that fits; output size falls
+ * monotonically (near enough) along the ladder, so this takes ~3 attempts
+ * instead of 7.
+ *
+ * Returns { buffer, engine, settings, targetMet }. When nothing fits, the
+ * smallest output produced is returned with targetMet = false.
+ */
+export async function compressToTarget(run, level, targetBytes) {
+  const deadline = Date.now() + TARGET_SEARCH_BUDGET_MS
+  const start    = TARGET_LADDER.findIndex((rung) => rung.level === level)
+  const results  = new Map()   // ladder index → { buffer, engine }
+
+  const attempt = async (i) => {
+    const result = await run(TARGET_LADDER[i])
+    console.log(`[compress] Target rung ${i} (q${TARGET_LADDER[i].quality}, ${TARGET_LADDER[i].dpi} dpi): ${result.buffer.length} bytes`)
+    results.set(i, result)
+    return result.buffer.length <= targetBytes
+  }
+  const pick = (i, targetMet) => ({ ...results.get(i), settings: TARGET_LADDER[i], targetMet })
+
+  if (await attempt(start)) return pick(start, true)
+
+  let lo = start + 1
+  let hi = TARGET_LADDER.length - 1
+  let fit = -1
+  while (lo <= hi && Date.now() < deadline) {
+    const mid = (lo + hi) >> 1
+    if (await attempt(mid)) {
+      fit = mid
+      hi  = mid - 1
+    } else {
+      lo  = mid + 1
+    }
+  }
+
+  if (fit !== -1) return pick(fit, true)
+  let smallest = start
+  for (const [i, result] of results) {
+    if (result.buffer.length < results.get(smallest).buffer.length) smallest = i
+  }
+  return pick(smallest, false)
+}
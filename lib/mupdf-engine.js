@@ -0,0 +1,752 @@
+/**
+ * MuPDF WASM compression engines.
+ *
+ * Shared by the serverless function (api/compress.js) and the in-browser
+ * worker (src/workers/compress.worker.js) — keep this file free of Node-only
+ * and browser-only APIs. Inputs and outputs are Uint8Arrays.
+ *
+ * The page-walking engines are async and take an optional
+ * `onProgress(page, pageCount)` callback, called — and awaited — after each
+ * page. Returning a promise from it lets the caller yield to its event loop
+ * between pages (the server needs that to flush streamed progress); throwing
+ * from it — an AbortError, to cancel — stops the run at that page.
+ *
+ * `settings.colorMode` (see COLOR_MODES in ./levels.js) picks the output
+ * colour: 'color' (default), 'grayscale' — images and rendered pages become
+ * DeviceGray JPEGs — or 'bw' — 1-bit CCITT G4 (./ccitt.js), or 1-bit Flate
+ * where that comes out smaller, thresholded per image. The images path only
+ * rewrites images and the raster path converts the whole page, so a page
+ * whose text or vector art is coloured is rasterized in those modes.
+ */
+
+import * as mupdf from 'mupdf'
+import { zlibSync } from 'fflate'
+import { encodeCCITTG4, binarize } from './ccitt.js'
+import { extractTextLines, addTextLayerFont, textLayerContent } from './text-layer.js'
+import { formatPageSelection } from './pages.js'
+
+// The paths a page can take through the adaptive engine — see
+// compressWithMuPDFAdaptive()
+export const PAGE_STRATEGIES = ['kept', 'images', 'raster']
+
+// Images smaller than this (width × height) are left alone by the structural
+// engine — icons and logos cost more in JPEG artefacts than they save.
+const STRUCTURAL_MIN_PIXELS = 100 * 100
+
+// 1-bit output needs about twice the resolution of a JPEG to stay legible
+// (fax quality is ~200 dpi); G4 pages are still far smaller than JPEG ones.
+export const BW_RESOLUTION_FACTOR = 2
+
+/**
+ * Threshold a gray pixmap (no alpha) and encode it as CCITT G4 — or, for the
+ * noisy images where G4 comes out bigger (dithered halftones), as packed
+ * 1-bit rows under Flate. Returns `{ bytes, filter }`; describe them with
+ * setBilevelImageDict().
+ */
+export function encodeBilevel(pix) {
+  const width  = pix.getWidth()
+  const height = pix.getHeight()
+  const stride = pix.getStride()
+  const pixels = pix.getPixels()
+  let gray = pixels
+  if (stride !== width) {
+    gray = new Uint8Array(width * height)
+    for (let y = 0; y < height; y++) gray.set(pixels.subarray(y * stride, y * stride + width), y * width)
+  }
+  const bits = binarize(gray)
+  const g4   = encodeCCITTG4(bits, width, height)
+  const flate = zlibSync(packBits(bits, width, height), { level: 9 })
+  return flate.length < g4.length
+    ? { bytes: flate, filter: 'FlateDecode' }
+    : { bytes: g4, filter: 'CCITTFaxDecode' }
+}
+
+/**
+ * Pack 1 = black bytes into 1-bit DeviceGray rows (1 = white), each row
+ * padded to a whole byte.
+ */
+function packBits(bits, width, height) {
+  const rowBytes = (width + 7) >> 3
+  const packed = new Uint8Array(rowBytes * height).fill(0xff)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (bits[y * width + x]) packed[y * rowBytes + (x >> 3)] &= ~(0x80 >> (x & 7))
+    }
+  }
+  return packed
+}
+
+export function setBilevelImageDict(doc, dict, width, height, filter = 'CCITTFaxDecode') {
+  if (filter === 'CCITTFaxDecode') {
+    const parms = doc.newDictionary()
+    parms.put('K',       doc.newInteger(-1))
+    parms.put('Columns', doc.newInteger(width))
+    parms.put('Rows',    doc.newInteger(height))
+    dict.put('DecodeParms', parms)
+  } else {
+    dict.delete('DecodeParms')
+  }
+  dict.put('Filter',           doc.newName(filter))
+  dict.put('Width',            doc.newInteger(width))
+  dict.put('Height',           doc.newInteger(height))
+  dict.put('ColorSpace',       doc.newName('DeviceGray'))
+  dict.put('BitsPerComponent', doc.newInteger(1))
+  dict.delete('Decode')
+}
+
+// Annotations that stay live on a rasterized page; everything else is drawn
+// into the page image and dropped. Widgets only with `keepFormFields`.
+const RASTER_KEPT_ANNOTS = ['/Link']
+
+/**
+ * Render a page for the raster path: the page contents plus its
+ * annotations, and its form-field widgets too unless they stay live.
+ */
+function renderPage(page, ctm, colorspace, keepFormFields) {
+  if (!keepFormFields) return page.toPixmap(ctm, colorspace, false)
+  const bbox = mupdf.Rect.transform(page.getBounds(), ctm).map(Math.round)
+  const pix = new mupdf.Pixmap(colorspace, bbox, false)
+  pix.clear(255)
+  const device = new mupdf.DrawDevice(mupdf.Matrix.identity, pix)
+  page.runPageContents(device, ctm)
+  page.runPageAnnots(device, ctm)
+  device.close()
+  return pix
+}
+
+/**
+ * Render a page to one image for the raster path: JPEG at `quality`
+ * (CCITT G4 in 'bw' mode) at `scale`. Nothing is written to the document
+ * yet — see replacePageContent(). Returns { bytes, width, height }.
+ *
+ * The page's /Rotate is undone — the page keeps it, so the image must be
+ * upright in unrotated page space.
+ */
+function renderPageImage(page, { quality, scale, colorMode = 'color', keepFormFields = false }) {
+  const colorspace = colorMode === 'color' ? mupdf.ColorSpace.DeviceRGB : mupdf.ColorSpace.DeviceGray
+  const renderScale = colorMode === 'bw' ? scale * BW_RESOLUTION_FACTOR : scale
+  const rotate = page.getObject().getInheritable('Rotate').asNumber() || 0
+  const ctm    = mupdf.Matrix.concat(mupdf.Matrix.rotate(-rotate), mupdf.Matrix.scale(renderScale, renderScale))
+  const pix    = renderPage(page, ctm, colorspace, keepFormFields)
+  const width  = pix.getWidth()
+  const height = pix.getHeight()
+
+  // Free the Pixmap immediately — large PDFs can exhaust the WASM heap if
+  // every page's Pixmap is kept alive
+  const { bytes, filter } = colorMode === 'bw'
+    ? encodeBilevel(pix)
+    : { bytes: pix.asJPEG(quality, false), filter: 'DCTDecode' }   // bytes → Uint8Array
+  pix.destroy && pix.destroy()
+  return { bytes, filter, width, height }
+}
+
+/**
+ * Make `image` (from renderPageImage()) the page's only content, with its
+ * invisible text layer when `textLayer` is set. `state.textFont` carries the
+ * text-layer font from page to page. Returns the widget annotations dropped
+ * from the page (drawn into the image) — empty with `keepFormFields`.
+ */
+function replacePageContent(doc, page, image, { colorMode = 'color', keepFormFields = false, textLayer = false }, state) {
+  const pageObj = page.getObject()
+  const lines   = textLayer ? extractTextLines(page) : []
+
+  // Image XObject with /DCTDecode (or 1-bit /CCITTFaxDecode or /FlateDecode) —
+  // addRawStream: buffer first, dict second
+  const imgDict = doc.newDictionary()
+  imgDict.put('Type',             doc.newName('XObject'))
+  imgDict.put('Subtype',          doc.newName('Image'))
+  if (colorMode === 'bw') {
+    setBilevelImageDict(doc, imgDict, image.width, image.height, image.filter)
+  } else {
+    imgDict.put('Width',            doc.newInteger(image.width))
+    imgDict.put('Height',           doc.newInteger(image.height))
+    imgDict.put('ColorSpace',       doc.newName(colorMode === 'color' ? 'DeviceRGB' : 'DeviceGray'))
+    imgDict.put('BitsPerComponent', doc.newInteger(8))
+    imgDict.put('Filter',           doc.newName('DCTDecode'))
+  }
+  const imgObj = doc.addRawStream(image.bytes, imgDict)
+
+  // Replace the page's resources and content: the image, covering the
+  // visible area (page bounds mapped back to unrotated user space)
+  const xobj      = doc.newDictionary()
+  const resources = doc.newDictionary()
+  xobj.put('Im0', imgObj)
+  resources.put('XObject', xobj)
+  let content = ''
+  if (lines.length > 0) {
+    state.textFont ??= addTextLayerFont(doc)
+    const fonts = doc.newDictionary()
+    fonts.put('F0', state.textFont)
+    resources.put('Font', fonts)
+    content = '\n' + textLayerContent(lines, 'F0')
+  }
+  const [x0, y0, x1, y1] = mupdf.Rect.transform(page.getBounds(), mupdf.Matrix.invert(page.getTransform()))
+  pageObj.put('Resources', resources)
+  pageObj.put('Contents', doc.addStream(`q ${x1 - x0} 0 0 ${y1 - y0} ${x0} ${y0} cm /Im0 Do Q${content}`, {}))
+  for (const key of ['Thumb', 'StructParents', 'PieceInfo']) pageObj.delete(key)
+  // Inherited resources would keep the old fonts and images alive
+  for (let node = pageObj.get('Parent'); node.isDictionary(); node = node.get('Parent')) node.delete('Resources')
+
+  // Drop the annotations that are now part of the image
+  const dropped = []
+  const annots = pageObj.get('Annots')
+  if (annots.isArray()) {
+    const kept = doc.newArray()
+    annots.forEach((annot) => {
+      const subtype = annot.resolve().get('Subtype').toString()
+      if (RASTER_KEPT_ANNOTS.includes(subtype) || (keepFormFields && subtype === '/Widget')) kept.push(annot)
+      else if (subtype === '/Widget' && annot.isIndirect()) dropped.push(annot.asIndirect())
+    })
+    if (kept.length) pageObj.put('Annots', kept)
+    else pageObj.delete('Annots')
+  }
+  return dropped
+}
+
+/**
+ * MuPDF WASM lossless optimisation — structure only, never touches pixels.
+ *
+ *   garbage=4           → drop unreferenced objects, merge identical objects
+ *                         and identical streams (e.g. repeated fonts) —
+ *                         'deduplicate' (3) leaves the streams apart
+ *   compress            → flate any stream that is stored uncompressed
+ *   objstms             → pack non-stream objects into object streams
+ *
+ * Already-compressed streams (JPEG, JBIG2, flate) are copied as-is.
+ */
+export function optimizeLossless(input) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  const buf = doc.saveToBuffer('compress,garbage=4,objstms')
+  return buf.asUint8Array().slice()   // copy out of the WASM heap
+}
+
+/**
+ * Copy pages `from`..`to` (1-based, inclusive) into a new PDF. Shared
+ * resources (fonts, images used on several pages) are copied once;
+ * annotations are not copied.
+ */
+export function extractPages(input, from, to) {
+  const src = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  const out = new mupdf.PDFDocument()
+  const map = out.newGraftMap()
+  for (let i = from - 1; i < to; i++) map.graftPage(-1, src, i)
+  return out.saveToBuffer('compress').asUint8Array().slice()   // copy out of the WASM heap
+}
+
+// Page keys that come from a part in mergeIntoSource(); the inheritable
+// ones are read through the part's page tree
+const PART_PAGE_KEYS = ['Contents', 'Resources', 'MediaBox', 'CropBox', 'BleedBox', 'TrimBox', 'ArtBox', 'Rotate', 'UserUnit', 'Group']
+const INHERITABLE_PAGE_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate']
+
+/**
+ * Put the pages of `parts` — consecutive page ranges of `source` in order,
+ * e.g. its compressed chunks — in place of the pages of `source`, so the
+ * document around them survives: Info and XMP metadata, outline, page
+ * labels, named destinations and form fields. Each page takes its part's
+ * content, resources and boxes and keeps its own annotations — links into
+ * other parts still land, and the parts carry none of their own
+ * (extractPages() leaves them out). The structure tree is dropped: the
+ * parts may have rasterized the marked content it refers to.
+ */
+export function mergeIntoSource(source, parts) {
+  const doc = mupdf.Document.openDocument(source, 'application/pdf').asPDF()
+  const pageCount = doc.countPages()
+  let index = 0
+  for (const part of parts) {
+    const src = mupdf.Document.openDocument(part, 'application/pdf').asPDF()
+    const map = doc.newGraftMap()
+    for (let i = 0; i < src.countPages(); i++, index++) {
+      if (index >= pageCount) throw new Error(`The parts have more pages than the source (${pageCount})`)
+      const from = src.findPage(i)
+      const to   = doc.findPage(index)
+      for (const key of PART_PAGE_KEYS) {
+        const value = INHERITABLE_PAGE_KEYS.includes(key) ? from.getInheritable(key) : from.get(key)
+        // A missing key must not fall back to what the source page inherits
+        if (!value.isNull()) to.put(key, map.graftObject(value))
+        else if (key === 'Rotate') to.put('Rotate', 0)
+        else if (key === 'CropBox') to.put('CropBox', map.graftObject(from.getInheritable('MediaBox')))
+        else to.delete(key)
+      }
+      to.delete('StructParents')
+    }
+  }
+  if (index !== pageCount) throw new Error(`The parts have ${index} pages, the source ${pageCount}`)
+
+  const root = doc.getTrailer().get('Root')
+  root.delete('StructTreeRoot')
+  root.delete('MarkInfo')
+  return doc.saveToBuffer('compress,garbage=compact').asUint8Array().slice()   // copy out of the WASM heap
+}
+
+/**
+ * Cut a PDF at page boundaries into consecutive parts of at most `maxBytes`
+ * each — the longest run of pages that fits goes into each part, found by
+ * binary search on its last page. A page that is bigger than `maxBytes` on
+ * its own still becomes a part by itself; the caller decides what to do with
+ * it. Parts are built like extractPages() (no outline, forms or page labels).
+ *
+ * Returns [{ data: Uint8Array, firstPage, lastPage }] with 1-based pages.
+ */
+export function splitPdf(input, maxBytes) {
+  const src = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  const pageCount = src.countPages()
+  const build = (from, to) => {
+    const out = new mupdf.PDFDocument()
+    const map = out.newGraftMap()
+    for (let i = from - 1; i < to; i++) map.graftPage(-1, src, i)
+    return out.saveToBuffer('compress,garbage=compact').asUint8Array().slice()   // copy out of the WASM heap
+  }
+
+  const parts = []
+  for (let first = 1; first <= pageCount;) {
+    let best = { data: build(first, first), lastPage: first }
+    let lo = first + 1
+    let hi = pageCount
+    while (best.data.length <= maxBytes && lo <= hi) {
+      const mid = Math.ceil((lo + hi) / 2)
+      const data = build(first, mid)
+      if (data.length <= maxBytes) {
+        best = { data, lastPage: mid }
+        lo = mid + 1
+      } else {
+        hi = mid - 1
+      }
+    }
+    parts.push({ data: best.data, firstPage: first, lastPage: best.lastPage })
+    first = best.lastPage + 1
+  }
+  return parts
+}
+
+/**
+ * Concatenate PDFs page by page, in order. Document-level structure of the
+ * parts (outlines, forms, page labels, metadata) is not carried over.
+ * `bookmarks` — one title per part — gives the result an outline with an
+ * entry for each part, at its first page.
+ */
+export function mergePdfs(parts, { bookmarks } = {}) {
+  const out = new mupdf.PDFDocument()
+  const firstPages = []
+  for (const part of parts) {
+    const src = mupdf.Document.openDocument(part, 'application/pdf').asPDF()
+    const map = out.newGraftMap()
+    firstPages.push(out.countPages())
+    for (let i = 0; i < src.countPages(); i++) map.graftPage(-1, src, i)
+  }
+  if (bookmarks) {
+    const outline = out.outlineIterator()
+    bookmarks.forEach((title, i) => {
+      outline.insert({ title, uri: out.formatLinkURI({ page: firstPages[i], type: 'Fit' }), open: false })
+    })
+  }
+  return out.saveToBuffer('compress,garbage=compact').asUint8Array().slice()
+}
+
+/**
+ * Keep only `pages` (0-based indices, in output order — see ./pages.js).
+ * MuPDF's rearrangePages() updates the outline, links and form fields to
+ * match; page labels are dropped.
+ */
+export function selectPages(input, pages) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  doc.rearrangePages(pages)
+  return doc.saveToBuffer('compress,garbage=compact').asUint8Array().slice()
+}
+
+/**
+ * Render every page as a JPEG thumbnail at most `maxSize` px on its long
+ * edge — the same rendering the raster path does, at thumbnail scale.
+ * Calls (and awaits) onThumbnail(index, jpegBytes, pageCount) per page.
+ */
+export async function renderThumbnails(input, onThumbnail, { maxSize = 160, quality = 70 } = {}) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf')
+  const pageCount = doc.countPages()
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.loadPage(i)
+    const [x0, y0, x1, y1] = page.getBounds()
+    const scale = maxSize / Math.max(x1 - x0, y1 - y0, 1)
+    const pix = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false)
+    const jpeg = pix.asJPEG(quality, false).slice()   // copy out of the WASM heap
+    pix.destroy && pix.destroy()
+    await onThumbnail(i, jpeg, pageCount)
+  }
+  return pageCount
+}
+
+// Blank-page detection: pages are rendered gray at 72 dpi and a pixel darker
+// than BLANK_INK_LEVEL counts as ink. A page is blank when ink covers less
+// than BLANK_MAX_COVERAGE of it — a single short line of text is ~0.09%,
+// scanner specks ~0.002%. The outer BLANK_MARGIN of each side is ignored:
+// scanners leave edge shadows and punch holes there.
+const BLANK_INK_LEVEL    = 160
+const BLANK_MAX_COVERAGE = 0.0002
+const BLANK_MARGIN       = 0.05
+
+/** Fraction of a gray pixmap's pixels (outside the margins) that are ink. */
+function inkCoverage(pix) {
+  const width   = pix.getWidth()
+  const height  = pix.getHeight()
+  const stride  = pix.getStride()
+  const samples = pix.getPixels()
+  const mx = Math.round(width * BLANK_MARGIN)
+  const my = Math.round(height * BLANK_MARGIN)
+  const area = (width - 2 * mx) * (height - 2 * my)
+  if (area <= 0) return 0
+  let ink = 0
+  for (let y = my; y < height - my; y++) {
+    for (let x = mx, i = y * stride + mx; x < width - mx; x++, i++) {
+      if (samples[i] < BLANK_INK_LEVEL) ink++
+    }
+  }
+  return ink / area
+}
+
+/**
+ * Drop nearly empty pages (see BLANK_MAX_COVERAGE) — the blank backsides of
+ * duplex scans. Resolves to { buffer, removed } with the 0-based indices of
+ * the removed pages; when no page (or every page) is blank the input is
+ * returned unchanged and nothing is removed.
+ */
+export async function dropBlankPages(input, onProgress = () => {}) {
+  const doc = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  const pageCount = doc.countPages()
+  const kept = []
+  const removed = []
+  for (let i = 0; i < pageCount; i++) {
+    const pix = doc.loadPage(i).toPixmap(mupdf.Matrix.identity, mupdf.ColorSpace.DeviceGray, false)
+    if (inkCoverage(pix) < BLANK_MAX_COVERAGE) removed.push(i)
+    else kept.push(i)
+    pix.destroy && pix.destroy()
+    await onProgress(i + 1, pageCount)
+  }
+  if (removed.length === 0 || kept.length === 0) return { buffer: input, removed: [] }
+
+  doc.rearrangePages(kept)
+  return { buffer: doc.saveToBuffer('compress,garbage=compact').asUint8Array().slice(), removed }
+}
+
+/** Page count of a PDF. */
+export function countPages(input) {
+  return mupdf.Document.openDocument(input, 'application/pdf').countPages()
+}
+
+let libraryVersion = null
+
+/**
+ * Version of the MuPDF library inside the WASM build ('1.27.1'). The JS API
+ * doesn't expose it, but MuPDF writes it into the header comment of every
+ * PDF it saves.
+ */
+export function mupdfVersion() {
+  if (libraryVersion === null) {
+    const head = new mupdf.PDFDocument().saveToBuffer('').asUint8Array().slice(0, 200)
+    libraryVersion = /Written by MuPDF ([\w.]+)/.exec(new TextDecoder().decode(head))?.[1] ?? 'unknown'
+  }
+  return libraryVersion
+}
+
+/**
+ * Re-encode one image XObject in place. Returns the bytes saved (0 if the
+ * image was skipped or the re-encode would not have been smaller).
+ *
+ * Skipped: stencil masks, 1-bit images and JBIG2/CCITT streams (bilevel data
+ * that JPEG only makes bigger and blurrier), and tiny images.
+ *
+ * 'grayscale' always converts to DeviceGray; 'bw' thresholds to 1 bit and
+ * encodes CCITT G4 (or Flate, see encodeBilevel()) at BW_RESOLUTION_FACTOR ×
+ * maxDim.
+ */
+function recompressImage(doc, ref, maxDim, quality, colorMode) {
+  const dict   = ref.resolve()
+  const filter = dict.get('Filter').toString()
+  const width  = dict.get('Width').asNumber()
+  const height = dict.get('Height').asNumber()
+
+  if (dict.get('ImageMask').asBoolean?.()) return 0
+  if (dict.get('BitsPerComponent').asNumber() === 1) return 0
+  if (/JBIG2Decode|CCITTFaxDecode/.test(filter)) return 0
+  if (width * height < STRUCTURAL_MIN_PIXELS) return 0
+
+  const oldLength = ref.readRawStream().getLength()
+
+  // Decode (applies /Decode, palettes and filters), then normalise to
+  // DeviceGray or DeviceRGB without alpha — the SMask, if any, stays as-is.
+  let pix = doc.loadImage(ref).toPixmap()
+  const cs = pix.getColorSpace()
+  const target = (cs && cs.isGray()) || colorMode !== 'color' ? mupdf.ColorSpace.DeviceGray : mupdf.ColorSpace.DeviceRGB
+  if (!cs || cs.getType() !== target.getType() || pix.getAlpha()) {
+    const converted = pix.convertToColorSpace(target, false)
+    pix.destroy()
+    pix = converted
+  }
+
+  // Downsample when the image is larger than maxDim on its long edge
+  if (colorMode === 'bw') maxDim *= BW_RESOLUTION_FACTOR
+  const ratio = maxDim / Math.max(width, height)
+  let newW = width
+  let newH = height
+  if (ratio < 1) {
+    newW = Math.max(1, Math.round(width * ratio))
+    newH = Math.max(1, Math.round(height * ratio))
+    const w = pix.getWidth()
+    const h = pix.getHeight()
+    const scaled = pix.warp([[0, 0], [w, 0], [w, h], [0, h]], newW, newH)
+    pix.destroy()
+    pix = scaled
+  }
+
+  if (colorMode === 'bw') {
+    const bilevel = encodeBilevel(pix)
+    pix.destroy()
+    if (bilevel.bytes.length >= oldLength) return 0
+    ref.writeRawStream(bilevel.bytes)
+    setBilevelImageDict(doc, dict, newW, newH, bilevel.filter)
+    return oldLength - bilevel.bytes.length
+  }
+
+  const jpegBytes = pix.asJPEG(quality, false)
+  pix.destroy()
+  if (jpegBytes.length >= oldLength) return 0
+
+  ref.writeRawStream(jpegBytes)
+  dict.put('Filter',           doc.newName('DCTDecode'))
+  dict.put('Width',            doc.newInteger(newW))
+  dict.put('Height',           doc.newInteger(newH))
+  dict.put('ColorSpace',       doc.newName(target === mupdf.ColorSpace.DeviceGray ? 'DeviceGray' : 'DeviceRGB'))
+  dict.put('BitsPerComponent', doc.newInteger(8))
+  dict.delete('DecodeParms')
+  dict.delete('Decode')
+  return oldLength - jpegBytes.length
+}
+
+/**
+ * Walk a Resources dictionary's XObjects, recompressing images and recursing
+ * into Form XObjects. `seen` holds object numbers already visited so shared
+ * images are processed once and cyclic forms terminate.
+ */
+function recompressResources(doc, resources, maxDim, quality, colorMode, seen) {
+  const xobjects = resources.get('XObject')
+  if (!xobjects.isDictionary()) return 0
+
+  let saved = 0
+  xobjects.forEach((ref) => {
+    if (!ref.isIndirect() || seen.has(ref.asIndirect())) return
+    seen.add(ref.asIndirect())
+
+    const subtype = ref.resolve().get('Subtype').toString()
+    if (subtype === '/Form') {
+      saved += recompressResources(doc, ref.resolve().get('Resources'), maxDim, quality, colorMode, seen)
+    } else if (subtype === '/Image') {
+      try {
+        saved += recompressImage(doc, ref, maxDim, quality, colorMode)
+      } catch (err) {
+        // Unsupported colour space / broken stream — leave this image untouched
+        console.log(`[compress] Skipping image ${ref.asIndirect()}: ${err.message}`)
+      }
+    }
+  })
+  return saved
+}
+
+// Page classification for the adaptive engine (and lib/analyze.js): a page
+// is 'scanned' when images cover at least SCANNED_MIN_COVERAGE of it and it
+// has no text, 'mixed' when it has any image at all, and 'text' otherwise —
+// text and vector art only. A scan with text on it (usually an invisible OCR
+// layer) is 'mixed', so its images are re-encoded and the text stays.
+const SCANNED_MIN_COVERAGE = 0.8
+
+/**
+ * 'text', 'mixed' or 'scanned' for a loaded page (see SCANNED_MIN_COVERAGE).
+ * Image blocks are clipped to the page; overlapping images count twice,
+ * which only matters for pages that are nearly all image anyway. Text is
+ * any non-whitespace character, invisible ones included.
+ */
+export function classifyPage(page) {
+  const [x0, y0, x1, y1] = page.getBounds()
+  const pageArea = (x1 - x0) * (y1 - y0)
+  let images = 0
+  let imageArea = 0
+  let chars = 0
+  const text = page.toStructuredText('preserve-images')
+  text.walk({
+    onImageBlock([bx0, by0, bx1, by1]) {
+      images++
+      imageArea += Math.max(0, Math.min(bx1, x1) - Math.max(bx0, x0)) * Math.max(0, Math.min(by1, y1) - Math.max(by0, y0))
+    },
+    onChar(c) {
+      if (c.trim()) chars++
+    },
+  })
+  text.destroy?.()
+  if (!chars && pageArea > 0 && imageArea / pageArea >= SCANNED_MIN_COVERAGE) return 'scanned'
+  return images > 0 ? 'mixed' : 'text'
+}
+
+// In 'grayscale' and 'bw', a page that still renders in colour once its
+// images are re-encoded — coloured text or vector art — is rasterized, as
+// MuPDF cannot recolour content streams. The check renders at 36 dpi and
+// looks for a pixel whose channels differ by more than COLOR_TOLERANCE.
+const COLOR_CHECK_SCALE = 0.5
+const COLOR_TOLERANCE = 16
+
+/** Whether `page` (annotations included) renders with any coloured pixel. */
+function pageHasColor(page) {
+  const pix = page.toPixmap(mupdf.Matrix.scale(COLOR_CHECK_SCALE, COLOR_CHECK_SCALE), mupdf.ColorSpace.DeviceRGB, false)
+  const pixels = pix.getPixels()
+  let color = false
+  for (let i = 0; i < pixels.length && !color; i += 3) {
+    const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2]
+    color = Math.max(r, g, b) - Math.min(r, g, b) > COLOR_TOLERANCE
+  }
+  pix.destroy && pix.destroy()
+  return color
+}
+
+/** Encoded bytes of the images a Resources dictionary draws, nested forms included. */
+function resourceImageBytes(resources, seen = new Set()) {
+  const xobjects = resources.get('XObject')
+  if (!xobjects.isDictionary()) return 0
+  let bytes = 0
+  xobjects.forEach((ref) => {
+    if (!ref.isIndirect() || seen.has(ref.asIndirect())) return
+    seen.add(ref.asIndirect())
+    const subtype = ref.resolve().get('Subtype').toString()
+    if (subtype === '/Form') bytes += resourceImageBytes(ref.resolve().get('Resources'), seen)
+    else if (subtype === '/Image') bytes += ref.readRawStream().getLength()
+  })
+  return bytes
+}
+
+/**
+ * Take flattened widgets (object numbers) out of the AcroForm's field tree,
+ * so no field points at an annotation that is gone. A parent field left
+ * without kids goes too.
+ */
+function pruneFormFields(doc, dropped) {
+  const acroForm = doc.getTrailer().get('Root').get('AcroForm')
+  if (!acroForm.isDictionary() || !dropped.size) return
+  const prune = (fields) => {
+    const kept = doc.newArray()
+    fields.forEach((ref) => {
+      if (ref.isIndirect() && dropped.has(ref.asIndirect())) return
+      const kids = ref.resolve().get('Kids')
+      if (kids.isArray()) {
+        const keptKids = prune(kids)
+        if (!keptKids.length) return
+        ref.resolve().put('Kids', keptKids)
+      }
+      kept.push(ref)
+    })
+    return kept
+  }
+  const fields = acroForm.get('Fields')
+  if (fields.isArray()) acroForm.put('Fields', prune(fields))
+}
+
+/**
+ * MuPDF WASM adaptive compression: each page takes the path that suits its
+ * content (classifyPage()):
+ *   'text'    → 'kept'    copied through as-is; the save still compresses
+ *                         its streams and drops unused objects
+ *   'mixed'   → 'images'  its images re-encoded in place
+ *                         (recompressResources())
+ *   'scanned' → 'raster'  re-rendered to a single image (renderPageImage()
+ *                         + replacePageContent()) — unless that image would
+ *                         be bigger than the page's images already are (e.g.
+ *                         a G4 scan), in which case it takes 'images'
+ * In 'grayscale' and 'bw', a 'kept' or 'images' page that still has colour
+ * on it (pageHasColor()) is rasterized as well, so its text and vector art
+ * come out gray too.
+ *
+ * Pages are rewritten in place in the source document, so everything
+ * outside the page content survives: the Info dictionary and XMP metadata,
+ * the outline, page labels, named destinations, and each page's boxes and
+ * /Rotate. On a rasterized page, link annotations stay on top of the image
+ * and other annotations are drawn into it; form fields stay live with
+ * `settings.keepFormFields`, otherwise they are flattened and taken out of
+ * the AcroForm. With `settings.textLayer` its text is written back over the
+ * image as invisible text (./text-layer.js) — scans have none, so this is
+ * for the pages rasterized for their colour. The structure tree is kept for
+ * the pages that still have their content.
+ *
+ * Resolves to { buffer, strategies } — strategies[i] is the path page i
+ * took.
+ */
+export async function compressWithMuPDFAdaptive(input, settings, onProgress = () => {}) {
+  const { quality, dpi, colorMode = 'color' } = settings
+  const doc = mupdf.Document.openDocument(input, 'application/pdf').asPDF()
+  const pageCount = doc.countPages()
+
+  // Rasterizing a page deletes the Resources of its ancestors (see
+  // replacePageContent()), so every page gets its own reference first
+  for (let i = 0; i < pageCount; i++) {
+    const pageObj = doc.findPage(i)
+    const inherited = pageObj.getInheritable('Resources')
+    if (pageObj.get('Resources').isNull() && inherited.isDictionary()) pageObj.put('Resources', inherited)
+  }
+
+  const seen = new Set()
+  const state = { textFont: null }
+  const dropped = new Set()
+  const strategies = []
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.loadPage(i)
+    const kind = classifyPage(page)
+    let strategy = 'kept'
+    if (kind === 'scanned') {
+      const image = renderPageImage(page, settings)
+      if (image.bytes.length < resourceImageBytes(page.getObject().get('Resources'))) {
+        replacePageContent(doc, page, image, settings, state).forEach((num) => dropped.add(num))
+        strategy = 'raster'
+      }
+    }
+    if (kind === 'mixed' || (kind === 'scanned' && strategy === 'kept')) {
+      const [x0, y0, x1, y1] = page.getBounds()
+      const maxDim = Math.ceil(Math.max(x1 - x0, y1 - y0) / 72 * dpi)
+      recompressResources(doc, page.getObject().get('Resources'), maxDim, quality, colorMode, seen)
+      strategy = 'images'
+    }
+    if (colorMode !== 'color' && strategy !== 'raster' && pageHasColor(page)) {
+      replacePageContent(doc, page, renderPageImage(page, settings), settings, state).forEach((num) => dropped.add(num))
+      strategy = 'raster'
+    }
+    strategies.push(strategy)
+    await onProgress(i + 1, pageCount)
+  }
+  pruneFormFields(doc, dropped)
+
+  const buf = doc.saveToBuffer('compress,garbage=compact')
+  return { buffer: buf.asUint8Array().slice(), strategies }   // copy out of the WASM heap
+}
+
+/**
+ * MuPDF engine entry point: the adaptive pass (compressWithMuPDFAdaptive()).
+ * The engine name says which paths were taken — 'mupdf-structural' when no
+ * page was rasterized, 'mupdf' when every page was, 'mupdf-adaptive' for a
+ * mix.
+ *
+ * Resolves to { buffer, engine, pageStrategies } (see
+ * compressWithMuPDFAdaptive() for the strategies).
+ */
+export async function compressWithMuPDFEngines(input, settings, onProgress = () => {}) {
+  const { buffer, strategies } = await compressWithMuPDFAdaptive(input, settings, onProgress)
+  const rasterized = strategies.filter((strategy) => strategy === 'raster').length
+  const engine = rasterized === 0 ? 'mupdf-structural'
+    : rasterized === strategies.length ? 'mupdf'
+    : 'mupdf-adaptive'
+  console.log(`[compress] Adaptive pass: ${formatStrategies(strategies)}`)
+  return { buffer, engine, pageStrategies: strategies }
+}
+
+/**
+ * Per-page strategies as 1-based page ranges per path, in path order:
+ * ['raster', 'raster', 'kept', 'images'] → 'kept=3;images=4;raster=1-2'.
+ * Paths no page took are left out.
+ */
+export function formatStrategies(strategies) {
+  return PAGE_STRATEGIES
+    .map((path) => [path, strategies.flatMap((s, i) => (s === path ? [i] : []))])
+    .filter(([, pages]) => pages.length)
+    .map(([path, pages]) => `${path}=${formatPageSelection(pages)}`)
+    .join(';')
+}
@@ -0,0 +1,81 @@
+/**
+ * Page selections — the `pages` parameter of /api/compress and /api/jobs.
+ *
+ * Shared by the server, the in-browser worker and the page strip in the web
+ * app (which builds the spec from the pages the user kept), so keep this
+ * file free of MuPDF and of Node-only / browser-only APIs.
+ *
+ * Syntax: comma-separated 1-based pages and ranges — `1-3,7,10-` — where
+ * `10-` runs to the last page and `-3` starts at the first. Pages come out
+ * in the order listed, so the same parameter reorders: `3,1-2`, or `5-1`
+ * for a descending range. A page may be listed only once.
+ */
+
+/**
+ * Parse a page spec against a document of `pageCount` pages. Returns
+ * { pages } — 0-based page indices in output order, or null when the spec
+ * is empty or selects every page in its original order — or { error }.
+ */
+export function parsePageSelection(spec, pageCount) {
+  if (spec === undefined || spec === null || String(spec).trim() === '') return { pages: null }
+
+  const pages = []
+  const seen = new Set()
+  for (const part of String(spec).split(',')) {
+    const match = /^\s*(\d*)\s*(-)?\s*(\d*)\s*$/.exec(part)
+    if (!match || (!match[1] && !match[3])) return { error: `Invalid page range "${part.trim()}".` }
+
+    const [, first, dash, last] = match
+    const from = first ? Number(first) : 1
+    const to   = dash ? (last ? Number(last) : pageCount) : from
+    for (const page of [from, to]) {
+      if (page < 1 || page > pageCount) {
+        return { error: `Page ${page} is out of range — this PDF has ${pageCount} page${pageCount === 1 ? '' : 's'}.` }
+      }
+    }
+
+    const step = from <= to ? 1 : -1
+    for (let page = from; page !== to + step; page += step) {
+      if (seen.has(page)) return { error: `Page ${page} is listed more than once.` }
+      seen.add(page)
+      pages.push(page - 1)
+    }
+  }
+
+  const unchanged = pages.length === pageCount && pages.every((page, i) => page === i)
+  return { pages: unchanged ? null : pages }
+}
+
+/**
+ * 1-based page numbers in the uploaded document for 0-based `indices` into
+ * a selection (`pages` from parsePageSelection(), null for all pages) — to
+ * report pages removed after selecting.
+ */
+export function sourcePageNumbers(indices, pages) {
+  return indices.map((i) => (pages ? pages[i] : i) + 1)
+}
+
+/**
+ * For each page of the output, the 0-based page of the uploaded document it
+ * came from: the selection (`pages`, null for all `pageCount` pages) without
+ * the 1-based `removedPages` (null for none).
+ */
+export function outputPageSources(pages, removedPages, pageCount) {
+  const selected = pages ?? Array.from({ length: pageCount }, (_, i) => i)
+  return removedPages ? selected.filter((page) => !removedPages.includes(page + 1)) : selected
+}
+
+/**
+ * The shortest spec for 0-based `pages` in that order: ascending runs
+ * collapse to ranges (`[0, 1, 2, 6]` → `'1-3,7'`).
+ */
+export function formatPageSelection(pages) {
+  const parts = []
+  for (let i = 0; i < pages.length;) {
+    let j = i
+    while (j + 1 < pages.length && pages[j + 1] === pages[j] + 1) j++
+    parts.push(j > i ? `${pages[i] + 1}-${pages[j] + 1}` : `${pages[i] + 1}`)
+    i = j + 1
+  }
+  return parts.join(',')
+}
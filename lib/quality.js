@@ -0,0 +1,121 @@
+/**
+ * Before/after quality check: renders a page of the original and of the
+ * compressed PDF and scores how much the compressed one lost.
+ *
+ * Used by the preview worker (src/workers/preview.worker.js); the scoring
+ * functions are plain JS over gray samples. Pages are compared in gray —
+ * luminance is where compression artefacts and blur show.
+ *
+ *   ssim — structural similarity, mean over 8×8 blocks: 1 = identical,
+ *          ~0.97+ hard to tell apart, below ~0.85 visibly degraded
+ *   psnr — peak signal-to-noise ratio in dB; Infinity when identical
+ */
+
+import * as mupdf from 'mupdf'
+
+// Scores are taken at 108 dpi — above the High level's 72 dpi, so blur the
+// eye sees when zooming in still counts
+export const SCORE_SCALE = 1.5
+
+const SSIM_BLOCK = 8
+const SSIM_C1 = (0.01 * 255) ** 2
+const SSIM_C2 = (0.03 * 255) ** 2
+
+/**
+ * Mean SSIM of two gray images of the same size (`stride` bytes per row).
+ * Non-overlapping blocks rather than the usual sliding Gaussian window —
+ * close enough to rank levels, and fast on full pages. Blocks that are flat
+ * and equal in both (blank paper) are skipped: on a mostly white page they
+ * would otherwise pull every score towards 1.
+ */
+export function ssim(a, b, width, height, stride = width) {
+  let total = 0
+  let blocks = 0
+  const n = SSIM_BLOCK * SSIM_BLOCK
+  for (let by = 0; by + SSIM_BLOCK <= height; by += SSIM_BLOCK) {
+    for (let bx = 0; bx + SSIM_BLOCK <= width; bx += SSIM_BLOCK) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0
+      for (let y = by; y < by + SSIM_BLOCK; y++) {
+        for (let x = bx, i = y * stride + bx; x < bx + SSIM_BLOCK; x++, i++) {
+          const va = a[i]
+          const vb = b[i]
+          sumA += va
+          sumB += vb
+          sumAA += va * va
+          sumBB += vb * vb
+          sumAB += va * vb
+        }
+      }
+      const meanA = sumA / n
+      const meanB = sumB / n
+      const varA  = sumAA / n - meanA * meanA
+      const varB  = sumBB / n - meanB * meanB
+      const cov   = sumAB / n - meanA * meanB
+      if (varA < 1 && varB < 1 && Math.abs(meanA - meanB) < 1) continue
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * cov + SSIM_C2)) /
+               ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2))
+      blocks++
+    }
+  }
+  return blocks ? total / blocks : 1
+}
+
+/** PSNR in dB of two gray images of the same size; Infinity when identical. */
+export function psnr(a, b, width, height, stride = width) {
+  let sum = 0
+  for (let y = 0; y < height; y++) {
+    for (let x = 0, i = y * stride; x < width; x++, i++) {
+      const d = a[i] - b[i]
+      sum += d * d
+    }
+  }
+  const mse = sum / (width * height)
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse)
+}
+
+function renderGray(doc, index, scale) {
+  return doc.loadPage(index).toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceGray, false)
+}
+
+/**
+ * Score page `afterIndex` of `after` against page `beforeIndex` of `before`
+ * (open MuPDF documents). Returns { ssim, psnr }. If the renders differ
+ * in size (page boxes changed) the common top-left area is compared.
+ */
+export function scorePage(before, beforeIndex, after, afterIndex, scale = SCORE_SCALE) {
+  const a = renderGray(before, beforeIndex, scale)
+  const b = renderGray(after, afterIndex, scale)
+  try {
+    const width  = Math.min(a.getWidth(), b.getWidth())
+    const height = Math.min(a.getHeight(), b.getHeight())
+    let samplesA = a.getPixels()
+    let samplesB = b.getPixels()
+    let stride   = a.getStride()
+    if (a.getStride() !== b.getStride()) {
+      samplesA = crop(samplesA, a.getStride(), width, height)
+      samplesB = crop(samplesB, b.getStride(), width, height)
+      stride   = width
+    }
+    return {
+      ssim: ssim(samplesA, samplesB, width, height, stride),
+      psnr: psnr(samplesA, samplesB, width, height, stride),
+    }
+  } finally {
+    a.destroy && a.destroy()
+    b.destroy && b.destroy()
+  }
+}
+
+function crop(samples, stride, width, height) {
+  const out = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) out.set(samples.subarray(y * stride, y * stride + width), y * width)
+  return out
+}
+
+/** Page `index` of an open document as a PNG — lossless, so it adds no artefacts of its own. */
+export function renderPagePNG(doc, index, scale) {
+  const pix = doc.loadPage(index).toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false)
+  const png = pix.asPNG().slice()   // copy out of the WASM heap
+  pix.destroy && pix.destroy()
+  return png
+}
@@ -0,0 +1,230 @@
+/**
+ * Invisible text layer for rasterized pages, so they stay searchable and
+ * copyable (the same trick OCR tools use for scanned pages).
+ *
+ * The raster path of the MuPDF engine (./mupdf-engine.js) calls
+ * extractTextLines() on each page before replacing its content with an
+ * image, then writes the lines back on top of the image with
+ * textLayerContent() — render mode 3, so nothing is drawn.
+ *
+ * The font is "glyphless": a Type0 font whose embedded TrueType program has
+ * a single empty glyph, with CIDs equal to UTF-16 code units and a ToUnicode
+ * CMap that maps them straight back. Each character is stretched with Tz to
+ * the advance it had in the original, so search hits and selections land on
+ * the right spot in the image and no gaps appear that a text extractor
+ * would read as spaces.
+ */
+
+import * as mupdf from 'mupdf'
+
+const GLYPH_WIDTH = 500   // font units (1000 per em) — /DW below
+
+// Lines whose text is only whitespace are not worth a text object
+const BLANK = /^\s*$/
+
+/**
+ * The text of `page` as lines in unrotated page space (default user space,
+ * y up): [{ chars, x, y, dx, dy, size }] — baseline origin, unit direction
+ * and font size in points; `chars` are [{ c, offset, width }] with each
+ * character's distance along the baseline from the origin and its width.
+ */
+export function extractTextLines(page) {
+  const toUser = mupdf.Matrix.invert(page.getTransform())
+  const stext  = page.toStructuredText('preserve-whitespace')
+  const lines  = []
+  let line = null
+
+  stext.walk({
+    beginLine(bbox, wmode, direction) {
+      line = { chars: [], direction }
+    },
+    onChar(c, origin, font, size, quad) {
+      line.chars.push({ c, origin, size, quad })
+    },
+    endLine() {
+      const { chars, direction: [dx, dy] } = line
+      line = null
+      const text = chars.map((ch) => ch.c).join('')
+      if (chars.length === 0 || BLANK.test(text)) return
+
+      // Character origins projected onto the line direction (device space)
+      const [ox, oy] = chars[0].origin
+      const [x, y] = transformPoint([ox, oy], toUser)
+      const [ux, uy] = transformVector([dx, dy], toUser)
+      const norm = Math.hypot(ux, uy) || 1
+      lines.push({
+        chars: chars.map(({ c, origin, quad }) => ({
+          c,
+          offset: ((origin[0] - ox) * dx + (origin[1] - oy) * dy) * norm,
+          width:  ((quad[2] - quad[0]) * dx + (quad[3] - quad[1]) * dy) * norm,
+        })),
+        x,
+        y,
+        dx:   ux / norm,
+        dy:   uy / norm,
+        size: Math.max(...chars.map((ch) => ch.size)),
+      })
+    },
+  })
+  stext.destroy?.()
+  return lines
+}
+
+function transformPoint([x, y], [a, b, c, d, e, f]) {
+  return [x * a + y * c + e, x * b + y * d + f]
+}
+
+function transformVector([x, y], [a, b, c, d]) {
+  return [x * a + y * c, x * b + y * d]
+}
+
+/** A character as a 4-digit hex CID; outside the BMP it becomes U+FFFD. */
+function encodeChar(ch) {
+  const code = ch.codePointAt(0)
+  return (code > 0xffff ? 0xfffd : code).toString(16).padStart(4, '0')
+}
+
+/**
+ * The smallest TrueType font FreeType and PDF viewers accept: glyph 0
+ * (.notdef) and glyph 1, both empty and GLYPH_WIDTH wide. Tables: head,
+ * hhea, maxp, hmtx, loca, glyf (empty), post.
+ */
+function glyphlessTrueType() {
+  const u16 = (...values) => values.flatMap((v) => [(v >> 8) & 0xff, v & 0xff])
+  const u32 = (...values) => values.flatMap((v) => [...u16(v >>> 16), ...u16(v & 0xffff)])
+  const tables = {
+    head: [
+      ...u32(0x00010000, 0x00010000, 0, 0x5f0f3cf5), ...u16(0x000b, 1000),
+      ...u32(0, 0, 0, 0),                       // created, modified
+      ...u16(0, 0, GLYPH_WIDTH, 1000, 0, 3, 2, 0, 0),
+    ],
+    hhea: [...u32(0x00010000), ...u16(1000, 0, 0, GLYPH_WIDTH, 0, 0, GLYPH_WIDTH, 1, 0, 0, 0, 0, 0, 0, 0, 1)],
+    maxp: [...u32(0x00010000), ...u16(2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0)],
+    hmtx: u16(GLYPH_WIDTH, 0, 0),
+    loca: u16(0, 0, 0),
+    glyf: [],
+    post: [...u32(0x00030000, 0), ...u16(0, 0), ...u32(1, 0, 0, 0, 0)],
+  }
+
+  const tags = Object.keys(tables).sort()
+  const checksum = (bytes) => {
+    let sum = 0
+    for (let i = 0; i < bytes.length; i += 4) {
+      sum = (sum + ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3])) >>> 0
+    }
+    return sum
+  }
+  const pad = (bytes) => [...bytes, ...new Array((4 - (bytes.length % 4)) % 4).fill(0)]
+
+  const log2 = Math.floor(Math.log2(tags.length))
+  const header = [...u32(0x00010000), ...u16(tags.length, 16 << log2, log2, (tags.length - (1 << log2)) * 16)]
+  const directory = []
+  const body = []
+  let offset = header.length + tags.length * 16
+  for (const tag of tags) {
+    const data = pad(tables[tag])
+    directory.push(...[...tag].map((c) => c.charCodeAt(0)), ...u32(checksum(data), offset, tables[tag].length))
+    body.push(...data)
+    offset += data.length
+  }
+
+  const font = new Uint8Array([...header, ...directory, ...body])
+  // head.checkSumAdjustment (byte 8 of head) makes the file sum to 0xB1B0AFBA
+  const view = new DataView(font.buffer)
+  const headOffset = view.getUint32(header.length + tags.indexOf('head') * 16 + 8)
+  view.setUint32(headOffset + 8, (0xb1b0afba - checksum(font)) >>> 0)
+  return font
+}
+
+// Identity CID → Unicode. bfrange entries may not cross a high-byte
+// boundary, so one range per high byte (surrogates excluded), at most 100
+// per block.
+function toUnicodeCMap() {
+  const ranges = []
+  for (let hi = 0; hi < 256; hi++) {
+    if (hi >= 0xd8 && hi <= 0xdf) continue
+    const base = hi.toString(16).padStart(2, '0')
+    ranges.push(`<${base}00> <${base}ff> <${base}00>`)
+  }
+  const blocks = []
+  for (let i = 0; i < ranges.length; i += 100) {
+    const chunk = ranges.slice(i, i + 100)
+    blocks.push(`${chunk.length} beginbfrange\n${chunk.join('\n')}\nendbfrange`)
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <ffff>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end',
+  ].join('\n')
+}
+
+/** Add the glyphless font to `doc`. Returns its (indirect) font dictionary. */
+export function addTextLayerFont(doc) {
+  const descriptor = doc.addObject({
+    Type: 'FontDescriptor', FontName: 'GlyphLessFont', Flags: 5,
+    FontBBox: [0, 0, GLYPH_WIDTH, 1000], ItalicAngle: 0,
+    Ascent: 1000, Descent: 0, CapHeight: 1000, StemV: 80,
+  })
+  descriptor.put('FontFile2', doc.addStream(glyphlessTrueType(), {}))
+  // Every CID draws glyph 1
+  const cidToGid = new Uint8Array(0x20000)
+  for (let i = 1; i < cidToGid.length; i += 2) cidToGid[i] = 1
+  const cidFont = doc.addObject({
+    Type: 'Font', Subtype: 'CIDFontType2', BaseFont: 'GlyphLessFont',
+    CIDSystemInfo: { Registry: 'Adobe', Ordering: 'Identity', Supplement: 0 },
+    FontDescriptor: descriptor, DW: GLYPH_WIDTH,
+  })
+  cidFont.put('CIDToGIDMap', doc.addStream(cidToGid, {}))
+  const font = doc.addObject({
+    Type: 'Font', Subtype: 'Type0', BaseFont: 'GlyphLessFont', Encoding: 'Identity-H',
+    DescendantFonts: [cidFont],
+  })
+  font.put('ToUnicode', doc.addStream(toUnicodeCMap(), {}))
+  return font
+}
+
+const fmt = (n) => Number(n.toFixed(3))
+
+/**
+ * Content stream operators drawing `lines` (from extractTextLines()) as
+ * invisible text in font resource `fontName`.
+ */
+export function textLayerContent(lines, fontName) {
+  if (lines.length === 0) return ''
+  const ops = ['BT', '3 Tr', `/${fontName} 1 Tf`]
+  const glyphEm = GLYPH_WIDTH / 1000
+
+  for (const { chars, x, y, dx, dy, size } of lines) {
+    const moveTo = (offset) => ops.push(
+      `${fmt(size * dx)} ${fmt(size * dy)} ${fmt(-size * dy)} ${fmt(size * dx)} ${fmt(x + offset * dx)} ${fmt(y + offset * dy)} Tm`,
+    )
+    moveTo(0)
+    let scale = null
+    chars.forEach(({ c, offset, width }, i) => {
+      // Advance to the next character's origin; where the order isn't
+      // left-to-right along the baseline, use the glyph's own width and
+      // start over at the next character
+      const next = chars[i + 1]
+      const gap = next ? next.offset - offset : width
+      const advance = gap > 0 ? gap : Math.max(width, 0.01)
+      const tz = fmt((100 * advance) / (glyphEm * size))
+      if (tz !== scale) ops.push(`${tz} Tz`)
+      scale = tz
+      ops.push(`<${encodeChar(c)}> Tj`)
+      if (next && gap <= 0) moveTo(next.offset)
+    })
+  }
+  ops.push('ET')
+  return ops.join('\n')
+}
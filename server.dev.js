@@ -1,11 +1,20 @@
 /**
- * Local development server for /api/compress and /api/blob-upload.
+ * Local development server for /api/compress, /api/jobs, /api/blob-upload,
+ * /api/engines, /api/analyze and /api/compress-image.
  * Mirrors the Vercel serverless functions locally.
  *
  * Usage:
  *   node server.dev.js          (port 3001 by default)
  *   PORT=4000 node server.dev.js
  *
+ * Jobs (/api/jobs) are kept in a file store under JOB_STORE_DIR (default:
+ * <tmpdir>/pdfcomp-jobs) so they survive restarts; JOB_STORE=memory keeps
+ * them in this process instead.
+ *
+ * API keys (lib/api-keys.js) are off by default. API_KEYS_FILE=<path> turns
+ * them on with a file store — edit the file and the next request sees the
+ * change; api-keys.example.json is a starting point.
+ *
  * The Vite dev server proxies /api → http://localhost:3001
  *
  * Note: /api/blob-upload returns { localMode: true } when BLOB_READ_WRITE_TOKEN
@@ -13,10 +22,26 @@
  */
 
 import http from 'http'
+import { tmpdir } from 'os'
+import { join } from 'path'
 import compressHandler from './api/compress.js'
+import jobsHandler from './api/jobs.js'
 import blobUploadHandler from './api/blob-upload.js'
+import enginesHandler from './api/engines.js'
+import analyzeHandler from './api/analyze.js'
+import compressImageHandler from './api/compress-image.js'
+import { setJobStore, createFileJobStore, createMemoryJobStore } from './lib/job-store.js'
+import { setApiKeyStore, createFileApiKeyStore, defaultCounters } from './lib/api-keys.js'
 
 const PORT = process.env.PORT || 3001
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || join(tmpdir(), 'pdfcomp-jobs')
+
+setJobStore(process.env.JOB_STORE === 'memory'
+  ? createMemoryJobStore()
+  : createFileJobStore(JOB_STORE_DIR))
+if (process.env.API_KEYS_FILE) {
+  setApiKeyStore(createFileApiKeyStore(process.env.API_KEYS_FILE, { hit: defaultCounters() }))
+}
 
 const server = http.createServer((req, res) => {
   const url = req.url?.split('?')[0]
@@ -24,9 +49,21 @@ const server = http.createServer((req, res) => {
   if (url === '/api/compress' || url === '/api/compress/') {
     return compressHandler(req, res)
   }
+  if (url === '/api/jobs' || url?.startsWith('/api/jobs/')) {
+    return jobsHandler(req, res)
+  }
   if (url === '/api/blob-upload' || url === '/api/blob-upload/') {
     return blobUploadHandler(req, res)
   }
+  if (url === '/api/engines' || url === '/api/engines/') {
+    return enginesHandler(req, res)
+  }
+  if (url === '/api/analyze' || url === '/api/analyze/') {
+    return analyzeHandler(req, res)
+  }
+  if (url === '/api/compress-image' || url === '/api/compress-image/') {
+    return compressImageHandler(req, res)
+  }
   res.writeHead(404)
   res.end('Not found')
 })
@@ -34,7 +71,12 @@ const server = http.createServer((req, res) => {
 server.listen(PORT, () => {
   console.log(`[dev-api] Listening on http://localhost:${PORT}`)
   console.log('[dev-api] POST /api/compress    is ready')
+  console.log(`[dev-api] /api/jobs            is ready (${process.env.JOB_STORE === 'memory' ? 'memory store' : `file store: ${JOB_STORE_DIR}`})`)
   console.log('[dev-api] POST /api/blob-upload is ready')
+  console.log('[dev-api] GET  /api/engines     is ready')
+  console.log('[dev-api] POST /api/analyze     is ready')
+  console.log('[dev-api] POST /api/compress-image is ready')
+  if (process.env.API_KEYS_FILE) console.log(`[dev-api] API keys: ${process.env.API_KEYS_FILE}`)
   if (!process.env.BLOB_READ_WRITE_TOKEN) {
     console.log('[dev-api] Note: BLOB_READ_WRITE_TOKEN not set — using localMode (multipart upload)')
   }
@@ -0,0 +1,253 @@
+import React, { useState, useCallback, useEffect } from 'react'
+import DropZone from './DropZone'
+import CompressionLevelPicker from './CompressionLevelPicker'
+import ColorModePicker from './ColorModePicker'
+import TargetSizePicker from './TargetSizePicker'
+import ProgressBar from './ProgressBar'
+import ImageCompressOptions from './ImageCompressOptions'
+import { formatBytes } from './FileSizeDisplay'
+import { useBatchCompress } from '../hooks/useBatchCompress'
+import { isCompressibleImage } from '../hooks/useCompress'
+import {
+  trackFileUploaded,
+  trackCompressionStarted,
+  trackCompressionSuccess,
+  trackDownloadClicked,
+} from '../utils/analytics'
+
+const STATUS_LABEL = {
+  queued:      'Waiting',
+  compressing: 'Compressing…',
+  done:        'Done',
+  error:       'Failed',
+}
+
+function BatchRow({ item, onDownload, onRemove, busy }) {
+  const pct = item.compressedSize
+    ? Math.round(((item.file.size - item.compressedSize) / item.file.size) * 100)
+    : null
+
+  return (
+    <li className="px-4 py-3 space-y-2" data-testid="batch-item">
+      <div className="flex items-center gap-3">
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-slate-700 truncate">{item.file.name}</p>
+          <p className="text-xs text-slate-400">
+            {formatBytes(item.file.size)}
+            {item.status === 'done' && (
+              <> → {formatBytes(item.compressedSize)} · {pct > 0 ? `-${pct}% smaller` : 'No reduction'}</>
+            )}
+          </p>
+          {item.status === 'error' && (
+            <p className="text-xs text-red-500 mt-0.5">{item.errorMessage}</p>
+          )}
+        </div>
+        <span
+          className={[
+            'text-xs font-medium',
+            item.status === 'done' ? 'text-emerald-600'
+              : item.status === 'error' ? 'text-red-500'
+              : 'text-slate-400',
+          ].join(' ')}
+          data-testid="batch-item-status"
+        >
+          {STATUS_LABEL[item.status]}
+        </span>
+        {item.status === 'done' && (
+          <button className="btn-secondary px-3 py-1 text-xs" onClick={() => onDownload(item)}>
+            Download
+          </button>
+        )}
+        {item.status !== 'done' && item.status !== 'compressing' && !busy && (
+          <button
+            onClick={() => onRemove(item.id)}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+            aria-label={`Remove ${item.file.name}`}
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+      {item.status === 'compressing' && <ProgressBar progress={item.progress} label="Compressing…" />}
+    </li>
+  )
+}
+
+// GA4: compression success, per file
+const trackItemDone = (level) => (item, result) => trackCompressionSuccess({
+  original_size_bytes:   item.file.size,
+  compressed_size_bytes: result.compressedSize,
+  compression_level:     level,
+})
+
+/**
+ * BatchCompressor — multi-file flow shown by Compressor when several PDFs
+ * are dropped at once, or several images to be compressed as images. Each
+ * file goes through /api/compress (or /api/compress-image) on its own;
+ * results can be downloaded individually or as one ZIP. The settings shown
+ * follow what is in the queue: PDF ones, image ones or both.
+ *
+ * `start` ({ level, maxDimension, stripMetadata }) starts compressing right
+ * away with those settings — for images whose settings were already picked
+ * in Compressor.
+ *
+ * `onMerge(files)` is offered while the queue holds only untouched PDFs —
+ * Compressor then joins them into one PDF instead.
+ */
+export default function BatchCompressor({ files, start, onReset, onMerge }) {
+  const [level, setLevel] = useState(start?.level ?? 'medium')
+  const [targetBytes, setTargetBytes] = useState(null)
+  const [colorMode, setColorMode] = useState('color')
+  const [options, setOptions] = useState(null)   // custom settings from the Advanced panel
+  const [imageSettings, setImageSettings] = useState({
+    maxDimension: start?.maxDimension ?? null,
+    stripMetadata: start?.stripMetadata ?? true,
+  })
+  const {
+    items, running, addFiles, removeFile, reset, compressAll, downloadItem, downloadZip,
+  } = useBatchCompress()
+
+  // Seed the queue with the files that opened batch mode
+  useEffect(() => {
+    addFiles(files)
+    if (start) compressAll(start.level, { ...start, onItemDone: trackItemDone(start.level) })
+    return reset
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleAdd = useCallback((more) => {
+    // TIFF can only become a PDF — that's a single-file flow
+    const accepted = more.filter((f) => isCompressibleImage(f) || /\.pdf$/i.test(f.name))
+    if (accepted.length < more.length) alert('TIFF images can only be turned into a PDF — compress them on their own.')
+    accepted.forEach((f) => trackFileUploaded({ file_size_bytes: f.size, file_name: f.name }))
+    addFiles(accepted)
+  }, [addFiles])
+
+  const handleCompress = useCallback(() => {
+    items
+      .filter((item) => item.status === 'queued' || item.status === 'error')
+      .forEach((item) => trackCompressionStarted({ compression_level: level, file_size_bytes: item.file.size }))
+    compressAll(level, {
+      targetBytes: options ? null : targetBytes,
+      colorMode,
+      options: options ?? undefined,
+      // Lossless never resizes — the server would refuse a size
+      maxDimension: level === 'lossless' ? undefined : imageSettings.maxDimension,
+      stripMetadata: imageSettings.stripMetadata,
+      onItemDone: trackItemDone(level),
+    })
+  }, [items, level, targetBytes, colorMode, options, imageSettings, compressAll])
+
+  const handleDownload = useCallback((item) => {
+    trackDownloadClicked({ compressed_size_bytes: item.compressedSize || 0, compression_level: level })
+    downloadItem(item.id)
+  }, [level, downloadItem])
+
+  const handleReset = useCallback(() => {
+    reset()
+    onReset()
+  }, [reset, onReset])
+
+  const doneItems    = items.filter((item) => item.status === 'done')
+  const pendingCount = items.filter((item) => item.status === 'queued' || item.status === 'error').length
+  const totalBefore  = doneItems.reduce((sum, item) => sum + item.file.size, 0)
+  const totalAfter   = doneItems.reduce((sum, item) => sum + item.compressedSize, 0)
+  const imageCount   = items.filter((item) => isCompressibleImage(item.file)).length
+  const noun = imageCount === 0 ? 'PDF' : imageCount === items.length ? 'image' : 'file'
+  const canMerge = Boolean(onMerge) && !running && imageCount === 0 && items.length > 1
+    && items.every((item) => item.status === 'queued')
+
+  return (
+    <div className="space-y-6" data-testid="batch-compressor">
+      {!running && (
+        <DropZone onFile={(f) => handleAdd([f])} onFiles={handleAdd} onImages={handleAdd} />
+      )}
+
+      <ul className="bg-white border border-slate-200 rounded-xl divide-y divide-slate-100">
+        {items.map((item) => (
+          <BatchRow
+            key={item.id}
+            item={item}
+            busy={running}
+            onDownload={handleDownload}
+            onRemove={removeFile}
+          />
+        ))}
+      </ul>
+
+      {pendingCount > 0 && (
+        <>
+          <div>
+            <p className="text-sm font-semibold text-slate-600 mb-3">Compression level</p>
+            <CompressionLevelPicker value={level} onChange={setLevel} disabled={running} onOptionsChange={setOptions} />
+            {imageCount < items.length && (
+              <div className="mt-3">
+                <ColorModePicker value={colorMode} onChange={setColorMode} disabled={running || level === 'lossless'} />
+              </div>
+            )}
+          </div>
+          {imageCount > 0 && (
+            <div>
+              <p className="text-sm font-semibold text-slate-600 mb-3">Images</p>
+              <ImageCompressOptions
+                value={imageSettings}
+                onChange={setImageSettings}
+                disabled={running}
+                lossless={level === 'lossless'}
+              />
+            </div>
+          )}
+          {imageCount < items.length && (
+            <div>
+              <p className="text-sm font-semibold text-slate-600 mb-3">Size limit (per PDF)</p>
+              <TargetSizePicker value={targetBytes} onChange={setTargetBytes} disabled={running || Boolean(options)} />
+              {options && (
+                <p className="text-xs text-slate-400 mt-2">Not available with custom settings.</p>
+              )}
+            </div>
+          )}
+          <button
+            className="btn-primary w-full py-3 text-base"
+            onClick={handleCompress}
+            disabled={running}
+            data-testid="batch-compress-btn"
+          >
+            {running ? 'Compressing…' : `Compress ${pendingCount} ${noun}${pendingCount === 1 ? '' : 's'}`}
+          </button>
+          {canMerge && (
+            <button
+              className="btn-secondary w-full py-3 text-base"
+              onClick={() => onMerge(items.map((item) => item.file))}
+              data-testid="merge-btn"
+            >
+              Merge into one PDF instead
+            </button>
+          )}
+        </>
+      )}
+
+      {doneItems.length > 0 && (
+        <p className="text-sm text-slate-500 text-center" data-testid="batch-summary">
+          {doneItems.length} of {items.length} done · {formatBytes(totalBefore)} → {formatBytes(totalAfter)}
+        </p>
+      )}
+
+      <div className="flex gap-3">
+        {doneItems.length > 0 && (
+          <button
+            className="btn-primary flex-1 py-3 text-base"
+            onClick={() => downloadZip(noun === 'image' ? 'compressed_images.zip' : undefined)}
+            disabled={running}
+            data-testid="download-zip-btn"
+          >
+            Download all as ZIP
+          </button>
+        )}
+        <button className="btn-secondary px-4" onClick={handleReset} disabled={running}>
+          Start over
+        </button>
+      </div>
+    </div>
+  )
+}
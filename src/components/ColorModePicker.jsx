@@ -0,0 +1,44 @@
+import React from 'react'
+
+const COLOR_MODES = [
+  { value: 'color',     label: 'Color' },
+  { value: 'grayscale', label: 'Grayscale' },
+  { value: 'bw',        label: 'Black & white' },
+]
+
+/**
+ * Output colour — grayscale and 1-bit black & white shrink scans of forms
+ * and receipts far more than the level alone. Lossless never changes
+ * pixels, so callers disable this for it.
+ */
+export default function ColorModePicker({ value, onChange, disabled }) {
+  return (
+    <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Output colour">
+      {COLOR_MODES.map((mode) => {
+        const selected = value === mode.value
+        return (
+          <button
+            key={mode.value}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            disabled={disabled}
+            onClick={() => onChange(mode.value)}
+            className={[
+              'px-3 py-1.5 rounded-lg border-2 text-sm font-medium transition-all duration-150',
+              selected
+                ? 'border-brand-500 bg-brand-50 text-brand-600'
+                : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300',
+              disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+            ].join(' ')}
+            data-testid={`color-${mode.value}`}
+          >
+            {mode.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export { COLOR_MODES }
@@ -1,6 +1,14 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { LEVEL_CONFIG, GS_PRESETS, OPTION_LIMITS, normalizeOptions } from '../../lib/levels.js'
+import { formatBytes } from './FileSizeDisplay'
 
 const LEVELS = [
+  {
+    value: 'lossless',
+    label: 'Lossless',
+    description: 'No quality loss at all',
+    icon: '⚪',
+  },
   {
     value: 'low',
     label: 'Low',
@@ -21,36 +29,195 @@ const LEVELS = [
   },
 ]
 
-export default function CompressionLevelPicker({ value, onChange, disabled }) {
+// Last-used custom settings, so power users don't re-enter them every visit
+const ADVANCED_STORAGE_KEY = 'compressfiles.advancedOptions'
+
+function loadAdvanced() {
+  const { quality, dpi, scale, gsSetting } = LEVEL_CONFIG.medium
+  const defaults = { enabled: false, values: { quality, dpi, scale, gsSetting } }
+  try {
+    const stored = JSON.parse(localStorage.getItem(ADVANCED_STORAGE_KEY))
+    if (!stored) return defaults
+    return {
+      enabled: Boolean(stored.enabled),
+      values: { ...defaults.values, ...normalizeOptions(stored.values).options },
+    }
+  } catch {
+    return defaults   // storage disabled or corrupt
+  }
+}
+
+function saveAdvanced(advanced) {
+  try { localStorage.setItem(ADVANCED_STORAGE_KEY, JSON.stringify(advanced)) } catch { /* non-fatal */ }
+}
+
+const NUMBER_FIELDS = [
+  { key: 'quality', label: 'JPEG quality' },
+  { key: 'dpi',     label: 'Max image DPI' },
+  { key: 'scale',   label: 'Render scale' },
+]
+
+/**
+ * Custom settings that override the level's (`options` on /api/compress).
+ * Calls onOptionsChange(options) while "Use custom settings" is on and
+ * onOptionsChange(null) when it is off — including once on mount, from the
+ * values remembered in localStorage.
+ */
+function AdvancedPanel({ level, onOptionsChange, disabled }) {
+  const [open, setOpen] = useState(false)
+  const [advanced, setAdvanced] = useState(loadAdvanced)
+  const { enabled, values } = advanced
+
+  useEffect(() => {
+    saveAdvanced(advanced)
+    // Half-typed numbers are clamped by normalizeOptions; an empty field just
+    // keeps the level's value
+    const entries = Object.entries(advanced.values).filter(([, v]) => v !== '')
+    onOptionsChange(advanced.enabled ? normalizeOptions(Object.fromEntries(entries)).options : null)
+  }, [advanced, onOptionsChange])
+
+  const setValue = (key, value) => setAdvanced((prev) => ({ ...prev, values: { ...prev.values, [key]: value } }))
+  const clampValue = (key) => {
+    const clamped = normalizeOptions({ [key]: values[key] }).options?.[key]
+    if (clamped !== undefined) setValue(key, clamped)
+  }
+  const resetToLevel = () => {
+    const { quality, dpi, scale, gsSetting } = LEVEL_CONFIG[level] ?? LEVEL_CONFIG.medium
+    setAdvanced((prev) => ({ ...prev, values: { quality, dpi, scale, gsSetting } }))
+  }
+
+  const lossless = Boolean(LEVEL_CONFIG[level]?.lossless)
+  const fieldsDisabled = disabled || !enabled || lossless
+
+  return (
+    <div className="mt-3">
+      <button
+        type="button"
+        className="text-sm font-medium text-slate-500 hover:text-slate-700"
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+        data-testid="advanced-toggle"
+      >
+        {open ? '▾' : '▸'} Advanced{enabled ? ' (custom settings on)' : ''}
+      </button>
+
+      {open && (
+        <div className="mt-2 bg-slate-50 border border-slate-200 rounded-xl p-4 space-y-3" data-testid="advanced-panel">
+          <div className="flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer select-none">
+              <input
+                type="checkbox"
+                className="rounded border-slate-300 text-brand-500 focus:ring-brand-500"
+                checked={enabled}
+                onChange={(e) => setAdvanced((prev) => ({ ...prev, enabled: e.target.checked }))}
+                disabled={disabled}
+                data-testid="advanced-enabled"
+              />
+              Use custom settings
+            </label>
+            <button
+              type="button"
+              className="text-xs text-brand-600 hover:underline disabled:opacity-50 disabled:no-underline"
+              onClick={resetToLevel}
+              disabled={fieldsDisabled}
+            >
+              Reset to level
+            </button>
+          </div>
+          {lossless && (
+            <p className="text-xs text-slate-400">Lossless doesn&apos;t re-encode images, so these don&apos;t apply.</p>
+          )}
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {NUMBER_FIELDS.map(({ key, label }) => (
+              <label key={key} className="text-xs text-slate-500 space-y-1">
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min={OPTION_LIMITS[key].min}
+                  max={OPTION_LIMITS[key].max}
+                  step={OPTION_LIMITS[key].step}
+                  className="w-full rounded-lg border border-slate-300 px-2 py-1.5 text-sm focus:border-brand-500 focus:ring-brand-500"
+                  value={values[key]}
+                  onChange={(e) => setValue(key, e.target.value)}
+                  onBlur={() => clampValue(key)}
+                  disabled={fieldsDisabled}
+                  data-testid={`advanced-${key}`}
+                />
+              </label>
+            ))}
+            <label className="text-xs text-slate-500 space-y-1">
+              <span>Ghostscript preset</span>
+              <select
+                className="w-full rounded-lg border border-slate-300 px-2 py-1.5 text-sm focus:border-brand-500 focus:ring-brand-500"
+                value={values.gsSetting}
+                onChange={(e) => setValue('gsSetting', e.target.value)}
+                disabled={fieldsDisabled}
+                data-testid="advanced-gsSetting"
+              >
+                {GS_PRESETS.map((preset) => (
+                  <option key={preset} value={preset}>{preset.slice(1)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/** '≈ 1.20 MB · -58%' for a card, from useAnalysis() estimates. */
+function formatEstimate(estimate, originalSize) {
+  if (!estimate) return 'Estimating…'
+  const pct = originalSize ? Math.round((1 - estimate.size / originalSize) * 100) : 0
+  return `≈ ${formatBytes(estimate.size)}${pct > 0 ? ` · -${pct}%` : ' · no reduction'}`
+}
+
+/**
+ * Level cards, plus the Advanced panel when the caller passes
+ * `onOptionsChange` (see AdvancedPanel). With `estimates` (see
+ * useAnalysis()) and the file's `originalSize`, each card also shows the
+ * estimated output size — 'Estimating…' until its level is in.
+ */
+export default function CompressionLevelPicker({ value, onChange, disabled, onOptionsChange, estimates, originalSize }) {
   return (
-    <div className="grid grid-cols-3 gap-3" role="radiogroup" aria-label="Compression level">
-      {LEVELS.map((level) => {
-        const selected = value === level.value
-        return (
-          <button
-            key={level.value}
-            type="button"
-            role="radio"
-            aria-checked={selected}
-            disabled={disabled}
-            onClick={() => onChange(level.value)}
-            className={[
-              'flex flex-col items-center gap-1 p-3 rounded-xl border-2 text-center transition-all duration-150',
-              selected
-                ? 'border-brand-500 bg-brand-50 shadow-sm'
-                : 'border-slate-200 bg-white hover:border-slate-300',
-              disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
-            ].join(' ')}
-            data-testid={`level-${level.value}`}
-          >
-            <span className="text-xl">{level.icon}</span>
-            <span className={`font-semibold text-sm ${selected ? 'text-brand-600' : 'text-slate-700'}`}>
-              {level.label}
-            </span>
-            <span className="text-xs text-slate-400 leading-tight">{level.description}</span>
-          </button>
-        )
-      })}
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3" role="radiogroup" aria-label="Compression level">
+        {LEVELS.map((level) => {
+          const selected = value === level.value
+          return (
+            <button
+              key={level.value}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              disabled={disabled}
+              onClick={() => onChange(level.value)}
+              className={[
+                'flex flex-col items-center gap-1 p-3 rounded-xl border-2 text-center transition-all duration-150',
+                selected
+                  ? 'border-brand-500 bg-brand-50 shadow-sm'
+                  : 'border-slate-200 bg-white hover:border-slate-300',
+                disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+              ].join(' ')}
+              data-testid={`level-${level.value}`}
+            >
+              <span className="text-xl">{level.icon}</span>
+              <span className={`font-semibold text-sm ${selected ? 'text-brand-600' : 'text-slate-700'}`}>
+                {level.label}
+              </span>
+              <span className="text-xs text-slate-400 leading-tight">{level.description}</span>
+              {estimates && (
+                <span className="text-xs font-medium text-slate-500" data-testid={`level-estimate-${level.value}`}>
+                  {formatEstimate(estimates[level.value], originalSize)}
+                </span>
+              )}
+            </button>
+          )
+        })}
+      </div>
+      {onOptionsChange && <AdvancedPanel level={value} onOptionsChange={onOptionsChange} disabled={disabled} />}
     </div>
   )
 }
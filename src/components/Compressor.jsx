@@ -1,9 +1,24 @@
-import React, { useState, useCallback, useEffect } from 'react'
+import React, { useState, useCallback, useEffect, useMemo } from 'react'
 import DropZone from './DropZone'
 import CompressionLevelPicker from './CompressionLevelPicker'
-import FileSizeDisplay from './FileSizeDisplay'
+import TargetSizePicker from './TargetSizePicker'
+import ColorModePicker from './ColorModePicker'
+import FileSizeDisplay, { formatBytes } from './FileSizeDisplay'
 import ProgressBar from './ProgressBar'
-import { useCompress } from '../hooks/useCompress'
+import BatchCompressor from './BatchCompressor'
+import PasswordPrompt from './PasswordPrompt'
+import PageStrip from './PageStrip'
+import QualityPreview from './QualityPreview'
+import PageSetupPicker from './PageSetupPicker'
+import ImageCompressOptions from './ImageCompressOptions'
+import MergeList from './MergeList'
+import { useCompress, isCompressibleImage } from '../hooks/useCompress'
+import { useThumbnails } from '../hooks/useThumbnails'
+import { useAnalysis } from '../hooks/useAnalysis'
+import { useQualityPreview } from '../hooks/useQualityPreview'
+import { isLocalCompressionSupported } from '../utils/localCompress'
+import { formatPageSelection, outputPageSources } from '../../lib/pages.js'
+import { imageTypeForName } from '../../lib/image-types.js'
 import {
   trackFileUploaded,
   trackCompressionStarted,
@@ -14,9 +29,25 @@ import {
 export default function Compressor() {
   const [file, setFile] = useState(null)
   const [level, setLevel] = useState('medium')
+  const [targetBytes, setTargetBytes] = useState(null)
+  const [colorMode, setColorMode] = useState('color')
+  const [options, setOptions] = useState(null)         // custom settings from the Advanced panel
+  const [batchFiles, setBatchFiles] = useState(null)   // set when several PDFs are dropped
+  const [batchStart, setBatchStart] = useState(null)   // settings to start the batch with, if any
+  const [images, setImages] = useState(null)           // set when images are dropped
+  const [mergeFiles, setMergeFiles] = useState(null)   // PDFs to join, in order — chosen from the batch view
+  const [imageOutput, setImageOutput] = useState('pdf')  // images → 'pdf' (one PDF) | 'images' (each compressed)
+  const [pageSetup, setPageSetup] = useState({ pageSize: 'a4', orientation: 'auto' })
+  const [imageSettings, setImageSettings] = useState({ maxDimension: null, stripMetadata: true })
+  const [onDevice, setOnDevice] = useState(true)       // try in-browser compression first
+  const [unlock, setUnlock] = useState(null)           // { password, keepEncryption } once asked for
+  const [pageOrder, setPageOrder] = useState(null)     // [{ page, included }] from the page strip
+  const [removeBlankPages, setRemoveBlankPages] = useState(false)
+  const [showPreview, setShowPreview] = useState(false)  // before/after quality check
 
   const {
     compress,
+    cancel,
     reset,
     triggerDownload,
     status,      // 'idle' | 'uploading' | 'processing' | 'done' | 'error'
@@ -24,13 +55,52 @@ export default function Compressor() {
     originalSize,
     compressedSize,
     downloadUrl,
+    compressedBlob,
     downloadName,
     errorMessage,
+    errorCode,
+    targetMet,
+    processedLocally,
+    pageProgress,
+    removedPages,
+    dimensions,
+    parts,       // set when the result was split (splitMaxBytes)
   } = useCompress()
 
+  const { pageCount, thumbnails } = useThumbnails(file, { password: unlock?.password })
+  const { estimates } = useAnalysis(file, { password: unlock?.password, colorMode })
+
+  // Every page, in order, whenever a new file (or its page count) comes in
+  useEffect(() => {
+    setPageOrder(pageCount ? Array.from({ length: pageCount }, (_, page) => ({ page, included: true })) : null)
+  }, [file, pageCount])
+
+  // `pages` spec for the API — undefined while nothing was removed or moved
+  const keptPages = useMemo(
+    () => pageOrder?.filter((item) => item.included).map((item) => item.page) ?? null,
+    [pageOrder],
+  )
+  const pages = keptPages && (keptPages.length !== pageCount || keptPages.some((page, i) => page !== i))
+    ? formatPageSelection(keptPages)
+    : undefined
+
+  // Output page → uploaded page, for comparing the right pages in the preview
+  const previewSources = useMemo(
+    () => (pageCount && (keptPages || removedPages?.length) ? outputPageSources(keptPages, removedPages, pageCount) : undefined),
+    [keptPages, removedPages, pageCount],
+  )
+  const preview = useQualityPreview(
+    showPreview ? file : null,
+    showPreview ? compressedBlob : null,
+    { password: unlock?.password, sources: previewSources },
+  )
+
   const handleFile = useCallback(
     (f) => {
       setFile(f)
+      setImages(null)
+      setMergeFiles(null)
+      setUnlock(null)
       reset()
       // GA4: file selected
       trackFileUploaded({ file_size_bytes: f.size, file_name: f.name })
@@ -38,15 +108,111 @@ export default function Compressor() {
     [reset],
   )
 
-  const handleCompress = useCallback(() => {
-    if (!file) return
+  const handleFiles = useCallback(
+    (files) => {
+      setFile(null)
+      setImages(null)
+      setMergeFiles(null)
+      reset()
+      files.forEach((f) => trackFileUploaded({ file_size_bytes: f.size, file_name: f.name }))
+      setBatchFiles(files)
+    },
+    [reset],
+  )
+
+  const handleImages = useCallback(
+    (files) => {
+      setFile(null)
+      setMergeFiles(null)
+      setUnlock(null)
+      reset()
+      files.forEach((f) => trackFileUploaded({ file_size_bytes: f.size, file_name: f.name }))
+      setImages(files)
+    },
+    [reset],
+  )
+
+  // From the batch view: join these PDFs instead of compressing each
+  const handleMerge = useCallback((files) => {
+    setBatchFiles(null)
+    setBatchStart(null)
+    setMergeFiles(files)
+  }, [])
+
+  // More PDFs dropped while merging go to the end of the list
+  const handleMoreToMerge = useCallback((more) => {
+    const pdfs = [more].flat()
+    pdfs.forEach((f) => trackFileUploaded({ file_size_bytes: f.size, file_name: f.name }))
+    setMergeFiles((current) => [...current, ...pdfs])
+  }, [])
+
+  const imagesSize = images?.reduce((sum, f) => sum + f.size, 0) ?? 0
+  const mergeSize = mergeFiles?.reduce((sum, f) => sum + f.size, 0) ?? 0
+  // WebP can't go into a PDF and TIFF can't be compressed as an image
+  const canMakePdf = images?.every((f) => imageTypeForName(f.name)) ?? false
+  const canCompressImages = images?.every(isCompressibleImage) ?? false
+  const asImages = canCompressImages && (imageOutput === 'images' || !canMakePdf)
+
+  // `split` ({ splitMaxBytes }) asks for the result in parts — see handleSplit
+  const handleCompress = useCallback((credentials = unlock, split = {}) => {
+    if (!file && !images && !mergeFiles) return
     // GA4: compression started
-    trackCompressionStarted({ compression_level: level, file_size_bytes: file.size })
-    compress(file, level)
-  }, [file, level, compress])
+    trackCompressionStarted({ compression_level: level, file_size_bytes: file ? file.size : images ? imagesSize : mergeSize })
+    setShowPreview(false)
+    // Custom settings fix the output quality, so they replace the size limit
+    const settings = {
+      targetBytes: options ? null : targetBytes,
+      colorMode,
+      options: options ?? undefined,
+      processing: onDevice ? 'auto' : 'server',
+      ...split,
+    }
+    // Lossless never resizes — the server would refuse a size
+    const imageOptions = {
+      maxDimension: level === 'lossless' ? undefined : imageSettings.maxDimension,
+      stripMetadata: imageSettings.stripMetadata,
+    }
+    if (asImages && images.length > 1) {
+      setBatchStart({ level, ...imageOptions })
+      setBatchFiles(images)
+      setImages(null)
+    } else if (asImages) {
+      compress(images[0], level, imageOptions)
+    } else if (images) {
+      compress(images, level, { ...settings, ...pageSetup })
+    } else if (mergeFiles) {
+      compress(mergeFiles, level, settings)
+    } else {
+      compress(file, level, { ...settings, pages, removeBlankPages, ...credentials })
+    }
+  }, [file, images, imagesSize, mergeFiles, mergeSize, asImages, pageSetup, imageSettings, level, targetBytes, colorMode, options, pages, removeBlankPages, onDevice, unlock, compress])
+
+  // Target missed: compress again, cut into parts that each fit under it.
+  // The server can't split a re-encrypted file, so the parts come without
+  // the password — the button says so.
+  const handleSplit = useCallback(() => {
+    handleCompress(unlock && { ...unlock, keepEncryption: false }, { splitMaxBytes: targetBytes })
+  }, [handleCompress, unlock, targetBytes])
+
+  // Password prompt submitted — remembered so a retry at another level works
+  const handleUnlock = useCallback((password, keepEncryption) => {
+    const credentials = { password, keepEncryption }
+    setUnlock(credentials)
+    handleCompress(credentials)
+  }, [handleCompress])
 
   const handleReset = useCallback(() => {
     setFile(null)
+    setImages(null)
+    setMergeFiles(null)
+    setUnlock(null)
+    setShowPreview(false)
+    reset()
+  }, [reset])
+
+  // From the preview: back to the settings with the same file
+  const handleRetry = useCallback(() => {
+    setShowPreview(false)
     reset()
   }, [reset])
 
@@ -54,6 +220,7 @@ export default function Compressor() {
   const isBusy = status === 'uploading' || status === 'processing'
   const isDone = status === 'done'
   const isError = status === 'error'
+  const needsPassword = isError && (errorCode === 'PASSWORD_REQUIRED' || errorCode === 'PASSWORD_INCORRECT')
 
   // GA4: compression success (conversion event) — fires once when status → done
   useEffect(() => {
@@ -66,11 +233,31 @@ export default function Compressor() {
     }
   }, [isDone]) // eslint-disable-line react-hooks/exhaustive-deps
 
+  if (batchFiles) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <BatchCompressor
+          files={batchFiles}
+          start={batchStart}
+          onMerge={handleMerge}
+          onReset={() => {
+            setBatchFiles(null)
+            setBatchStart(null)
+          }}
+        />
+      </div>
+    )
+  }
+
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       {/* Drop zone (always visible unless done) */}
       {!isDone && (
-        <DropZone onFile={handleFile} disabled={isBusy} />
+        mergeFiles ? (
+          <DropZone onFile={handleMoreToMerge} onFiles={handleMoreToMerge} disabled={isBusy} />
+        ) : (
+          <DropZone onFile={handleFile} onFiles={handleFiles} onImages={handleImages} disabled={isBusy} />
+        )
       )}
 
       {/* Large file advisory — shown when file > 5 MB */}
@@ -110,24 +297,205 @@ export default function Compressor() {
         </div>
       )}
 
+      {/* Selected images — assembled into one PDF, in this order, or compressed one by one */}
+      {images && !isDone && (
+        <div className="flex items-center gap-3 bg-white border border-slate-200 rounded-xl px-4 py-3" data-testid="selected-images">
+          <div className="w-9 h-9 rounded-lg bg-brand-100 flex items-center justify-center flex-shrink-0">
+            <svg className="w-5 h-5 text-brand-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={1.5}>
+              <path strokeLinecap="round" strokeLinejoin="round"
+                d="M2.25 15.75l5.159-5.159a2.25 2.25 0 013.182 0l5.159 5.159m-1.5-1.5l1.409-1.409a2.25 2.25 0 013.182 0l2.909 2.909M3.75 21h16.5A1.5 1.5 0 0021.75 19.5V4.5A1.5 1.5 0 0020.25 3H3.75A1.5 1.5 0 002.25 4.5v15A1.5 1.5 0 003.75 21z" />
+            </svg>
+          </div>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-slate-700 truncate" title={images.map((f) => f.name).join(', ')}>
+              {images.length === 1 ? images[0].name : asImages ? `${images.length} images` : `${images.length} images → one PDF`}
+            </p>
+            <p className="text-xs text-slate-400">{(imagesSize / 1024 / 1024).toFixed(2)} MB</p>
+          </div>
+          {!isBusy && (
+            <button
+              onClick={handleReset}
+              className="text-slate-400 hover:text-slate-600 transition-colors"
+              aria-label="Remove file"
+            >
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* PDFs to merge — joined in this order, one bookmark each */}
+      {mergeFiles && !isDone && (
+        <div data-testid="merge-files">
+          <p className="text-sm font-semibold text-slate-600 mb-3">
+            Merge {mergeFiles.length} PDFs · {formatBytes(mergeSize)}
+          </p>
+          <MergeList value={mergeFiles} onChange={setMergeFiles} disabled={isBusy} />
+        </div>
+      )}
+
       {/* Compression level picker */}
-      {file && !isDone && (
+      {(file || images || mergeFiles) && !isDone && (
         <div>
           <p className="text-sm font-semibold text-slate-600 mb-3">Compression level</p>
-          <CompressionLevelPicker value={level} onChange={setLevel} disabled={isBusy} />
+          <CompressionLevelPicker
+            value={level}
+            onChange={setLevel}
+            disabled={isBusy}
+            onOptionsChange={setOptions}
+            estimates={estimates}
+            originalSize={file?.size}
+          />
+          {/* Grayscale / 1-bit — lossless never touches pixels, so not offered there */}
+          {!asImages && (
+            <div className="mt-3">
+              <ColorModePicker value={colorMode} onChange={setColorMode} disabled={isBusy || level === 'lossless'} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Images: one PDF, or each compressed in its own format */}
+      {images && !isDone && canMakePdf && canCompressImages && (
+        <div>
+          <p className="text-sm font-semibold text-slate-600 mb-3">Output</p>
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Output">
+            {[
+              { value: 'pdf',    label: 'One PDF' },
+              { value: 'images', label: images.length === 1 ? 'Compressed image' : 'Compressed images' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                role="radio"
+                aria-checked={imageOutput === option.value}
+                disabled={isBusy}
+                onClick={() => setImageOutput(option.value)}
+                className={[
+                  'px-3 py-1.5 rounded-lg border-2 text-sm font-medium transition-all duration-150',
+                  imageOutput === option.value
+                    ? 'border-brand-500 bg-brand-50 text-brand-600'
+                    : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300',
+                  isBusy ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+                ].join(' ')}
+                data-testid={`image-output-${option.value}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* WebP and TIFF together: neither output takes both */}
+      {images && !isDone && !canMakePdf && !canCompressImages && (
+        <p className="text-sm text-amber-700" data-testid="image-mix-unsupported">
+          WebP images can't go into a PDF and TIFF images can't be compressed as images — drop them separately.
+        </p>
+      )}
+
+      {/* Images compressed as images: size and metadata */}
+      {asImages && !isDone && (
+        <div>
+          <p className="text-sm font-semibold text-slate-600 mb-3">Image size</p>
+          <ImageCompressOptions
+            value={imageSettings}
+            onChange={setImageSettings}
+            disabled={isBusy}
+            lossless={level === 'lossless'}
+          />
         </div>
       )}
 
-      {/* Progress */}
+      {/* Images → PDF: the pages they are placed on */}
+      {images && !asImages && !isDone && (
+        <div>
+          <p className="text-sm font-semibold text-slate-600 mb-3">Page</p>
+          <PageSetupPicker value={pageSetup} onChange={setPageSetup} disabled={isBusy} />
+        </div>
+      )}
+
+      {/* Page selection — remove or reorder pages before compressing */}
+      {file && !isDone && pageOrder && pageOrder.length > 1 && (
+        <div>
+          <p className="text-sm font-semibold text-slate-600 mb-3">Pages</p>
+          <PageStrip thumbnails={thumbnails} value={pageOrder} onChange={setPageOrder} disabled={isBusy} />
+        </div>
+      )}
+
+      {/* Scanned batches: drop the blank backsides */}
+      {file && !isDone && (
+        <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            className="rounded border-slate-300 text-brand-500 focus:ring-brand-500"
+            checked={removeBlankPages}
+            onChange={(e) => setRemoveBlankPages(e.target.checked)}
+            disabled={isBusy}
+            data-testid="remove-blank-toggle"
+          />
+          Remove blank pages
+        </label>
+      )}
+
+      {/* Optional size limit — server searches for settings that fit */}
+      {(file || images || mergeFiles) && !asImages && !isDone && (
+        <div>
+          <p className="text-sm font-semibold text-slate-600 mb-3">Size limit</p>
+          <TargetSizePicker value={targetBytes} onChange={setTargetBytes} disabled={isBusy || Boolean(options)} />
+          {options && (
+            <p className="text-xs text-slate-400 mt-2">Not available with custom settings.</p>
+          )}
+        </div>
+      )}
+
+      {/* Privacy: compress in the browser (falls back to the server if the device can't — out of memory, worker failed to start).
+          Images compressed as images and merged PDFs always go to the server. */}
+      {(file || images) && !asImages && !isDone && isLocalCompressionSupported() && (
+        <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            className="rounded border-slate-300 text-brand-500 focus:ring-brand-500"
+            checked={onDevice}
+            onChange={(e) => setOnDevice(e.target.checked)}
+            disabled={isBusy}
+            data-testid="on-device-toggle"
+          />
+          Process on this device — your {images ? 'images are' : 'PDF is'} never uploaded
+        </label>
+      )}
+
+      {/* Progress + cancel (aborts the upload/request; the server stops when it sees the disconnect) */}
       {isBusy && (
-        <ProgressBar
-          progress={progress}
-          label={status === 'uploading' ? 'Uploading…' : 'Compressing…'}
-        />
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <ProgressBar
+              progress={progress}
+              label={status === 'uploading' ? 'Uploading…' : 'Compressing…'}
+              page={pageProgress?.page}
+              pageCount={pageProgress?.pageCount}
+              etaSeconds={pageProgress?.etaSeconds}
+            />
+          </div>
+          <button
+            className="btn-secondary px-3 py-1.5 text-xs"
+            onClick={cancel}
+            data-testid="cancel-btn"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Password-protected PDF — ask, then compress again */}
+      {needsPassword && (
+        <PasswordPrompt incorrect={errorCode === 'PASSWORD_INCORRECT'} onSubmit={handleUnlock} />
       )}
 
       {/* Error */}
-      {isError && (
+      {isError && !needsPassword && (
         <div className="flex items-start gap-3 bg-red-50 border border-red-200 rounded-xl p-4">
           <svg className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={1.5}>
             <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126zM12 15.75h.007v.008H12v-.008z" />
@@ -140,11 +508,11 @@ export default function Compressor() {
       )}
 
       {/* Action button */}
-      {file && !isDone && (
+      {(file || images || mergeFiles) && !isDone && (
         <button
           className="btn-primary w-full py-3 text-base"
-          onClick={handleCompress}
-          disabled={isBusy}
+          onClick={() => handleCompress()}
+          disabled={isBusy || keptPages?.length === 0 || (images && !canMakePdf && !canCompressImages)}
           data-testid="compress-btn"
         >
           {isBusy ? (
@@ -153,14 +521,16 @@ export default function Compressor() {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"/>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8H4z"/>
               </svg>
-              Compressing…
+              {images && !asImages ? 'Creating PDF…' : mergeFiles ? 'Merging…' : 'Compressing…'}
             </>
           ) : (
             <>
               <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
                 <path strokeLinecap="round" strokeLinejoin="round" d="M9 13h6m-3-3v6m5.25-9.75L12 3 6.75 6.25M3 12l9 9 9-9" />
               </svg>
-              Compress PDF
+              {asImages
+                ? (images.length === 1 ? 'Compress image' : `Compress ${images.length} images`)
+                : images ? 'Create PDF' : mergeFiles ? `Merge ${mergeFiles.length} PDFs` : 'Compress PDF'}
             </>
           )}
         </button>
@@ -178,12 +548,88 @@ export default function Compressor() {
             </div>
             <div>
               <p className="font-semibold text-slate-800">Compression complete!</p>
-              <p className="text-xs text-slate-400">Your file is ready to download</p>
+              <p className="text-xs text-slate-400" data-testid="processed-where">
+                {processedLocally
+                  ? 'Processed on your device — nothing was uploaded'
+                  : onDevice && isLocalCompressionSupported() && !dimensions && !mergeFiles && !parts
+                    ? 'This file could not be compressed on your device, so it was compressed on our server'
+                    : 'Your file is ready to download'}
+              </p>
             </div>
           </div>
 
           {/* Size comparison */}
-          <FileSizeDisplay originalSize={originalSize} compressedSize={compressedSize} />
+          <FileSizeDisplay
+            originalSize={originalSize}
+            compressedSize={compressedSize}
+            mimeType={dimensions ? compressedBlob?.type : undefined}
+            dimensions={dimensions}
+          />
+
+          {/* Target missed — this is the smallest output the server could produce; offer it in parts */}
+          {targetMet === false && !parts && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl px-4 py-3 text-sm text-amber-800 space-y-2" data-testid="target-missed">
+              <p>Could not get this file under {formatBytes(targetBytes)} — this is the smallest version we could make.</p>
+              {!dimensions && (
+                <button
+                  className="font-medium text-amber-900 underline hover:no-underline"
+                  onClick={handleSplit}
+                  data-testid="split-btn"
+                >
+                  Split it into parts under {formatBytes(targetBytes)} instead
+                </button>
+              )}
+              {!dimensions && unlock?.keepEncryption && (
+                <p className="text-xs text-amber-700" data-testid="split-unprotected">
+                  The parts will not be password-protected.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Split result — page ranges, each part under the limit */}
+          {parts && (
+            <div className="text-sm text-slate-600" data-testid="split-parts">
+              <p className="mb-2">Split into {parts.length} parts, each under {formatBytes(targetBytes)}:</p>
+              <ul className="bg-slate-50 border border-slate-200 rounded-xl divide-y divide-slate-100">
+                {parts.map((part) => (
+                  <li key={part.filename} className="flex items-center gap-3 px-4 py-2">
+                    <span className="flex-1 min-w-0 truncate font-medium text-slate-700">{part.filename}</span>
+                    <span className="text-xs text-slate-400">pages {part.pages}{part.size ? ` · ${formatBytes(part.size)}` : ''}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Pages left out by removeBlankPages */}
+          {removedPages?.length > 0 && (
+            <p className="text-sm text-slate-500" data-testid="removed-pages">
+              Removed {removedPages.length} blank page{removedPages.length === 1 ? '' : 's'}: {removedPages.join(', ')}
+            </p>
+          )}
+
+          {/* Before/after preview — rendered on this device from the two files (PDF input only) */}
+          {isLocalCompressionSupported() && file && !parts && (
+            showPreview ? (
+              <QualityPreview
+                pageCount={preview.pageCount}
+                scores={preview.scores}
+                view={preview.view}
+                error={preview.error}
+                onShowPage={preview.showPage}
+                onRetry={handleRetry}
+              />
+            ) : (
+              <button
+                className="text-sm font-medium text-brand-600 hover:underline"
+                onClick={() => setShowPreview(true)}
+                data-testid="preview-btn"
+              >
+                Compare with the original before downloading
+              </button>
+            )
+          )}
 
           {/* Actions */}
           <div className="flex gap-3">
@@ -209,7 +655,7 @@ export default function Compressor() {
               <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
                 <path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
               </svg>
-              Download compressed PDF
+              {dimensions ? 'Download compressed image' : parts ? `Download ${parts.length} parts (ZIP)` : 'Download compressed PDF'}
             </button>
             <button
               className="btn-secondary px-4"
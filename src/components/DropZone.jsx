@@ -10,21 +10,43 @@
  *     discard the user's selection (requires multiple attempts to select).
  *  2. `noClick: true` on react-dropzone — prevents the outer div's own click
  *     handler from also firing and opening a second picker.
- *  3. `accept="application/pdf,.pdf"` on the <input> — restricts the file
- *     picker to PDFs on iOS/Android.
+ *  3. `accept="application/pdf,.pdf"` on the <input> (plus the image types
+ *     with `onImages`) — restricts the file picker to them on iOS/Android.
  *  4. `touch-action: manipulation` via Tailwind `touch-manipulation` to
  *     prevent the 300 ms tap delay on mobile browsers.
  *  5. Keyboard: Enter/Space on the outer div calls open() from react-dropzone
  *     (the only legitimate use of programmatic open).
+ *
+ * Batch: when `onFiles` is passed the picker accepts several PDFs (up to
+ * MAX_FILES). A single file still goes to `onFile`; two or more go to
+ * `onFiles`. Rejected files are reported and the rest are kept.
+ *
+ * Images: when `onImages` is passed JPEG, PNG, WebP and TIFF files are
+ * accepted too (IMAGE_TYPES and COMPRESSIBLE_IMAGE_TYPES) and go to
+ * `onImages` — one or several — to become one PDF or be compressed as
+ * images. PDFs and images dropped together are refused.
  */
 
 import React, { useCallback } from 'react'
 import { useDropzone } from 'react-dropzone'
+import { IMAGE_TYPES, COMPRESSIBLE_IMAGE_TYPES, imageTypeForName } from '../../lib/image-types.js'
 
 const MAX_SIZE_MB    = 50
 const MAX_SIZE_BYTES = MAX_SIZE_MB * 1024 * 1024
+const MAX_FILES      = 50
+
+const PDF_TYPES   = { 'application/pdf': ['.pdf'] }
+const IMAGE_INPUT = { ...IMAGE_TYPES, ...COMPRESSIBLE_IMAGE_TYPES }
+
+/** The <input accept> list for a set of react-dropzone types. */
+function acceptAttribute(types) {
+  return Object.entries(types).flatMap(([type, extensions]) => [type, ...extensions]).join(',')
+}
+
+export default function DropZone({ onFile, onFiles, onImages, disabled }) {
+  const multiple = Boolean(onFiles || onImages)
+  const accept = onImages ? { ...PDF_TYPES, ...IMAGE_INPUT } : PDF_TYPES
 
-export default function DropZone({ onFile, disabled }) {
   const onDrop = useCallback(
     (acceptedFiles, rejectedFiles) => {
       if (rejectedFiles.length > 0) {
@@ -32,22 +54,34 @@ export default function DropZone({ onFile, disabled }) {
         if (code === 'file-too-large') {
           alert(`File is too large. Maximum size is ${MAX_SIZE_MB} MB.`)
         } else if (code === 'file-invalid-type') {
-          alert('Only PDF files are accepted.')
+          alert(onImages ? 'Only PDF, JPEG, PNG, WebP and TIFF files are accepted.' : 'Only PDF files are accepted.')
+        } else if (code === 'too-many-files') {
+          alert(`Too many files. You can compress up to ${MAX_FILES} PDFs at once.`)
         }
-        return
+        if (!multiple) return
       }
-      if (acceptedFiles.length > 0) {
+      const images = onImages ? acceptedFiles.filter((f) => imageTypeForName(f.name, IMAGE_INPUT)) : []
+      if (images.length > 0) {
+        if (images.length < acceptedFiles.length) {
+          alert('Drop either PDFs or images — not both at once.')
+        } else {
+          onImages(images)
+        }
+      } else if (acceptedFiles.length > 1 && onFiles) {
+        onFiles(acceptedFiles)
+      } else if (acceptedFiles.length > 0) {
         onFile(acceptedFiles[0])
       }
     },
-    [onFile],
+    [onFile, onFiles, onImages, multiple],
   )
 
   const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
     onDrop,
-    accept:   { 'application/pdf': ['.pdf'] },
+    accept,
     maxSize:  MAX_SIZE_BYTES,
-    multiple: false,
+    multiple,
+    maxFiles: multiple ? MAX_FILES : 0,
     disabled,
     // noClick: true — the <label htmlFor> handles tap/click reliably on all
     // platforms. The outer div must NOT also open a picker or the browser
@@ -76,7 +110,7 @@ export default function DropZone({ onFile, disabled }) {
       {...getRootProps()}
       role="button"
       tabIndex={disabled ? -1 : 0}
-      aria-label="Upload PDF file"
+      aria-label={onImages ? 'Upload PDF or image files' : 'Upload PDF file'}
       aria-disabled={disabled}
       onKeyDown={handleKeyDown}
       // touch-manipulation removes the 300 ms tap delay on mobile
@@ -98,7 +132,7 @@ export default function DropZone({ onFile, disabled }) {
       <input
         {...getInputProps()}
         id="pdf-file-input"
-        accept="application/pdf,.pdf"
+        accept={acceptAttribute(accept)}
         data-testid="file-input"
       />
 
@@ -116,11 +150,15 @@ export default function DropZone({ onFile, disabled }) {
       </div>
 
       {isDragActive ? (
-        <p className="text-brand-600 font-semibold text-base">Drop your PDF here…</p>
+        <p className="text-brand-600 font-semibold text-base">
+          {onImages ? 'Drop your PDFs or images here…' : multiple ? 'Drop your PDFs here…' : 'Drop your PDF here…'}
+        </p>
       ) : (
         <div className="text-center space-y-2">
           <p className="text-slate-700 font-semibold text-base">
-            Drag & drop a PDF here, or
+            {onImages
+              ? 'Drag & drop PDFs or photos here, or'
+              : multiple ? 'Drag & drop one or more PDFs here, or' : 'Drag & drop a PDF here, or'}
           </p>
           {/*
             <label htmlFor> is the ONLY tap handler — no onClick needed.
@@ -142,9 +180,11 @@ export default function DropZone({ onFile, disabled }) {
             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2} aria-hidden="true">
               <path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5" />
             </svg>
-            Choose file
+            {multiple ? 'Choose files' : 'Choose file'}
           </label>
-          <p className="text-slate-400 text-xs">PDF only · Max {MAX_SIZE_MB} MB</p>
+          <p className="text-slate-400 text-xs">
+            {onImages ? 'PDF, JPEG, PNG, WebP or TIFF' : 'PDF only'} · Max {MAX_SIZE_MB} MB{multiple ? ` each · Up to ${MAX_FILES} files` : ''}
+          </p>
         </div>
       )}
     </div>
@@ -23,7 +23,22 @@ function SavingsBadge({ original, compressed }) {
   )
 }
 
-export default function FileSizeDisplay({ originalSize, compressedSize }) {
+// MIME type → the name shown for it; others show their subtype ('image/png' → PNG)
+const TYPE_LABELS = { 'application/pdf': 'PDF', 'image/jpeg': 'JPEG', 'image/webp': 'WebP' }
+
+function typeLabel(mimeType) {
+  return TYPE_LABELS[mimeType] ?? mimeType.split('/').pop().toUpperCase()
+}
+
+/**
+ * Before / after sizes. Optional: `mimeType` of the output, and for images
+ * `dimensions` { width, height, originalWidth, originalHeight } (px) —
+ * shown on a line below, with the change when it was resized.
+ */
+export default function FileSizeDisplay({ originalSize, compressedSize, mimeType, dimensions }) {
+  const resized = dimensions
+    && (dimensions.width !== dimensions.originalWidth || dimensions.height !== dimensions.originalHeight)
+
   return (
     <div className="rounded-xl border border-slate-200 bg-white overflow-hidden" data-testid="size-display">
       <div className="grid grid-cols-2 divide-x divide-slate-200">
@@ -46,6 +61,18 @@ export default function FileSizeDisplay({ originalSize, compressedSize }) {
         </div>
       </div>
 
+      {/* Output type and pixel size */}
+      {(mimeType || dimensions) && (
+        <p className="px-4 pb-2 text-xs text-slate-500 text-center" data-testid="output-details">
+          {[
+            mimeType && typeLabel(mimeType),
+            dimensions && (resized
+              ? `${dimensions.originalWidth} × ${dimensions.originalHeight} → ${dimensions.width} × ${dimensions.height} px`
+              : `${dimensions.width} × ${dimensions.height} px`),
+          ].filter(Boolean).join(' · ')}
+        </p>
+      )}
+
       {/* Savings bar */}
       {originalSize && compressedSize && (
         <div className="px-4 pb-4 pt-1">
@@ -0,0 +1,64 @@
+import React from 'react'
+
+// Long-edge limits offered for resizing (px) — null keeps the image's size
+const MAX_DIMENSIONS = [
+  { value: null, label: 'Original' },
+  { value: 3840, label: '3840 px' },
+  { value: 2560, label: '2560 px' },
+  { value: 1920, label: '1920 px' },
+  { value: 1280, label: '1280 px' },
+]
+
+/**
+ * Settings for images compressed as images (lib/image-compress.js).
+ * `value` is { maxDimension, stripMetadata }. The lossless level never
+ * resizes, so `lossless` disables the size choice.
+ */
+export default function ImageCompressOptions({ value, onChange, disabled, lossless }) {
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Maximum size">
+        {MAX_DIMENSIONS.map((option) => {
+          const selected = value.maxDimension === option.value
+          const off = disabled || lossless
+          return (
+            <button
+              key={option.label}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              disabled={off}
+              onClick={() => onChange({ ...value, maxDimension: option.value })}
+              className={[
+                'px-3 py-1.5 rounded-lg border-2 text-sm font-medium transition-all duration-150',
+                selected
+                  ? 'border-brand-500 bg-brand-50 text-brand-600'
+                  : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300',
+                off ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+              ].join(' ')}
+              data-testid={`max-dimension-${option.value ?? 'original'}`}
+            >
+              {option.label}
+            </button>
+          )
+        })}
+      </div>
+      {lossless && (
+        <p className="text-xs text-slate-400">Lossless keeps every pixel — pick another level to resize.</p>
+      )}
+      <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          className="rounded border-slate-300 text-brand-500 focus:ring-brand-500"
+          checked={value.stripMetadata}
+          onChange={(e) => onChange({ ...value, stripMetadata: e.target.checked })}
+          disabled={disabled}
+          data-testid="strip-metadata-toggle"
+        />
+        Remove metadata — camera, location and date
+      </label>
+    </div>
+  )
+}
+
+export { MAX_DIMENSIONS }
@@ -0,0 +1,89 @@
+import React, { useState } from 'react'
+import { formatBytes } from './FileSizeDisplay'
+
+/**
+ * The PDFs to merge (`merge` on /api/compress), in the order they will be
+ * joined — each one becomes a bookmark in the result. `value` is an array of
+ * Files and every change calls onChange with a new array. Move a file with
+ * its ↑ / ↓ buttons or by dragging it; the × button drops it, as long as two
+ * are left.
+ */
+export default function MergeList({ value, onChange, disabled }) {
+  const [dragFrom, setDragFrom] = useState(null)   // index being dragged
+
+  const move = (from, to) => {
+    if (to < 0 || to >= value.length || from === to) return
+    const next = [...value]
+    const [file] = next.splice(from, 1)
+    next.splice(to, 0, file)
+    onChange(next)
+  }
+  const remove = (index) => onChange(value.filter((_, i) => i !== index))
+
+  const arrow = 'px-1.5 text-slate-400 hover:text-slate-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors'
+
+  return (
+    <ol className="bg-white border border-slate-200 rounded-xl divide-y divide-slate-100" aria-label="PDFs to merge">
+      {value.map((file, index) => (
+        <li
+          key={`${file.name}-${file.size}-${file.lastModified}`}
+          draggable={!disabled}
+          onDragStart={(e) => {
+            setDragFrom(index)
+            e.dataTransfer.effectAllowed = 'move'
+          }}
+          onDragOver={(e) => {
+            if (dragFrom !== null) e.preventDefault()
+          }}
+          onDrop={(e) => {
+            e.preventDefault()
+            if (dragFrom !== null) move(dragFrom, index)
+            setDragFrom(null)
+          }}
+          onDragEnd={() => setDragFrom(null)}
+          className={[
+            'flex items-center gap-3 px-4 py-3',
+            dragFrom === index ? 'opacity-50' : '',
+            disabled ? '' : 'cursor-grab',
+          ].join(' ')}
+          data-testid="merge-item"
+        >
+          <span className="w-5 text-xs font-semibold text-slate-400 text-right">{index + 1}</span>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-slate-700 truncate">{file.name}</p>
+            <p className="text-xs text-slate-400">{formatBytes(file.size)}</p>
+          </div>
+          <button
+            type="button"
+            className={arrow}
+            onClick={() => move(index, index - 1)}
+            disabled={disabled || index === 0}
+            aria-label={`Move ${file.name} up`}
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className={arrow}
+            onClick={() => move(index, index + 1)}
+            disabled={disabled || index === value.length - 1}
+            aria-label={`Move ${file.name} down`}
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className={arrow}
+            onClick={() => remove(index)}
+            disabled={disabled || value.length <= 2}
+            aria-label={`Remove ${file.name}`}
+          >
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </li>
+      ))}
+    </ol>
+  )
+}
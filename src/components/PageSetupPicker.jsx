@@ -0,0 +1,73 @@
+import React from 'react'
+
+const PAGE_SIZES = [
+  { value: 'a4',     label: 'A4' },
+  { value: 'letter', label: 'Letter' },
+  { value: 'fit',    label: 'Fit to image' },
+]
+
+const ORIENTATIONS = [
+  { value: 'auto',      label: 'Auto' },
+  { value: 'portrait',  label: 'Portrait' },
+  { value: 'landscape', label: 'Landscape' },
+]
+
+function Options({ label, options, value, onChange, disabled, testPrefix }) {
+  return (
+    <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={label}>
+      {options.map((option) => {
+        const selected = value === option.value
+        return (
+          <button
+            key={option.value}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            disabled={disabled}
+            onClick={() => onChange(option.value)}
+            className={[
+              'px-3 py-1.5 rounded-lg border-2 text-sm font-medium transition-all duration-150',
+              selected
+                ? 'border-brand-500 bg-brand-50 text-brand-600'
+                : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300',
+              disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+            ].join(' ')}
+            data-testid={`${testPrefix}-${option.value}`}
+          >
+            {option.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+/**
+ * Page size and orientation for images → PDF (lib/images-to-pdf.js).
+ * `value` is { pageSize, orientation }; 'Fit to image' pages follow the
+ * image's shape, so orientation is disabled for it.
+ */
+export default function PageSetupPicker({ value, onChange, disabled }) {
+  return (
+    <div className="space-y-2">
+      <Options
+        label="Page size"
+        options={PAGE_SIZES}
+        value={value.pageSize}
+        onChange={(pageSize) => onChange({ ...value, pageSize })}
+        disabled={disabled}
+        testPrefix="page-size"
+      />
+      <Options
+        label="Orientation"
+        options={ORIENTATIONS}
+        value={value.orientation}
+        onChange={(orientation) => onChange({ ...value, orientation })}
+        disabled={disabled || value.pageSize === 'fit'}
+        testPrefix="orientation"
+      />
+    </div>
+  )
+}
+
+export { PAGE_SIZES, ORIENTATIONS }
@@ -0,0 +1,83 @@
+import React, { useState } from 'react'
+
+/**
+ * Page thumbnails to pick and reorder pages before compressing (`pages` on
+ * /api/compress). `value` is the pages in display order —
+ * [{ page, included }] with 0-based `page` — and every change calls
+ * onChange with a new array. Click a page to drop or restore it; drag it, or
+ * focus it and press Shift+←/→, to move it. `thumbnails[page]` is an image
+ * URL, or undefined while it is still rendering.
+ */
+export default function PageStrip({ thumbnails = [], value, onChange, disabled }) {
+  const [dragFrom, setDragFrom] = useState(null)   // display index being dragged
+
+  const move = (from, to) => {
+    if (to < 0 || to >= value.length || from === to) return
+    const next = [...value]
+    const [item] = next.splice(from, 1)
+    next.splice(to, 0, item)
+    onChange(next)
+  }
+  const toggle = (index) => {
+    onChange(value.map((item, i) => (i === index ? { ...item, included: !item.included } : item)))
+  }
+
+  const included = value.filter((item) => item.included).length
+
+  return (
+    <div>
+      <div className="flex gap-2 overflow-x-auto pb-2" role="list" aria-label="Pages">
+        {value.map(({ page, included: on }, index) => (
+          <div key={page} role="listitem" className="flex-shrink-0">
+            <button
+              type="button"
+              draggable={!disabled}
+              disabled={disabled}
+              aria-pressed={on}
+              aria-label={`Page ${page + 1}`}
+              title={on ? 'Click to remove · drag to move' : 'Click to keep'}
+              onClick={() => toggle(index)}
+              onKeyDown={(e) => {
+                if (disabled || !e.shiftKey) return
+                if (e.key === 'ArrowLeft')  { e.preventDefault(); move(index, index - 1) }
+                if (e.key === 'ArrowRight') { e.preventDefault(); move(index, index + 1) }
+              }}
+              onDragStart={(e) => {
+                setDragFrom(index)
+                e.dataTransfer.effectAllowed = 'move'
+              }}
+              onDragOver={(e) => {
+                if (dragFrom !== null) e.preventDefault()
+              }}
+              onDrop={(e) => {
+                e.preventDefault()
+                if (dragFrom !== null) move(dragFrom, index)
+                setDragFrom(null)
+              }}
+              onDragEnd={() => setDragFrom(null)}
+              className={[
+                'relative w-20 h-24 rounded-lg border-2 bg-white overflow-hidden flex items-center justify-center transition-all duration-150',
+                on ? 'border-brand-500' : 'border-slate-200 opacity-40',
+                dragFrom === index ? 'opacity-50' : '',
+                disabled ? 'cursor-not-allowed' : 'cursor-pointer',
+              ].join(' ')}
+              data-testid={`page-thumb-${page + 1}`}
+            >
+              {thumbnails[page]
+                ? <img src={thumbnails[page]} alt="" className="max-w-full max-h-full" draggable={false} />
+                : <span className="w-full h-full bg-slate-100 animate-pulse" />}
+              <span className="absolute bottom-0.5 right-1 text-[10px] font-semibold text-slate-500 bg-white/80 rounded px-1">
+                {page + 1}
+              </span>
+            </button>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-slate-400 mt-1" data-testid="page-strip-summary">
+        {included === value.length
+          ? `All ${value.length} pages — click to remove, drag to reorder.`
+          : `${included} of ${value.length} pages kept.`}
+      </p>
+    </div>
+  )
+}
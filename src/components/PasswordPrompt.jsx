@@ -0,0 +1,65 @@
+import React, { useState } from 'react'
+
+/**
+ * Shown instead of the generic error when the server (or the on-device
+ * worker) answers PASSWORD_REQUIRED / PASSWORD_INCORRECT. Submitting calls
+ * onSubmit(password, keepEncryption) — the caller compresses again.
+ */
+export default function PasswordPrompt({ incorrect = false, onSubmit, disabled }) {
+  const [password, setPassword] = useState('')
+  const [keepEncryption, setKeepEncryption] = useState(true)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (password) onSubmit(password, keepEncryption)
+  }
+
+  return (
+    <form
+      className="bg-amber-50 border border-amber-200 rounded-xl p-4 space-y-3"
+      onSubmit={handleSubmit}
+      data-testid="password-prompt"
+    >
+      <div>
+        <p className="text-sm font-semibold text-amber-800">This PDF is password-protected</p>
+        <p className="text-xs text-amber-700 mt-0.5" role={incorrect ? 'alert' : undefined}>
+          {incorrect
+            ? 'That password is incorrect. Please try again.'
+            : 'Enter the password used to open it.'}
+        </p>
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          autoComplete="off"
+          autoFocus
+          aria-label="PDF password"
+          className="flex-1 rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-brand-500 focus:ring-brand-500"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={disabled}
+          data-testid="password-input"
+        />
+        <button
+          type="submit"
+          className="btn-primary px-4 py-2 text-sm"
+          disabled={disabled || !password}
+          data-testid="password-submit"
+        >
+          Unlock &amp; compress
+        </button>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-amber-800 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          className="rounded border-slate-300 text-brand-500 focus:ring-brand-500"
+          checked={keepEncryption}
+          onChange={(e) => setKeepEncryption(e.target.checked)}
+          disabled={disabled}
+          data-testid="keep-encryption-toggle"
+        />
+        Keep the password on the compressed file
+      </label>
+    </form>
+  )
+}
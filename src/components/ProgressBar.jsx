@@ -1,6 +1,15 @@
 import React from 'react'
 
-export default function ProgressBar({ progress, label }) {
+/** 75 → "about 1 min 15 s left" */
+function formatEta(seconds) {
+  if (seconds < 1) return 'almost done'
+  if (seconds < 60) return `about ${seconds} s left`
+  const min = Math.floor(seconds / 60)
+  const sec = seconds % 60
+  return `about ${min} min${sec ? ` ${sec} s` : ''} left`
+}
+
+export default function ProgressBar({ progress, label, page, pageCount, etaSeconds }) {
   return (
     <div className="w-full" data-testid="progress-bar">
       <div className="flex justify-between text-xs text-slate-500 mb-1">
@@ -17,6 +26,12 @@ export default function ProgressBar({ progress, label }) {
           aria-valuemax={100}
         />
       </div>
+      {pageCount > 0 && (
+        <div className="flex justify-between text-xs text-slate-400 mt-1" data-testid="progress-pages">
+          <span>Page {page} of {pageCount}</span>
+          {etaSeconds != null && <span>{formatEta(etaSeconds)}</span>}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react'
+
+// `scale` is the render scale (1 = 72 dpi); "Fit" renders sharper than the
+// column it is squeezed into
+const ZOOMS = [
+  { label: 'Fit', scale: 1.5, fit: true },
+  { label: '2×',  scale: 2 },
+  { label: '3×',  scale: 3 },
+]
+
+/** How an SSIM score reads to a person (see lib/quality.js). */
+export function qualityLabel(ssim) {
+  if (ssim >= 0.97) return 'Excellent'
+  if (ssim >= 0.9)  return 'Good'
+  if (ssim >= 0.8)  return 'Fair'
+  return 'Poor'
+}
+
+function formatScore(score) {
+  if (!score) return 'Scoring…'
+  const psnr = Number.isFinite(score.psnr) ? `${score.psnr.toFixed(1)} dB` : '∞'
+  return `${qualityLabel(score.ssim)} — SSIM ${score.ssim.toFixed(3)} · PSNR ${psnr}`
+}
+
+/**
+ * Before/after comparison of one page with a drag slider: the original on
+ * the left of the handle, the compressed page on the right. Data comes from
+ * useQualityPreview(); this asks for renders through onShowPage(page, scale)
+ * whenever the page or zoom changes. `onRetry` goes back to the settings.
+ */
+export default function QualityPreview({ pageCount, scores = [], view, error, onShowPage, onRetry }) {
+  const [page, setPage]   = useState(0)
+  const [zoom, setZoom]   = useState(0)    // index into ZOOMS
+  const [split, setSplit] = useState(50)   // % of the width showing the original
+
+  useEffect(() => {
+    onShowPage(page, ZOOMS[zoom].scale)
+  }, [page, zoom, onShowPage])
+
+  const scored = scores.filter(Boolean)
+  const worst = scored.length ? scored.reduce((min, s) => (s.ssim < min.ssim ? s : min)) : null
+  const fit = ZOOMS[zoom].fit
+  const current = view && view.page === page && view.scale === ZOOMS[zoom].scale ? view : null
+
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white p-4 space-y-3" data-testid="quality-preview">
+      <div className="flex flex-wrap items-center gap-2 justify-between">
+        <p className="text-sm font-semibold text-slate-600">Quality check</p>
+        <div className="flex items-center gap-1" role="group" aria-label="Zoom">
+          {ZOOMS.map((z, i) => (
+            <button
+              key={z.label}
+              type="button"
+              aria-pressed={zoom === i}
+              onClick={() => setZoom(i)}
+              className={[
+                'px-2 py-0.5 rounded-md text-xs border',
+                zoom === i ? 'border-brand-500 bg-brand-50 text-brand-600' : 'border-slate-200 text-slate-500 hover:border-slate-300',
+              ].join(' ')}
+            >
+              {z.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {pageCount > 1 && (
+        <label className="flex items-center gap-2 text-xs text-slate-500">
+          Page
+          <select
+            className="rounded-lg border border-slate-300 px-2 py-1 text-sm focus:border-brand-500 focus:ring-brand-500"
+            value={page}
+            onChange={(e) => setPage(Number(e.target.value))}
+            data-testid="preview-page"
+          >
+            {Array.from({ length: pageCount }, (_, i) => (
+              <option key={i} value={i}>
+                {i + 1}{scores[i] ? ` — ${qualityLabel(scores[i].ssim)}` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {error ? (
+        <p className="text-xs text-red-500">Preview unavailable: {error}</p>
+      ) : (
+        <div className="relative overflow-auto max-h-[32rem] rounded-lg border border-slate-200 bg-slate-50">
+          {current ? (
+            <div className={`relative ${fit ? 'w-full' : 'w-max'}`}>
+              <img src={current.before} alt={`Original page ${page + 1}`} className={fit ? 'w-full' : 'max-w-none'} draggable={false} />
+              <img
+                src={current.after}
+                alt={`Compressed page ${page + 1}`}
+                className={`absolute inset-0 ${fit ? 'w-full' : 'max-w-none'}`}
+                style={{ clipPath: `inset(0 0 0 ${split}%)` }}
+                draggable={false}
+                data-testid="preview-after"
+              />
+              <div className="absolute inset-y-0 w-0.5 bg-brand-500 pointer-events-none" style={{ left: `${split}%` }} />
+              <span className="absolute top-2 left-2 text-[10px] font-semibold bg-white/90 text-slate-600 rounded px-1.5 py-0.5">Original</span>
+              <span className="absolute top-2 right-2 text-[10px] font-semibold bg-white/90 text-slate-600 rounded px-1.5 py-0.5">Compressed</span>
+            </div>
+          ) : (
+            <div className="h-48 flex items-center justify-center text-xs text-slate-400">Rendering preview…</div>
+          )}
+        </div>
+      )}
+
+      <input
+        type="range"
+        min={0}
+        max={100}
+        value={split}
+        onChange={(e) => setSplit(Number(e.target.value))}
+        className="w-full accent-brand-500"
+        aria-label="Comparison position"
+        data-testid="preview-slider"
+      />
+
+      <div className="text-xs text-slate-500 space-y-0.5">
+        <p data-testid="preview-score">Page {page + 1}: {formatScore(scores[page])}</p>
+        {pageCount > 1 && worst && (
+          <p>Lowest of {scored.length}/{pageCount} pages scored: {formatScore(worst)}</p>
+        )}
+      </div>
+
+      <button type="button" className="btn-secondary w-full py-2 text-sm" onClick={onRetry} data-testid="preview-retry">
+        Not good enough? Try another level
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,46 @@
+import React from 'react'
+
+// Same limits the /compress-pdf-under-* landing pages advertise, plus the
+// usual email attachment limits (10 MB, and 25 MB for Gmail / Outlook.com).
+// Sizes use 1024-based units so they agree with formatBytes().
+const TARGETS = [
+  { value: null,             label: 'No limit' },
+  { value: 500 * 1024,       label: '500 KB' },
+  { value: 1024 * 1024,      label: '1 MB' },
+  { value: 2 * 1024 * 1024,  label: '2 MB' },
+  { value: 5 * 1024 * 1024,  label: '5 MB' },
+  { value: 10 * 1024 * 1024, label: '10 MB' },
+  { value: 25 * 1024 * 1024, label: '25 MB' },
+]
+
+export default function TargetSizePicker({ value, onChange, disabled }) {
+  return (
+    <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Target file size">
+      {TARGETS.map((target) => {
+        const selected = value === target.value
+        return (
+          <button
+            key={target.label}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            disabled={disabled}
+            onClick={() => onChange(target.value)}
+            className={[
+              'px-3 py-1.5 rounded-lg border-2 text-sm font-medium transition-all duration-150',
+              selected
+                ? 'border-brand-500 bg-brand-50 text-brand-600'
+                : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300',
+              disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer',
+            ].join(' ')}
+            data-testid={`target-${target.value ?? 'none'}`}
+          >
+            {target.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export { TARGETS }
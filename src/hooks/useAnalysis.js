@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react'
+import { isLocalCompressionSupported } from '../utils/localCompress'
+
+/**
+ * Analysis of `file` and estimated output sizes per level, from a Web
+ * Worker (src/workers/analyze.worker.js) — see lib/analyze.js.
+ *
+ * Returns { analysis, estimates }: analysis is null until the file has been
+ * read; estimates is null until then too, and afterwards fills in
+ * `{ [level]: { size, engine } }` level by level. Both stay null if the PDF
+ * can't be opened (e.g. it needs a `password` that hasn't been given yet),
+ * and estimates goes back to null if estimating fails.
+ * Starts over when the file, password or `colorMode` changes.
+ */
+export function useAnalysis(file, { password, colorMode = 'color' } = {}) {
+  const [state, setState] = useState({ analysis: null, estimates: null })
+
+  useEffect(() => {
+    setState({ analysis: null, estimates: null })
+    if (!file || !isLocalCompressionSupported()) return undefined
+
+    let worker = null
+    let cancelled = false
+
+    file.arrayBuffer().then((input) => {
+      if (cancelled) return
+      worker = new Worker(new URL('../workers/analyze.worker.js', import.meta.url), { type: 'module' })
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'analysis') {
+          setState({ analysis: data.analysis, estimates: {} })
+        } else if (data.type === 'estimate') {
+          setState((prev) => ({
+            ...prev,
+            estimates: { ...prev.estimates, [data.level]: { size: data.size, engine: data.engine } },
+          }))
+        } else {
+          // 'done' or 'error' — a PDF that can't be estimated just gets none
+          if (data.type === 'error') setState((prev) => ({ ...prev, estimates: null }))
+          worker.terminate()
+        }
+      }
+      worker.onerror = (evt) => {
+        evt.preventDefault?.()
+        worker.terminate()
+      }
+      worker.postMessage({ input, password, colorMode }, [input])
+    }).catch(() => {})
+
+    return () => {
+      cancelled = true
+      worker?.terminate()
+    }
+  }, [file, password, colorMode])
+
+  return state
+}
@@ -0,0 +1,138 @@
+import { useState, useCallback, useRef } from 'react'
+import { zipSync } from 'fflate'
+import { compressFile, compressFileAsJob, usesJob, describeError, downloadBlob } from './useCompress'
+
+// Files compressed in parallel. Each one holds a serverless invocation (and,
+// in Mode A, a Blob upload) open, so keep this small.
+export const BATCH_CONCURRENCY = 3
+
+let nextId = 0
+
+/**
+ * useBatchCompress — queue of PDFs (or JPEG / PNG / WebP images, compressed
+ * as images) sent through the same flow as useCompress, BATCH_CONCURRENCY
+ * at a time.
+ *
+ * Item states: queued → compressing → done | error
+ *
+ * Results stay in memory as Blobs; downloadItem() saves one, downloadZip()
+ * bundles every finished file into a single store-only ZIP (PDF streams are
+ * already compressed — deflating them again only costs time).
+ */
+export function useBatchCompress() {
+  const [items, setItems]     = useState([])
+  const [running, setRunning] = useState(false)
+
+  // Source of truth for the queue. Workers update items concurrently, so
+  // every change is computed from the ref (never stale) and then mirrored
+  // into state for rendering.
+  const itemsRef = useRef([])
+  const commit = useCallback((next) => {
+    itemsRef.current = next
+    setItems(next)
+  }, [])
+
+  const update = useCallback((id, patch) => {
+    commit(itemsRef.current.map((item) => {
+      if (item.id !== id) return item
+      return { ...item, ...(typeof patch === 'function' ? patch(item) : patch) }
+    }))
+  }, [commit])
+
+  const addFiles = useCallback((files) => {
+    commit([
+      ...itemsRef.current,
+      ...files.map((file) => ({
+        id: ++nextId,
+        file,
+        status: 'queued',
+        progress: 0,
+        compressedSize: null,
+        blob: null,
+        downloadName: null,
+        targetMet: null,
+        errorMessage: null,
+      })),
+    ])
+  }, [commit])
+
+  const removeFile = useCallback((id) => {
+    commit(itemsRef.current.filter((item) => item.id !== id))
+  }, [commit])
+
+  const reset = useCallback(() => {
+    commit([])
+    setRunning(false)
+  }, [commit])
+
+  /**
+   * Compress every queued (or previously failed) item. `onItemDone(item,
+   * result)` fires as each file finishes, for analytics.
+   */
+  const compressAll = useCallback(async (level = 'medium', { targetBytes, colorMode, options, maxDimension, stripMetadata, onItemDone } = {}) => {
+    const queue = itemsRef.current.filter((item) => item.status === 'queued' || item.status === 'error')
+    if (queue.length === 0) return
+    setRunning(true)
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift()
+        update(item.id, { status: 'compressing', progress: 5, errorMessage: null })
+        try {
+          const run = usesJob(item.file, { targetBytes }) ? compressFileAsJob : compressFile
+          const result = await run(item.file, level, {
+            targetBytes,
+            colorMode,
+            options,
+            maxDimension,
+            stripMetadata,
+            onProgress: (value) => update(item.id, (current) => ({
+              progress: typeof value === 'function' ? value(current.progress) : value,
+            })),
+          })
+          update(item.id, { ...result, status: 'done', progress: 100 })
+          onItemDone?.(item, result)
+        } catch (err) {
+          update(item.id, { status: 'error', progress: 0, errorMessage: await describeError(err) })
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, queue.length) }, worker))
+    setRunning(false)
+  }, [update])
+
+  const downloadItem = useCallback((id) => {
+    const item = itemsRef.current.find((i) => i.id === id)
+    if (item?.blob) downloadBlob(item.blob, item.downloadName)
+  }, [])
+
+  const downloadZip = useCallback(async (zipName = 'compressed_pdfs.zip') => {
+    const done = itemsRef.current.filter((item) => item.status === 'done')
+    if (done.length === 0) return
+
+    // Same-named inputs would collide inside the archive — suffix repeats
+    const entries = {}
+    for (const item of done) {
+      let name = item.downloadName
+      for (let n = 2; entries[name]; n++) {
+        name = item.downloadName.replace(/(\.[^.]+)?$/, ` (${n})$1`)
+      }
+      entries[name] = [new Uint8Array(await item.blob.arrayBuffer()), { level: 0 }]
+    }
+
+    const zip = zipSync(entries)
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), zipName)
+  }, [])
+
+  return {
+    items,
+    running,
+    addFiles,
+    removeFile,
+    reset,
+    compressAll,
+    downloadItem,
+    downloadZip,
+  }
+}
@@ -1,28 +1,585 @@
 import { useState, useCallback, useRef } from 'react'
 import axios from 'axios'
 import { upload } from '@vercel/blob/client'
+import { COMPRESSIBLE_IMAGE_TYPES, imageTypeForName } from '../../lib/image-types.js'
+import {
+  compressLocally,
+  isLocalCompressionSupported,
+  LocalCompressionUnavailableError,
+} from '../utils/localCompress'
 
 /**
- * useCompress — handles the full lifecycle of a PDF compression request.
- *
- * States: idle → uploading → processing → done | error
+ * True for a single JPEG / PNG / WebP File — compressed as an image
+ * (compressImageFile()) rather than turned into a PDF, which takes an array.
+ */
+export function isCompressibleImage(file) {
+  return !Array.isArray(file) && imageTypeForName(file.name, COMPRESSIBLE_IMAGE_TYPES) !== null
+}
+
+/** True for an array of PDF Files — merged into one by the server. */
+export function isMergeList(file) {
+  return Array.isArray(file) && file.every((f) => /\.pdf$/i.test(f.name))
+}
+
+/**
+ * `report.pdf` → `report_compressed.pdf`; `photo.jpg` → `photo_compressed.jpg`;
+ * images [`scan.jpg`, …] → `scan.pdf`; PDFs [`a.pdf`, …] → `a_merged.pdf`
+ */
+export function compressedFileName(file) {
+  if (isMergeList(file)) return `${file[0].name.replace(/\.pdf$/i, '')}_merged.pdf`
+  if (Array.isArray(file)) return `${file[0].name.replace(/\.[^.]+$/, '')}.pdf`
+  if (isCompressibleImage(file)) return file.name.replace(/(\.[^.]+)$/, '_compressed$1')
+  return `${file.name.replace(/\.pdf$/i, '')}_compressed.pdf`
+}
+
+/**
+ * Name of the ZIP a split result comes in, and of the parts inside:
+ * `report.pdf` → `report_parts.zip` holding `report_part1of3.pdf`, …
+ */
+export function partsArchiveName(file) {
+  return `${[file].flat()[0].name.replace(/\.[^.]+$/, '')}_parts.zip`
+}
+
+/** Total size of a file, or of an array of images. */
+export function inputSize(file) {
+  return [file].flat().reduce((sum, f) => sum + f.size, 0)
+}
+
+/**
+ * Upload `file` for a compress or job request (Mode A / Mode B, see
+ * compressFile()). Resolves to { body, json }: a JSON payload with the
+ * blobUrl and `fields`, or FormData carrying the file and `fields`. Undefined
+ * fields are left out. An array of images is uploaded file by file — JSON
+ * blobUrls / filenames, or one `file` part each.
+ */
+async function prepareUpload(file, fields, { onProgress, signal }) {
+  const files = [file].flat()
+
+  // ── Check if Blob upload is available ─────────────────────────────
+  // Probe /api/blob-upload with the wire-protocol request format.
+  // Server returns { localMode: true } when BLOB_READ_WRITE_TOKEN is not set
+  // (local dev) → fall back to multipart.
+  // In production it responds with { clientToken } via
+  // generateClientTokenFromReadWriteToken (works with raw Node HTTP).
+  let useBlob = false
+  try {
+    const modeCheck = await axios.post('/api/blob-upload',
+      JSON.stringify({ type: 'blob.generate-client-token', payload: { pathname: files[0].name, callbackUrl: '' } }),
+      { headers: { 'Content-Type': 'application/json' }, timeout: 5_000, signal }
+    )
+    useBlob = !modeCheck.data?.localMode
+  } catch {
+    useBlob = false
+  }
+  signal?.throwIfAborted()
+
+  if (useBlob) {
+    // ── Mode A: Vercel Blob client upload ─────────────────────────
+    onProgress(10)
+
+    // Upload file directly from browser to Vercel Blob CDN.
+    // handleUploadUrl sends the generate-client-token request to our
+    // /api/blob-upload handler which uses generateClientTokenFromReadWriteToken.
+    const blobs = []
+    for (const [i, f] of files.entries()) {
+      blobs.push(await upload(f.name, f, {
+        access: 'public',
+        handleUploadUrl: '/api/blob-upload',
+        abortSignal: signal,
+        onUploadProgress: ({ percentage }) => {
+          // Scale blob upload progress to 10–50%, shared between the files
+          onProgress(Math.round(((i + percentage / 100) / files.length) * 40) + 10)
+        },
+      }))
+    }
+
+    onProgress(55)
+    const uploaded = Array.isArray(file)
+      ? { blobUrls: blobs.map((b) => b.url), filenames: files.map((f) => f.name) }
+      : { blobUrl: blobs[0].url, filename: file.name }
+    return { body: { ...uploaded, ...fields }, json: true }
+
+  } else {
+    // ── Mode B: Legacy multipart (local dev) ──────────────────────
+    onProgress(10)
+    const formData = new FormData()
+    for (const f of files) formData.append('file', f)
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue
+      formData.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value))
+    }
+    return { body: formData, json: false }
+  }
+}
+
+/**
+ * compressFile — one upload → compress round trip, shared by useCompress
+ * (single file) and useBatchCompress (queue of files).
  *
  * Upload strategy (auto-selected):
  *
  *   Mode A — Vercel Blob (production, any file size):
  *     1. POST /api/blob-upload  → token exchange
  *     2. PUT  <vercel-blob-cdn>  → browser uploads DIRECTLY to CDN (no 4.5 MB limit)
- *     3. POST /api/compress      → { blobUrl, level, filename }  (tiny JSON body)
+ *     3. POST /api/compress      → { blobUrl, level, filename, targetBytes? }  (tiny JSON body)
  *        Function fetches from CDN, compresses, deletes blob, returns PDF.
  *
  *   Mode B — Legacy multipart (local dev / BLOB_READ_WRITE_TOKEN not configured):
- *     POST /api/compress  multipart/form-data  { file, level }
+ *     POST /api/compress  multipart/form-data  { file, level, targetBytes? }
  *     Works for files ≤ ~4 MB on local Node server.
  *
  * Mode is determined by probing /api/blob-upload with the handleUploadUrl
  * wire-protocol request. If the server returns { localMode: true } (no token
  * configured), Mode B is used. Otherwise Mode A proceeds with handleUploadUrl
  * pointing at /api/blob-upload which uses generateClientTokenFromReadWriteToken.
+ *
+ * `onProgress` receives a percentage or a React-style updater function.
+ * Passing `onPageProgress(page, pageCount)` switches the compress request to
+ * the server's NDJSON progress stream (see readProgressStream()); without it
+ * the response is the PDF itself and server-side progress is approximated.
+ * Aborting `signal` cancels the Blob upload / request in flight (the server
+ * notices the disconnect and stops); the promise then rejects with a
+ * cancellation error — check isCancelled().
+ * `password` opens a password-protected PDF; with `keepEncryption` the
+ * result is encrypted again with the same password. `options` are custom
+ * settings ({ quality, dpi, scale, gsSetting }) that override the level's.
+ * `pages` is a page spec ('1-3,7', see lib/pages.js) — only those pages, in
+ * that order, are compressed. With `removeBlankPages` the server leaves out
+ * nearly empty pages and reports their numbers as `removedPages`.
+ * `file` may also be an array of JPEG / PNG / TIFF images: they are
+ * assembled into one PDF, with `pageSize` and `orientation`
+ * (lib/images-to-pdf.js); the PDF-only settings don't apply. A single
+ * JPEG / PNG / WebP File goes to compressImageFile() instead. An array of
+ * PDFs is merged, in that order, into one PDF with a bookmark per file and
+ * compressed in the same request (`merge`); `pages`, `password` and
+ * `keepEncryption` don't apply.
+ * With `splitMaxBytes` a result still bigger than that comes back as a ZIP
+ * of page-range parts that each fit; `parts` lists them as
+ * [{ filename, size, pages }] (null when the result was not split).
+ * Resolves to { blob, compressedSize, downloadName, targetMet, removedPages, parts }
+ * (removedPages is null unless requested); throws on
+ * failure (use describeError() for a user-facing message and readErrorCode() for
+ * PASSWORD_REQUIRED / PASSWORD_INCORRECT).
+ */
+export async function compressFile(file, level = 'medium', {
+  targetBytes, colorMode, options, pages, removeBlankPages, password, keepEncryption, pageSize, orientation,
+  maxDimension, stripMetadata, splitMaxBytes, onProgress = () => {}, onPageProgress, signal,
+} = {}) {
+  if (isCompressibleImage(file)) {
+    return compressImageFile(file, level, { maxDimension, stripMetadata, onProgress, signal })
+  }
+  const streaming = typeof onPageProgress === 'function'
+
+  const { body: inputForCompress, json: useJsonMode } = await prepareUpload(
+    file,
+    {
+      level, targetBytes, colorMode, options, pages,
+      removeBlankPages: removeBlankPages || undefined,
+      password,
+      keepEncryption: keepEncryption || undefined,
+      pageSize, orientation,
+      merge: isMergeList(file) || undefined,
+      splitMaxBytes,
+    },
+    { onProgress, signal },
+  )
+
+  // ── POST to /api/compress ─────────────────────────────────────────
+  const stream = streaming ? readProgressStream(onProgress, onPageProgress) : null
+  const response = await axios.post(
+    '/api/compress',
+    useJsonMode
+      ? JSON.stringify(inputForCompress)
+      : inputForCompress,
+    {
+      responseType: streaming ? 'text' : 'blob',
+      headers: {
+        ...(useJsonMode ? { 'Content-Type': 'application/json' } : {}),
+        ...(streaming ? { Accept: 'application/x-ndjson' } : {}),
+      },
+      timeout: 60_000,
+      signal,
+      onUploadProgress: useJsonMode ? undefined : (evt) => {
+        // Multipart mode: track upload progress 10–50%
+        if (evt.total) {
+          onProgress(Math.round((evt.loaded / evt.total) * 40) + 10)
+        }
+      },
+      onDownloadProgress: streaming ? stream.onDownloadProgress : (evt) => {
+        if (evt.total) {
+          const pct = Math.round((evt.loaded / evt.total) * 40) + 55
+          onProgress(pct)
+        } else {
+          onProgress((prev) => (prev < 80 ? prev + 3 : prev))
+        }
+      },
+    },
+  )
+
+  if (streaming) {
+    const done = stream.finish(response.data)
+    const bytes = Uint8Array.from(atob(done.data), (c) => c.charCodeAt(0))
+    return {
+      blob:           new Blob([bytes], { type: done.parts ? 'application/zip' : 'application/pdf' }),
+      compressedSize: done.compressedSize,
+      downloadName:   done.parts ? partsArchiveName(file) : compressedFileName(file),
+      targetMet:      done.targetMet ?? null,
+      removedPages:   done.removedPages ?? null,
+      parts:          done.parts ?? null,
+    }
+  }
+
+  // Check for error response embedded as JSON blob
+  if (response.data.type === 'application/json') {
+    const text = await response.data.text()
+    const json = JSON.parse(text)
+    throw new Error(json.error || 'Compression failed')
+  }
+
+  const blob = response.data
+  const targetHeader = response.headers['x-target-met']
+  const removedHeader = response.headers['x-removed-pages']
+  const parts = parseParts(file, response.headers['x-part-pages'], response.headers['x-part-sizes'])
+
+  return {
+    blob,
+    compressedSize: parseInt(response.headers['x-compressed-size'], 10) || blob.size,
+    downloadName:   parts ? partsArchiveName(file) : compressedFileName(file),
+    targetMet:      targetHeader === undefined ? null : targetHeader === 'true',
+    removedPages:   parsePageList(removedHeader),
+    parts,
+  }
+}
+
+/**
+ * compressImageFile — one JPEG / PNG / WebP image compressed in its own
+ * format by POST /api/compress-image (lib/image-compress.js), uploaded like
+ * compressFile() does. `maxDimension` (px) scales the long edge down to it;
+ * `stripMetadata: false` keeps EXIF and the like. Resolves like
+ * compressFile(), plus `dimensions`: { width, height, originalWidth,
+ * originalHeight }.
+ */
+export async function compressImageFile(file, level = 'medium', {
+  maxDimension, stripMetadata, onProgress = () => {}, signal,
+} = {}) {
+  const { body, json } = await prepareUpload(
+    file,
+    { level, maxDimension: maxDimension || undefined, stripMetadata: stripMetadata === false ? false : undefined },
+    { onProgress, signal },
+  )
+
+  const response = await axios.post('/api/compress-image', json ? JSON.stringify(body) : body, {
+    responseType: 'blob',
+    headers: json ? { 'Content-Type': 'application/json' } : {},
+    timeout: 60_000,
+    signal,
+    onUploadProgress: json ? undefined : (evt) => {
+      if (evt.total) onProgress(Math.round((evt.loaded / evt.total) * 40) + 10)
+    },
+    onDownloadProgress: (evt) => {
+      if (evt.total) onProgress(Math.round((evt.loaded / evt.total) * 40) + 55)
+    },
+  })
+
+  const blob = response.data
+  const [width, height] = parseDimensions(response.headers['x-dimensions'])
+  const [originalWidth, originalHeight] = parseDimensions(response.headers['x-original-dimensions'])
+  return {
+    blob,
+    compressedSize: parseInt(response.headers['x-compressed-size'], 10) || blob.size,
+    downloadName:   compressedFileName(file),
+    targetMet:      null,
+    removedPages:   null,
+    dimensions:     width ? { width, height, originalWidth, originalHeight } : null,
+  }
+}
+
+// X-Dimensions: '1920x1080' → [1920, 1080]; missing → []
+function parseDimensions(header) {
+  return header ? String(header).split('x').map(Number) : []
+}
+
+// X-Removed-Pages: '2,5' → [2, 5]; '' → []; missing → null
+function parsePageList(header) {
+  if (header === undefined || header === null) return null
+  return String(header).split(',').filter(Boolean).map(Number)
+}
+
+/** X-Part-Pages '1-12,13-30' + X-Part-Sizes → parts as the stream reports them; null if not split */
+function parseParts(file, pagesHeader, sizesHeader) {
+  if (!pagesHeader) return null
+  const ranges = String(pagesHeader).split(',')
+  const sizes = String(sizesHeader ?? '').split(',').map(Number)
+  const base = partsArchiveName(file).replace(/_parts\.zip$/, '')
+  return ranges.map((pages, i) => ({ filename: `${base}_part${i + 1}of${ranges.length}.pdf`, size: sizes[i] || null, pages }))
+}
+
+// Files above this size go through the job API on the server path — one
+// /api/compress call might not finish within the function's 60 s.
+export const JOB_MIN_BYTES = 15 * 1024 * 1024
+
+// Wait before stepping again when a step made no progress (another step
+// still holds the chunk; see CHUNK_LEASE_MS in lib/jobs.js).
+const JOB_IDLE_DELAY_MS = 2_000
+
+/**
+ * True when `file` should go through compressFileAsJob(): a large PDF
+ * without a target size, split size or password. Jobs split a PDF by pages —
+ * images and PDFs to merge always take one request — and refuse
+ * password-protected PDFs (see api/jobs.js).
+ */
+export function usesJob(file, { targetBytes, splitMaxBytes, password } = {}) {
+  return !Array.isArray(file) && !isCompressibleImage(file) && file.size > JOB_MIN_BYTES
+    && !targetBytes && !splitMaxBytes && !password
+}
+
+/**
+ * compressFileAsJob — compressFile() for large files, via /api/jobs.
+ *
+ * Uploads the same way, creates a job, then drives it with
+ * POST /api/jobs/:id/step until it is done (each step compresses one page
+ * range on the server), downloads the result and deletes the job.
+ * `onPageProgress(pagesDone, pageCount)` is called after every step.
+ * Aborting `signal` stops stepping and deletes the job. Target-size mode and
+ * password-protected PDFs are not available here — a file that turns out to
+ * need a password fails with PASSWORD_REQUIRED, and is sent to
+ * compressFile() once it has one. Resolves like compressFile().
+ */
+export async function compressFileAsJob(file, level = 'medium', {
+  colorMode, options, pages, removeBlankPages, onProgress = () => {}, onPageProgress = () => {}, signal,
+} = {}) {
+  const { body, json } = await prepareUpload(
+    file,
+    {
+      level, colorMode, options, pages,
+      removeBlankPages: removeBlankPages || undefined,
+    },
+    { onProgress, signal },
+  )
+
+  const created = await axios.post('/api/jobs', json ? JSON.stringify(body) : body, {
+    headers: json ? { 'Content-Type': 'application/json' } : {},
+    timeout: 60_000,
+    signal,
+    onUploadProgress: json ? undefined : (evt) => {
+      if (evt.total) onProgress(Math.round((evt.loaded / evt.total) * 40) + 10)
+    },
+  })
+  let job = created.data
+  const jobUrl = `/api/jobs/${job.id}`
+
+  try {
+    onProgress(55)
+    onPageProgress(job.pagesDone, job.pageCount)
+
+    while (job.status !== 'done') {
+      const before = job.pagesDone
+      job = (await axios.post(`${jobUrl}/step`, null, {
+        timeout: 65_000,
+        signal,
+      })).data
+      if (job.status === 'error') throw new Error(job.error || 'Compression failed')
+
+      onPageProgress(job.pagesDone, job.pageCount)
+      onProgress(55 + Math.round((job.pagesDone / job.pageCount) * 40))
+      if (job.status !== 'done' && job.pagesDone === before) {
+        await new Promise((resolve) => setTimeout(resolve, JOB_IDLE_DELAY_MS))
+        signal?.throwIfAborted()
+      }
+    }
+
+    const response = await axios.get(`${jobUrl}/result`, { responseType: 'blob', timeout: 60_000, signal })
+    const blob = response.data
+    return {
+      blob,
+      compressedSize: parseInt(response.headers['x-compressed-size'], 10) || blob.size,
+      downloadName:   compressedFileName(file),
+      targetMet:      null,
+      removedPages:   job.removedPages ?? null,
+    }
+  } finally {
+    // Not awaited, and without `signal` — this must still go out after a cancel
+    axios.delete(jobUrl, { timeout: 10_000 }).catch(() => {})
+  }
+}
+
+/**
+ * Incremental reader for /api/compress's NDJSON progress stream. Feed
+ * `onDownloadProgress` to axios (responseType 'text'): each complete
+ * `progress` line so far is reported as onPageProgress(page, pageCount) and
+ * mapped onto the 55–95 % band of the overall bar (never moving it back when
+ * a later engine pass restarts its page count). `finish(text)` parses the
+ * full body and returns the `done` event, or throws the `error` event.
+ */
+function readProgressStream(onProgress, onPageProgress) {
+  let consumed = 0
+
+  const handle = (event) => {
+    if (event.type !== 'progress') return
+    onPageProgress(event.page, event.pageCount)
+    const pct = 55 + Math.round((event.page / event.pageCount) * 40)
+    onProgress((prev) => Math.max(prev, pct))
+  }
+
+  const take = (text) => {
+    const end = text.lastIndexOf('\n') + 1
+    if (end <= consumed) return
+    text.slice(consumed, end).split('\n').filter(Boolean).forEach((line) => handle(JSON.parse(line)))
+    consumed = end
+  }
+
+  return {
+    onDownloadProgress: (evt) => {
+      const text = evt.event?.target?.responseText
+      if (typeof text === 'string') take(text)
+    },
+    finish: (text) => {
+      take(text.endsWith('\n') ? text : `${text}\n`)   // lines no progress callback saw
+      const lines = text.split('\n').filter(Boolean)
+      const last = lines.length ? JSON.parse(lines[lines.length - 1]) : null
+      if (last?.type === 'error') throw Object.assign(new Error(last.error), last.code ? { code: last.code } : {})
+      if (last?.type !== 'done') throw new Error('Compression ended unexpectedly. Please try again.')
+      return last
+    },
+  }
+}
+
+/** True when `err` is the rejection of a request cancelled through its AbortSignal. */
+export function isCancelled(err) {
+  return axios.isCancel(err) || err?.name === 'AbortError'
+}
+
+/** Turn an axios / compression error into a user-facing message. */
+export async function describeError(err) {
+  if (err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
+    return 'The request timed out. Try the High compression level — it is fastest for large files.'
+  }
+  if (err?.response?.data instanceof Blob) {
+    return err.response.data.text().then((t) => {
+      try { return JSON.parse(t).error } catch { return t }
+    })
+  }
+  if (typeof err?.response?.data === 'string' && err.response.data) {
+    try { return JSON.parse(err.response.data).error } catch { return err.response.data }
+  }
+  if (err?.response?.data?.error) return err.response.data.error   // JSON (/api/jobs)
+  if (err?.response?.status === 413) {
+    return 'File too large. Maximum upload size is 50 MB.'
+  }
+  return err.message || 'An unexpected error occurred.'
+}
+
+/**
+ * The server's machine-readable error code (`{ error, code }`), e.g.
+ * 'PASSWORD_REQUIRED' — or null. Also reads `code` off errors from the
+ * progress stream and the on-device worker.
+ */
+export async function readErrorCode(err) {
+  const data = err?.response?.data
+  if (!data) return !err?.isAxiosError && typeof err?.code === 'string' ? err.code : null
+  try {
+    const body = data instanceof Blob ? JSON.parse(await data.text())
+      : typeof data === 'string' ? JSON.parse(data)
+      : data
+    return body?.code ?? null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * downloadBlob — programmatic download for Android Chrome compatibility.
+ * Android Chrome/Samsung Browser can silently ignore <a download> on blob
+ * URLs already in the DOM. Creating a transient anchor + clicking it within
+ * a user gesture is the only reliable path.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.style.display = 'none'
+  document.body.appendChild(a)
+  a.click()
+  setTimeout(() => {
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }, 60_000)
+  return url
+}
+
+/**
+ * createPageTracker — turns page events into { page, pageCount, etaSeconds }.
+ * The ETA extrapolates the time per page seen so far in the current pass;
+ * a page number going backwards means a new engine pass (raster fallback,
+ * next target-size rung) and restarts the clock. etaSeconds is null until
+ * two pages of a pass have been seen.
+ */
+export function createPageTracker(now = () => Date.now()) {
+  let passStart = 0
+  let startPage = 0
+  let lastPage  = Infinity
+
+  return (page, pageCount) => {
+    const t = now()
+    if (page < lastPage) {
+      passStart = t
+      startPage = page
+    }
+    lastPage = page
+    const msPerPage = page > startPage ? (t - passStart) / (page - startPage) : null
+    return {
+      page,
+      pageCount,
+      etaSeconds: msPerPage === null ? null : Math.round((msPerPage * (pageCount - page)) / 1000),
+    }
+  }
+}
+
+/**
+ * useCompress — handles the full lifecycle of a PDF compression request.
+ *
+ * States: idle → uploading → processing → done | error
+ *
+ * Where the work happens (`processing` option):
+ *   'auto'   — in a Web Worker on this device (MuPDF WASM, no upload) when
+ *              supported; falls back to the server if the worker runs out of
+ *              memory or cannot start. Default.
+ *   'local'  — device only; an out-of-memory failure is reported as an error.
+ *   'server' — always upload (see compressFile() for the upload strategy).
+ *              Files over JOB_MIN_BYTES use the job API instead
+ *              (compressFileAsJob()) unless a target size is set.
+ * `processedLocally` reports which one actually produced the result.
+ *
+ * cancel() aborts whatever is running — worker, Blob upload or request —
+ * and returns to idle.
+ *
+ * Both paths report real per-page progress as `pageProgress`
+ * ({ page, pageCount, etaSeconds }, see createPageTracker()) — the worker
+ * posts it directly, the server streams it as NDJSON.
+ *
+ * Password-protected PDFs: a missing or wrong password ends in `error` with
+ * `errorCode` 'PASSWORD_REQUIRED' / 'PASSWORD_INCORRECT'; call compress()
+ * again with { password, keepEncryption }.
+ *
+ * Target-size mode: pass { targetBytes } as the third compress() argument.
+ * The server searches for settings that fit and reports X-Target-Met, exposed
+ * here as `targetMet` (null when no target was requested).
+ *
+ * Blank pages: with { removeBlankPages: true } the numbers of the pages left
+ * out end up in `removedPages` (null when not requested).
+ *
+ * Images: pass an array of image Files instead of a PDF, with { pageSize,
+ * orientation }, to get them back as one PDF (see compressFile()). A single
+ * JPEG / PNG / WebP File, with { maxDimension, stripMetadata }, comes back
+ * compressed in its own format — always on the server — and `dimensions`
+ * reports its size in pixels before and after (see compressImageFile()).
+ *
+ * Merge: an array of PDF Files is joined into one and compressed — always on
+ * the server, in one request (see compressFile()).
+ *
+ * Split: with { splitMaxBytes } a result still over that size comes back as
+ * a ZIP of parts that each fit, listed in `parts` — server only, like merge.
  */
 export function useCompress() {
   const [status, setStatus]           = useState('idle')
@@ -30,13 +587,24 @@ export function useCompress() {
   const [originalSize, setOriginalSize] = useState(null)
   const [compressedSize, setCompressedSize] = useState(null)
   const [downloadUrl, setDownloadUrl] = useState(null)
+  const [compressedBlob, setCompressedBlob] = useState(null)
   const [downloadName, setDownloadName] = useState(null)
   const [errorMessage, setErrorMessage] = useState(null)
+  const [errorCode, setErrorCode]     = useState(null)
+  const [targetMet, setTargetMet]     = useState(null)
+  const [processedLocally, setProcessedLocally] = useState(null)
+  const [pageProgress, setPageProgress] = useState(null)   // { page, pageCount, etaSeconds }
+  const [removedPages, setRemovedPages] = useState(null)   // 1-based, with removeBlankPages
+  const [dimensions, setDimensions]   = useState(null)   // images: { width, height, originalWidth, originalHeight }
+  const [parts, setParts]             = useState(null)   // splitMaxBytes: [{ filename, size, pages }]
 
   const blobRef    = useRef(null)
   const blobUrlRef = useRef(null)
+  const abortRef   = useRef(null)   // AbortController of the run in progress
 
   const reset = useCallback(() => {
+    abortRef.current?.abort()
+    abortRef.current = null
     if (blobUrlRef.current) {
       URL.revokeObjectURL(blobUrlRef.current)
       blobUrlRef.current = null
@@ -47,168 +615,121 @@ export function useCompress() {
     setOriginalSize(null)
     setCompressedSize(null)
     setDownloadUrl(null)
+    setCompressedBlob(null)
     setDownloadName(null)
     setErrorMessage(null)
+    setErrorCode(null)
+    setTargetMet(null)
+    setProcessedLocally(null)
+    setPageProgress(null)
+    setRemovedPages(null)
+    setDimensions(null)
+    setParts(null)
   }, [])
 
-  /**
-   * triggerDownload — programmatic download for Android Chrome compatibility.
-   * Android Chrome/Samsung Browser can silently ignore <a download> on blob
-   * URLs already in the DOM. Creating a transient anchor + clicking it within
-   * a user gesture is the only reliable path.
-   */
+  /** triggerDownload — see downloadBlob() for why this is programmatic. */
   const triggerDownload = useCallback(() => {
     if (!blobRef.current || !downloadName) return
     if (blobUrlRef.current) URL.revokeObjectURL(blobUrlRef.current)
-    const url = URL.createObjectURL(blobRef.current)
-    blobUrlRef.current = url
-
-    const a = document.createElement('a')
-    a.href = url
-    a.download = downloadName
-    a.style.display = 'none'
-    document.body.appendChild(a)
-    a.click()
-    setTimeout(() => {
-      document.body.removeChild(a)
-      URL.revokeObjectURL(url)
-      blobUrlRef.current = null
-    }, 60_000)
+    blobUrlRef.current = downloadBlob(blobRef.current, downloadName)
   }, [downloadName])
 
-  const compress = useCallback(async (file, level = 'medium') => {
+  const compress = useCallback(async (file, level = 'medium', {
+    targetBytes, colorMode, options, pages, removeBlankPages, processing = 'auto', password, keepEncryption, pageSize, orientation,
+    maxDimension, stripMetadata, splitMaxBytes,
+  } = {}) => {
     reset()
-    setOriginalSize(file.size)
-    setStatus('uploading')
-    setProgress(5)
+    setOriginalSize(inputSize(file))
+    const controller = new AbortController()
+    abortRef.current = controller
+    const { signal } = controller
 
     try {
-      // ── Check if Blob upload is available ─────────────────────────────
-      // Probe /api/blob-upload with the wire-protocol request format.
-      // Server returns { localMode: true } when BLOB_READ_WRITE_TOKEN is not set
-      // (local dev) → fall back to multipart.
-      // In production it responds with { clientToken } via
-      // generateClientTokenFromReadWriteToken (works with raw Node HTTP).
-      let useBlob = false
-      try {
-        const modeCheck = await axios.post('/api/blob-upload',
-          JSON.stringify({ type: 'blob.generate-client-token', payload: { pathname: file.name, callbackUrl: '' } }),
-          { headers: { 'Content-Type': 'application/json' }, timeout: 5_000 }
-        )
-        useBlob = !modeCheck.data?.localMode
-      } catch {
-        useBlob = false
+      let result = null
+      let track = createPageTracker()
+      const onPageProgress = (page, pageCount) => {
+        setStatus('processing')
+        setPageProgress(track(page, pageCount))
       }
 
-      let inputForCompress   // { blobUrl, filename } or FormData
-      let useJsonMode = false
-
-      if (useBlob) {
-        // ── Mode A: Vercel Blob client upload ─────────────────────────
-        setProgress(10)
-
-        // Upload file directly from browser to Vercel Blob CDN.
-        // handleUploadUrl sends the generate-client-token request to our
-        // /api/blob-upload handler which uses generateClientTokenFromReadWriteToken.
-        const newBlob = await upload(file.name, file, {
-          access: 'public',
-          handleUploadUrl: '/api/blob-upload',
-          onUploadProgress: ({ percentage }) => {
-            // Scale blob upload progress to 10–50%
-            setProgress(Math.round(percentage * 0.4) + 10)
-          },
-        })
-
-        setProgress(55)
-        inputForCompress = { blobUrl: newBlob.url, filename: file.name }
-        useJsonMode = true
-
-      } else {
-        // ── Mode B: Legacy multipart (local dev) ──────────────────────
-        setProgress(10)
-        const formData = new FormData()
-        formData.append('file', file)
-        formData.append('level', level)
-        inputForCompress = formData
-        useJsonMode = false
+      // Images compressed as images need sharp, and merging and splitting are done there too — server only
+      if (processing !== 'server' && isLocalCompressionSupported() && !isCompressibleImage(file) && !isMergeList(file) && !splitMaxBytes) {
+        setStatus('processing')
+        setProgress(5)
+        try {
+          result = await compressLocally(file, level, {
+            targetBytes,
+            colorMode,
+            options,
+            pages,
+            removeBlankPages,
+            password,
+            keepEncryption,
+            pageSize,
+            orientation,
+            signal,
+            onPageProgress: (page, pageCount) => {
+              onPageProgress(page, pageCount)
+              setProgress((prev) => Math.max(prev, 5 + Math.round((page / pageCount) * 90)))
+            },
+          })
+          result.downloadName = compressedFileName(file)
+          setProcessedLocally(true)
+        } catch (err) {
+          if (!(err instanceof LocalCompressionUnavailableError) || processing === 'local') throw err
+          console.warn('[useCompress] Local compression unavailable, falling back to server:', err.message)
+          setPageProgress(null)
+          track = createPageTracker()
+        }
       }
 
-      // ── POST to /api/compress ─────────────────────────────────────────
-      const response = await axios.post(
-        '/api/compress',
-        useJsonMode
-          ? JSON.stringify({ ...inputForCompress, level })
-          : inputForCompress,
-        {
-          responseType: 'blob',
-          headers: useJsonMode ? { 'Content-Type': 'application/json' } : {},
-          timeout: 60_000,
-          onUploadProgress: useJsonMode ? undefined : (evt) => {
-            // Multipart mode: track upload progress 10–50%
-            if (evt.total) {
-              setProgress(Math.round((evt.loaded / evt.total) * 40) + 10)
-            }
-          },
-          onDownloadProgress: (evt) => {
-            if (evt.total) {
-              const pct = Math.round((evt.loaded / evt.total) * 40) + 55
-              setProgress(pct)
-            } else {
-              setProgress((prev) => (prev < 80 ? prev + 3 : prev))
-            }
-          },
-        },
-      )
+      if (!result) {
+        setStatus('uploading')
+        setProgress(5)
+        const run = usesJob(file, { targetBytes, splitMaxBytes, password }) ? compressFileAsJob : compressFile
+        result = await run(file, level, {
+          targetBytes, colorMode, options, pages, removeBlankPages, password, keepEncryption, pageSize, orientation,
+          maxDimension, stripMetadata, splitMaxBytes, onProgress: setProgress, onPageProgress, signal,
+        })
+        setProcessedLocally(false)
+      }
 
+      signal.throwIfAborted()
+      abortRef.current = null
       setStatus('processing')
       setProgress(97)
 
-      // Check for error response embedded as JSON blob
-      if (response.data.type === 'application/json') {
-        const text = await response.data.text()
-        const json = JSON.parse(text)
-        throw new Error(json.error || 'Compression failed')
-      }
+      blobRef.current = result.blob
 
-      const blob = response.data
-      blobRef.current = blob
-
-      const url = URL.createObjectURL(blob)
+      const url = URL.createObjectURL(result.blob)
       blobUrlRef.current = url
 
-      const compressedBytes =
-        parseInt(response.headers['x-compressed-size'], 10) || blob.size
-
-      setCompressedSize(compressedBytes)
+      setCompressedSize(result.compressedSize)
       setDownloadUrl(url)
-
-      const baseName = file.name.replace(/\.pdf$/i, '')
-      setDownloadName(`${baseName}_compressed.pdf`)
+      setCompressedBlob(result.blob)
+      setTargetMet(result.targetMet)
+      setRemovedPages(result.removedPages ?? null)
+      setDimensions(result.dimensions ?? null)
+      setParts(result.parts ?? null)
+      setDownloadName(result.downloadName)
 
       setProgress(100)
       setStatus('done')
 
     } catch (err) {
-      let msg
-      if (err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
-        msg = 'The request timed out. Try the High compression level — it is fastest for large files.'
-      } else if (err?.response?.data instanceof Blob) {
-        msg = await err.response.data.text().then((t) => {
-          try { return JSON.parse(t).error } catch { return t }
-        })
-      } else if (err?.response?.status === 413) {
-        msg = 'File too large. Maximum upload size is 50 MB.'
-      } else {
-        msg = err.message || 'An unexpected error occurred.'
-      }
-      setErrorMessage(msg)
+      if (signal.aborted || isCancelled(err)) return   // cancel() already reset the state
+      setErrorMessage(await describeError(err))
+      setErrorCode(await readErrorCode(err))
       setStatus('error')
       setProgress(0)
     }
   }, [reset])
 
+  const cancel = reset
+
   return {
     compress,
+    cancel,
     reset,
     triggerDownload,
     status,
@@ -216,7 +737,15 @@ export function useCompress() {
     originalSize,
     compressedSize,
     downloadUrl,
+    compressedBlob,
     downloadName,
     errorMessage,
+    errorCode,
+    targetMet,
+    processedLocally,
+    pageProgress,
+    removedPages,
+    dimensions,
+    parts,
   }
 }
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { isLocalCompressionSupported } from '../utils/localCompress'
+
+/**
+ * Before/after preview of a compression result, from
+ * src/workers/preview.worker.js. Pass `original` (the File) and
+ * `compressed` (the result Blob) — or nulls to stay idle — plus the
+ * `password` if the PDF had one and `sources` (see outputPageSources() in
+ * lib/pages.js) when pages were selected, reordered or removed.
+ *
+ * Returns { pageCount, scores, view, error, showPage }:
+ *   scores[i] — { ssim, psnr } of output page i, filled in as they come
+ *   view      — { page, scale, before, after } (object URLs of PNGs) for the
+ *               last page rendered
+ *   showPage(page, scale) — render another page / zoom (held back until
+ *               the documents are open)
+ */
+export function useQualityPreview(original, compressed, { password, sources } = {}) {
+  const [state, setState] = useState({ pageCount: null, scores: [], view: null, error: null })
+  const workerRef = useRef(null)
+  const openedRef = useRef(false)
+  const wantedRef = useRef(null)   // last showPage() request
+
+  useEffect(() => {
+    setState({ pageCount: null, scores: [], view: null, error: null })
+    if (!original || !compressed || !isLocalCompressionSupported()) return undefined
+
+    const urls = []
+    let cancelled = false
+    openedRef.current = false
+    const worker = new Worker(new URL('../workers/preview.worker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'opened') {
+        openedRef.current = true
+        if (wantedRef.current) worker.postMessage({ type: 'render', ...wantedRef.current })
+        setState((prev) => ({ ...prev, pageCount: data.pageCount }))
+      } else if (data.type === 'score') {
+        setState((prev) => {
+          const scores = [...prev.scores]
+          scores[data.page] = { ssim: data.ssim, psnr: data.psnr }
+          return { ...prev, scores }
+        })
+      } else if (data.type === 'render') {
+        const before = URL.createObjectURL(new Blob([data.before], { type: 'image/png' }))
+        const after  = URL.createObjectURL(new Blob([data.after], { type: 'image/png' }))
+        urls.splice(0).forEach((url) => URL.revokeObjectURL(url))   // the previous view
+        urls.push(before, after)
+        setState((prev) => ({ ...prev, view: { page: data.page, scale: data.scale, before, after } }))
+      } else if (data.type === 'error') {
+        setState((prev) => ({ ...prev, error: data.message }))
+      }
+    }
+    worker.onerror = (evt) => {
+      evt.preventDefault?.()
+      setState((prev) => ({ ...prev, error: evt.message || 'Preview failed' }))
+    }
+
+    Promise.all([original.arrayBuffer(), compressed.arrayBuffer()]).then(([before, after]) => {
+      if (cancelled) return
+      worker.postMessage({ type: 'open', original: before, compressed: after, password, sources }, [before, after])
+    }).catch((err) => setState((prev) => ({ ...prev, error: err.message })))
+
+    return () => {
+      cancelled = true
+      worker.terminate()
+      workerRef.current = null
+      urls.forEach((url) => URL.revokeObjectURL(url))
+    }
+  }, [original, compressed, password, sources])
+
+  const showPage = useCallback((page, scale) => {
+    wantedRef.current = { page, scale }
+    if (openedRef.current) workerRef.current?.postMessage({ type: 'render', page, scale })
+  }, [])
+
+  return { ...state, showPage }
+}
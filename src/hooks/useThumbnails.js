@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react'
+import { isLocalCompressionSupported } from '../utils/localCompress'
+
+/**
+ * Page thumbnails for `file`, rendered in a Web Worker
+ * (src/workers/thumbnails.worker.js) as they come in.
+ *
+ * Returns { pageCount, thumbnails } — `thumbnails[i]` is an object URL for
+ * page i, or undefined until it has rendered. pageCount is null until the
+ * first page arrives, and stays null if the PDF can't be opened (e.g. it
+ * needs a `password` that hasn't been given yet). The worker is stopped and
+ * the URLs revoked when the file or password changes.
+ */
+export function useThumbnails(file, { password } = {}) {
+  const [state, setState] = useState({ pageCount: null, thumbnails: [] })
+
+  useEffect(() => {
+    setState({ pageCount: null, thumbnails: [] })
+    if (!file || !isLocalCompressionSupported()) return undefined
+
+    const urls = []
+    let worker = null
+    let cancelled = false
+
+    file.arrayBuffer().then((input) => {
+      if (cancelled) return
+      worker = new Worker(new URL('../workers/thumbnails.worker.js', import.meta.url), { type: 'module' })
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'page') {
+          const url = URL.createObjectURL(new Blob([data.jpeg], { type: 'image/jpeg' }))
+          urls.push(url)
+          setState((prev) => {
+            const thumbnails = [...prev.thumbnails]
+            thumbnails[data.index] = url
+            return { pageCount: data.pageCount, thumbnails }
+          })
+        } else {
+          // 'done' or 'error' — a PDF that can't be rendered just gets no strip
+          worker.terminate()
+        }
+      }
+      worker.onerror = (evt) => {
+        evt.preventDefault?.()
+        worker.terminate()
+      }
+      worker.postMessage({ input, password }, [input])
+    }).catch(() => {})
+
+    return () => {
+      cancelled = true
+      worker?.terminate()
+      urls.forEach((url) => URL.revokeObjectURL(url))
+    }
+  }, [file, password])
+
+  return state
+}
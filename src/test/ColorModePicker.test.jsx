@@ -0,0 +1,26 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import ColorModePicker from '../components/ColorModePicker'
+
+describe('ColorModePicker', () => {
+  it('marks the selected mode', () => {
+    render(<ColorModePicker value="grayscale" onChange={() => {}} />)
+    expect(screen.getByTestId('color-grayscale')).toHaveAttribute('aria-checked', 'true')
+    expect(screen.getByTestId('color-color')).toHaveAttribute('aria-checked', 'false')
+  })
+
+  it('calls onChange with the mode', () => {
+    const onChange = vi.fn()
+    render(<ColorModePicker value="color" onChange={onChange} />)
+    fireEvent.click(screen.getByText('Black & white'))
+    expect(onChange).toHaveBeenCalledWith('bw')
+  })
+
+  it('does not fire onChange when disabled', () => {
+    const onChange = vi.fn()
+    render(<ColorModePicker value="color" onChange={onChange} disabled />)
+    fireEvent.click(screen.getByText('Grayscale'))
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
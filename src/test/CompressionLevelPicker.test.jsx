@@ -1,11 +1,12 @@
 import React from 'react'
 import { render, screen, fireEvent } from '@testing-library/react'
-import { describe, it, expect, vi } from 'vitest'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
 import CompressionLevelPicker from '../components/CompressionLevelPicker'
 
 describe('CompressionLevelPicker', () => {
-  it('renders three level buttons', () => {
+  it('renders four level buttons', () => {
     render(<CompressionLevelPicker value="medium" onChange={() => {}} />)
+    expect(screen.getByTestId('level-lossless')).toBeInTheDocument()
     expect(screen.getByTestId('level-low')).toBeInTheDocument()
     expect(screen.getByTestId('level-medium')).toBeInTheDocument()
     expect(screen.getByTestId('level-high')).toBeInTheDocument()
@@ -30,4 +31,52 @@ describe('CompressionLevelPicker', () => {
     fireEvent.click(screen.getByTestId('level-low'))
     expect(onChange).not.toHaveBeenCalled()
   })
+
+  it('shows estimated sizes on the cards when given', () => {
+    const { rerender } = render(<CompressionLevelPicker value="medium" onChange={() => {}} />)
+    expect(screen.queryByTestId('level-estimate-medium')).not.toBeInTheDocument()
+
+    const estimates = { lossless: { size: 1000 }, medium: { size: 250 } }
+    rerender(<CompressionLevelPicker value="medium" onChange={() => {}} estimates={estimates} originalSize={1000} />)
+    expect(screen.getByTestId('level-estimate-medium')).toHaveTextContent('≈ 250.00 B · -75%')
+    expect(screen.getByTestId('level-estimate-lossless')).toHaveTextContent('no reduction')
+    expect(screen.getByTestId('level-estimate-high')).toHaveTextContent('Estimating…')
+  })
+
+  describe('Advanced panel', () => {
+    beforeEach(() => localStorage.clear())
+
+    it('is only offered when onOptionsChange is passed', () => {
+      const { rerender } = render(<CompressionLevelPicker value="medium" onChange={() => {}} />)
+      expect(screen.queryByTestId('advanced-toggle')).not.toBeInTheDocument()
+      rerender(<CompressionLevelPicker value="medium" onChange={() => {}} onOptionsChange={() => {}} />)
+      expect(screen.getByTestId('advanced-toggle')).toBeInTheDocument()
+    })
+
+    it('reports clamped custom settings once enabled and remembers them', () => {
+      const onOptionsChange = vi.fn()
+      render(<CompressionLevelPicker value="medium" onChange={() => {}} onOptionsChange={onOptionsChange} />)
+      expect(onOptionsChange).toHaveBeenLastCalledWith(null)
+
+      fireEvent.click(screen.getByTestId('advanced-toggle'))
+      fireEvent.click(screen.getByTestId('advanced-enabled'))
+      fireEvent.change(screen.getByTestId('advanced-quality'), { target: { value: '150' } })
+      fireEvent.change(screen.getByTestId('advanced-gsSetting'), { target: { value: '/screen' } })
+
+      expect(onOptionsChange).toHaveBeenLastCalledWith({ quality: 100, dpi: 150, scale: 1.2, gsSetting: '/screen' })
+      const stored = JSON.parse(localStorage.getItem('compressfiles.advancedOptions'))
+      expect(stored).toMatchObject({ enabled: true, values: { gsSetting: '/screen' } })
+    })
+
+    it('restores the last-used settings on mount', () => {
+      localStorage.setItem('compressfiles.advancedOptions', JSON.stringify({
+        enabled: true, values: { quality: 42, dpi: 96, scale: 0.8, gsSetting: '/printer' },
+      }))
+      const onOptionsChange = vi.fn()
+      render(<CompressionLevelPicker value="high" onChange={() => {}} onOptionsChange={onOptionsChange} />)
+      expect(onOptionsChange).toHaveBeenCalledWith({ quality: 42, dpi: 96, scale: 0.8, gsSetting: '/printer' })
+      fireEvent.click(screen.getByTestId('advanced-toggle'))
+      expect(screen.getByTestId('advanced-dpi')).toHaveValue(96)
+    })
+  })
 })
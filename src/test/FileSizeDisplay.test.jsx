@@ -49,4 +49,16 @@ describe('FileSizeDisplay', () => {
     render(<FileSizeDisplay originalSize={1024 * 100} compressedSize={null} />)
     expect(screen.queryByTestId('savings-bar')).not.toBeInTheDocument()
   })
+
+  it('shows the output type and the change in pixel size', () => {
+    render(
+      <FileSizeDisplay
+        originalSize={1024 * 100}
+        compressedSize={1024 * 60}
+        mimeType="image/webp"
+        dimensions={{ width: 1920, height: 1280, originalWidth: 3000, originalHeight: 2000 }}
+      />,
+    )
+    expect(screen.getByTestId('output-details')).toHaveTextContent('WebP · 3000 × 2000 → 1920 × 1280 px')
+  })
 })
@@ -0,0 +1,30 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import ImageCompressOptions from '../components/ImageCompressOptions'
+
+describe('ImageCompressOptions', () => {
+  it('marks the selected maximum size', () => {
+    render(<ImageCompressOptions value={{ maxDimension: 1920, stripMetadata: true }} onChange={() => {}} />)
+    expect(screen.getByTestId('max-dimension-1920')).toHaveAttribute('aria-checked', 'true')
+    expect(screen.getByTestId('max-dimension-original')).toHaveAttribute('aria-checked', 'false')
+    expect(screen.getByTestId('strip-metadata-toggle')).toBeChecked()
+  })
+
+  it('calls onChange with the whole setting', () => {
+    const onChange = vi.fn()
+    render(<ImageCompressOptions value={{ maxDimension: null, stripMetadata: true }} onChange={onChange} />)
+    fireEvent.click(screen.getByText('2560 px'))
+    expect(onChange).toHaveBeenCalledWith({ maxDimension: 2560, stripMetadata: true })
+    fireEvent.click(screen.getByTestId('strip-metadata-toggle'))
+    expect(onChange).toHaveBeenLastCalledWith({ maxDimension: null, stripMetadata: false })
+  })
+
+  it('disables resizing at the lossless level', () => {
+    const onChange = vi.fn()
+    render(<ImageCompressOptions value={{ maxDimension: null, stripMetadata: true }} onChange={onChange} lossless />)
+    fireEvent.click(screen.getByText('1280 px'))
+    expect(onChange).not.toHaveBeenCalled()
+    expect(screen.getByTestId('strip-metadata-toggle')).not.toBeDisabled()
+  })
+})
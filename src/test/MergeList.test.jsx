@@ -0,0 +1,41 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import MergeList from '../components/MergeList'
+
+const pdfs = (...names) => names.map((name) => new File(['%PDF'], name, { type: 'application/pdf' }))
+
+describe('MergeList', () => {
+  it('moves a file up or down', () => {
+    const files = pdfs('a.pdf', 'b.pdf', 'c.pdf')
+    const onChange = vi.fn()
+    render(<MergeList value={files} onChange={onChange} />)
+    expect(screen.getByLabelText('Move a.pdf up')).toBeDisabled()
+    fireEvent.click(screen.getByLabelText('Move a.pdf down'))
+    expect(onChange).toHaveBeenCalledWith([files[1], files[0], files[2]])
+    fireEvent.click(screen.getByLabelText('Move c.pdf up'))
+    expect(onChange).toHaveBeenLastCalledWith([files[0], files[2], files[1]])
+  })
+
+  it('moves a file by dragging it onto another', () => {
+    const files = pdfs('a.pdf', 'b.pdf', 'c.pdf')
+    const onChange = vi.fn()
+    render(<MergeList value={files} onChange={onChange} />)
+    const items = screen.getAllByTestId('merge-item')
+    const dataTransfer = { effectAllowed: '' }
+    fireEvent.dragStart(items[2], { dataTransfer })
+    fireEvent.dragOver(items[0], { dataTransfer })
+    fireEvent.drop(items[0], { dataTransfer })
+    expect(onChange).toHaveBeenCalledWith([files[2], files[0], files[1]])
+  })
+
+  it('keeps at least two files', () => {
+    const files = pdfs('a.pdf', 'b.pdf', 'c.pdf')
+    const onChange = vi.fn()
+    const { rerender } = render(<MergeList value={files} onChange={onChange} />)
+    fireEvent.click(screen.getByLabelText('Remove b.pdf'))
+    expect(onChange).toHaveBeenCalledWith([files[0], files[2]])
+    rerender(<MergeList value={[files[0], files[2]]} onChange={onChange} />)
+    expect(screen.getByLabelText('Remove a.pdf')).toBeDisabled()
+  })
+})
@@ -0,0 +1,28 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import PageSetupPicker from '../components/PageSetupPicker'
+
+describe('PageSetupPicker', () => {
+  it('marks the selected page size and orientation', () => {
+    render(<PageSetupPicker value={{ pageSize: 'letter', orientation: 'landscape' }} onChange={() => {}} />)
+    expect(screen.getByTestId('page-size-letter')).toHaveAttribute('aria-checked', 'true')
+    expect(screen.getByTestId('page-size-a4')).toHaveAttribute('aria-checked', 'false')
+    expect(screen.getByTestId('orientation-landscape')).toHaveAttribute('aria-checked', 'true')
+  })
+
+  it('calls onChange with the whole page setup', () => {
+    const onChange = vi.fn()
+    render(<PageSetupPicker value={{ pageSize: 'a4', orientation: 'auto' }} onChange={onChange} />)
+    fireEvent.click(screen.getByText('Portrait'))
+    expect(onChange).toHaveBeenCalledWith({ pageSize: 'a4', orientation: 'portrait' })
+  })
+
+  it('disables orientation for fit-to-image pages', () => {
+    const onChange = vi.fn()
+    render(<PageSetupPicker value={{ pageSize: 'fit', orientation: 'auto' }} onChange={onChange} />)
+    fireEvent.click(screen.getByText('Landscape'))
+    expect(onChange).not.toHaveBeenCalled()
+    expect(screen.getByTestId('page-size-a4')).not.toBeDisabled()
+  })
+})
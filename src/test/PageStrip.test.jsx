@@ -0,0 +1,42 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import PageStrip from '../components/PageStrip'
+
+const allPages = (n) => Array.from({ length: n }, (_, page) => ({ page, included: true }))
+
+describe('PageStrip', () => {
+  it('toggles a page when clicked', () => {
+    const onChange = vi.fn()
+    render(<PageStrip value={allPages(3)} onChange={onChange} />)
+    expect(screen.getByTestId('page-thumb-2')).toHaveAttribute('aria-pressed', 'true')
+    fireEvent.click(screen.getByTestId('page-thumb-2'))
+    expect(onChange).toHaveBeenCalledWith([
+      { page: 0, included: true },
+      { page: 1, included: false },
+      { page: 2, included: true },
+    ])
+  })
+
+  it('moves a page by dragging it onto another', () => {
+    const onChange = vi.fn()
+    render(<PageStrip value={allPages(3)} onChange={onChange} />)
+    const dataTransfer = { effectAllowed: '' }
+    fireEvent.dragStart(screen.getByTestId('page-thumb-3'), { dataTransfer })
+    fireEvent.dragOver(screen.getByTestId('page-thumb-1'), { dataTransfer })
+    fireEvent.drop(screen.getByTestId('page-thumb-1'), { dataTransfer })
+    expect(onChange).toHaveBeenCalledWith([
+      { page: 2, included: true },
+      { page: 0, included: true },
+      { page: 1, included: true },
+    ])
+  })
+
+  it('does not change pages when disabled', () => {
+    const onChange = vi.fn()
+    render(<PageStrip value={allPages(3)} onChange={onChange} disabled />)
+    fireEvent.click(screen.getByTestId('page-thumb-1'))
+    fireEvent.keyDown(screen.getByTestId('page-thumb-1'), { key: 'ArrowRight', shiftKey: true })
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
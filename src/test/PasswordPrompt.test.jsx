@@ -0,0 +1,29 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import PasswordPrompt from '../components/PasswordPrompt'
+
+describe('PasswordPrompt', () => {
+  it('submits the password and keeps encryption by default', () => {
+    const onSubmit = vi.fn()
+    render(<PasswordPrompt onSubmit={onSubmit} />)
+    fireEvent.change(screen.getByTestId('password-input'), { target: { value: 'secret' } })
+    fireEvent.click(screen.getByTestId('password-submit'))
+    expect(onSubmit).toHaveBeenCalledWith('secret', true)
+  })
+
+  it('can drop the encryption and does not submit an empty password', () => {
+    const onSubmit = vi.fn()
+    render(<PasswordPrompt onSubmit={onSubmit} />)
+    expect(screen.getByTestId('password-submit')).toBeDisabled()
+    fireEvent.click(screen.getByTestId('keep-encryption-toggle'))
+    fireEvent.change(screen.getByTestId('password-input'), { target: { value: 'secret' } })
+    fireEvent.submit(screen.getByTestId('password-prompt'))
+    expect(onSubmit).toHaveBeenCalledWith('secret', false)
+  })
+
+  it('says so when the previous password was wrong', () => {
+    render(<PasswordPrompt incorrect onSubmit={() => {}} />)
+    expect(screen.getByRole('alert')).toHaveTextContent('incorrect')
+  })
+})
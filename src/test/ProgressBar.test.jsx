@@ -20,4 +20,15 @@ describe('ProgressBar', () => {
     render(<ProgressBar progress={0} />)
     expect(screen.getByText('Processing…')).toBeInTheDocument()
   })
+
+  it('shows the page count and time left when known', () => {
+    render(<ProgressBar progress={60} page={3} pageCount={12} etaSeconds={75} />)
+    expect(screen.getByText('Page 3 of 12')).toBeInTheDocument()
+    expect(screen.getByText('about 1 min 15 s left')).toBeInTheDocument()
+  })
+
+  it('hides the page line without page progress', () => {
+    render(<ProgressBar progress={30} />)
+    expect(screen.queryByTestId('progress-pages')).not.toBeInTheDocument()
+  })
 })
@@ -0,0 +1,36 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import QualityPreview, { qualityLabel } from '../components/QualityPreview'
+
+const scores = [{ ssim: 0.991, psnr: 38.2 }, { ssim: 0.842, psnr: 21.7 }]
+const view = { page: 0, scale: 1.5, before: 'blob:before', after: 'blob:after' }
+
+describe('QualityPreview', () => {
+  it('shows the page score and the lowest score', () => {
+    render(<QualityPreview pageCount={2} scores={scores} view={view} onShowPage={() => {}} onRetry={() => {}} />)
+    expect(screen.getByTestId('preview-score')).toHaveTextContent('Page 1: Excellent — SSIM 0.991 · PSNR 38.2 dB')
+    expect(screen.getByText(/Lowest of 2\/2 pages scored: Fair/)).toBeInTheDocument()
+    expect(qualityLabel(0.5)).toBe('Poor')
+  })
+
+  it('moves the comparison split with the slider', () => {
+    render(<QualityPreview pageCount={1} scores={scores} view={view} onShowPage={() => {}} onRetry={() => {}} />)
+    expect(screen.getByTestId('preview-after')).toHaveStyle({ clipPath: 'inset(0 0 0 50%)' })
+    fireEvent.change(screen.getByTestId('preview-slider'), { target: { value: '20' } })
+    expect(screen.getByTestId('preview-after')).toHaveStyle({ clipPath: 'inset(0 0 0 20%)' })
+  })
+
+  it('asks for the chosen page and zoom, and retries', () => {
+    const onShowPage = vi.fn()
+    const onRetry = vi.fn()
+    render(<QualityPreview pageCount={2} scores={scores} view={view} onShowPage={onShowPage} onRetry={onRetry} />)
+    expect(onShowPage).toHaveBeenLastCalledWith(0, 1.5)
+    fireEvent.change(screen.getByTestId('preview-page'), { target: { value: '1' } })
+    expect(onShowPage).toHaveBeenLastCalledWith(1, 1.5)
+    fireEvent.click(screen.getByText('2×'))
+    expect(onShowPage).toHaveBeenLastCalledWith(1, 2)
+    fireEvent.click(screen.getByTestId('preview-retry'))
+    expect(onRetry).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,33 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import TargetSizePicker from '../components/TargetSizePicker'
+
+describe('TargetSizePicker', () => {
+  it('defaults to no limit when value is null', () => {
+    render(<TargetSizePicker value={null} onChange={() => {}} />)
+    expect(screen.getByTestId('target-none')).toHaveAttribute('aria-checked', 'true')
+  })
+
+  it('calls onChange with the byte limit', () => {
+    const onChange = vi.fn()
+    render(<TargetSizePicker value={null} onChange={onChange} />)
+    fireEvent.click(screen.getByText('1 MB'))
+    expect(onChange).toHaveBeenCalledWith(1024 * 1024)
+  })
+
+  it('offers email attachment limits up to 25 MB', () => {
+    const onChange = vi.fn()
+    render(<TargetSizePicker value={10 * 1024 * 1024} onChange={onChange} />)
+    expect(screen.getByText('10 MB')).toHaveAttribute('aria-checked', 'true')
+    fireEvent.click(screen.getByText('25 MB'))
+    expect(onChange).toHaveBeenCalledWith(25 * 1024 * 1024)
+  })
+
+  it('does not fire onChange when disabled', () => {
+    const onChange = vi.fn()
+    render(<TargetSizePicker value={null} onChange={onChange} disabled />)
+    fireEvent.click(screen.getByText('500 KB'))
+    expect(onChange).not.toHaveBeenCalled()
+  })
+})
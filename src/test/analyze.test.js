@@ -0,0 +1,63 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { analyzePdf, estimateSizes, samplePages } from '../../lib/analyze.js'
+import { optimizeLossless } from '../../lib/mupdf-engine.js'
+import { unlockPdf, encryptPdf } from '../../lib/encryption.js'
+import { textPdf, scanPdf, imagePagesPdf } from './pdfFixtures.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+describe('analyzePdf', () => {
+  it('reports pages, images, fonts and compression', () => {
+    const pdf = imagePagesPdf(3)
+    const report = analyzePdf(pdf)
+    expect(report).toMatchObject({
+      fileSize:   pdf.length,
+      pageCount:  3,
+      encryption: null,
+      fonts:      [{ name: 'Helvetica', type: 'Type1', embedded: false }],
+      pages:      { text: 0, mixed: 3, scanned: 0 },
+    })
+    expect(report.images.count).toBe(3)
+    expect(report.images.filters).toEqual({ FlateDecode: 3 })
+    expect(report.images.bytes).toBeGreaterThan(3 * 20_000)
+    expect(report.images.bytes).toBeLessThan(pdf.length)
+    expect(report.compression).toMatchObject({ unfiltered: 0, objectStreams: 0 })
+    expect(report.compression.streams).toBeGreaterThanOrEqual(6)   // an image and a content stream per page
+  })
+
+  it('counts text and scanned pages, and object streams', () => {
+    expect(analyzePdf(textPdf(['One', 'Two'])).pages).toEqual({ text: 2, mixed: 0, scanned: 0 })
+    expect(analyzePdf(scanPdf()).pages).toEqual({ text: 0, mixed: 0, scanned: 1 })
+    expect(analyzePdf(optimizeLossless(textPdf(['One']))).compression.objectStreams).toBeGreaterThan(0)
+  })
+
+  it('reports an unlocked PDF as encrypted, with the original file size', () => {
+    const locked = encryptPdf(textPdf(['Secret']), { method: 'aes-128', permissions: -4, owner: false }, 'secret')
+    const { input, encryption } = unlockPdf(locked, 'secret')
+    const report = analyzePdf(input, { fileSize: locked.length, encryption })
+    expect(report.fileSize).toBe(locked.length)
+    expect(report.encryption).toEqual({ method: 'aes-128', passwordRequired: true })
+  })
+})
+
+describe('samplePages', () => {
+  it('spreads the sample evenly, or takes every page of a short file', () => {
+    expect(samplePages(10)).toEqual([1, 5, 8])
+    expect(samplePages(2)).toEqual([0, 1])
+  })
+})
+
+describe('estimateSizes', () => {
+  it('estimates every level from the sampled pages, never above the input size', async () => {
+    const pdf = imagePagesPdf(5)
+    const onLevel = vi.fn()
+    const { sampledPages, levels } = await estimateSizes(pdf, { onLevel })
+    expect(sampledPages).toEqual([1, 3, 5])
+    expect(Object.keys(levels)).toEqual(['lossless', 'low', 'medium', 'high'])
+    expect(levels.lossless.engine).toBe('mupdf-lossless')
+    for (const { size } of Object.values(levels)) expect(size).toBeLessThanOrEqual(pdf.length)
+    expect(levels.high.size).toBeLessThan(levels.low.size)
+    expect(onLevel).toHaveBeenCalledTimes(4)
+  })
+})
@@ -0,0 +1,134 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { createHash } from 'crypto'
+import {
+  authorizeRequest,
+  chargeUpload,
+  createMemoryApiKeyStore,
+  createKvCounters,
+  ApiKeyError,
+  API_KEY_REQUIRED,
+  API_KEY_INVALID,
+  ORIGIN_NOT_ALLOWED,
+  RATE_LIMITED,
+  QUOTA_EXCEEDED,
+  FILE_TOO_LARGE,
+} from '../../lib/api-keys.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+const NOW = 1_700_000_000_000
+
+function request(headers = {}, remoteAddress = '10.0.0.1') {
+  return { headers, socket: { remoteAddress } }
+}
+
+function store() {
+  return createMemoryApiKeyStore({
+    keys: [
+      { name: 'service', key: 'secret-1', rateLimit: { requests: 2, windowSeconds: 60 } },
+      { name: 'hashed', keyHash: createHash('sha256').update('secret-2').digest('hex').toUpperCase() },
+      { name: 'widget', key: 'secret-3', allowedOrigins: ['https://partner.example'] },
+      { name: 'old', key: 'secret-4', disabled: true },
+      { name: 'uploads', key: 'secret-5', maxFileBytes: 1000, quota: { bytes: 1500, windowSeconds: 3600 } },
+    ],
+    anonymous: { rateLimit: { requests: 1, windowSeconds: 60 } },
+  })
+}
+
+/** The ApiKeyError `promise` rejects with. */
+async function refusal(promise) {
+  const err = await promise.then(() => null, (e) => e)
+  expect(err).toBeInstanceOf(ApiKeyError)
+  return err
+}
+
+describe('authorizeRequest', () => {
+  it('lets everything through when keys are off', async () => {
+    expect(await authorizeRequest(request(), { store: null })).toBeNull()
+  })
+
+  it('reads the key from Authorization: Bearer or X-API-Key, by key or keyHash', async () => {
+    const keys = store()
+    expect((await authorizeRequest(request({ authorization: 'Bearer secret-1' }), { store: keys, now: NOW })).policy.name).toBe('service')
+    expect((await authorizeRequest(request({ 'x-api-key': 'secret-2' }), { store: keys, now: NOW })).policy.name).toBe('hashed')
+  })
+
+  it('refuses unknown and disabled keys with 401, and keyless requests without an anonymous policy', async () => {
+    const keys = store()
+    for (const key of ['wrong', 'secret-4']) {
+      const err = await refusal(authorizeRequest(request({ 'x-api-key': key }), { store: keys }))
+      expect([err.statusCode, err.code]).toEqual([401, API_KEY_INVALID])
+    }
+    const err = await refusal(authorizeRequest(request(), { store: createMemoryApiKeyStore({ keys: [] }) }))
+    expect([err.statusCode, err.code]).toEqual([401, API_KEY_REQUIRED])
+  })
+
+  it('refuses a browser origin the key does not allow with 403', async () => {
+    const keys = store()
+    const err = await refusal(authorizeRequest(request({ 'x-api-key': 'secret-3', origin: 'https://evil.example' }), { store: keys }))
+    expect([err.statusCode, err.code]).toEqual([403, ORIGIN_NOT_ALLOWED])
+    await expect(authorizeRequest(request({ 'x-api-key': 'secret-3', origin: 'https://partner.example' }), { store: keys })).resolves.not.toBeNull()
+    await expect(authorizeRequest(request({ 'x-api-key': 'secret-3' }), { store: keys })).resolves.not.toBeNull()
+  })
+
+  it('enforces the rate limit per key with 429 and Retry-After, until the window ends', async () => {
+    const keys = store()
+    const req = request({ authorization: 'Bearer secret-1' })
+    await authorizeRequest(req, { store: keys, now: NOW })
+    await expect(authorizeRequest(req, { store: keys, now: NOW, count: false })).resolves.not.toBeNull()
+    await authorizeRequest(req, { store: keys, now: NOW + 1000 })
+    await refusal(authorizeRequest(req, { store: keys, now: NOW + 2000, count: false }))
+    const err = await refusal(authorizeRequest(req, { store: keys, now: NOW + 2000 }))
+    expect([err.statusCode, err.code, err.retryAfter]).toEqual([429, RATE_LIMITED, 58])
+    await expect(authorizeRequest(req, { store: keys, now: NOW + 60_000 })).resolves.not.toBeNull()
+  })
+
+  it('counts anonymous requests per client IP', async () => {
+    const keys = store()
+    await authorizeRequest(request({}, '10.0.0.1'), { store: keys, now: NOW })
+    await authorizeRequest(request({ 'x-forwarded-for': '10.0.0.2, 10.0.0.1' }), { store: keys, now: NOW })
+    const err = await refusal(authorizeRequest(request({}, '10.0.0.1'), { store: keys, now: NOW }))
+    expect(err.code).toBe(RATE_LIMITED)
+  })
+})
+
+describe('chargeUpload', () => {
+  it('refuses files over maxFileBytes with 413 and uploads over the quota with 429, without counting them', async () => {
+    const access = await authorizeRequest(request({ 'x-api-key': 'secret-5' }), { store: store(), now: NOW })
+    const tooLarge = await refusal(chargeUpload(access, 1001, NOW))
+    expect([tooLarge.statusCode, tooLarge.code]).toEqual([413, FILE_TOO_LARGE])
+
+    await chargeUpload(access, 1000, NOW)
+    const overQuota = await refusal(chargeUpload(access, 600, NOW))
+    expect([overQuota.statusCode, overQuota.code]).toEqual([429, QUOTA_EXCEEDED])
+    await expect(chargeUpload(access, 500, NOW)).resolves.toBeUndefined()   // the refused 600 wasn't counted
+  })
+
+  it('does nothing when keys are off', async () => {
+    await expect(chargeUpload(null, 10 ** 9)).resolves.toBeUndefined()
+  })
+})
+
+describe('createKvCounters', () => {
+  it('counts in a per-window key with one INCRBY + PEXPIREAT pipeline', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => [{ result: 3 }, { result: 1 }] }))
+    const hit = createKvCounters({ url: 'https://kv.example/', token: 'kv-token', fetch })
+
+    const windowMs = 60_000
+    const start = NOW - (NOW % windowMs)
+    expect(await hit('key:abc', 'requests', 1, windowMs, NOW)).toEqual({ total: 3, resetAt: start + windowMs })
+
+    const [url, { headers, body }] = fetch.mock.calls[0]
+    expect(url).toBe('https://kv.example/pipeline')
+    expect(headers.Authorization).toBe('Bearer kv-token')
+    const key = `api-keys:key:abc|requests|${start}`
+    expect(JSON.parse(body)).toEqual([['INCRBY', key, 1], ['PEXPIREAT', key, start + windowMs + 60_000]])
+  })
+
+  it('lets the request through when KV fails', async () => {
+    vi.spyOn(console, 'error').mockImplementationOnce(() => {})
+    const hit = createKvCounters({ url: 'https://kv.example', token: 't', fetch: async () => ({ ok: false, status: 503 }) })
+    expect((await hit('anonymous:1.2.3.4', 'requests', 1, 1000, NOW)).total).toBe(0)
+  })
+})
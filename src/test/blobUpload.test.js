@@ -0,0 +1,78 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { generateClientTokenFromReadWriteToken } from '@vercel/blob/client'
+import handler from '../../api/blob-upload.js'
+
+vi.mock('@vercel/blob/client', () => ({
+  generateClientTokenFromReadWriteToken: vi.fn(async () => 'client-token'),
+}))
+
+/** POST /api/blob-upload as upload() sends it, for `pathname` */
+function tokenRequest(pathname) {
+  const body = JSON.stringify({ type: 'blob.generate-client-token', payload: { pathname, callbackUrl: '' } })
+  return {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    socket: { remoteAddress: '127.0.0.1' },
+    async *[Symbol.asyncIterator]() { yield Buffer.from(body) },
+  }
+}
+
+/** Just enough of ServerResponse for the handler; resolves with { status, body } */
+function call(req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      setHeader: () => {},
+      writeHead(status) { this.statusCode = status },
+      end(payload) { resolve({ status: this.statusCode, body: payload ? JSON.parse(payload) : null }) },
+    }
+    handler(req, res)
+  })
+}
+
+describe('POST /api/blob-upload', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.stubEnv('BLOB_READ_WRITE_TOKEN', 'vercel_blob_rw_test')
+  })
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('issues a token for a PDF, limited to the accepted types', async () => {
+    const { status, body } = await call(tokenRequest('report.pdf'))
+    expect(status).toBe(200)
+    expect(body).toEqual({ clientToken: 'client-token' })
+    const { allowedContentTypes, pathname } = generateClientTokenFromReadWriteToken.mock.calls[0][0]
+    expect(pathname).toBe('report.pdf')
+    expect(allowedContentTypes).toEqual(expect.arrayContaining(['application/pdf', 'image/jpeg', 'image/png', 'image/tiff', 'image/webp']))
+  })
+
+  it('issues a token for the images that become a PDF', async () => {
+    for (const name of ['IMG_0001.JPG', 'scan.jpeg', 'chart.png', 'fax.tiff', 'page.tif']) {
+      const { status } = await call(tokenRequest(name))
+      expect(status).toBe(200)
+    }
+    expect(generateClientTokenFromReadWriteToken).toHaveBeenCalledTimes(5)
+  })
+
+  it('issues a token for WebP images, compressed as images', async () => {
+    const { status } = await call(tokenRequest('holiday.webp'))
+    expect(status).toBe(200)
+    expect(generateClientTokenFromReadWriteToken.mock.calls[0][0].allowedContentTypes).toContain('image/webp')
+  })
+
+  it('refuses other files', async () => {
+    const { status, body } = await call(tokenRequest('notes.docx'))
+    expect(status).toBe(400)
+    expect(body.error).toMatch(/Only PDF/)
+    expect(generateClientTokenFromReadWriteToken).not.toHaveBeenCalled()
+  })
+
+  it('answers localMode without a Blob token', async () => {
+    vi.stubEnv('BLOB_READ_WRITE_TOKEN', '')
+    const { body } = await call(tokenRequest('report.pdf'))
+    expect(body).toEqual({ localMode: true })
+  })
+})
@@ -0,0 +1,102 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import * as mupdf from 'mupdf'
+import { encodeCCITTG4, binarize } from '../../lib/ccitt.js'
+import { encodeBilevel, setBilevelImageDict } from '../../lib/mupdf-engine.js'
+import { textPdf } from './pdfFixtures.js'
+
+/** Decode `bytes` as a 1-bit image stream with MuPDF; 1 = black per pixel. */
+function decode(bytes, width, height, filter = 'CCITTFaxDecode') {
+  const doc  = new mupdf.PDFDocument()
+  const dict = doc.newDictionary()
+  dict.put('Type',    doc.newName('XObject'))
+  dict.put('Subtype', doc.newName('Image'))
+  setBilevelImageDict(doc, dict, width, height, filter)
+  const pix    = doc.loadImage(doc.addRawStream(bytes, dict)).toPixmap()
+  const stride = pix.getStride()
+  const pixels = pix.getPixels()
+  const bits   = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) bits[y * width + x] = pixels[y * stride + x] ? 0 : 1
+  }
+  return bits
+}
+
+/** Index of the first pixel where `a` and `b` differ, or −1 — quicker than toEqual on a page. */
+function firstDifference(a, b) {
+  if (a.length !== b.length) return Math.min(a.length, b.length)
+  return a.findIndex((value, i) => value !== b[i])
+}
+
+/** An image drawn by `black(x, y)`. */
+function image(width, height, black) {
+  const bits = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) bits[y * width + x] = black(x, y) ? 1 : 0
+  }
+  return bits
+}
+
+function roundTrip(bits, width, height) {
+  expect(firstDifference(decode(encodeCCITTG4(bits, width, height), width, height), bits)).toBe(-1)
+}
+
+describe('encodeCCITTG4', () => {
+  it('round-trips all-white and all-black rows', () => {
+    roundTrip(image(64, 8, (x, y) => y % 3 === 1), 64, 8)
+    roundTrip(image(64, 4, () => true), 64, 4)
+    roundTrip(image(64, 4, () => false), 64, 4)
+  })
+
+  it('round-trips odd widths', () => {
+    for (const width of [1, 7, 13, 1001]) {
+      roundTrip(image(width, 9, (x, y) => (x * 7 + y * 3) % 11 < 4), width, 9)
+    }
+  })
+
+  it('round-trips runs longer than 2560 pixels', () => {
+    const width = 6000
+    roundTrip(image(width, 5, (x, y) => (y % 2 ? x >= 2600 && x < 5400 : x < 5300)), width, 5)
+  })
+
+  it('round-trips text-like shapes and noise', () => {
+    roundTrip(image(200, 60, (x, y) => (x % 40 < 6 && y > 10 && y < 50) || (y % 20 < 3 && x > 20 && x < 180)), 200, 60)
+    let seed = 2463534242
+    roundTrip(image(97, 31, () => {
+      seed ^= seed << 13
+      seed ^= seed >>> 17
+      seed ^= seed << 5
+      return (seed >>> 0) % 2
+    }), 97, 31)
+  })
+})
+
+describe('encodeBilevel', () => {
+  function grayPixmap(width, height, gray) {
+    const pix = new mupdf.Pixmap(mupdf.ColorSpace.DeviceGray, [0, 0, width, height], false)
+    const pixels = pix.getPixels()
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) pixels[y * pix.getStride() + x] = gray(x, y)
+    }
+    return pix
+  }
+
+  it('keeps G4 for a page of text', () => {
+    const page = mupdf.Document.openDocument(textPdf(['Invoice 12345 - total due 1,024.00']), 'application/pdf').loadPage(0)
+    const pix  = page.toPixmap(mupdf.Matrix.scale(2, 2), mupdf.ColorSpace.DeviceGray, false)
+    const [width, height] = [pix.getWidth(), pix.getHeight()]
+    const { bytes, filter } = encodeBilevel(pix)
+    expect(filter).toBe('CCITTFaxDecode')
+    expect(firstDifference(decode(bytes, width, height), binarize(pix.getPixels()))).toBe(-1)
+  })
+
+  it('falls back to Flate when G4 comes out bigger', () => {
+    // A 50% checkerboard dither: every pixel is a run of its own for G4
+    const pix  = grayPixmap(301, 200, (x, y) => ((x + y) % 2 ? 0 : 255))
+    const bits = binarize(pix.getPixels())
+    const { bytes, filter } = encodeBilevel(pix)
+    expect(filter).toBe('FlateDecode')
+    expect(bytes.length).toBeLessThan(encodeCCITTG4(bits, 301, 200).length)
+    expect(firstDifference(decode(bytes, 301, 200, 'FlateDecode'), bits)).toBe(-1)
+  })
+})
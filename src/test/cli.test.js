@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { execFile } from 'child_process'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { textPdf, imagePagesPdf } from './pdfFixtures.js'
+
+const CLI = path.resolve(__dirname, '../../bin/compressfiles.js')
+
+// Preloaded with --import: worker threads (which inherit it) crash on any
+// file named crash*, outside compressPdf's error handling
+const CRASH_PRELOAD = `
+import { isMainThread, parentPort } from 'worker_threads'
+if (!isMainThread) {
+  const on = parentPort.on.bind(parentPort)
+  parentPort.on = (event, listener) => on(event, (message) => {
+    if (message.input.includes('crash')) throw new Error('Worker crashed')
+    return listener(message)
+  })
+}
+`
+
+/** Run the CLI in `cwd`; resolves to { code, stdout, stderr } whatever the exit code. */
+function run(args, cwd, nodeArgs = []) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [...nodeArgs, CLI, '--jobs', '1', '--engine', 'mupdf', ...args], { cwd, timeout: 60_000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr })
+    })
+  })
+}
+
+describe('compressfiles', () => {
+  let dir
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'compressfiles-test-'))
+    mkdirSync(path.join(dir, 'scans'))
+    writeFileSync(path.join(dir, 'scans', 'report.pdf'), imagePagesPdf(2))
+    writeFileSync(path.join(dir, 'scans', 'report_compressed.pdf'), textPdf(['Earlier output']))
+    writeFileSync(path.join(dir, 'scans', 'notes.txt'), 'not a PDF')
+    writeFileSync(path.join(dir, 'broken.pdf'), 'not a PDF either')
+    mkdirSync(path.join(dir, 'pool'))
+    for (const name of ['a.pdf', 'crash1.pdf', 'crash2.pdf', 'd.pdf']) writeFileSync(path.join(dir, 'pool', name), textPdf([name]))
+    writeFileSync(path.join(dir, 'crash.mjs'), CRASH_PRELOAD)
+  })
+  afterAll(() => rmSync(dir, { recursive: true, force: true }))
+
+  it('exits 0 when every file compressed, taking only source PDFs from a glob', async () => {
+    const { code, stdout } = await run(['scans/*', '-o', 'out/', '--json'], dir)
+    expect(code).toBe(0)
+    const summary = JSON.parse(stdout)
+    expect(summary.ok).toBe(true)
+    expect(summary.files.map((file) => file.input)).toEqual([path.join('scans', 'report.pdf')])
+  }, 60_000)
+
+  it('exits 1 when a file fails, still writing the others', async () => {
+    const { code, stdout } = await run(['broken.pdf', 'scans', '-o', 'out/', '--json'], dir)
+    expect(code).toBe(1)
+    const summary = JSON.parse(stdout)
+    expect(summary.totals).toMatchObject({ files: 2, failed: 1 })
+    expect(summary.files.find((file) => file.input === 'broken.pdf').error).toBeTruthy()
+  }, 60_000)
+
+  it('replaces a crashed worker thread, failing only the file it held', async () => {
+    for (const jobs of ['1', '2']) {
+      const { code, stdout } = await run(['pool', '--jobs', jobs, '-o', 'out/', '--json'], dir, ['--import', './crash.mjs'])
+      expect(code).toBe(1)
+      const summary = JSON.parse(stdout)
+      expect(summary.totals).toMatchObject({ files: 4, failed: 2 })
+      expect(summary.files.filter((file) => file.error).map((file) => file.input)).toEqual([path.join('pool', 'crash1.pdf'), path.join('pool', 'crash2.pdf')])
+      expect(summary.files.find((file) => file.input === path.join('pool', 'd.pdf')).compressedSize).toBeGreaterThan(0)
+    }
+  }, 60_000)
+
+  it('exits 2 on bad usage', async () => {
+    for (const args of [[], ['scans', '--level', 'extreme'], ['scans/*.tiff'], ['missing.pdf']]) {
+      const { code, stderr } = await run(args, dir)
+      expect(code).toBe(2)
+      expect(stderr).toMatch(/^compressfiles: /)
+    }
+  }, 60_000)
+})
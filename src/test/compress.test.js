@@ -0,0 +1,78 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import * as mupdf from 'mupdf'
+import { splitOutput, compressPdf, compressMerged, OptionsError } from '../../lib/compress.js'
+import { encryptPdf } from '../../lib/encryption.js'
+import { imagePagesPdf, textPdf, colorPdf, unoptimizedPdf, pageTexts } from './pdfFixtures.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+describe('splitOutput', () => {
+  it('returns Buffers with 1-based page ranges, each under the limit', () => {
+    const pdf = Buffer.from(imagePagesPdf(6))
+    const parts = splitOutput(pdf, 60_000)
+    expect(parts.length).toBeGreaterThanOrEqual(3)
+    expect(parts[0].firstPage).toBe(1)
+    expect(parts.at(-1).lastPage).toBe(6)
+    parts.forEach((part, i) => {
+      expect(Buffer.isBuffer(part.buffer)).toBe(true)
+      expect(part.buffer.length).toBeLessThanOrEqual(60_000)
+      if (i > 0) expect(part.firstPage).toBe(parts[i - 1].lastPage + 1)
+    })
+    expect(parts.flatMap((part) => pageTexts(part.buffer))).toEqual(['Page 1', 'Page 2', 'Page 3', 'Page 4', 'Page 5', 'Page 6'])
+  })
+
+  it('returns null when the output already fits', () => {
+    const pdf = Buffer.from(imagePagesPdf(2))
+    expect(splitOutput(pdf, pdf.length)).toBeNull()
+  })
+
+  it('refuses a page that alone is over the limit, and a limit that is not a positive integer', () => {
+    const pdf = Buffer.from(imagePagesPdf(3, 200))
+    expect(() => splitOutput(pdf, 100_000)).toThrow(OptionsError)
+    expect(() => splitOutput(pdf, 100_000)).toThrow(/^Page 1 alone is \d+ bytes — more than splitMaxBytes \(100000\)\.$/)
+    for (const bad of [0, -1, 1.5, NaN]) expect(() => splitOutput(pdf, bad)).toThrow('splitMaxBytes must be a positive integer.')
+  })
+})
+
+describe('compressPdf', () => {
+  it('returns the original when compressing made it larger, but not in grayscale', async () => {
+    const input = Buffer.from(colorPdf())
+    const color = await compressPdf(input, { level: 'low', engine: 'mupdf' })
+    expect(color.buffer).toBe(input)
+    const gray = await compressPdf(input, { level: 'low', colorMode: 'grayscale', engine: 'mupdf' })
+    expect(gray.buffer.length).toBeGreaterThan(input.length)
+    expect(gray.pageStrategies).toEqual(['raster'])
+  })
+
+  it('optimizes losslessly, returning an already optimized file as it was, in any colour mode', async () => {
+    const input = Buffer.from(unoptimizedPdf())
+    const once = await compressPdf(input, { level: 'lossless' })
+    expect(once).toMatchObject({ engine: 'mupdf-lossless', pageStrategies: null })
+    expect(once.buffer.length).toBeLessThan(input.length)
+    for (const colorMode of ['color', 'grayscale']) {
+      const again = await compressPdf(once.buffer, { level: 'lossless', colorMode })
+      expect(again.buffer).toBe(once.buffer)
+    }
+  })
+})
+
+describe('compressMerged', () => {
+  it('bookmarks each file by name, without .pdf, at its first page', async () => {
+    const { buffer } = await compressMerged([
+      { data: Buffer.from(imagePagesPdf(2)), name: 'Scans.PDF' },
+      { data: Buffer.from(textPdf(['Letter'])), name: 'cover letter.pdf' },
+    ], { level: 'medium', engine: 'mupdf' })
+    expect(pageTexts(buffer)).toEqual(['Page 1', 'Page 2', 'Letter'])
+    const outline = mupdf.Document.openDocument(buffer, 'application/pdf').loadOutline()
+    expect(outline.map(({ title, page }) => [title, page])).toEqual([['Scans', 0], ['cover letter', 2]])
+  })
+
+  it('refuses a password-protected file by name', async () => {
+    const locked = Buffer.from(encryptPdf(textPdf(['Secret']), { method: 'aes-128', permissions: -4, owner: false }, 'secret'))
+    await expect(compressMerged([
+      { data: Buffer.from(textPdf(['Open'])), name: 'open.pdf' },
+      { data: locked, name: 'locked.pdf' },
+    ])).rejects.toThrow(new OptionsError('locked.pdf is password-protected — remove its password before merging.'))
+  })
+})
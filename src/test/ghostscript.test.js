@@ -0,0 +1,38 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { ghostscriptArgs } from '../../lib/ghostscript.js'
+import { LEVEL_CONFIG } from '../../lib/levels.js'
+
+/** The PostScript after `-c`: the distiller params gs sets. */
+function distillerParams(args) {
+  return args[args.indexOf('-c') + 1]
+}
+
+describe('ghostscriptArgs', () => {
+  it('maps the preset, dpi and quality, reading the input after the PostScript', () => {
+    const args = ghostscriptArgs({ ...LEVEL_CONFIG.medium, quality: 80, dpi: 200 }, '/tmp/in.pdf', '/tmp/out.pdf')
+    expect(args).toContain('-dPDFSETTINGS=/ebook')
+    expect(args).toContain('-dColorImageResolution=200')
+    expect(args).toContain('-dMonoImageResolution=400')
+    expect(args).toContain('-dJPEGQ=80')
+    expect(args).toContain('-sOutputFile=/tmp/out.pdf')
+    expect(args.slice(-2)).toEqual(['-f', '/tmp/in.pdf'])
+    for (const dict of ['ColorACSImageDict', 'GrayACSImageDict', 'ColorImageDict', 'GrayImageDict']) {
+      expect(distillerParams(args)).toContain(`/${dict} << /QFactor 0.40 `)
+    }
+    expect(distillerParams(args)).toMatch(/>> setdistillerparams$/)
+  })
+
+  it('scales QFactor like libjpeg quality', () => {
+    const qFactor = (quality) => distillerParams(ghostscriptArgs({ ...LEVEL_CONFIG.medium, quality }, 'in', 'out')).match(/QFactor ([\d.]+)/)[1]
+    expect([5, 35, 50, 60, 85, 100].map(qFactor)).toEqual(['10.00', '1.43', '1.00', '0.80', '0.30', '0.01'])
+  })
+
+  it('adds colour-mode and page-range flags', () => {
+    const args = ghostscriptArgs({ ...LEVEL_CONFIG.high, colorMode: 'bw' }, 'in', 'out', { firstPage: 3, lastPage: 5 })
+    expect(args).toEqual(expect.arrayContaining([
+      '-sColorConversionStrategy=Gray', '-dGrayImageDepth=1', '-dMonoImageFilter=/CCITTFaxEncode', '-dFirstPage=3', '-dLastPage=5',
+    ]))
+    expect(ghostscriptArgs({ ...LEVEL_CONFIG.high, colorMode: 'grayscale' }, 'in', 'out')).not.toContain('-dGrayImageDepth=1')
+  })
+})
@@ -0,0 +1,174 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { compressImage, stripImageMetadata } from '../../lib/image-compress.js'
+import { OptionsError } from '../../lib/compress.js'
+
+/** A width×height photo-like RGB image: gradients plus a little noise. */
+function photoPixels(width, height) {
+  const raw = Buffer.alloc(width * height * 3)
+  let seed = 2463534242
+  for (let i = 0; i < width * height; i++) {
+    const [x, y] = [i % width, Math.floor(i / width)]
+    seed ^= seed << 13
+    seed ^= seed >>> 17
+    seed ^= seed << 5
+    const noise = (seed >>> 0) % 24
+    raw[i * 3]     = (x * 255) / width + noise
+    raw[i * 3 + 1] = (y * 255) / height + noise
+    raw[i * 3 + 2] = 128 + noise
+  }
+  return sharp(raw, { raw: { width, height, channels: 3 } })
+}
+
+/** `format` file with camera EXIF, XMP and (optionally) an orientation. */
+function photo(format, { width = 300, height = 200, orientation } = {}) {
+  let pipeline = photoPixels(width, height)
+    .withExif({ IFD0: { Make: 'TestCam', Model: 'X1' } })
+    .withXmp('<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/></x:xmpmeta>')
+  if (orientation) pipeline = pipeline.withMetadata({ orientation })
+  return (format === 'jpeg' ? pipeline.jpeg({ quality: 100 }) : format === 'png' ? pipeline.png() : pipeline.webp({ quality: 100 })).toBuffer()
+}
+
+/** A PNG's or WebP's chunks in order: type and data. */
+function pngChunks(png) {
+  const chunks = []
+  for (let pos = 8; pos + 12 <= png.length; pos += 12 + png.readUInt32BE(pos)) {
+    chunks.push({ type: png.toString('latin1', pos + 4, pos + 8), data: png.subarray(pos + 8, pos + 8 + png.readUInt32BE(pos)) })
+  }
+  return chunks
+}
+
+function webpChunks(webp) {
+  const chunks = []
+  for (let pos = 12; pos + 8 <= webp.length; pos += 8 + webp.readUInt32LE(pos + 4) + (webp.readUInt32LE(pos + 4) & 1)) {
+    chunks.push({ fourcc: webp.toString('latin1', pos, pos + 4), data: webp.subarray(pos + 8, pos + 8 + webp.readUInt32LE(pos + 4)) })
+  }
+  return chunks
+}
+
+function jpegScan(jpeg) {
+  let pos = 2
+  while (jpeg[pos + 1] !== 0xda) pos += 2 + jpeg.readUInt16BE(pos + 2)
+  return jpeg.subarray(pos)
+}
+
+describe('compressImage', () => {
+  it('re-encodes at the level presets in the same format, smaller the higher the level', async () => {
+    for (const format of ['jpeg', 'webp']) {
+      const input = await photo(format)
+      const sizes = []
+      for (const level of ['low', 'medium', 'high']) {
+        const out = await compressImage(input, { level })
+        expect(out).toMatchObject({ engine: 'sharp', type: `image/${format}`, width: 300, height: 200, originalSize: input.length })
+        expect((await sharp(out.buffer).metadata()).format).toBe(format)
+        sizes.push(out.buffer.length)
+      }
+      expect(sizes[0]).toBeLessThan(input.length)
+      expect(sizes[1]).toBeLessThan(sizes[0])
+      expect(sizes[2]).toBeLessThan(sizes[1])
+    }
+  })
+
+  it('quantizes a PNG to a palette', async () => {
+    const out = await compressImage(await photo('png'), { level: 'medium' })
+    expect(out).toMatchObject({ engine: 'sharp', type: 'image/png' })
+    expect((await sharp(out.buffer).metadata()).paletteBitDepth).toBeDefined()
+  })
+
+  it('scales the long edge down to maxDimension, never up', async () => {
+    const input = await photo('jpeg')
+    expect(await compressImage(input, { maxDimension: 150 })).toMatchObject({ width: 150, height: 100, originalWidth: 300, originalHeight: 200 })
+    expect(await compressImage(input, { maxDimension: 1000 })).toMatchObject({ width: 300, height: 200 })
+  })
+
+  it('refuses to resize at the lossless level, and bad settings or formats', async () => {
+    const input = await photo('jpeg')
+    await expect(compressImage(input, { level: 'lossless', maxDimension: 100 })).rejects.toThrow('The lossless level cannot resize images.')
+    await expect(compressImage(input, { maxDimension: 8 })).rejects.toThrow(OptionsError)
+    await expect(compressImage(input, { maxDimension: 100.5 })).rejects.toThrow(OptionsError)
+    await expect(compressImage(input, { level: 'extreme' })).rejects.toThrow(OptionsError)
+    const gif = await photoPixels(20, 20).gif().toBuffer()
+    await expect(compressImage(gif)).rejects.toThrow('Only JPEG, PNG and WebP images are accepted.')
+  })
+
+  it('removes EXIF and XMP but keeps the ICC profile, unless stripMetadata is off', async () => {
+    const input = await photoPixels(300, 200).withExif({ IFD0: { Make: 'TestCam' } }).withIccProfile('p3').jpeg({ quality: 100 }).toBuffer()
+    for (const level of ['lossless', 'medium']) {
+      const meta = await sharp((await compressImage(input, { level })).buffer).metadata()
+      expect(meta.exif).toBeUndefined()
+      expect(meta.icc).toBeDefined()
+      const kept = await sharp((await compressImage(input, { level, stripMetadata: false })).buffer).metadata()
+      expect(kept.exif.includes('TestCam')).toBe(true)
+    }
+  })
+
+  it('keeps the orientation of pixels it leaves alone, and rotates the ones it re-encodes', async () => {
+    for (const format of ['jpeg', 'png', 'webp']) {
+      const input = await photo(format, { orientation: 6 })
+      const lossless = await compressImage(input, { level: 'lossless' })
+      expect(lossless).toMatchObject({ engine: 'lossless', width: 200, height: 300 })
+      expect(await sharp(lossless.buffer).metadata()).toMatchObject({ orientation: 6, width: 300, height: 200 })
+
+      const lossy = await compressImage(input, { level: 'medium' })
+      expect(lossy).toMatchObject({ engine: 'sharp', width: 200, height: 300, originalWidth: 200, originalHeight: 300 })
+      const meta = await sharp(lossy.buffer).metadata()
+      expect([meta.width, meta.height, meta.orientation ?? 1]).toEqual([200, 300, 1])
+    }
+  })
+
+  it('returns the original, stripped, when re-encoding makes it no smaller — unless it was resized', async () => {
+    for (const format of ['jpeg', 'webp']) {
+      const input = await photoPixels(300, 200).withMetadata({ orientation: 3 })[format]({ quality: 20 }).toBuffer()
+      const out = await compressImage(input, { level: 'low' })
+      expect(out.engine).toBe('lossless')
+      expect(out.buffer.equals(stripImageMetadata(input, format, 3))).toBe(true)
+      expect((await sharp(out.buffer).metadata()).orientation).toBe(3)
+      expect(await compressImage(input, { level: 'low', maxDimension: 299 })).toMatchObject({ engine: 'sharp', width: 299 })
+    }
+  })
+})
+
+describe('stripImageMetadata', () => {
+  it('drops JPEG metadata segments but not the scan data', async () => {
+    const input = await photo('jpeg')
+    const out = stripImageMetadata(input, 'jpeg')
+    expect(jpegScan(out).equals(jpegScan(input))).toBe(true)
+    expect(out.includes('TestCam')).toBe(false)
+    expect(out.includes('xmpmeta')).toBe(false)
+  })
+
+  it('drops PNG metadata chunks, keeping the image chunks as they were', async () => {
+    const input = await photo('png', { orientation: 8 })
+    const out = stripImageMetadata(input, 'png', 8)
+    const types = pngChunks(out).map((chunk) => chunk.type)
+    expect(types.filter((type) => ['tEXt', 'zTXt', 'iTXt', 'tIME'].includes(type))).toEqual([])
+    expect(types.indexOf('eXIf')).toBeLessThan(types.indexOf('IDAT'))
+    expect(out.includes('TestCam')).toBe(false)
+    const idat = (png) => Buffer.concat(pngChunks(png).filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data))
+    expect(idat(out).equals(idat(input))).toBe(true)
+    expect((await sharp(out).metadata()).orientation).toBe(8)
+    expect(pngChunks(stripImageMetadata(input, 'png')).some((chunk) => chunk.type === 'eXIf')).toBe(false)
+  })
+
+  it('drops WebP metadata chunks and flags, fixing up the RIFF size', async () => {
+    const input = await photo('webp')
+    const out = stripImageMetadata(input, 'webp')
+    expect(out.readUInt32LE(4)).toBe(out.length - 8)
+    const chunks = webpChunks(out)
+    expect(chunks.map((chunk) => chunk.fourcc)).toEqual(['VP8X', 'VP8 '])
+    expect(chunks[0].data[0] & 0x0c).toBe(0)
+    expect(chunks[1].data.equals(webpChunks(input).find((chunk) => chunk.fourcc === 'VP8 ').data)).toBe(true)
+
+    const rotated = stripImageMetadata(await photo('webp', { orientation: 6 }), 'webp', 6)
+    expect(webpChunks(rotated).map((chunk) => chunk.fourcc)).toEqual(['VP8X', 'ICCP', 'VP8 ', 'EXIF'])   // withMetadata adds sRGB
+    expect(webpChunks(rotated)[0].data[0] & 0x0c).toBe(0x08)
+    expect(await sharp(rotated).metadata()).toMatchObject({ orientation: 6, exif: expect.any(Buffer) })
+    expect(rotated.includes('TestCam')).toBe(false)
+  })
+
+  it('leaves other formats alone', () => {
+    const input = Buffer.from('GIF89a')
+    expect(stripImageMetadata(input, 'gif')).toBe(input)
+  })
+})
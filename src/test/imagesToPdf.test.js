@@ -0,0 +1,136 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import * as mupdf from 'mupdf'
+import sharp from 'sharp'
+import { imagesToPdf } from '../../lib/images-to-pdf.js'
+import { LEVEL_CONFIG } from '../../lib/levels.js'
+import { PAGE_SIZES } from '../../lib/image-types.js'
+
+/** A width×height photo-like RGB image (gradients plus noise) in `format`. */
+async function photo(format, width, height, { quality = 90, pageHeight } = {}) {
+  const raw = Buffer.alloc(width * height * 3)
+  let seed = 2463534242
+  for (let i = 0; i < width * height; i++) {
+    seed ^= seed << 13
+    seed ^= seed >>> 17
+    seed ^= seed << 5
+    const noise = (seed >>> 0) % 32
+    raw[i * 3]     = ((i % width) * 255) / width + noise
+    raw[i * 3 + 1] = (Math.floor(i / width) * 255) / height + noise
+    raw[i * 3 + 2] = 96 + noise
+  }
+  const pipeline = sharp(raw, { raw: { width, height, channels: 3, pageHeight } })
+  const data = await (format === 'jpeg' ? pipeline.jpeg({ quality }) : format === 'png' ? pipeline.png() : pipeline.tiff()).toBuffer()
+  return { data: new Uint8Array(data), type: `image/${format}` }
+}
+
+/**
+ * Every page of `pdf`: its size, its image as drawn (the Image and its
+ * bbox) and the image XObject's dictionary values and raw stream.
+ */
+function pages(pdf) {
+  const doc = mupdf.Document.openDocument(pdf, 'application/pdf')
+  return Array.from({ length: doc.countPages() }, (_, i) => {
+    const page = doc.loadPage(i)
+    const [, , width, height] = page.getBounds()
+    let drawn = null
+    let bbox = null
+    const device = new mupdf.Device({
+      fillImage(image, ctm) {
+        drawn = image
+        bbox = mupdf.Rect.transform([0, 0, 1, 1], ctm)
+      },
+    })
+    page.run(device, mupdf.Matrix.identity)
+    device.close()
+    const image = page.getObject().get('Resources').get('XObject').get('Im0')
+    const filter = image.get('Filter')
+    const colorSpace = image.get('ColorSpace')
+    return {
+      width, height, drawn, bbox,
+      image: {
+        width:      image.get('Width').asNumber(),
+        height:     image.get('Height').asNumber(),
+        filter:     filter.isNull() ? null : filter.asName(),
+        colorSpace: colorSpace.isArray() ? colorSpace.get(0).asName() : colorSpace.asName(),   // ICCBased as an array
+        bits:       image.get('BitsPerComponent').asNumber(),
+        raw:        image.readRawStream().asUint8Array(),
+      },
+    }
+  })
+}
+
+describe('imagesToPdf', () => {
+  it('puts every image on a page of its own, in order, including each page of a multi-page TIFF', async () => {
+    const images = [await photo('jpeg', 300, 400), await photo('tiff', 200, 450, { pageHeight: 150 }), await photo('png', 400, 300)]
+    const progress = []
+    const out = await imagesToPdf(images, LEVEL_CONFIG.medium, (page, pageCount) => progress.push([page, pageCount]))
+    const result = pages(out)
+    expect(result).toHaveLength(5)
+    expect(progress).toEqual([[1, 5], [2, 5], [3, 5], [4, 5], [5, 5]])
+    // TIFF pages are 200 × 150: landscape, like the PNG; the JPEG is portrait
+    expect(result.map((page) => page.width > page.height)).toEqual([false, true, true, true, true])
+  })
+
+  it('fits each image into the page, centred, turning auto pages to suit it', async () => {
+    const wide = await photo('jpeg', 400, 200)
+    const [a4, letter, portrait, fit] = await Promise.all([
+      imagesToPdf([wide], LEVEL_CONFIG.medium),
+      imagesToPdf([wide], { ...LEVEL_CONFIG.medium, pageSize: 'letter', orientation: 'landscape' }),
+      imagesToPdf([wide], { ...LEVEL_CONFIG.medium, orientation: 'portrait' }),
+      imagesToPdf([wide], { ...LEVEL_CONFIG.medium, pageSize: 'fit' }),
+    ].map(async (pdf) => pages(await pdf)[0]))
+    const [w, h] = PAGE_SIZES.a4
+
+    expect([a4.width, a4.height]).toEqual([h, w].map((n) => expect.closeTo(n, 2)))
+    expect([letter.width, letter.height]).toEqual([792, 612])
+    expect([portrait.width, portrait.height]).toEqual([w, h].map((n) => expect.closeTo(n, 2)))
+    expect([fit.width, fit.height]).toEqual([h, h / 2].map((n) => expect.closeTo(n, 2)))
+
+    for (const page of [a4, letter, portrait, fit]) {
+      const [x0, y0, x1, y1] = page.bbox
+      // Filling the page one way, with equal margins the other
+      expect(Math.min(x0, y0)).toBeCloseTo(0, 1)
+      expect(x0).toBeCloseTo(page.width - x1, 1)
+      expect(y0).toBeCloseTo(page.height - y1, 1)
+      expect((x1 - x0) / (y1 - y0)).toBeCloseTo(2, 1)
+    }
+  })
+
+  it("downscales to the level's dpi at the placed size, never above the image's own resolution", async () => {
+    const big = await photo('jpeg', 2400, 1600)
+    const [high, medium, low] = await Promise.all(['high', 'medium', 'low'].map(async (level) => pages(await imagesToPdf([big], LEVEL_CONFIG[level]))[0]))
+    // On a landscape A4 page the image is 841.89 pt wide: 842 px at 72 dpi,
+    // 1754 at 150; 300 dpi would be 3508, more than it has
+    expect(high.image).toMatchObject({ width: 842, filter: 'DCTDecode', colorSpace: 'DeviceRGB' })
+    expect(medium.image.width).toBe(1754)
+    expect(low.image.width).toBe(2400)
+    expect(high.image.raw.length).toBeLessThan(medium.image.raw.length)
+  })
+
+  it('keeps an image that re-encoding would make bigger as it was', async () => {
+    const small = await photo('jpeg', 120, 80, { quality: 20 })
+    const page = pages(await imagesToPdf([small], LEVEL_CONFIG.low))[0]
+    expect(page.image).toMatchObject({ width: 120, height: 80, filter: 'DCTDecode' })
+    expect(Buffer.from(page.image.raw).equals(Buffer.from(small.data))).toBe(true)
+  })
+
+  it('embeds the images as they are at the lossless level', async () => {
+    const jpeg = await photo('jpeg', 2400, 1600)
+    const png  = await photo('png', 300, 200)
+    const [fromJpeg, fromPng] = pages(await imagesToPdf([jpeg, png], { ...LEVEL_CONFIG.lossless, colorMode: 'bw' }))
+    expect(Buffer.from(fromJpeg.image.raw).equals(Buffer.from(jpeg.data))).toBe(true)
+    expect(fromPng.image).toMatchObject({ width: 300, height: 200, filter: 'FlateDecode', colorSpace: 'ICCBased', bits: 8 })
+    const pixels = fromPng.drawn.toPixmap().getPixels()
+    expect(Buffer.from(pixels).equals(await sharp(png.data).raw().toBuffer())).toBe(true)
+  })
+
+  it('renders grayscale pages as gray JPEGs and bw pages as 1-bit images', async () => {
+    const image = await photo('png', 600, 400)
+    const [gray] = pages(await imagesToPdf([image], { ...LEVEL_CONFIG.medium, colorMode: 'grayscale' }))
+    const [bw]   = pages(await imagesToPdf([image], { ...LEVEL_CONFIG.medium, colorMode: 'bw' }))
+    expect(gray.image).toMatchObject({ filter: 'DCTDecode', colorSpace: 'DeviceGray', bits: 8 })
+    expect(bw.image.bits).toBe(1)
+    expect(['CCITTFaxDecode', 'FlateDecode']).toContain(bw.image.filter)
+  })
+})
@@ -0,0 +1,64 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import * as mupdf from 'mupdf'
+import { createJob, runJobStep, planChunks, sweepJobs, JOB_CHUNK_PAGES, JOB_TTL_MS } from '../../lib/jobs.js'
+import { createMemoryJobStore } from '../../lib/job-store.js'
+import { bookPdf, pageTexts } from './pdfFixtures.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+/** Create a MuPDF job for `input` and step it until it is done. */
+async function runJob(input, level = 'medium') {
+  const store = createMemoryJobStore()
+  let job = await createJob(store, { input, filename: 'book.pdf', level, engine: 'mupdf' })
+  const loadInput = (current) => store.getData(current.id, 'input')
+  for (let steps = 0; job.status !== 'done' && job.status !== 'error'; steps++) {
+    if (steps > 10) throw new Error('job did not finish')
+    job = await runJobStep(store, job.id, { loadInput })
+  }
+  return { job, output: await store.getData(job.id, 'result') }
+}
+
+describe('planChunks', () => {
+  it('covers every page in ranges of JOB_CHUNK_PAGES', () => {
+    expect(planChunks(JOB_CHUNK_PAGES * 2 + 1).map(({ from, to }) => [from, to])).toEqual([
+      [1, JOB_CHUNK_PAGES], [JOB_CHUNK_PAGES + 1, JOB_CHUNK_PAGES * 2], [JOB_CHUNK_PAGES * 2 + 1, JOB_CHUNK_PAGES * 2 + 1],
+    ])
+  })
+})
+
+describe('runJobStep', () => {
+  it('keeps the outline, page labels, named destinations and links across chunks', async () => {
+    const pageCount = JOB_CHUNK_PAGES + 2
+    const input = bookPdf(pageCount)
+    const { job, output } = await runJob(input)
+    expect(job.status).toBe('done')
+    expect(job.chunks).toHaveLength(2)
+    expect(output.length).toBeLessThan(input.length)   // merged, not the original returned
+
+    const doc = mupdf.Document.openDocument(output, 'application/pdf').asPDF()
+    expect(pageTexts(output)).toEqual(Array.from({ length: pageCount }, (_, i) => `Page ${i + 1}`))
+    expect(doc.loadOutline().map(({ title, page }) => [title, page])).toEqual([['Start', 0], ['End', pageCount - 1]])
+    expect([0, 1, 2, pageCount - 1].map((i) => doc.loadPage(i).getLabel())).toEqual(['i', 'ii', '1', String(pageCount - 2)])
+    const appendix = doc.getTrailer().get('Root').get('Dests').get('appendix')
+    expect(appendix.get(0).asIndirect()).toBe(doc.findPage(pageCount - 1).asIndirect())
+    const [link] = doc.loadPage(0).getLinks()
+    expect(doc.resolveLink(link.getURI())).toBe(pageCount - 1)
+  })
+})
+
+describe('sweepJobs', () => {
+  it('deletes jobs not updated within the TTL, releasing them first', async () => {
+    const store = createMemoryJobStore()
+    const input = bookPdf(1)
+    const old   = await createJob(store, { input, filename: 'old.pdf', level: 'medium' })
+    const fresh = await createJob(store, { input, filename: 'fresh.pdf', level: 'medium' })
+    await store.update(old.id, { updatedAt: Date.now() - JOB_TTL_MS - 1, inputUrl: 'https://blob/old.pdf' })
+    const release = vi.fn(async () => {})
+
+    expect(await sweepJobs(store, { release })).toEqual([old.id])
+    expect(release).toHaveBeenCalledWith(expect.objectContaining({ id: old.id, inputUrl: 'https://blob/old.pdf' }))
+    expect(await store.get(old.id)).toBeNull()
+    expect(await store.get(fresh.id)).not.toBeNull()
+  })
+})
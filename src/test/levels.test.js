@@ -0,0 +1,56 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { normalizeOptions, compressToTarget, TARGET_LADDER, OPTION_LIMITS } from '../../lib/levels.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+describe('normalizeOptions', () => {
+  it('clamps numbers into OPTION_LIMITS, rounding all but scale', () => {
+    expect(normalizeOptions({ quality: 0, dpi: 10_000, scale: 0.1 })).toEqual({
+      options: { quality: OPTION_LIMITS.quality.min, dpi: OPTION_LIMITS.dpi.max, scale: OPTION_LIMITS.scale.min },
+    })
+    expect(normalizeOptions('{"quality":"72.6","scale":1.33}')).toEqual({ options: { quality: 73, scale: 1.33 } })
+  })
+
+  it('accepts a GS preset with or without its slash, and no options as null', () => {
+    expect(normalizeOptions({ gsSetting: 'prepress' })).toEqual({ options: { gsSetting: '/prepress' } })
+    for (const raw of [undefined, null, '', {}]) expect(normalizeOptions(raw)).toEqual({ options: null })
+  })
+
+  it('rejects unknown keys, non-numbers, bad presets and non-objects', () => {
+    expect(normalizeOptions({ quality: 50, colour: 'red' })).toEqual({ error: 'Unknown option: colour.' })
+    expect(normalizeOptions({ dpi: 'lots' })).toEqual({ error: 'dpi must be a number.' })
+    expect(normalizeOptions({ scale: null })).toEqual({ error: 'scale must be a number.' })
+    expect(normalizeOptions({ gsSetting: '/default' }).error).toMatch(/^gsSetting must be one of/)
+    expect(normalizeOptions('[1]')).toEqual({ error: 'options must be a JSON object.' })
+    expect(normalizeOptions('{')).toEqual({ error: 'options must be a JSON object.' })
+  })
+})
+
+describe('compressToTarget', () => {
+  // Output size falls by 100 bytes per rung: rung i → 1000 − 100 i bytes
+  function ladderRun() {
+    return vi.fn(async (settings) => ({ buffer: new Uint8Array(1000 - 100 * TARGET_LADDER.indexOf(settings)), engine: 'test' }))
+  }
+
+  it('stops at the level\'s own rung when it fits', async () => {
+    const run = ladderRun()
+    const result = await compressToTarget(run, 'medium', 800)
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(result).toMatchObject({ settings: TARGET_LADDER[2], targetMet: true })
+    expect(result.buffer.length).toBe(800)
+  })
+
+  it('binary-searches the rungs below for the best one that fits', async () => {
+    const run = ladderRun()
+    const result = await compressToTarget(run, 'low', 450)
+    expect(result).toMatchObject({ settings: TARGET_LADDER[6], targetMet: true })
+    expect(run.mock.calls.length).toBeLessThanOrEqual(4)
+  })
+
+  it('returns the smallest output with targetMet false when nothing fits', async () => {
+    const result = await compressToTarget(ladderRun(), 'high', 10)
+    expect(result.targetMet).toBe(false)
+    expect(result.buffer.length).toBe(1000 - 100 * (TARGET_LADDER.length - 1))
+  })
+})
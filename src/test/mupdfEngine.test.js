@@ -0,0 +1,207 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import * as mupdf from 'mupdf'
+import { classifyPage, compressWithMuPDFEngines, optimizeLossless, dropBlankPages, splitPdf, mergePdfs } from '../../lib/mupdf-engine.js'
+import { LEVEL_CONFIG } from '../../lib/levels.js'
+import { textPdf, drawnPdf, scanPdf, imagePagesPdf, bookPdf, scannedBookPdf, colorPdf, unoptimizedPdf, pageTexts } from './pdfFixtures.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+function firstPage(pdf) {
+  return mupdf.Document.openDocument(pdf, 'application/pdf').loadPage(0)
+}
+
+/** RGB of the pixel at (`x`, `y`) points on page 1, rendered at 72 dpi. */
+function pixelAt(pdf, x, y) {
+  const pix = firstPage(pdf).toPixmap(mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, false)
+  const i = y * pix.getStride() + x * 3
+  return [...pix.getPixels().subarray(i, i + 3)]
+}
+
+describe('classifyPage', () => {
+  it('tells text pages from scans', () => {
+    expect(classifyPage(firstPage(textPdf(['Hello'])))).toBe('text')
+    expect(classifyPage(firstPage(scanPdf()))).toBe('scanned')
+  })
+
+  it('counts a scan with an OCR text layer as mixed', () => {
+    expect(classifyPage(firstPage(scanPdf({ ocrText: 'Invoice 12345' })))).toBe('mixed')
+  })
+})
+
+describe('compressWithMuPDFEngines', () => {
+  it('rasterizes a plain scan', async () => {
+    const { pageStrategies } = await compressWithMuPDFEngines(scanPdf(), LEVEL_CONFIG.medium)
+    expect(pageStrategies).toEqual(['raster'])
+  })
+
+  it('rasterizes coloured vector art in grayscale and bw, and keeps gray pages', async () => {
+    const input = colorPdf()
+    expect(pixelAt(input, 150, 600)).toEqual([255, 0, 0])   // inside the box (y down)
+    for (const colorMode of ['grayscale', 'bw']) {
+      const { buffer, pageStrategies } = await compressWithMuPDFEngines(input, { ...LEVEL_CONFIG.medium, colorMode })
+      expect(pageStrategies).toEqual(['raster'])
+      const [r, g, b] = pixelAt(buffer, 150, 600)
+      expect(r).toBe(g)
+      expect(g).toBe(b)
+    }
+    const { pageStrategies } = await compressWithMuPDFEngines(textPdf(['Black text']), { ...LEVEL_CONFIG.medium, colorMode: 'grayscale' })
+    expect(pageStrategies).toEqual(['kept'])
+  })
+
+  it('keeps a page rasterized for its colour searchable with textLayer', async () => {
+    const input = colorPdf('Invoice 12345')
+    const settings = { ...LEVEL_CONFIG.medium, colorMode: 'grayscale' }
+    expect(pageTexts((await compressWithMuPDFEngines(input, settings)).buffer)).toEqual([''])
+    const { buffer, pageStrategies } = await compressWithMuPDFEngines(input, { ...settings, textLayer: true })
+    expect(pageStrategies).toEqual(['raster'])
+    expect(pageTexts(buffer)).toEqual(['Invoice 12345'])
+    const hits = mupdf.Document.openDocument(buffer, 'application/pdf').loadPage(0).search('12345')
+    expect(hits).toHaveLength(1)
+  })
+
+  it('keeps the OCR text of a scan, re-encoding its image instead', async () => {
+    const input = scanPdf({ ocrText: 'Invoice 12345' })
+    const { buffer, pageStrategies } = await compressWithMuPDFEngines(input, LEVEL_CONFIG.medium)
+    expect(pageStrategies).toEqual(['images'])
+    expect(buffer.length).toBeLessThan(input.length)
+    expect(pageTexts(buffer)).toEqual(['Invoice 12345'])
+  })
+})
+
+describe('compressWithMuPDFAdaptive on rasterized pages', () => {
+  const input = scannedBookPdf(3)
+
+  async function rasterize(settings = {}) {
+    const { buffer, pageStrategies } = await compressWithMuPDFEngines(input, { ...LEVEL_CONFIG.high, ...settings })
+    expect(pageStrategies).toEqual(['raster', 'raster', 'raster'])
+    return mupdf.Document.openDocument(buffer, 'application/pdf')
+  }
+
+  it('keeps metadata, outline, page labels, named destinations, links and /Rotate', async () => {
+    const doc = await rasterize()
+    const pdf = doc.asPDF()
+    const root = pdf.getTrailer().get('Root')
+    expect(doc.getMetaData('info:Title')).toBe('Book')
+    expect(root.get('Metadata').isStream()).toBe(true)
+    expect(doc.loadOutline().map(({ title, page }) => [title, page])).toEqual([['Start', 0], ['End', 2]])
+    expect([0, 1, 2].map((i) => doc.loadPage(i).getLabel())).toEqual(['i', 'ii', '1'])
+    expect(root.get('Dests').get('appendix').get(0).asIndirect()).toBe(pdf.findPage(2).asIndirect())
+    expect(doc.loadPage(0).getLinks().map((link) => link.getURI())).toEqual(['#page=3&view=Fit'])
+    expect(pdf.findPage(1).get('Rotate').asNumber()).toBe(90)
+    expect(doc.loadPage(1).getBounds()).toEqual([0, 0, 792, 612])
+  })
+
+  it('flattens form fields out of the AcroForm, or keeps them live with keepFormFields', async () => {
+    const widgets = (doc) => {
+      const annots = doc.asPDF().findPage(0).get('Annots')
+      const found = []
+      if (annots.isArray()) annots.forEach((annot) => { if (annot.resolve().get('Subtype').toString() === '/Widget') found.push(annot) })
+      return found
+    }
+    const fields = (doc) => doc.asPDF().getTrailer().get('Root').get('AcroForm').get('Fields').length
+
+    const flattened = await rasterize()
+    expect(widgets(flattened)).toHaveLength(0)
+    expect(fields(flattened)).toBe(0)
+
+    const kept = await rasterize({ keepFormFields: true })
+    expect(widgets(kept)).toHaveLength(1)
+    expect(fields(kept)).toBe(1)
+    expect(kept.asPDF().getTrailer().get('Root').get('AcroForm').get('Fields').get(0).get('V').asString()).toBe('Alice')
+  })
+})
+
+describe('optimizeLossless', () => {
+  /** Each page's image XObject: object number, filter and raw (still encoded) bytes. */
+  function pageImages(pdf) {
+    const doc = mupdf.Document.openDocument(pdf, 'application/pdf').asPDF()
+    return Array.from({ length: doc.countPages() }, (_, i) => {
+      const image = doc.findPage(i).get('Resources').get('XObject').get('Im0')
+      return { num: image.asIndirect(), filter: image.get('Filter').asName(), raw: Buffer.from(image.readRawStream().asUint8Array()) }
+    })
+  }
+
+  it('copies image streams byte for byte, merging identical ones', () => {
+    const input  = unoptimizedPdf()
+    const output = optimizeLossless(input)
+    expect(output.length).toBeLessThan(input.length)
+    expect(pageTexts(output)).toEqual(pageTexts(input))
+
+    const before = pageImages(input)
+    const after  = pageImages(output)
+    expect(after.map((image) => image.filter)).toEqual(['DCTDecode', 'FlateDecode', 'DCTDecode'])
+    after.forEach((image, i) => expect(image.raw.equals(before[i].raw)).toBe(true))
+    expect(before[0].num).not.toBe(before[2].num)
+    expect(after[0].num).toBe(after[2].num)
+  })
+
+  it('flates uncompressed streams and packs objects into object streams', () => {
+    const output = mupdf.Document.openDocument(optimizeLossless(unoptimizedPdf()), 'application/pdf').asPDF()
+    expect(output.findPage(0).get('Contents').get('Filter').asName()).toBe('FlateDecode')
+    const objStms = Array.from({ length: output.countObjects() }, (_, num) => output.newIndirect(num, 0))
+      .filter((obj) => obj.isStream() && obj.get('Type').asName() === 'ObjStm')
+    expect(objStms.length).toBeGreaterThan(0)
+  })
+})
+
+describe('dropBlankPages', () => {
+  const line  = (text) => `BT /F1 12 Tf 72 400 Td (${text}) Tj ET`
+  const speck = '0 g 300 400 3 3 re f'   // ~0.002% of the page, like scanner dust
+
+  it('drops empty and specked pages, keeping one with a single line of text', async () => {
+    const input = drawnPdf([line('Cover'), '', speck, line('Total due 12.00')])
+    const progress = []
+    const { buffer, removed } = await dropBlankPages(input, (page, pageCount) => progress.push([page, pageCount]))
+    expect(removed).toEqual([1, 2])
+    expect(pageTexts(buffer)).toEqual(['Cover', 'Total due 12.00'])
+    expect(progress).toEqual([[1, 4], [2, 4], [3, 4], [4, 4]])
+  })
+
+  it('ignores ink in the margins and light gray, counting darker gray as ink', async () => {
+    const edgeShadow = '0 g 0 0 25 792 re f 587 0 25 792 re f 100 770 400 22 re f'   // inside the 5% margins
+    const lightGray  = '0.7 g 100 100 400 500 re f'
+    const darkGray   = '0.5 g 100 100 400 500 re f'
+    const { removed } = await dropBlankPages(drawnPdf([edgeShadow, lightGray, darkGray, line('Total due 12.00')]))
+    expect(removed).toEqual([0, 1])
+  })
+
+  it('returns the input unchanged when no page, or every page, is blank', async () => {
+    for (const contents of [['', speck, ''], [line('One'), line('Two')]]) {
+      const input = drawnPdf(contents)
+      const { buffer, removed } = await dropBlankPages(input)
+      expect(buffer).toBe(input)
+      expect(removed).toEqual([])
+    }
+  })
+})
+
+describe('splitPdf', () => {
+  it('cuts consecutive page ranges, each under the limit, in page order', () => {
+    const parts = splitPdf(imagePagesPdf(6), 100_000)
+    expect(parts.map(({ firstPage, lastPage }) => [firstPage, lastPage])).toEqual([[1, 3], [4, 6]])
+    for (const part of parts) expect(part.data.length).toBeLessThanOrEqual(100_000)
+    expect(parts.flatMap((part) => pageTexts(part.data))).toEqual(['Page 1', 'Page 2', 'Page 3', 'Page 4', 'Page 5', 'Page 6'])
+  })
+
+  it('makes a page that is over the limit on its own a part by itself', () => {
+    const parts = splitPdf(imagePagesPdf(3, 200), 100_000)
+    expect(parts.map(({ firstPage, lastPage }) => [firstPage, lastPage])).toEqual([[1, 1], [2, 2], [3, 3]])
+    expect(parts[0].data.length).toBeGreaterThan(100_000)
+  })
+})
+
+describe('mergePdfs', () => {
+  it('joins the pages in order with one bookmark per input at its first page', () => {
+    const merged = mergePdfs([textPdf(['A1', 'A2']), textPdf(['B1']), bookPdf(3)], { bookmarks: ['A', 'B', 'Book'] })
+    expect(pageTexts(merged)).toEqual(['A1', 'A2', 'B1', 'Page 1', 'Page 2', 'Page 3'])
+    const outline = mupdf.Document.openDocument(merged, 'application/pdf').loadOutline()
+    expect(outline.map(({ title, page, down }) => [title, page, down])).toEqual([['A', 0, undefined], ['B', 2, undefined], ['Book', 3, undefined]])
+  })
+
+  it('adds no outline without bookmarks', () => {
+    const merged = mergePdfs([textPdf(['A1']), bookPdf(2)])
+    expect(pageTexts(merged)).toEqual(['A1', 'Page 1', 'Page 2'])
+    expect(mupdf.Document.openDocument(merged, 'application/pdf').loadOutline() ?? []).toEqual([])
+  })
+})
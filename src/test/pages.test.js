@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { parsePageSelection, formatPageSelection } from '../../lib/pages.js'
+
+describe('parsePageSelection', () => {
+  it('selects pages and ranges in the order listed', () => {
+    expect(parsePageSelection('1-3,7', 10)).toEqual({ pages: [0, 1, 2, 6] })
+    expect(parsePageSelection(' 3 , 1 - 2 ', 3)).toEqual({ pages: [2, 0, 1] })
+  })
+
+  it('runs a reversed range backwards', () => {
+    expect(parsePageSelection('3-1', 3)).toEqual({ pages: [2, 1, 0] })
+  })
+
+  it('opens "-2" at the first page and "10-" at the last', () => {
+    expect(parsePageSelection('-2', 12)).toEqual({ pages: [0, 1] })
+    expect(parsePageSelection('10-', 12)).toEqual({ pages: [9, 10, 11] })
+  })
+
+  it('returns null for an empty spec or every page in order', () => {
+    expect(parsePageSelection('', 4)).toEqual({ pages: null })
+    expect(parsePageSelection(undefined, 4)).toEqual({ pages: null })
+    expect(parsePageSelection('1-', 4)).toEqual({ pages: null })
+    expect(parsePageSelection('1-2,3-4', 4)).toEqual({ pages: null })
+  })
+
+  it('rejects a page listed twice, also inside a range', () => {
+    expect(parsePageSelection('1,1', 3)).toEqual({ error: 'Page 1 is listed more than once.' })
+    expect(parsePageSelection('1-3,2', 3)).toEqual({ error: 'Page 2 is listed more than once.' })
+  })
+
+  it('rejects empty items, junk and out-of-range pages', () => {
+    expect(parsePageSelection('1,,2', 3)).toEqual({ error: 'Invalid page range "".' })
+    expect(parsePageSelection('1,', 3)).toEqual({ error: 'Invalid page range "".' })
+    expect(parsePageSelection('-', 3)).toEqual({ error: 'Invalid page range "-".' })
+    expect(parsePageSelection('2a', 3)).toEqual({ error: 'Invalid page range "2a".' })
+    expect(parsePageSelection('0', 3)).toEqual({ error: 'Page 0 is out of range — this PDF has 3 pages.' })
+    expect(parsePageSelection('1-4', 1)).toEqual({ error: 'Page 4 is out of range — this PDF has 1 page.' })
+  })
+})
+
+describe('formatPageSelection', () => {
+  it('collapses ascending runs and round-trips through parsePageSelection', () => {
+    const pages = [2, 0, 1, 6, 5]
+    expect(formatPageSelection(pages)).toBe('3,1-2,7,6')
+    expect(parsePageSelection(formatPageSelection(pages), 7)).toEqual({ pages })
+  })
+})
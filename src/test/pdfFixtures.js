@@ -0,0 +1,190 @@
+// Small PDFs built with MuPDF for the server-side tests — no binary
+// fixtures in the repo.
+import * as mupdf from 'mupdf'
+
+const LETTER = [0, 0, 612, 792]
+
+function save(doc) {
+  return doc.saveToBuffer('compress').asUint8Array().slice()
+}
+
+/** One page per string, each with that string as visible Helvetica text. */
+export function textPdf(pageTexts) {
+  const doc  = new mupdf.PDFDocument()
+  const font = doc.addSimpleFont(new mupdf.Font('Helvetica'))
+  for (const text of pageTexts) {
+    const resources = doc.addObject({ Font: { F1: font } })
+    doc.insertPage(-1, doc.addPage(LETTER, 0, resources, `BT /F1 24 Tf 72 700 Td (${text}) Tj ET`))
+  }
+  return save(doc)
+}
+
+/** One page per content stream, drawn with Helvetica available as /F1. */
+export function drawnPdf(contents) {
+  const doc  = new mupdf.PDFDocument()
+  const font = doc.addSimpleFont(new mupdf.Font('Helvetica'))
+  for (const content of contents) {
+    doc.insertPage(-1, doc.addPage(LETTER, 0, doc.addObject({ Font: { F1: font } }), content))
+  }
+  return save(doc)
+}
+
+/**
+ * `pageCount` pages, each with its number as text ("Page 1", …) and the
+ * same noise image, so there is something to compress — plus the
+ * document-level structure a merge has to keep: outline entries "Start" and
+ * "End" on the first and last page, page labels i, ii, 1, 2, …, a named
+ * destination "appendix" on the last page and a link from the first page to
+ * the last.
+ */
+export function bookPdf(pageCount) {
+  const doc   = new mupdf.PDFDocument()
+  const font  = doc.addSimpleFont(new mupdf.Font('Helvetica'))
+  const image = doc.addImage(new mupdf.Image(noisePixmap(300, 300)))
+  for (let i = 1; i <= pageCount; i++) {
+    const resources = doc.addObject({ Font: { F1: font }, XObject: { Im0: image } })
+    doc.insertPage(-1, doc.addPage(LETTER, 0, resources, `q 300 0 0 300 72 300 cm /Im0 Do Q BT /F1 24 Tf 72 700 Td (Page ${i}) Tj ET`))
+  }
+  const last = pageCount - 1
+  const outline = doc.outlineIterator()
+  outline.insert({ title: 'Start', uri: doc.formatLinkURI({ page: 0, type: 'Fit' }), open: true })
+  outline.insert({ title: 'End', uri: doc.formatLinkURI({ page: last, type: 'Fit' }), open: true })
+
+  const root = doc.getTrailer().get('Root')
+  const roman   = doc.newDictionary()
+  const decimal = doc.newDictionary()
+  roman.put('S', doc.newName('r'))
+  decimal.put('S', doc.newName('D'))
+  const nums = doc.newArray()
+  nums.push(0)
+  nums.push(roman)
+  nums.push(2)
+  nums.push(decimal)
+  const labels = doc.newDictionary()
+  labels.put('Nums', nums)
+  root.put('PageLabels', labels)
+
+  const dest = doc.newArray()
+  dest.push(doc.findPage(last))
+  dest.push(doc.newName('Fit'))
+  const dests = doc.newDictionary()
+  dests.put('appendix', dest)
+  root.put('Dests', dests)
+
+  doc.loadPage(0).createLink([72, 600, 300, 650], doc.formatLinkURI({ page: last, type: 'Fit' }))
+  return save(doc)
+}
+
+/**
+ * bookPdf()'s document structure on scanned pages, for the raster path:
+ * every page is a noise image of its own over the whole page and nothing
+ * else. Adds an Info title "Book", XMP metadata, /Rotate 90 on the second
+ * page and a filled-in text field "name" (a widget on the first page).
+ */
+export function scannedBookPdf(pageCount) {
+  const doc = mupdf.Document.openDocument(bookPdf(pageCount), 'application/pdf').asPDF()
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.findPage(i)
+    page.put('Resources', doc.addObject({ XObject: { Im0: doc.addImage(new mupdf.Image(noisePixmap(400, 520, i + 1))) } }))
+    page.put('Contents', doc.addStream('q 612 0 0 792 0 0 cm /Im0 Do Q', {}))
+  }
+  doc.setMetaData('info:Title', 'Book')
+  const root = doc.getTrailer().get('Root')
+  root.put('Metadata', doc.addStream('<x:xmpmeta xmlns:x="adobe:ns:meta/"/>', { Type: 'Metadata', Subtype: 'XML' }))
+  doc.findPage(1).put('Rotate', 90)
+  const widget = doc.addObject({ Type: 'Annot', Subtype: 'Widget', FT: 'Tx', Rect: [72, 72, 272, 100], F: 4 })
+  widget.put('T', doc.newString('name'))   // plain JS strings would become names
+  widget.put('V', doc.newString('Alice'))
+  doc.findPage(0).get('Annots').push(widget)
+  root.put('AcroForm', doc.addObject({ Fields: [widget] }))
+  return save(doc)
+}
+
+/**
+ * Three pages saved as they were built — uncompressed content, no object
+ * streams — for the lossless optimisation: a JPEG (DCTDecode) on pages 1
+ * and 3, each its own copy of the same stream, and a flated image on page 2.
+ */
+export function unoptimizedPdf() {
+  const doc  = new mupdf.PDFDocument()
+  const font = doc.addSimpleFont(new mupdf.Font('Helvetica'))
+  const pix  = noisePixmap(200, 150)
+  const jpeg = () => doc.addRawStream(pix.asJPEG(80, false), {
+    Type: 'XObject', Subtype: 'Image', Width: 200, Height: 150, ColorSpace: 'DeviceRGB', BitsPerComponent: 8, Filter: 'DCTDecode',
+  })
+  const images = [jpeg(), doc.addImage(new mupdf.Image(noisePixmap(200, 150, 7))), jpeg()]
+  images.forEach((image, i) => {
+    const resources = doc.addObject({ Font: { F1: font }, XObject: { Im0: image } })
+    doc.insertPage(-1, doc.addPage(LETTER, 0, resources, `q 400 0 0 300 72 300 cm /Im0 Do Q BT /F1 24 Tf 72 700 Td (Page ${i + 1}) Tj ET`))
+  })
+  return doc.saveToBuffer('compress-images').asUint8Array().slice()
+}
+
+/** One page: a red filled rectangle with `text` in black beside it — vectors only. */
+export function colorPdf(text = 'Red box') {
+  const doc = new mupdf.PDFDocument()
+  const resources = doc.addObject({ Font: { F1: doc.addSimpleFont(new mupdf.Font('Helvetica')) } })
+  doc.insertPage(-1, doc.addPage(LETTER, 0, resources, `1 0 0 rg 72 72 200 200 re f 0 g BT /F1 24 Tf 72 700 Td (${text}) Tj ET`))
+  return save(doc)
+}
+
+/**
+ * RGB noise — compresses badly, so re-rendering a page drawn from it as
+ * JPEG always pays off. Deterministic (xorshift32); another `seed` gives
+ * other pixels.
+ */
+export function noisePixmap(width, height, seed = 2463534242) {
+  const pix = new mupdf.Pixmap(mupdf.ColorSpace.DeviceRGB, [0, 0, width, height], false)
+  const pixels = pix.getPixels()
+  for (let i = 0; i < pixels.length; i++) {
+    seed ^= seed << 13
+    seed ^= seed >>> 17
+    seed ^= seed << 5
+    pixels[i] = 96 + ((seed >>> 0) % 128)
+  }
+  return pix
+}
+
+/**
+ * `pageCount` pages, each with its number as text ("Page 1", …) and an
+ * image of its own — noise, `size` × `size` pixels, so every page adds about
+ * 3 × size² bytes to the file.
+ */
+export function imagePagesPdf(pageCount, size = 100) {
+  const doc  = new mupdf.PDFDocument()
+  const font = doc.addSimpleFont(new mupdf.Font('Helvetica'))
+  for (let i = 1; i <= pageCount; i++) {
+    const resources = doc.addObject({
+      Font: { F1: font },
+      XObject: { Im0: doc.addImage(new mupdf.Image(noisePixmap(size, size, i))) },
+    })
+    doc.insertPage(-1, doc.addPage(LETTER, 0, resources, `q 300 0 0 300 72 300 cm /Im0 Do Q BT /F1 24 Tf 72 700 Td (Page ${i}) Tj ET`))
+  }
+  return save(doc)
+}
+
+/**
+ * A one-page "scan": a noise image over the whole page, with `ocrText`
+ * written over it as invisible text (render mode 3) the way OCR tools do.
+ */
+export function scanPdf({ ocrText = null } = {}) {
+  const doc = new mupdf.PDFDocument()
+  const resources = doc.addObject({
+    XObject: { Im0: doc.addImage(new mupdf.Image(noisePixmap(850, 1100))) },
+    Font: { F1: doc.addSimpleFont(new mupdf.Font('Helvetica')) },
+  })
+  let content = 'q 612 0 0 792 0 0 cm /Im0 Do Q'
+  if (ocrText) content += ` BT 3 Tr /F1 12 Tf 72 700 Td (${ocrText}) Tj ET`
+  doc.insertPage(-1, doc.addPage(LETTER, 0, resources, content))
+  return save(doc)
+}
+
+/** The text of every page, for checking what survived. */
+export function pageTexts(pdf) {
+  const doc = mupdf.Document.openDocument(pdf, 'application/pdf')
+  const texts = []
+  for (let i = 0; i < doc.countPages(); i++) {
+    texts.push(doc.loadPage(i).toStructuredText().asText().trim())
+  }
+  return texts
+}
@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import * as mupdf from 'mupdf'
+import { ssim, psnr, scorePage } from '../../lib/quality.js'
+import { compressWithMuPDFEngines } from '../../lib/mupdf-engine.js'
+import { LEVEL_CONFIG } from '../../lib/levels.js'
+import { scanPdf } from './pdfFixtures.js'
+
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+/** A 64 × 64 gray gradient with some texture, and a copy with `noise` added. */
+function gradient(noise = 0) {
+  const samples = new Uint8Array(64 * 64)
+  for (let i = 0; i < samples.length; i++) {
+    const value = (i % 64) * 3 + ((i >> 6) % 4) * 10 + (i % 2 ? noise : -noise)
+    samples[i] = Math.min(255, Math.max(0, value))
+  }
+  return samples
+}
+
+function open(pdf) {
+  return mupdf.Document.openDocument(pdf, 'application/pdf')
+}
+
+describe('ssim / psnr', () => {
+  it('score identical images 1 and Infinity', () => {
+    expect(ssim(gradient(), gradient(), 64, 64)).toBe(1)
+    expect(psnr(gradient(), gradient(), 64, 64)).toBe(Infinity)
+  })
+
+  it('score lower the more an image is degraded', () => {
+    const slight = ssim(gradient(), gradient(4), 64, 64)
+    const heavy  = ssim(gradient(), gradient(40), 64, 64)
+    expect(slight).toBeLessThan(1)
+    expect(heavy).toBeLessThan(slight)
+    expect(psnr(gradient(), gradient(40), 64, 64)).toBeLessThan(psnr(gradient(), gradient(4), 64, 64))
+  })
+
+  it('score two blank pages 1', () => {
+    const white = new Uint8Array(64 * 64).fill(255)
+    expect(ssim(white, white.slice(), 64, 64)).toBe(1)
+  })
+})
+
+describe('scorePage', () => {
+  it('scores a page against itself 1 and against its compressed copy lower', async () => {
+    const input = scanPdf()
+    const { buffer } = await compressWithMuPDFEngines(input, LEVEL_CONFIG.high)
+    expect(scorePage(open(input), 0, open(input), 0).ssim).toBe(1)
+    const { ssim: score, psnr: db } = scorePage(open(input), 0, open(buffer), 0)
+    expect(score).toBeLessThan(0.97)
+    expect(db).toBeLessThan(Infinity)
+  })
+})
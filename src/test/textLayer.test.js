@@ -0,0 +1,93 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import * as mupdf from 'mupdf'
+import { extractTextLines, addTextLayerFont, textLayerContent } from '../../lib/text-layer.js'
+import { textPdf, pageTexts } from './pdfFixtures.js'
+
+function firstPage(pdf) {
+  return mupdf.Document.openDocument(pdf, 'application/pdf').loadPage(0)
+}
+
+/** Bounding box [x0, y0, x1, y1] of a search-hit quad. */
+function bounds(quad) {
+  const xs = quad.filter((_, i) => i % 2 === 0)
+  const ys = quad.filter((_, i) => i % 2 === 1)
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+/**
+ * Expect hit `got` to run along the same span as `want` — the glyphless
+ * font's ascent differs from Helvetica's, so it may be less tall.
+ */
+function expectWithin(got, want) {
+  const [gx0, gy0, gx1, gy1] = bounds(got)
+  const [wx0, wy0, wx1, wy1] = bounds(want)
+  expect(gx0).toBeGreaterThanOrEqual(wx0 - 0.5)
+  expect(gy0).toBeGreaterThanOrEqual(wy0 - 0.5)
+  expect(gx1).toBeLessThanOrEqual(wx1 + 0.5)
+  expect(gy1).toBeLessThanOrEqual(wy1 + 0.5)
+  expect(Math.max(gx1 - gx0, gy1 - gy0)).toBeGreaterThan(Math.max(wx1 - wx0, wy1 - wy0) - 0.5)   // the full length
+}
+
+/** A Letter page with only the invisible text layer for `lines`, rotated by `rotate`. */
+function layerPdf(lines, rotate = 0) {
+  const doc = new mupdf.PDFDocument()
+  const resources = doc.addObject({ Font: { F0: addTextLayerFont(doc) } })
+  doc.insertPage(-1, doc.addPage([0, 0, 612, 792], rotate, resources, textLayerContent(lines, 'F0')))
+  return doc.saveToBuffer('compress').asUint8Array().slice()
+}
+
+/** Rotate page 1 of `pdf` by `degrees`. */
+function rotated(pdf, degrees) {
+  const doc = mupdf.Document.openDocument(pdf, 'application/pdf').asPDF()
+  doc.findPage(0).put('Rotate', degrees)
+  return doc.saveToBuffer('compress').asUint8Array().slice()
+}
+
+describe('extractTextLines', () => {
+  it('gives each line its baseline origin, direction, size and character offsets in user space', () => {
+    const [line, ...rest] = extractTextLines(firstPage(textPdf(['Hello world'])))
+    expect(rest).toEqual([])
+    expect(line.chars.map(({ c }) => c).join('')).toBe('Hello world')
+    expect([line.x, line.y, line.dx, line.dy, line.size].map((n) => Math.round(n))).toEqual([72, 700, 1, 0, 24])
+    const offsets = line.chars.map(({ offset }) => offset)
+    expect(offsets[0]).toBe(0)
+    expect(offsets).toEqual([...offsets].sort((a, b) => a - b))
+  })
+
+  it('undoes the page rotation', () => {
+    const [line] = extractTextLines(firstPage(rotated(textPdf(['Hello']), 90)))
+    expect([line.x, line.y, line.dx, line.dy].map((n) => Math.round(n))).toEqual([72, 700, 1, 0])
+  })
+
+  it('leaves out pages without text', () => {
+    expect(extractTextLines(firstPage(textPdf([' '])))).toEqual([])
+  })
+})
+
+describe('textLayerContent', () => {
+  it('writes text that extracts and searches where the original was, but draws nothing', () => {
+    const source = firstPage(textPdf(['Invoice 12345']))
+    const output = layerPdf(extractTextLines(source))
+    expect(pageTexts(output)).toEqual(['Invoice 12345'])
+
+    const [[want]] = source.search('12345')
+    const [[got]] = firstPage(output).search('12345')
+    expectWithin(got, want)
+
+    const pix = firstPage(output).toPixmap(mupdf.Matrix.identity, mupdf.ColorSpace.DeviceGray, false)
+    expect(pix.getPixels().every((value) => value === 255)).toBe(true)
+  })
+
+  it('keeps a rotated page searchable at the same spot', () => {
+    const source = firstPage(rotated(textPdf(['Rotated']), 90))
+    const output = firstPage(layerPdf(extractTextLines(source), 90))
+    const [[want]] = source.search('Rotated')
+    const [[got]] = output.search('Rotated')
+    expectWithin(got, want)
+  })
+
+  it('writes nothing for no lines', () => {
+    expect(textLayerContent([], 'F0')).toBe('')
+  })
+})
@@ -0,0 +1,158 @@
+import '@testing-library/jest-dom'
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import axios from 'axios'
+import { unzipSync } from 'fflate'
+import { useBatchCompress, BATCH_CONCURRENCY } from '../hooks/useBatchCompress'
+
+vi.mock('axios')
+
+vi.mock('@vercel/blob/client', () => ({
+  upload: vi.fn().mockRejectedValue(new Error('upload() should not be called in tests')),
+}))
+
+// jsdom's Blob has no arrayBuffer() (every browser we support does)
+Blob.prototype.arrayBuffer ??= function arrayBuffer() {
+  return new Promise((resolve) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.readAsArrayBuffer(this)
+  })
+}
+
+global.URL.createObjectURL = vi.fn(() => 'blob:mock-url')
+global.URL.revokeObjectURL = vi.fn()
+
+const appendChildSpy = vi.spyOn(document.body, 'appendChild').mockImplementation((el) => el)
+vi.spyOn(document.body, 'removeChild').mockImplementation(() => {})
+
+function pdf(name, size = 2000) {
+  const f = new File(['%PDF ' + name], name, { type: 'application/pdf' })
+  Object.defineProperty(f, 'size', { value: size })
+  return f
+}
+
+/**
+ * Route axios.post by URL: blob-upload always answers localMode, and
+ * /api/compress answers via `compressImpl(formData)`.
+ */
+function mockServer(compressImpl) {
+  axios.post.mockImplementation((url, body) => {
+    if (url === '/api/blob-upload') return Promise.resolve({ data: { localMode: true } })
+    return compressImpl(body)
+  })
+}
+
+describe('useBatchCompress', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('compresses every file and never exceeds the concurrency limit', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    mockServer(async (formData) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise((r) => setTimeout(r, 5))
+      inFlight--
+      return {
+        data: new Blob(['%PDF small'], { type: 'application/pdf' }),
+        headers: { 'x-compressed-size': '500' },
+      }
+    })
+
+    const { result } = renderHook(() => useBatchCompress())
+    act(() => {
+      result.current.addFiles(['a.pdf', 'b.pdf', 'c.pdf', 'd.pdf', 'e.pdf'].map((n) => pdf(n)))
+    })
+
+    await act(async () => {
+      await result.current.compressAll('high')
+    })
+
+    expect(maxInFlight).toBeLessThanOrEqual(BATCH_CONCURRENCY)
+    expect(result.current.items.map((i) => i.status)).toEqual(['done', 'done', 'done', 'done', 'done'])
+    expect(result.current.items[0].compressedSize).toBe(500)
+    expect(result.current.items[0].downloadName).toBe('a_compressed.pdf')
+    expect(result.current.running).toBe(false)
+  })
+
+  it('marks failed files without stopping the rest of the batch', async () => {
+    mockServer(async (formData) => {
+      if (formData.get('file').name === 'bad.pdf') throw new Error('Network error')
+      return {
+        data: new Blob(['%PDF'], { type: 'application/pdf' }),
+        headers: { 'x-compressed-size': '100' },
+      }
+    })
+
+    const { result } = renderHook(() => useBatchCompress())
+    act(() => {
+      result.current.addFiles([pdf('good.pdf'), pdf('bad.pdf')])
+    })
+
+    await act(async () => {
+      await result.current.compressAll('medium')
+    })
+
+    const [good, bad] = result.current.items
+    expect(good.status).toBe('done')
+    expect(bad.status).toBe('error')
+    expect(bad.errorMessage).toBe('Network error')
+  })
+
+  it('downloadZip bundles finished files with unique names', async () => {
+    mockServer(async () => ({
+      data: new Blob(['%PDF out'], { type: 'application/pdf' }),
+      headers: { 'x-compressed-size': '8' },
+    }))
+
+    const { result } = renderHook(() => useBatchCompress())
+    act(() => {
+      result.current.addFiles([pdf('scan.pdf'), pdf('scan.pdf')])
+    })
+    await act(async () => {
+      await result.current.compressAll('medium')
+    })
+
+    let zipBlob
+    global.URL.createObjectURL.mockImplementationOnce((b) => { zipBlob = b; return 'blob:zip' })
+    await act(async () => {
+      await result.current.downloadZip()
+    })
+
+    const anchor = appendChildSpy.mock.calls.map(([el]) => el).find((el) => el?.download === 'compressed_pdfs.zip')
+    expect(anchor).toBeTruthy()
+    const entries = unzipSync(new Uint8Array(await zipBlob.arrayBuffer()))
+    expect(Object.keys(entries).sort()).toEqual(['scan_compressed (2).pdf', 'scan_compressed.pdf'])
+  })
+
+  it('compresses images as images and keeps their extension in the ZIP', async () => {
+    const urls = []
+    axios.post.mockImplementation((url) => {
+      if (url === '/api/blob-upload') return Promise.resolve({ data: { localMode: true } })
+      urls.push(url)
+      return Promise.resolve({ data: new Blob(['png'], { type: 'image/png' }), headers: { 'x-compressed-size': '3' } })
+    })
+
+    const { result } = renderHook(() => useBatchCompress())
+    act(() => {
+      result.current.addFiles([new File(['png 1'], 'icon.png'), new File(['png 2'], 'icon.png')])
+    })
+    await act(async () => {
+      await result.current.compressAll('high', { maxDimension: 1280 })
+    })
+
+    expect(urls).toEqual(['/api/compress-image', '/api/compress-image'])
+    expect(axios.post.mock.calls.find(([url]) => url === '/api/compress-image')[1].get('maxDimension')).toBe('1280')
+
+    let zipBlob
+    global.URL.createObjectURL.mockImplementationOnce((b) => { zipBlob = b; return 'blob:zip' })
+    await act(async () => {
+      await result.current.downloadZip('compressed_images.zip')
+    })
+    const entries = unzipSync(new Uint8Array(await zipBlob.arrayBuffer()))
+    expect(Object.keys(entries).sort()).toEqual(['icon_compressed (2).png', 'icon_compressed.png'])
+  })
+})
@@ -1,10 +1,22 @@
 import { renderHook, act } from '@testing-library/react'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import axios from 'axios'
-import { useCompress } from '../hooks/useCompress'
+import { useCompress, createPageTracker, JOB_MIN_BYTES } from '../hooks/useCompress'
+import {
+  compressLocally,
+  isLocalCompressionSupported,
+  LocalCompressionUnavailableError,
+} from '../utils/localCompress'
 
 vi.mock('axios')
 
+// jsdom has no Worker; tests opt in to the in-browser path explicitly
+vi.mock('../utils/localCompress', async (importOriginal) => ({
+  ...(await importOriginal()),
+  isLocalCompressionSupported: vi.fn(() => false),
+  compressLocally: vi.fn(),
+}))
+
 // Mock @vercel/blob/client — upload() should never be called in test
 // (tests always run in localMode because blob-upload returns { localMode: true })
 vi.mock('@vercel/blob/client', () => ({
@@ -19,19 +31,28 @@ global.URL.revokeObjectURL = vi.fn()
 const appendChildSpy = vi.spyOn(document.body, 'appendChild').mockImplementation((el) => el)
 vi.spyOn(document.body, 'removeChild').mockImplementation(() => {})
 
+/** NDJSON body as /api/compress streams it with Accept: application/x-ndjson */
+function ndjson(...events) {
+  return events.map((event) => JSON.stringify(event) + '\n').join('')
+}
+
+function doneEvent(compressedSize, extra = {}) {
+  return { type: 'done', compressedSize, engine: 'mupdf-structural', data: btoa('%PDF compressed'), ...extra }
+}
+
 /**
  * axios.post is called twice in compress():
  *   call 1: /api/blob-upload mode-check  → { localMode: true }  (triggers multipart fallback)
  *            server returns { localMode: true } when BLOB_READ_WRITE_TOKEN not set
  *            (no clientToken → useBlob=false → Mode B: multipart)
- *   call 2: /api/compress multipart      → { data: pdfBlob, headers: {...} }
+ *   call 2: /api/compress multipart      → NDJSON progress stream ending in a done event
  */
-function mockCompressSuccess(pdfBlob, compressedSize = '1000') {
+function mockCompressSuccess(compressedSize = 1000, extra = {}) {
   axios.post
     .mockResolvedValueOnce({ data: { localMode: true } })   // blob-upload: no token → localMode
     .mockResolvedValueOnce({                                 // /api/compress response
-      data: pdfBlob,
-      headers: { 'x-compressed-size': compressedSize },
+      data: ndjson({ type: 'progress', page: 1, pageCount: 1 }, doneEvent(compressedSize, extra)),
+      headers: { 'content-type': 'application/x-ndjson' },
     })
 }
 
@@ -47,8 +68,7 @@ describe('useCompress', () => {
   })
 
   it('transitions to done on successful compression', async () => {
-    const mockBlob = new Blob(['%PDF compressed'], { type: 'application/pdf' })
-    mockCompressSuccess(mockBlob, '1000')
+    mockCompressSuccess(1000)
 
     const { result } = renderHook(() => useCompress())
     const mockFile = new File(['%PDF original content'], 'test.pdf', {
@@ -67,6 +87,129 @@ describe('useCompress', () => {
     expect(result.current.downloadName).toBe('test_compressed.pdf')
   })
 
+  it('sends targetBytes and reports whether the target was met', async () => {
+    mockCompressSuccess(600000, { targetSize: 512000, targetMet: false })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'big.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { targetBytes: 512000 })
+    })
+
+    const formData = axios.post.mock.calls[1][1]
+    expect(formData.get('targetBytes')).toBe('512000')
+    expect(result.current.targetMet).toBe(false)
+  })
+
+  it('sends removeBlankPages and reports the removed pages', async () => {
+    mockCompressSuccess(800, { removedPages: [2, 4] })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'scan.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { removeBlankPages: true })
+    })
+
+    const formData = axios.post.mock.calls[1][1]
+    expect(formData.get('removeBlankPages')).toBe('true')
+    expect(result.current.removedPages).toEqual([2, 4])
+  })
+
+  it('sends several images as one request and names the PDF after the first', async () => {
+    mockCompressSuccess(900)
+
+    const { result } = renderHook(() => useCompress())
+    const images = [
+      new File(['jpeg'], 'IMG_0001.jpg', { type: 'image/jpeg' }),
+      new File(['png'], 'IMG_0002.png', { type: 'image/png' }),
+    ]
+
+    await act(async () => {
+      await result.current.compress(images, 'medium', { pageSize: 'letter', orientation: 'portrait' })
+    })
+
+    const formData = axios.post.mock.calls[1][1]
+    expect(formData.getAll('file').map((f) => f.name)).toEqual(['IMG_0001.jpg', 'IMG_0002.png'])
+    expect(formData.get('pageSize')).toBe('letter')
+    expect(formData.get('orientation')).toBe('portrait')
+    expect(result.current.originalSize).toBe(7)
+    expect(result.current.downloadName).toBe('IMG_0001.pdf')
+  })
+
+  it('compresses a single image as an image, on the server, with its dimensions', async () => {
+    isLocalCompressionSupported.mockReturnValueOnce(true)
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockResolvedValueOnce({
+        data: new Blob(['webp'], { type: 'image/webp' }),
+        headers: { 'x-compressed-size': '400', 'x-dimensions': '1920x1280', 'x-original-dimensions': '3000x2000' },
+      })
+
+    const { result } = renderHook(() => useCompress())
+    const photo = new File(['webp image'], 'holiday.webp', { type: 'image/webp' })
+
+    await act(async () => {
+      await result.current.compress(photo, 'high', { maxDimension: 1920, stripMetadata: false })
+    })
+
+    expect(compressLocally).not.toHaveBeenCalled()
+    expect(axios.post.mock.calls[1][0]).toBe('/api/compress-image')
+    const formData = axios.post.mock.calls[1][1]
+    expect(formData.get('level')).toBe('high')
+    expect(formData.get('maxDimension')).toBe('1920')
+    expect(formData.get('stripMetadata')).toBe('false')
+    expect(result.current.status).toBe('done')
+    expect(result.current.downloadName).toBe('holiday_compressed.webp')
+    expect(result.current.dimensions).toEqual({ width: 1920, height: 1280, originalWidth: 3000, originalHeight: 2000 })
+  })
+
+  it('merges several PDFs on the server, in the given order', async () => {
+    isLocalCompressionSupported.mockReturnValueOnce(true)
+    mockCompressSuccess(1200)
+
+    const { result } = renderHook(() => useCompress())
+    const pdfs = [
+      new File(['%PDF second'], 'Chapter 2.pdf', { type: 'application/pdf' }),
+      new File(['%PDF first'], 'Chapter 1.pdf', { type: 'application/pdf' }),
+    ]
+
+    await act(async () => {
+      await result.current.compress(pdfs, 'medium', { targetBytes: 2000 })
+    })
+
+    expect(compressLocally).not.toHaveBeenCalled()
+    const formData = axios.post.mock.calls[1][1]
+    expect(formData.getAll('file').map((f) => f.name)).toEqual(['Chapter 2.pdf', 'Chapter 1.pdf'])
+    expect(formData.get('merge')).toBe('true')
+    expect(formData.get('targetBytes')).toBe('2000')
+    expect(result.current.status).toBe('done')
+    expect(result.current.downloadName).toBe('Chapter 2_merged.pdf')
+  })
+
+  it('sends splitMaxBytes to the server and exposes the parts of a split result', async () => {
+    isLocalCompressionSupported.mockReturnValueOnce(true)
+    const parts = [
+      { filename: 'report_part1of2.pdf', size: 900, pages: '1-3' },
+      { filename: 'report_part2of2.pdf', size: 500, pages: '4' },
+    ]
+    mockCompressSuccess(1400, { targetMet: false, parts })
+
+    const { result } = renderHook(() => useCompress())
+    const file = new File(['%PDF big'], 'report.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(file, 'high', { targetBytes: 1000, splitMaxBytes: 1000 })
+    })
+
+    expect(compressLocally).not.toHaveBeenCalled()
+    expect(axios.post.mock.calls[1][1].get('splitMaxBytes')).toBe('1000')
+    expect(result.current.parts).toEqual(parts)
+    expect(result.current.compressedBlob.type).toBe('application/zip')
+    expect(result.current.downloadName).toBe('report_parts.zip')
+  })
+
   it('transitions to error on API failure', async () => {
     // Both calls fail — mode check throws, so useBlob=false, then compress throws
     axios.post
@@ -85,8 +228,7 @@ describe('useCompress', () => {
   })
 
   it('resets state correctly', async () => {
-    const mockBlob = new Blob(['%PDF'], { type: 'application/pdf' })
-    mockCompressSuccess(mockBlob, '500')
+    mockCompressSuccess(500)
 
     const { result } = renderHook(() => useCompress())
     const mockFile = new File(['%PDF'], 'reset.pdf', { type: 'application/pdf' })
@@ -109,8 +251,7 @@ describe('useCompress', () => {
   })
 
   it('triggerDownload creates a transient anchor and clicks it (Android fallback)', async () => {
-    const mockBlob = new Blob(['%PDF'], { type: 'application/pdf' })
-    mockCompressSuccess(mockBlob, '500')
+    mockCompressSuccess(500)
 
     const { result } = renderHook(() => useCompress())
     const mockFile = new File(['%PDF'], 'doc.pdf', { type: 'application/pdf' })
@@ -131,4 +272,216 @@ describe('useCompress', () => {
     expect(anchorCall).toBeTruthy()
     expect(anchorCall[0].download).toBe('doc_compressed.pdf')
   })
+
+  it('compresses on the device when local processing is supported', async () => {
+    isLocalCompressionSupported.mockReturnValueOnce(true)
+    compressLocally.mockImplementationOnce(async (file, level, { onPageProgress }) => {
+      onPageProgress(1, 2)
+      onPageProgress(2, 2)
+      const blob = new Blob(['%PDF local'], { type: 'application/pdf' })
+      return { blob, compressedSize: 700, engine: 'mupdf-structural', targetMet: null }
+    })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'private.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium')
+    })
+
+    expect(axios.post).not.toHaveBeenCalled()
+    expect(result.current.status).toBe('done')
+    expect(result.current.processedLocally).toBe(true)
+    expect(result.current.compressedSize).toBe(700)
+    expect(result.current.downloadName).toBe('private_compressed.pdf')
+  })
+
+  it('falls back to the server when the device runs out of memory', async () => {
+    isLocalCompressionSupported.mockReturnValueOnce(true)
+    compressLocally.mockRejectedValueOnce(new LocalCompressionUnavailableError('Out of memory'))
+    mockCompressSuccess(900)
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'huge.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium')
+    })
+
+    expect(axios.post).toHaveBeenCalledTimes(2)
+    expect(result.current.status).toBe('done')
+    expect(result.current.processedLocally).toBe(false)
+    expect(result.current.compressedSize).toBe(900)
+  })
+
+  it('reports streamed page progress from the server', async () => {
+    const body = ndjson(
+      { type: 'progress', page: 1, pageCount: 4 },
+      { type: 'progress', page: 2, pageCount: 4 },
+      doneEvent(800),
+    )
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockImplementationOnce(async (url, formData, config) => {
+        // First two lines arrive before the request completes
+        config.onDownloadProgress({ event: { target: { responseText: body.split('\n').slice(0, 2).join('\n') + '\n' } } })
+        return { data: body, headers: { 'content-type': 'application/x-ndjson' } }
+      })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'pages.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { processing: 'server' })
+    })
+
+    expect(axios.post.mock.calls[1][2].headers.Accept).toBe('application/x-ndjson')
+    expect(result.current.status).toBe('done')
+    expect(result.current.pageProgress).toMatchObject({ page: 2, pageCount: 4 })
+    expect(result.current.compressedSize).toBe(800)
+  })
+
+  it('surfaces an error event from the stream', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockResolvedValueOnce({
+        data: ndjson({ type: 'progress', page: 1, pageCount: 2 }, { type: 'error', error: 'Compression failed: boom' }),
+        headers: { 'content-type': 'application/x-ndjson' },
+      })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'bad.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium')
+    })
+
+    expect(result.current.status).toBe('error')
+    expect(result.current.errorMessage).toBe('Compression failed: boom')
+  })
+
+  it('exposes the password error code and resends with the password', async () => {
+    const passwordError = Object.assign(new Error('Request failed with status code 400'), {
+      isAxiosError: true,
+      response: {
+        status: 400,
+        data: JSON.stringify({ error: 'This PDF is password-protected.', code: 'PASSWORD_REQUIRED' }),
+      },
+    })
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockRejectedValueOnce(passwordError)
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'locked.pdf', { type: 'application/pdf' })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium')
+    })
+    expect(result.current.status).toBe('error')
+    expect(result.current.errorCode).toBe('PASSWORD_REQUIRED')
+
+    mockCompressSuccess(700)
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { password: 'secret', keepEncryption: true })
+    })
+    const formData = axios.post.mock.calls[3][1]
+    expect(formData.get('password')).toBe('secret')
+    expect(formData.get('keepEncryption')).toBe('true')
+    expect(result.current.status).toBe('done')
+    expect(result.current.errorCode).toBeNull()
+  })
+
+  it('runs large files as a job, stepping until done', async () => {
+    const job = { id: 'a'.repeat(32), status: 'queued', pageCount: 20, pagesDone: 0 }
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockResolvedValueOnce({ data: job })                                            // POST /api/jobs
+      .mockResolvedValueOnce({ data: { ...job, status: 'running', pagesDone: 10 } })  // step 1
+      .mockResolvedValueOnce({ data: { ...job, status: 'running', pagesDone: 20 } })  // step 2
+      .mockResolvedValueOnce({ data: { ...job, status: 'done', pagesDone: 20 } })     // merge
+    axios.get.mockResolvedValueOnce({
+      data: new Blob(['%PDF merged']),
+      headers: { 'x-compressed-size': '4000000' },
+    })
+    axios.delete.mockResolvedValueOnce({})
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'huge.pdf', { type: 'application/pdf' })
+    Object.defineProperty(mockFile, 'size', { value: JOB_MIN_BYTES + 1 })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { processing: 'server' })
+    })
+
+    expect(axios.post.mock.calls[1][0]).toBe('/api/jobs')
+    expect(axios.post.mock.calls.slice(2).map((call) => call[0])).toEqual(
+      Array(3).fill(`/api/jobs/${job.id}/step`))
+    expect(axios.get).toHaveBeenCalledWith(`/api/jobs/${job.id}/result`, expect.any(Object))
+    expect(axios.delete).toHaveBeenCalledWith(`/api/jobs/${job.id}`, expect.any(Object))
+    expect(result.current.status).toBe('done')
+    expect(result.current.pageProgress).toMatchObject({ page: 20, pageCount: 20 })
+    expect(result.current.compressedSize).toBe(4000000)
+  })
+
+  it('sends large password-protected files to /api/compress, not as a job', async () => {
+    mockCompressSuccess(700)
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'huge-locked.pdf', { type: 'application/pdf' })
+    Object.defineProperty(mockFile, 'size', { value: JOB_MIN_BYTES + 1 })
+
+    await act(async () => {
+      await result.current.compress(mockFile, 'medium', { processing: 'server', password: 'secret' })
+    })
+
+    expect(axios.post.mock.calls[1][0]).toBe('/api/compress')
+    expect(axios.post.mock.calls[1][1].get('password')).toBe('secret')
+    expect(result.current.status).toBe('done')
+  })
+
+  it('cancel() aborts the request in flight and returns to idle', async () => {
+    let requestSignal
+    axios.post
+      .mockResolvedValueOnce({ data: { localMode: true } })
+      .mockImplementationOnce((url, formData, config) => {
+        requestSignal = config.signal
+        return new Promise((resolve, reject) => {
+          config.signal.addEventListener('abort', () => reject(new DOMException('canceled', 'AbortError')))
+        })
+      })
+
+    const { result } = renderHook(() => useCompress())
+    const mockFile = new File(['%PDF'], 'slow.pdf', { type: 'application/pdf' })
+
+    let pending
+    await act(async () => {
+      pending = result.current.compress(mockFile, 'medium')
+      await new Promise((r) => setTimeout(r, 0))
+    })
+    expect(result.current.status).toBe('uploading')
+
+    await act(async () => {
+      result.current.cancel()
+      await pending
+    })
+
+    expect(requestSignal.aborted).toBe(true)
+    expect(result.current.status).toBe('idle')
+    expect(result.current.errorMessage).toBeNull()
+  })
+})
+
+describe('createPageTracker', () => {
+  it('extrapolates time left and restarts on a new pass', () => {
+    let t = 0
+    const track = createPageTracker(() => t)
+
+    expect(track(1, 10).etaSeconds).toBeNull()
+    t = 2000
+    expect(track(3, 10)).toEqual({ page: 3, pageCount: 10, etaSeconds: 7 })   // 1 s/page × 7 pages
+
+    t = 5000
+    expect(track(1, 10).etaSeconds).toBeNull()   // page went backwards → new pass
+  })
 })
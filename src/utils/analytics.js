@@ -39,7 +39,7 @@ export function trackFileUploaded({ file_size_bytes, file_name }) {
 /**
  * Fired when the user clicks "Compress PDF" and compression begins.
  * @param {object} params
- * @param {string} params.compression_level - 'low' | 'medium' | 'high'
+ * @param {string} params.compression_level - 'lossless' | 'low' | 'medium' | 'high'
  * @param {number} params.file_size_bytes   - Original file size in bytes
  */
 export function trackCompressionStarted({ compression_level, file_size_bytes }) {
@@ -57,7 +57,7 @@ export function trackCompressionStarted({ compression_level, file_size_bytes })
  * @param {object} params
  * @param {number} params.original_size_bytes    - Original file size in bytes
  * @param {number} params.compressed_size_bytes  - Compressed file size in bytes
- * @param {string} params.compression_level      - 'low' | 'medium' | 'high'
+ * @param {string} params.compression_level      - 'lossless' | 'low' | 'medium' | 'high'
  */
 export function trackCompressionSuccess({
   original_size_bytes,
@@ -84,7 +84,7 @@ export function trackCompressionSuccess({
  * Fired when the user clicks the "Download compressed PDF" button.
  * @param {object} params
  * @param {number} params.compressed_size_bytes - Final compressed file size
- * @param {string} params.compression_level     - 'low' | 'medium' | 'high'
+ * @param {string} params.compression_level     - 'lossless' | 'low' | 'medium' | 'high'
  */
 export function trackDownloadClicked({ compressed_size_bytes, compression_level }) {
   gtag('event', 'download_clicked', {
@@ -0,0 +1,74 @@
+/**
+ * localCompress.js — run compression in a Web Worker (MuPDF WASM) so the
+ * PDF never leaves the device. See src/workers/compress.worker.js.
+ *
+ * Usage:
+ *   if (isLocalCompressionSupported()) {
+ *     const { blob, compressedSize } = await compressLocally(file, 'medium', {
+ *       onPageProgress: (page, pageCount) => ...,
+ *     })
+ *   }
+ *
+ * `file` may also be an array of JPEG / PNG / TIFF images, assembled into
+ * one PDF (with `pageSize` and `orientation`, see lib/images-to-pdf.js).
+ *
+ * Failures that mean "this device can't do it" (out of memory, worker failed
+ * to start) reject with LocalCompressionUnavailableError so callers can fall
+ * back to the server. Anything else (corrupt PDF, …) rejects with a plain
+ * Error — the server would fail the same way; password errors carry the
+ * server's `code` (PASSWORD_REQUIRED / PASSWORD_INCORRECT). Aborting `signal`
+ * terminates the worker and rejects with an AbortError.
+ */
+
+export class LocalCompressionUnavailableError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'LocalCompressionUnavailableError'
+  }
+}
+
+export function isLocalCompressionSupported() {
+  return typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined'
+}
+
+export async function compressLocally(file, level = 'medium', {
+  targetBytes, colorMode, options, pages, removeBlankPages, password, keepEncryption, pageSize, orientation,
+  onPageProgress = () => {}, signal,
+} = {}) {
+  const images = Array.isArray(file)
+    ? await Promise.all(file.map(async (f) => ({ data: await f.arrayBuffer(), name: f.name })))
+    : null
+  const input = images ? null : await file.arrayBuffer()
+  signal?.throwIfAborted()
+  const worker = new Worker(new URL('../workers/compress.worker.js', import.meta.url), { type: 'module' })
+
+  try {
+    return await new Promise((resolve, reject) => {
+      signal?.addEventListener('abort', () => reject(signal.reason), { once: true })
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          onPageProgress(data.page, data.pageCount)
+        } else if (data.type === 'done') {
+          const blob = new Blob([data.output], { type: 'application/pdf' })
+          resolve({ blob, compressedSize: blob.size, engine: data.engine, targetMet: data.targetMet, removedPages: data.removedPages })
+        } else if (data.type === 'error') {
+          reject(data.outOfMemory
+            ? new LocalCompressionUnavailableError(`Out of memory: ${data.message}`)
+            : Object.assign(new Error(data.message), data.code ? { code: data.code } : {}))
+        }
+      }
+      // Uncaught error inside the worker — usually the WASM module failing to
+      // load or the tab killing the worker for memory
+      worker.onerror = (evt) => {
+        evt.preventDefault?.()
+        reject(new LocalCompressionUnavailableError(evt.message || 'Compression worker failed'))
+      }
+      worker.postMessage(
+        { input, images, level, targetBytes, colorMode, options, pages, removeBlankPages, password, keepEncryption, pageSize, orientation },
+        images ? images.map((image) => image.data) : [input],
+      )
+    })
+  } finally {
+    worker.terminate()
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * analyze.worker.js — what is in a PDF and how big each level would make it
+ * (lib/analyze.js), for the estimates on the level cards in Compressor.
+ * The same analysis as POST /api/analyze, without uploading the file.
+ *
+ * Protocol:
+ *   main → worker  { input: ArrayBuffer, password?, colorMode? }      (input transferred)
+ *   worker → main  { type: 'analysis', analysis }                     see analyzePdf()
+ *                  { type: 'estimate', level, size, engine }          per level, as it finishes
+ *                  { type: 'done', sampledPages }
+ *                  { type: 'error', message, code? }                  code: see lib/encryption.js
+ *
+ * One worker per file and colour mode; the caller terminates it when done
+ * or when either changes.
+ */
+
+import { analyzePdf, estimateSizes } from '../../lib/analyze.js'
+import { unlockPdf } from '../../lib/encryption.js'
+
+self.onmessage = async ({ data }) => {
+  try {
+    const raw = new Uint8Array(data.input)
+    const { input, encryption } = unlockPdf(raw, data.password)
+    self.postMessage({ type: 'analysis', analysis: analyzePdf(input, { fileSize: raw.length, encryption }) })
+    const { sampledPages } = await estimateSizes(input, {
+      colorMode: data.colorMode,
+      onLevel: (level, { size, engine }) => self.postMessage({ type: 'estimate', level, size, engine }),
+    })
+    self.postMessage({ type: 'done', sampledPages })
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err), code: err?.code })
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * compress.worker.js — in-browser PDF compression with MuPDF WASM.
+ *
+ * Runs the same pipeline as /api/compress's MuPDF path (lib/levels.js +
+ * lib/mupdf-engine.js) so the PDF never leaves the device. Ghostscript is
+ * not available here.
+ *
+ * Protocol:
+ *   main → worker  { input: ArrayBuffer, level, targetBytes?, colorMode?, options?, pages?, removeBlankPages?,
+ *                    password?, keepEncryption? }
+ *                                                                 (input transferred)
+ *                  { images: [{ data: ArrayBuffer, name }], level, targetBytes?, colorMode?, options?,
+ *                    pageSize?, orientation? }                     images → one PDF (data transferred)
+ *   worker → main  { type: 'progress', page, pageCount }          after each page
+ *                  { type: 'done', output: ArrayBuffer, engine, targetMet, removedPages }
+ *                  { type: 'error', message, outOfMemory, code? }  code: see lib/encryption.js
+ *
+ * One worker handles one file and is then terminated by the caller — that is
+ * the only way to hand the WASM heap back to the browser.
+ */
+
+import { LEVEL_CONFIG, compressToTarget, normalizeOptions } from '../../lib/levels.js'
+import { compressWithMuPDFEngines, optimizeLossless, selectPages, countPages, dropBlankPages } from '../../lib/mupdf-engine.js'
+import { parsePageSelection, sourcePageNumbers } from '../../lib/pages.js'
+import { unlockPdf, encryptPdf } from '../../lib/encryption.js'
+import { imagesToPdf } from '../../lib/images-to-pdf.js'
+import { imageTypeForName } from '../../lib/image-types.js'
+
+// Allocation failures surface differently depending on where they happen:
+// MuPDF's own allocator, Emscripten's heap growth, or the JS engine itself.
+const OOM_PATTERN = /out of memory|malloc|cannot enlarge memory|\bOOM\b|allocation failed|memory\.grow/i
+
+/** Images → one PDF, as compressImages() in lib/compress.js does it. */
+async function assembleImages({ images, level, targetBytes, colorMode = 'color', options: rawOptions, pageSize, orientation }, onProgress) {
+  const inputs = images.map((image) => {
+    const type = imageTypeForName(image.name)
+    if (!type) throw new Error(`${image.name} is not a JPEG, PNG or TIFF image.`)
+    return { data: new Uint8Array(image.data), type }
+  })
+  const lossless = LEVEL_CONFIG[level].lossless
+  const { options, error: optionsError } = normalizeOptions(rawOptions)
+  if (optionsError) throw new Error(optionsError)
+  const run = async (settings) => ({
+    buffer: await imagesToPdf(inputs, { ...settings, colorMode, pageSize, orientation }, onProgress),
+    engine: 'mupdf-images',
+  })
+  return targetBytes && !lossless
+    ? compressToTarget(run, level, targetBytes)
+    : run({ ...LEVEL_CONFIG[level], ...options })
+}
+
+self.onmessage = async ({ data }) => {
+  const { level, targetBytes, colorMode = 'color', password, keepEncryption } = data
+  const onProgress = (page, pageCount) => self.postMessage({ type: 'progress', page, pageCount })
+
+  try {
+    if (data.images) {
+      const { buffer: output, engine } = await assembleImages(data, onProgress)
+      self.postMessage({
+        type: 'done',
+        output: output.buffer,
+        engine,
+        targetMet: targetBytes ? output.length <= targetBytes : null,
+        removedPages: null,
+      }, [output.buffer])
+      return
+    }
+
+    const unlocked = unlockPdf(new Uint8Array(data.input), password)
+    const { encryption } = unlocked
+    const { pages, error: pagesError } = parsePageSelection(data.pages, countPages(unlocked.input))
+    if (pagesError) throw new Error(pagesError)
+    let input = pages ? selectPages(unlocked.input, pages) : unlocked.input
+    let removedPages = null
+    if (data.removeBlankPages) {
+      const { buffer, removed } = await dropBlankPages(input, onProgress)
+      input = buffer
+      removedPages = sourcePageNumbers(removed, pages)
+    }
+    const lossless = LEVEL_CONFIG[level].lossless
+    const { options, error: optionsError } = normalizeOptions(data.options)
+    if (optionsError) throw new Error(optionsError)
+    const run = lossless
+      ? async () => ({ buffer: optimizeLossless(input), engine: 'mupdf-lossless' })
+      : async (settings) => compressWithMuPDFEngines(input, { ...settings, colorMode }, onProgress)
+
+    const result = targetBytes && !lossless
+      ? await compressToTarget(run, level, targetBytes)
+      : await run({ ...LEVEL_CONFIG[level], ...options })
+
+    // Same guard as the server: never hand back something bigger, unless
+    // it is the gray or black & white version asked for
+    const keepOriginal = result.buffer.length >= input.length && (colorMode === 'color' || lossless)
+    let output = keepOriginal ? input : result.buffer
+    if (encryption && keepEncryption) output = encryptPdf(output, encryption, password)
+    self.postMessage({
+      type: 'done',
+      output: output.buffer,
+      engine: result.engine,
+      targetMet: targetBytes ? output.length <= targetBytes : null,
+      removedPages,
+    }, [output.buffer])
+  } catch (err) {
+    const message = err?.message || String(err)
+    self.postMessage({ type: 'error', message, outOfMemory: OOM_PATTERN.test(message), code: err?.code })
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * preview.worker.js — before/after preview of a compressed PDF, rendered
+ * with MuPDF WASM (lib/quality.js). One worker per result: it keeps both
+ * documents open so pages can be re-rendered at another zoom cheaply.
+ *
+ * Protocol:
+ *   main → worker  { type: 'open', original: ArrayBuffer, compressed: ArrayBuffer, password?, sources? }
+ *                    sources[i] = page of the original that output page i came from (default: i)
+ *                  { type: 'render', page, scale }
+ *   worker → main  { type: 'opened', pageCount }
+ *                  { type: 'score', page, ssim, psnr }              every page, in the background
+ *                  { type: 'render', page, scale, before: ArrayBuffer, after: ArrayBuffer }   PNGs
+ *                  { type: 'error', message }
+ */
+
+import * as mupdf from 'mupdf'
+import { scorePage, renderPagePNG } from '../../lib/quality.js'
+import { unlockPdf } from '../../lib/encryption.js'
+
+let original = null
+let compressed = null
+let sources = null
+
+const open = (bytes, password) =>
+  mupdf.Document.openDocument(unlockPdf(new Uint8Array(bytes), password).input, 'application/pdf')
+
+// Let queued 'render' requests in between pages of the scoring pass
+const yieldToMessages = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'open') {
+      original   = open(data.original, data.password)
+      compressed = open(data.compressed, data.password)
+      const pageCount = compressed.countPages()
+      sources = data.sources ?? Array.from({ length: pageCount }, (_, i) => i)
+      self.postMessage({ type: 'opened', pageCount })
+
+      for (let page = 0; page < pageCount; page++) {
+        await yieldToMessages()
+        const { ssim, psnr } = scorePage(original, sources[page], compressed, page)
+        self.postMessage({ type: 'score', page, ssim, psnr })
+      }
+    } else if (data.type === 'render') {
+      const { page, scale } = data
+      const before = renderPagePNG(original, sources[page], scale)
+      const after  = renderPagePNG(compressed, page, scale)
+      self.postMessage({ type: 'render', page, scale, before: before.buffer, after: after.buffer }, [before.buffer, after.buffer])
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) })
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * thumbnails.worker.js — page thumbnails for the page strip in Compressor,
+ * rendered with MuPDF WASM the same way the raster path renders pages
+ * (lib/mupdf-engine.js renderThumbnails()).
+ *
+ * Protocol:
+ *   main → worker  { input: ArrayBuffer, password? }               (input transferred)
+ *   worker → main  { type: 'page', index, pageCount, jpeg: ArrayBuffer }   per page
+ *                  { type: 'done', pageCount }
+ *                  { type: 'error', message, code? }               code: see lib/encryption.js
+ *
+ * One worker per file; the caller terminates it when done or when the file
+ * changes.
+ */
+
+import { renderThumbnails } from '../../lib/mupdf-engine.js'
+import { unlockPdf } from '../../lib/encryption.js'
+
+self.onmessage = async ({ data }) => {
+  try {
+    const { input } = unlockPdf(new Uint8Array(data.input), data.password)
+    const pageCount = await renderThumbnails(input, (index, jpeg, pageCount) => {
+      self.postMessage({ type: 'page', index, pageCount, jpeg: jpeg.buffer }, [jpeg.buffer])
+    })
+    self.postMessage({ type: 'done', pageCount })
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err), code: err?.code })
+  }
+}
@@ -3,6 +3,11 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // In-browser compression (src/workers/compress.worker.js) imports mupdf,
+  // which uses top-level await and loads its .wasm via import.meta.url.
+  build: { target: 'es2022' },
+  worker: { format: 'es' },
+  optimizeDeps: { exclude: ['mupdf'] },
   test: {
     globals: true,
     environment: 'jsdom',